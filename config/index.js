@@ -1,6 +1,28 @@
 // config/index.js
 require('dotenv').config();
 
+/**
+ * Parse the additional business numbers from WHATSAPP_VOICE_TRANSLATE_TENANTS
+ * @param {string} value - JSON array of tenant entries (optional)
+ * @returns {Array<Object>} - Tenant entries, empty if the variable is not set
+ */
+function parseTenants(value) {
+  if (!value) {
+    return [];
+  }
+
+  let tenants;
+  try {
+    tenants = JSON.parse(value);
+  } catch (error) {
+    throw new Error(`Configuration Error: invalid WHATSAPP_VOICE_TRANSLATE_TENANTS, expected a JSON array of tenants (${error.message})`);
+  }
+  if (!Array.isArray(tenants)) {
+    throw new Error('Configuration Error: invalid WHATSAPP_VOICE_TRANSLATE_TENANTS, expected a JSON array of tenants');
+  }
+  return tenants;
+}
+
 module.exports = {
   port: process.env.PORT || 3000,
   google: {
@@ -11,11 +33,63 @@ module.exports = {
   whatsapp: {
     webhookVerifyToken: process.env.WHATSAPP_VOICE_TRANSLATE_VERIFY_TOKEN,
     accessToken: process.env.WHATSAPP_VOICE_TRANSLATE_ACCESS_TOKEN,
-    phoneNumberId: process.env.WHATSAPP_VOICE_TRANSLATE_PHONE_ID
+    phoneNumberId: process.env.WHATSAPP_VOICE_TRANSLATE_PHONE_ID,
+    appSecret: process.env.WHATSAPP_VOICE_TRANSLATE_APP_SECRET, // Used to verify X-Hub-Signature-256
+    // Point at scripts/mock-graph-server.js to run without a live account
+    graphBaseUrl: process.env.WHATSAPP_VOICE_TRANSLATE_GRAPH_BASE_URL || 'https://graph.facebook.com/v18.0'
   },
+  // Additional business numbers as a JSON array of
+  // { id, phoneNumberId, accessToken, defaultSourceLanguage, defaultTargetLanguages, brandingText, redisNamespace, adminNumbers }
+  tenants: parseTenants(process.env.WHATSAPP_VOICE_TRANSLATE_TENANTS),
   redis: {
     url: process.env.VOICE_TRANSLATE_REDIS_URL || 'redis://localhost:6379'
   },
+  queue: {
+    prefix: process.env.QUEUE_PREFIX || 'bull', // Redis key prefix of the Bull queues; workers only take jobs with the same prefix
+    // Long voice notes and videos are translated part by part, which can take many minutes. A job that
+    // times out is retried while the first attempt keeps sending parts, so this is far above the usual run time.
+    mediaJobTimeoutSeconds: parseInt(process.env.MEDIA_JOB_TIMEOUT_SECONDS, 10) || 1800
+  },
+  admin: {
+    apiKey: process.env.VOICE_TRANSLATE_ADMIN_API_KEY, // Bearer token for /admin endpoints
+    // Comma-separated WhatsApp numbers allowed to edit the default number's team vocabulary
+    phoneNumbers: (process.env.VOICE_TRANSLATE_ADMIN_NUMBERS || '').split(',').map(number => number.replace(/\D/g, '')).filter(Boolean)
+  },
+  documents: {
+    maxBytes: parseInt(process.env.DOCUMENT_MAX_BYTES, 10) || 5 * 1024 * 1024, // 5MB
+    maxCharacters: parseInt(process.env.DOCUMENT_MAX_CHARACTERS, 10) || 30000
+  },
+  messageDedup: {
+    ttlSeconds: parseInt(process.env.MESSAGE_DEDUP_TTL_SECONDS, 10) || 86400 // Remember handled message IDs for 24 hours
+  },
+  rateLimit: {
+    enabled: process.env.RATE_LIMIT_ENABLED !== 'false',
+    windowSeconds: parseInt(process.env.RATE_LIMIT_WINDOW_SECONDS, 10) || 3600, // Budgets refill over one hour
+    // Usage is multiplied by the number of target languages, since each one is a full translation
+    audioSeconds: parseInt(process.env.RATE_LIMIT_AUDIO_SECONDS, 10) || 1800,
+    textCharacters: parseInt(process.env.RATE_LIMIT_TEXT_CHARACTERS, 10) || 50000
+  },
+  deadLetter: {
+    ttlSeconds: parseInt(process.env.DEAD_LETTER_TTL_SECONDS, 10) || 86400 * 7 // Keep failed messages for 7 days
+  },
+  webhookRecorder: {
+    enabled: process.env.WEBHOOK_RECORDER_ENABLED === 'true', // Off unless explicitly turned on
+    directory: process.env.WEBHOOK_RECORDER_DIR || './recordings',
+    // Comma-separated: phone, text, media
+    redact: (process.env.WEBHOOK_RECORDER_REDACT || '').split(',').map(option => option.trim()).filter(Boolean)
+  },
+  messageStore: {
+    ttlSeconds: parseInt(process.env.MESSAGE_STORE_TTL_SECONDS, 10) || 86400 // Keep recent texts for flag reactions for 24 hours
+  },
+  transcription: {
+    // Voice notes transcribed with less confidence are shown to the user to confirm before translating; 0 turns this off
+    confidenceThreshold: process.env.TRANSCRIPTION_CONFIDENCE_THRESHOLD ? parseFloat(process.env.TRANSCRIPTION_CONFIDENCE_THRESHOLD) : 0.6,
+    confirmationTtlSeconds: parseInt(process.env.TRANSCRIPTION_CONFIRMATION_TTL_SECONDS, 10) || 600 // Transcripts wait 10 minutes for an answer
+  },
+  localization: {
+    // Machine translations of bot messages missing from the catalogs are cached for 30 days
+    cacheTtlSeconds: parseInt(process.env.LOCALIZATION_CACHE_TTL_SECONDS, 10) || 86400 * 30
+  },
   logging: {
     level: process.env.LOG_LEVEL || 'info',
     format: process.env.LOG_FORMAT || 'combined',
@@ -0,0 +1,162 @@
+// routes/admin.js
+const express = require('express');
+const crypto = require('crypto');
+const config = require('../config');
+const deliveryStatusService = require('../services/delivery-status');
+const deadLetterService = require('../services/dead-letter');
+
+const router = express.Router();
+
+/**
+ * Require the configured admin API key as a bearer token
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Next middleware
+ */
+function requireAdminKey(req, res, next) {
+  const apiKey = config.admin?.apiKey;
+  if (!apiKey) {
+    return res.status(503).json({ error: 'Admin API is not configured' });
+  }
+
+  const authHeader = req.get('authorization') || '';
+  const token = authHeader.startsWith('Bearer ') ? authHeader.slice('Bearer '.length) : '';
+
+  // Compare digests so the comparison is constant-time regardless of token length
+  const expected = crypto.createHash('sha256').update(apiKey).digest();
+  const received = crypto.createHash('sha256').update(token).digest();
+  if (!token || !crypto.timingSafeEqual(expected, received)) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+
+  next();
+}
+
+router.use(requireAdminKey);
+
+// Delivery statuses of outbound messages for a recipient, newest first
+router.get('/deliveries/:recipientId', async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, 100);
+    const deliveries = await deliveryStatusService.getStatusesForRecipient(req.params.recipientId, limit);
+
+    res.status(200).json({
+      recipientId: req.params.recipientId,
+      count: deliveries.length,
+      deliveries: deliveries
+    });
+  } catch (error) {
+    console.error('Error getting delivery statuses:', error);
+    res.status(500).json({ error: 'Failed to get delivery statuses' });
+  }
+});
+
+// Messages that failed processing after all queue retries, newest first
+router.get('/dead-letters', async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, 100);
+    const deadLetters = await deadLetterService.list(limit);
+
+    res.status(200).json({
+      count: deadLetters.length,
+      deadLetters: deadLetters
+    });
+  } catch (error) {
+    console.error('Error listing dead letters:', error);
+    res.status(500).json({ error: 'Failed to list dead letters' });
+  }
+});
+
+// A dead letter including the WhatsApp message and context it failed with
+router.get('/dead-letters/:id', async (req, res) => {
+  try {
+    const deadLetter = await deadLetterService.get(req.params.id);
+    if (!deadLetter) {
+      return res.status(404).json({ error: 'Dead letter not found' });
+    }
+
+    res.status(200).json(deadLetter);
+  } catch (error) {
+    console.error('Error getting dead letter:', error);
+    res.status(500).json({ error: 'Failed to get dead letter' });
+  }
+});
+
+// Queue a dead letter again; the user gets the translation with a note about the delay
+router.post('/dead-letters/:id/retry', async (req, res) => {
+  try {
+    const retried = await deadLetterService.retry(req.params.id);
+    if (!retried) {
+      return res.status(404).json({ error: 'Dead letter not found' });
+    }
+
+    res.status(202).json({
+      id: req.params.id,
+      jobId: retried.job.id,
+      retryCount: retried.deadLetter.retryCount
+    });
+  } catch (error) {
+    console.error('Error retrying dead letter:', error);
+    res.status(500).json({ error: 'Failed to retry dead letter' });
+  }
+});
+
+// Discard a dead letter without retrying it
+router.delete('/dead-letters/:id', async (req, res) => {
+  try {
+    if (!(await deadLetterService.remove(req.params.id))) {
+      return res.status(404).json({ error: 'Dead letter not found' });
+    }
+
+    res.status(204).end();
+  } catch (error) {
+    console.error('Error discarding dead letter:', error);
+    res.status(500).json({ error: 'Failed to discard dead letter' });
+  }
+});
+
+// Send the subtitles of a user's latest voice note or video to them as WhatsApp documents
+router.post('/subtitles/:recipientId', async (req, res) => {
+  try {
+    const formats = req.body?.formats || ['srt', 'vtt'];
+    if (!Array.isArray(formats) || formats.length === 0 || formats.some(format => !['srt', 'vtt'].includes(format))) {
+      return res.status(400).json({ error: 'formats must be a list of srt and vtt' });
+    }
+
+    // Required lazily, so the other admin endpoints do not need WhatsApp or Google clients
+    const messageStoreService = require('../services/message-store');
+    const transcript = await messageStoreService.getLatestTranscript(req.params.recipientId);
+    if (!transcript || transcript.words.length === 0) {
+      return res.status(404).json({ error: 'No recent voice note or video for this user' });
+    }
+
+    // Sent from the number that received the voice note, with captions in the user's language
+    const tenantService = require('../services/tenants');
+    const userPreferencesService = require('../services/user-preferences');
+    const localizationService = require('../services/localization');
+    const subtitleService = require('../services/subtitles');
+    const PreferenceValues = require('../utils/helpers/preference-values');
+    const tenant = tenantService.getTenant(transcript.phoneNumberId);
+    const whatsappService = require('../services/whatsapp/whatsapp-api').forTenant(tenant);
+    const userPrefs = await userPreferencesService.forTenant(tenant).getPreferences(req.params.recipientId);
+    const language = PreferenceValues.getUiLanguage(userPrefs);
+
+    const files = await subtitleService.buildFiles(transcript, formats);
+    await subtitleService.sendFiles(
+      whatsappService,
+      req.params.recipientId,
+      files,
+      (key, params) => localizationService.getMessage(key, language, params)
+    );
+
+    res.status(200).json({
+      recipientId: req.params.recipientId,
+      files: files.map(file => ({ filename: file.filename, language: file.language, format: file.format }))
+    });
+  } catch (error) {
+    console.error('Error sending subtitles:', error);
+    res.status(500).json({ error: 'Failed to send subtitles' });
+  }
+});
+
+module.exports = router;
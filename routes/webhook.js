@@ -4,9 +4,34 @@ const axios = require('axios');
 const config = require('../config');
 const monitoring = require('../utils/helpers/monitoring');
 const userPreferencesService = require('../services/user-preferences');
+const messageDedupService = require('../services/message-dedup');
+const deliveryStatusService = require('../services/delivery-status');
+const messageStoreService = require('../services/message-store');
+const tenantService = require('../services/tenants');
+const webhookRecorder = require('../services/webhook-recorder');
+const rateLimiterService = require('../services/rate-limiter');
+const localizationService = require('../services/localization');
+const translationQueue = require('../utils/processing/translation-queue');
+const SettingsMenu = require('../utils/helpers/settings-menu');
+const FlagLanguages = require('../utils/helpers/flag-languages');
+const LanguageTags = require('../utils/helpers/language-tags');
+const PreferenceValues = require('../utils/helpers/preference-values');
+const commandRegistry = require('../utils/commands');
 
 const router = express.Router();
 
+// Audio longer than synchronous recognition accepts is split at pauses and translated part by part
+const CHUNKED_AUDIO_SECONDS = 60;
+
+// Reply IDs of the buttons under a transcription waiting for confirmation, e.g. "transcript:confirm"
+const TRANSCRIPT_ACTION = 'transcript';
+
+// Interactive message bodies hold at most 1024 characters, so long transcriptions are shortened in the prompt
+const MAX_PROMPT_TRANSCRIPT_LENGTH = 900;
+
+// WhatsApp reply buttons have titles of at most 20 characters
+const MAX_BUTTON_TITLE_LENGTH = 20;
+
 // Webhook verification endpoint
 router.get('/', (req, res) => {
   const mode = req.query['hub.mode'];
@@ -30,17 +55,36 @@ router.post('/', async (req, res) => {
   const startTime = Date.now();
   const body = req.body;
 
+  // Reject requests that were not signed by Meta with our app secret
+  const whatsappService = require('../services/whatsapp/whatsapp-api');
+  if (!whatsappService.validateWebhookSignature(req, req.rawBody)) {
+    monitoring.incrementErrorCounter('invalid_webhook_signature', 'whatsapp');
+    return res.status(401).json({ error: 'Invalid webhook signature' });
+  }
+
+  // Reject payloads that are not WhatsApp webhook notifications
+  if (!body || !Array.isArray(body.entry)) {
+    monitoring.incrementErrorCounter('invalid_webhook_payload', 'whatsapp');
+    return res.status(400).json({ error: 'Invalid webhook payload' });
+  }
+  
+  // Keep a copy for replaying production issues when recording is turned on
+  await webhookRecorder.recordWebhook(body);
+
   try {
-    // Check if the payload contains entry array
-    if (body.entry) {
-      for (const entry of body.entry) {
-        if (entry.changes) {
-          for (const change of entry.changes) {
-            if (change.value?.messages) {
-              for (const message of change.value.messages) {
-                // Process each message
-                await processMessage(message, change.value);
-              }
+    for (const entry of body.entry) {
+      if (entry.changes) {
+        for (const change of entry.changes) {
+          if (change.value?.messages) {
+            for (const message of change.value.messages) {
+              // Queue each message; the heavy lifting happens in the queue workers
+              await processMessage(message, change.value);
+            }
+          }
+          if (change.value?.statuses) {
+            for (const status of change.value.statuses) {
+              // Delivery status callbacks for messages we sent
+              await processStatus(status, change.value);
             }
           }
         }
@@ -61,7 +105,7 @@ router.post('/', async (req, res) => {
 });
 
 /**
- * Process an incoming message
+ * Process an incoming message by dispatching it to the matching queue
  * @param {Object} message - The message object from WhatsApp
  * @param {Object} context - The context of the message
  */
@@ -69,23 +113,205 @@ async function processMessage(message, context) {
   console.log('Processing message:', message);
   const recipientId = context.contacts[0].wa_id;
   
+  // Acknowledge redelivered messages without processing them again
+  if (message.id && !(await messageDedupService.claimMessage(message.id))) {
+    monitoring.incrementDuplicateMessageCounter(message.type);
+    return;
+  }
+  
+  // Drop messages from users who have used up their translation budget
+  if (!(await checkRateLimit(message, context, recipientId))) {
+    return;
+  }
+  
+  try {
+    await dispatchMessage(message, context, recipientId);
+  } catch (error) {
+    // Let Meta's redelivery retry a message we failed to dispatch
+    if (message.id) {
+      await messageDedupService.releaseMessage(message.id);
+    }
+    throw error;
+  }
+}
+
+/**
+ * Check a message against the sender's rate limit budgets, telling them to slow down when over the limit
+ * Text is charged up front since its cost is known; media only needs budget left, and is charged
+ * by its handler once its length is known.
+ * @param {Object} message - The message object from WhatsApp
+ * @param {Object} context - The context of the message
+ * @param {string} recipientId - The WhatsApp ID of the sender
+ * @returns {Promise<boolean>} - True if the message may be processed
+ */
+async function checkRateLimit(message, context, recipientId) {
+  const tenant = tenantService.getTenantForContext(context);
+  let limit;
+  
+  switch (message.type) {
+    case 'text': {
+      const text = message.text.body;
+      if (text.startsWith('!')) {
+        // Commands only change settings, so they stay available to throttled users
+        return true;
+      }
+      const userPrefs = await userPreferencesService.forTenant(tenant).getPreferences(recipientId);
+      const cost = text.length * PreferenceValues.getTargetLanguages(userPrefs).length;
+      limit = await rateLimiterService.consume(recipientId, 'text', cost);
+      limit.budget = 'text';
+      if (limit.allowed) {
+        monitoring.incrementRateLimitUsage('text', cost);
+      }
+      break;
+    }
+    case 'audio':
+    case 'video':
+      limit = await rateLimiterService.consume(recipientId, 'audio', 0);
+      limit.budget = 'audio';
+      break;
+    case 'reaction':
+      if (!FlagLanguages.getLanguageForFlag(message.reaction?.emoji)) {
+        // Other reactions are ignored anyway
+        return true;
+      }
+      limit = await rateLimiterService.consume(recipientId, 'text', 0);
+      limit.budget = 'text';
+      break;
+    case 'document':
+      limit = await rateLimiterService.consume(recipientId, 'text', 0);
+      limit.budget = 'text';
+      break;
+    default:
+      return true;
+  }
+  
+  if (limit.allowed) {
+    return true;
+  }
+  
+  console.log(`Rate limited ${message.type} message from ${recipientId} (${limit.budget} budget)`);
+  monitoring.incrementThrottledMessageCounter(limit.budget, message.type);
+  
+  // One notice per window, so a user sending many messages is not flooded with replies
+  if (await rateLimiterService.claimNotice(recipientId)) {
+    const whatsappService = require('../services/whatsapp/whatsapp-api').forTenant(tenant);
+    const minutes = Math.max(1, Math.ceil(limit.retryAfterSeconds / 60));
+    try {
+      const localize = await getLocalizer(recipientId, tenant);
+      await whatsappService.sendTextMessage(
+        recipientId,
+        await localize(minutes === 1 ? 'rateLimitedMinute' : 'rateLimitedMinutes', { minutes: minutes })
+      );
+    } catch (sendError) {
+      console.error('Error sending rate limit message:', sendError);
+    }
+  }
+  
+  return false;
+}
+
+/**
+ * Charge usage that is only known once a message has been processed to the sender's budget
+ * @param {string} recipientId - The WhatsApp ID of the sender
+ * @param {string} budget - 'audio' (seconds) or 'text' (characters)
+ * @param {number} amount - Usage to charge
+ */
+async function chargeUsage(recipientId, budget, amount) {
+  monitoring.incrementRateLimitUsage(budget, amount);
+  await rateLimiterService.charge(recipientId, budget, amount);
+}
+
+/**
+ * Process a delivery status callback (sent, delivered, read or failed)
+ * @param {Object} status - The status object from WhatsApp
+ * @param {Object} context - The change value the status arrived in, used to find the tenant
+ */
+async function processStatus(status, context) {
+  monitoring.incrementMessageStatusCounter(status.status);
+  const delivery = await deliveryStatusService.recordStatus(status);
+  
+  if (status.status !== 'failed') {
+    return;
+  }
+  
+  console.error(`Delivery of message ${status.id} to ${status.recipient_id} failed:`, status.errors);
+  monitoring.incrementErrorCounter('delivery_failed', 'whatsapp');
+  
+  // Fall back to text when a voice note could not be delivered, e.g. its media URL was unreachable
+  if (delivery?.type === 'audio' && delivery.fallbackText && await deliveryStatusService.claimFallback(status.id)) {
+    const tenant = tenantService.getTenantForContext(context);
+    const whatsappService = require('../services/whatsapp/whatsapp-api').forTenant(tenant);
+    try {
+      const localize = await getLocalizer(delivery.recipientId, tenant);
+      await whatsappService.sendTextMessage(
+        delivery.recipientId,
+        await localize('voiceFallback', { text: delivery.fallbackText })
+      );
+    } catch (sendError) {
+      console.error('Error sending delivery fallback message:', sendError);
+    }
+  }
+}
+
+/**
+ * Dispatch a message to its queue or command handler based on its type
+ * @param {Object} message - The message object from WhatsApp
+ * @param {Object} context - The context of the message
+ * @param {string} recipientId - The WhatsApp ID of the sender
+ */
+async function dispatchMessage(message, context, recipientId) {
   // Handle different message types
   switch (message.type) {
     case 'audio':
-      // Process audio message (voice note)
+      // Queue audio message (voice note) for STT -> translation -> TTS
       monitoring.incrementTranslationCounter('whatsapp_audio', 'unknown', context.recipient?.language || 'unknown');
-      await handleAudioMessage(message, context);
+      await translationQueue.addAudioJob(message, context);
       break;
     case 'text':
       // Check if this is a command message
       const text = message.text.body;
-      if (text.startsWith('!')) {
-        await handleCommand(text, recipientId);
+      if (text.startsWith('!') && commandRegistry.isQueued(text)) {
+        // Commands that call Google or send media are queued like the messages they work on
+        await translationQueue.addCommandJob(message, context);
+      } else if (text.startsWith('!')) {
+        // The other commands only touch Redis, so they are answered inline
+        await handleCommand(text, recipientId, tenantService.getTenantForContext(context));
       } else {
-        // Process regular text message
+        // Queue regular text message for translation
         monitoring.incrementTranslationCounter('whatsapp_text', 'unknown', context.recipient?.language || 'unknown');
-        await handleTextMessage(message, context);
+        await translationQueue.addTranslationJob(message, context);
+      }
+      break;
+    case 'interactive':
+      // Confirmed transcriptions are translated, so they are queued like the voice notes they belong to
+      if (SettingsMenu.parseReply(message.interactive)?.action === TRANSCRIPT_ACTION) {
+        await translationQueue.addTranscriptConfirmationJob(message, context);
+        break;
       }
+      // Taps on the settings menus, answered inline like commands
+      await handleInteractiveReply(message.interactive, recipientId, tenantService.getTenantForContext(context));
+      break;
+    case 'reaction': {
+      // Flag reactions ask for a translation of the reacted-to message; other reactions
+      // and removed reactions (empty emoji) are ignored
+      const targetLanguage = FlagLanguages.getLanguageForFlag(message.reaction?.emoji);
+      if (!targetLanguage) {
+        console.log(`Ignoring non-flag reaction from ${recipientId}`);
+        break;
+      }
+      monitoring.incrementTranslationCounter('whatsapp_reaction', 'unknown', targetLanguage);
+      await translationQueue.addReactionJob(message, context);
+      break;
+    }
+    case 'video':
+      // Queue video so its audio track is translated like a voice note
+      monitoring.incrementTranslationCounter('whatsapp_video', 'unknown', context.recipient?.language || 'unknown');
+      await translationQueue.addVideoJob(message, context);
+      break;
+    case 'document':
+      // Queue document for text extraction and translation
+      monitoring.incrementTranslationCounter('whatsapp_document', 'unknown', context.recipient?.language || 'unknown');
+      await translationQueue.addDocumentJob(message, context);
       break;
     default:
       console.log(`Unsupported message type: ${message.type}`);
@@ -97,151 +323,116 @@ async function processMessage(message, context) {
  * Handle command messages starting with !
  * @param {string} command - The command text
  * @param {string} recipientId - The WhatsApp ID of the recipient
+ * @param {Object} tenant - Tenant of the number that received the command
  */
-async function handleCommand(command, recipientId) {
-  const whatsappService = require('../services/whatsapp/whatsapp-api');
+async function handleCommand(command, recipientId, tenant) {
+  const whatsappService = require('../services/whatsapp/whatsapp-api').forTenant(tenant);
   
   try {
     console.log(`Processing command from ${recipientId}: ${command}`);
+    await commandRegistry.execute(command, buildCommandInvocation(recipientId, tenant));
+  } catch (error) {
+    console.error('Error handling command:', error);
+    try {
+      const localize = await getLocalizer(recipientId, tenant);
+      await whatsappService.sendTextMessage(recipientId, await localize('commandError'));
+    } catch (sendError) {
+      console.error('Error sending error message to user:', sendError);
+    }
+  }
+}
+
+/**
+ * Handle a queued command message, e.g. !subtitles
+ * @param {Object} message - The message object from WhatsApp
+ * @param {Object} context - The context of the message
+ */
+async function handleCommandMessage(message, context) {
+  const recipientId = context.contacts[0].wa_id;
+  await handleCommand(message.text.body, recipientId, tenantService.getTenantForContext(context));
+}
+
+/**
+ * Handle replies to the interactive settings menus (button_reply / list_reply)
+ * A reply ID "<action>:<value>" runs the command registered for the action with the value as its argument.
+ * @param {Object} interactive - The interactive object of the message
+ * @param {string} recipientId - The WhatsApp ID of the recipient
+ * @param {Object} tenant - Tenant of the number that received the reply
+ */
+async function handleInteractiveReply(interactive, recipientId, tenant) {
+  const whatsappService = require('../services/whatsapp/whatsapp-api').forTenant(tenant);
+  
+  try {
+    const selection = SettingsMenu.parseReply(interactive);
+    const command = selection && commandRegistry.getByMenuAction(selection.action);
+    if (!command) {
+      console.log(`Unsupported interactive reply from ${recipientId}:`, interactive);
+      monitoring.incrementErrorCounter('unsupported_interactive_reply', 'whatsapp');
+      return;
+    }
     
-    // Parse the command
-    const parts = command.split(' ');
-    const cmd = parts[0].toLowerCase();
-    
-    switch (cmd) {
-      case '!lang':
-      case '!language':
-        // Set target language(s) for translations
-        if (parts.length < 2) {
-          // Show current language settings
-          const currentPrefs = await userPreferencesService.getPreferences(recipientId);
-          await whatsappService.sendTextMessage(
-            recipientId,
-            `Current settings:\nSource: ${currentPrefs.sourceLanguage}\nTargets: ${currentPrefs.targetLanguages.join(', ')}\n\nSend !lang <lang1> <lang2> to set target languages (e.g., "!lang es fr" for Spanish and French)`
-          );
-          return;
-        }
-        
-        const languages = parts.slice(1).filter(lang => lang.length === 2); // Basic filter for 2-letter language codes
-        if (languages.length === 0) {
-          await whatsappService.sendTextMessage(
-            recipientId,
-            'Please provide valid language codes (e.g., "es" for Spanish, "fr" for French). Example: !lang es fr'
-          );
-          return;
-        }
-        
-        const setResult = await userPreferencesService.setTargetLanguages(recipientId, languages);
-        if (setResult) {
-          await whatsappService.sendTextMessage(
-            recipientId,
-            `Target languages set to: ${languages.join(', ')}`
-          );
-        } else {
-          await whatsappService.sendTextMessage(
-            recipientId,
-            'Error setting language preferences. Please try again.'
-          );
-        }
-        break;
-        
-      case '!srclang':
-        // Set source language for translations
-        if (parts.length < 2) {
-          await whatsappService.sendTextMessage(
-            recipientId,
-            'Please specify a source language code. Example: !srclang en'
-          );
-          return;
-        }
-        
-        const sourceLang = parts[1].toLowerCase();
-        if (sourceLang.length !== 2) {
-          await whatsappService.sendTextMessage(
-            recipientId,
-            'Please provide a valid 2-letter language code (e.g., "en", "es", "fr").'
-          );
-          return;
-        }
-        
-        const sourceSetResult = await userPreferencesService.setSourceLanguage(recipientId, sourceLang);
-        if (sourceSetResult) {
-          await whatsappService.sendTextMessage(
-            recipientId,
-            `Source language set to: ${sourceLang}`
-          );
-        } else {
-          await whatsappService.sendTextMessage(
-            recipientId,
-            'Error setting source language. Please try again.'
-          );
-        }
-        break;
-        
-      case '!response':
-        // Set response mode (text, voice, or both)
-        if (parts.length < 2) {
-          const currentPrefs = await userPreferencesService.getPreferences(recipientId);
-          await whatsappService.sendTextMessage(
-            recipientId,
-            `Current response mode: ${currentPrefs.responseMode}\n\nAvailable modes: text, voice, both\nExample: !response both`
-          );
-          return;
-        }
-        
-        const responseMode = parts[1].toLowerCase();
-        if (!['text', 'voice', 'both'].includes(responseMode)) {
-          await whatsappService.sendTextMessage(
-            recipientId,
-            'Invalid response mode. Use: text, voice, or both. Example: !response both'
-          );
-          return;
-        }
-        
-        const responseSetResult = await userPreferencesService.setResponseMode(recipientId, responseMode);
-        if (responseSetResult) {
-          await whatsappService.sendTextMessage(
-            recipientId,
-            `Response mode set to: ${responseMode}`
-          );
-        } else {
-          await whatsappService.sendTextMessage(
-            recipientId,
-            'Error setting response mode. Please try again.'
-          );
-        }
-        break;
-        
-      case '!help':
-        // Show available commands
-        await whatsappService.sendTextMessage(
-          recipientId,
-          `Available commands:\n` +
-          `!lang <langs> - Set target languages (e.g., !lang es fr)\n` +
-          `!srclang <lang> - Set source language (e.g., !srclang en)\n` +
-          `!response <mode> - Set response mode: text, voice, or both\n` +
-          `!help - Show this help message`
-        );
-        break;
-        
-      default:
-        await whatsappService.sendTextMessage(
-          recipientId,
-          `Unknown command: ${cmd}. Send !help for available commands.`
-        );
-        break;
+    console.log(`Processing menu selection from ${recipientId}: ${selection.action}:${selection.value}`);
+    
+    // Only accept languages the menus actually offer
+    const isLanguageSelection = selection.action === 'target' || selection.action === 'source';
+    if (isLanguageSelection && !SettingsMenu.isMenuLanguage(selection.value) &&
+        !(selection.action === 'source' && selection.value === 'auto')) {
+      console.log(`Ignoring unknown language selection from ${recipientId}: ${selection.value}`);
+      return;
     }
+    
+    await commandRegistry.dispatch(command.name, [selection.value], {
+      ...buildCommandInvocation(recipientId, tenant),
+      source: 'menu'
+    });
   } catch (error) {
-    console.error('Error handling command:', error);
-    const whatsappService = require('../services/whatsapp/whatsapp-api');
+    console.error('Error handling interactive reply:', error);
     try {
-      await whatsappService.sendTextMessage(recipientId, 'Sorry, there was an error processing your command.');
+      const localize = await getLocalizer(recipientId, tenant);
+      await whatsappService.sendTextMessage(recipientId, await localize('selectionError'));
     } catch (sendError) {
       console.error('Error sending error message to user:', sendError);
     }
   }
 }
 
+/**
+ * Build the invocation that command handlers run with
+ * @param {string} recipientId - The WhatsApp ID of the user running the command
+ * @param {Object} tenant - Tenant of the number that received the command
+ * @returns {Object} - { recipientId, tenant, whatsappService, preferencesService, reply, localize, translate }
+ */
+function buildCommandInvocation(recipientId, tenant) {
+  const whatsappService = require('../services/whatsapp/whatsapp-api').forTenant(tenant);
+  const preferencesService = userPreferencesService.forTenant(tenant);
+  
+  // Read on every call, so a command that changes the language already replies in the new one
+  const getUiLanguage = async () => PreferenceValues.getUiLanguage(await preferencesService.getPreferences(recipientId));
+  
+  return {
+    recipientId: recipientId,
+    tenant: tenant,
+    whatsappService: whatsappService,
+    preferencesService: preferencesService,
+    reply: (text) => whatsappService.sendTextMessage(recipientId, text),
+    localize: async (key, params) => localizationService.getMessage(key, await getUiLanguage(), params),
+    translate: async (text) => localizationService.translateString(text, await getUiLanguage())
+  };
+}
+
+/**
+ * Get a function that looks up the bot's messages in the user's interface language
+ * @param {string} recipientId - The WhatsApp ID of the user
+ * @param {Object} tenant - Tenant of the number the user wrote to
+ * @param {Object} userPrefs - The user's preferences, if already fetched (optional)
+ * @returns {Promise<Function>} - (key, params) => Promise<string>
+ */
+async function getLocalizer(recipientId, tenant, userPrefs = null) {
+  const preferences = userPrefs || await userPreferencesService.forTenant(tenant).getPreferences(recipientId);
+  const language = PreferenceValues.getUiLanguage(preferences);
+  return (key, params) => localizationService.getMessage(key, language, params);
+}
+
 /**
  * Handle audio messages (voice notes)
  * @param {Object} message - The audio message object
@@ -254,94 +445,487 @@ async function handleAudioMessage(message, context) {
     // 1. Get the audio media ID from the message
     const mediaId = message.audio.id;
     const recipientId = context.contacts[0].wa_id;
+    const tenant = tenantService.getTenantForContext(context);
     
     // 2. Download the audio file from WhatsApp
-    const whatsappService = require('../services/whatsapp/whatsapp-api');
-    const audioUrl = `https://graph.facebook.com/v18.0/${mediaId}/`;
+    const whatsappService = require('../services/whatsapp/whatsapp-api').forTenant(tenant);
+    const audioUrl = `${config.whatsapp.graphBaseUrl}/${mediaId}/`;
     
     // Note: In a real implementation, you'd need to download the media using the access token
     // For now, we'll simulate the process with a placeholder
     console.log(`Downloading audio from WhatsApp with ID: ${mediaId}`);
     
     // 3. Download the audio from WhatsApp
-    const audioBuffer = await whatsappService.downloadMedia(mediaId);
+    const audioBuffer = await downloadMedia(whatsappService, mediaId, message.audio.mime_type);
     console.log(`Downloaded audio, size: ${audioBuffer.length} bytes`);
     
-    // 4. Process the audio through our translation pipeline
-    const audioProcessingPipeline = require('../utils/helpers/audio-processing-pipeline');
-    
-    // Get user preferences
-    const userPrefs = await userPreferencesService.getPreferences(recipientId);
-    let targetLanguages;
-    
-    // Handle the case where targetLanguages might be an array (default) or string (from Redis)
-    if (Array.isArray(userPrefs.targetLanguages)) {
-      targetLanguages = userPrefs.targetLanguages;
-    } else if (userPrefs.targetLanguages && typeof userPrefs.targetLanguages === 'string') {
-      targetLanguages = userPrefs.targetLanguages.split(',');
-    } else {
-      targetLanguages = ['en']; // fallback
-    }
+    // 4. Translate the audio and reply according to the user's preferences
+    await translateAudioAndReply(audioBuffer, message, context);
+  } catch (error) {
+    console.error('Error handling audio message:', error);
+    // Re-throw so the queue can retry; the user is notified once retries are exhausted
+    throw error;
+  }
+}
+
+/**
+ * Handle video messages by translating their audio track like a voice note
+ * @param {Object} message - The video message object
+ * @param {Object} context - The context of the message
+ */
+async function handleVideoMessage(message, context) {
+  try {
+    console.log('Handling video message:', message);
     
-    // Process audio with multiple target languages
-    const results = await audioProcessingPipeline.processAudioTranslationMulti(
-      audioBuffer,
-      targetLanguages.map(lang => lang.trim())
-    );
+    const mediaId = message.video.id;
+    const recipientId = context.contacts[0].wa_id;
+    const tenant = tenantService.getTenantForContext(context);
+    const whatsappService = require('../services/whatsapp/whatsapp-api').forTenant(tenant);
+    const AudioProcessor = require('../utils/helpers/audio-processing');
     
-    // Get user response preferences (userPrefs already fetched above)
-    const responseMode = userPrefs.responseMode || 'text';
+    // 1. Download the video from WhatsApp
+    const videoBuffer = await downloadMedia(whatsappService, mediaId, message.video.mime_type);
+    console.log(`Downloaded video, size: ${videoBuffer.length} bytes`);
     
-    // Prepare the text response
-    let responseMessage = `Original (auto-detected as ${results[0].transcription.language}): ${results[0].transcription.text}\n\n`;
+    // 2. Strip the audio track into the format Speech-to-Text expects
+    const audioBuffer = await AudioProcessor.extractAudioTrack(videoBuffer);
+    console.log(`Extracted audio track, size: ${audioBuffer.length} bytes`);
     
-    for (const result of results) {
-      responseMessage += `Translation to ${result.translation.targetLanguage.toUpperCase()}: ${result.translation.translatedText}\n\n`;
+    if (audioBuffer.length === 0) {
+      const localize = await getLocalizer(recipientId, tenant);
+      await whatsappService.sendTextMessage(recipientId, await localize('videoNoAudio'));
+      return;
     }
     
-    // Send text response
-    await whatsappService.sendTextMessage(recipientId, responseMessage);
-    
-    // If user wants voice responses, send voice messages too
-    if (responseMode === 'voice' || responseMode === 'both') {
-      // Import media uploader service
-      const mediaUploader = require('../services/media-uploader');
-      
-      for (const result of results) {
-        try {
-          // Upload and send the audio response
-          await mediaUploader.uploadAndSendAudio(
-            whatsappService,
-            recipientId,
-            result.tts.audioContent, // The audio content from TTS
-            'ogg' // WhatsApp typically expects OGG/OPUS format
-          );
-        } catch (uploadError) {
-          console.error(`Error sending voice response for ${result.translation.targetLanguage}:`, uploadError);
-          // If voice response fails, send a text notification
-          await whatsappService.sendTextMessage(
-            recipientId,
-            `Audio response in ${result.translation.targetLanguage.toUpperCase()} could not be delivered due to technical issues.`
-          );
+    // 3. Translate the audio and reply according to the user's preferences
+    await translateAudioAndReply(audioBuffer, message, context);
+  } catch (error) {
+    console.error('Error handling video message:', error);
+    // Re-throw so the queue can retry; the user is notified once retries are exhausted
+    throw error;
+  }
+}
+
+/**
+ * Run audio through STT -> translation -> TTS and send the replies the user asked for
+ * @param {Buffer} audioBuffer - The audio to translate
+ * @param {Object} message - The inbound voice note or video message
+ * @param {Object} context - The context of the message
+ */
+async function translateAudioAndReply(audioBuffer, message, context) {
+  const recipientId = context.contacts[0].wa_id;
+  const messageId = message.id;
+  const tenant = tenantService.getTenantForContext(context);
+  const whatsappService = require('../services/whatsapp/whatsapp-api').forTenant(tenant);
+  const audioProcessingPipeline = require('../utils/helpers/audio-processing-pipeline');
+  const AudioProcessor = require('../utils/helpers/audio-processing');
+  
+  // Get user preferences
+  const preferencesService = userPreferencesService.forTenant(tenant);
+  const userPrefs = await preferencesService.getPreferences(recipientId);
+  const targetLanguages = PreferenceValues.getTargetLanguages(userPrefs);
+  const sourceLanguage = PreferenceValues.getSourceLanguage(userPrefs);
+  const localize = await getLocalizer(recipientId, tenant, userPrefs);
+  const reply = {
+    responseMode: userPrefs.responseMode || 'text',
+    replyOptions: PreferenceValues.shouldQuoteReplies(userPrefs) && messageId ? { replyTo: messageId } : {},
+    sourceLanguageFixed: Boolean(sourceLanguage),
+    localize: localize
+  };
+  const redeliveryNote = await getRedeliveryNote(message, context, localize);
+  const duration = AudioProcessor.estimateDuration(audioBuffer);
+  
+  let results;
+  let speechRecognized = true;
+  const heldParts = [];
+  if (duration > CHUNKED_AUDIO_SECONDS) {
+    // Long audio is translated part by part, each part sent while the later ones are still transcribed;
+    // unsure parts are held back and shown to the user once the others were sent. Parts a failed
+    // attempt already sent are not translated or sent again when the job is retried
+    const deliveredParts = messageId ? await messageStoreService.getDeliveredParts(messageId) : [];
+    let partsSent = deliveredParts.length;
+    results = await audioProcessingPipeline.processLongAudioTranslationMulti(
+      audioBuffer,
+      targetLanguages,
+      sourceLanguage,
+      PreferenceValues.getVoiceSettings(userPrefs),
+      PreferenceValues.getDetectionLanguages(userPrefs),
+      await preferencesService.getPhraseHints(recipientId),
+      async (chunkResults, index, chunkCount) => {
+        const partHeading = await localize('voiceNotePart', { part: index + 1, parts: chunkCount });
+        const header = `${partsSent === 0 ? redeliveryNote : ''}${partHeading}\n`;
+        await sendAudioReplies(whatsappService, recipientId, chunkResults, { ...reply, header: header });
+        partsSent++;
+        if (messageId) {
+          await messageStoreService.markPartDelivered(messageId, index);
+        }
+      },
+      async (transcriptionResult, index, chunkCount) => {
+        if (deliveredParts.includes(index)) {
+          return false;
         }
+        if (!needsConfirmation(transcriptionResult)) {
+          return true;
+        }
+        heldParts.push({ ...transcriptionResult, part: index + 1, parts: chunkCount });
+        return false;
       }
+    );
+  } else {
+    // Process audio with multiple target languages, asking the user about unsure transcriptions first
+    results = await audioProcessingPipeline.processAudioTranslationMulti(
+      audioBuffer,
+      targetLanguages,
+      sourceLanguage,
+      PreferenceValues.getVoiceSettings(userPrefs),
+      PreferenceValues.getDetectionLanguages(userPrefs),
+      PreferenceValues.getSpeakerMode(userPrefs) !== 'off',
+      await preferencesService.getPhraseHints(recipientId),
+      async (transcriptionResult) => {
+        if (!transcriptionResult.transcription?.trim()) {
+          speechRecognized = false;
+          return false;
+        }
+        if (!needsConfirmation(transcriptionResult)) {
+          return true;
+        }
+        await askToConfirmTranscript(whatsappService, recipientId, {
+          text: transcriptionResult.transcription,
+          language: transcriptionResult.sourceLanguage,
+          confidence: transcriptionResult.confidence,
+          words: transcriptionResult.words || [],
+          messageId: messageId,
+          duration: duration,
+          sourceLanguageFixed: reply.sourceLanguageFixed,
+          phoneNumberId: tenant.phoneNumberId
+        }, localize);
+        return false;
+      }
+    );
+  }
+  
+  // Every chunk of long audio may turn out silent too
+  if (results && !results[0].transcription.text?.trim()) {
+    speechRecognized = false;
+  }
+  
+  // Nothing to translate, store or charge
+  if (!speechRecognized) {
+    await whatsappService.sendTextMessage(recipientId, `${redeliveryNote}${await localize('noSpeechRecognized')}`, reply.replyOptions);
+    console.log(`No speech recognized in audio from ${recipientId}`);
+    return;
+  }
+  
+  // Unsure transcriptions wait for the user
+  if (!results) {
+    console.log(`Asked ${recipientId} to confirm a low-confidence transcription`);
+    return;
+  }
+  
+  // A newer voice note was translated, so an older one's transcription no longer waits for an answer
+  await messageStoreService.clearPendingTranscript(recipientId);
+  
+  if (heldParts.length > 0) {
+    const partTexts = [];
+    for (const heldPart of heldParts) {
+      partTexts.push(`${await localize('voiceNotePart', { part: heldPart.part, parts: heldPart.parts })}\n${heldPart.transcription}`);
     }
+    await askToConfirmTranscript(whatsappService, recipientId, {
+      text: heldParts.map(heldPart => heldPart.transcription.trim()).join(' '),
+      language: heldParts[0].sourceLanguage,
+      confidence: Math.min(...heldParts.map(heldPart => heldPart.confidence)),
+      words: [],
+      messageId: messageId,
+      duration: 0, // The whole voice note is charged below
+      sourceLanguageFixed: reply.sourceLanguageFixed,
+      phoneNumberId: tenant.phoneNumberId,
+      partial: true
+    }, localize, partTexts.join('\n\n'));
+    console.log(`Asked ${recipientId} to confirm ${heldParts.length} low-confidence parts`);
+  }
+  
+  // Detection tries the languages the user recently spoke first
+  if (!sourceLanguage) {
+    await preferencesService.addRecentLanguage(recipientId, results[0].transcription.language);
+  }
+  
+  // Keep the word timings so !subtitles can caption the voice note or video
+  if (results[0].transcription.words?.length > 0) {
+    await messageStoreService.saveTranscript(recipientId, {
+      language: results[0].transcription.language,
+      targetLanguages: targetLanguages,
+      words: results[0].transcription.words,
+      phoneNumberId: tenant.phoneNumberId
+    });
+  }
+  
+  // Charged once the audio was translated, so queue retries of a failed job are not charged again
+  await chargeUsage(recipientId, 'audio', duration * targetLanguages.length);
+  
+  // Remember the transcription so a flag reaction can translate it later
+  if (messageId) {
+    await messageStoreService.saveMessage(messageId, recipientId, results[0].transcription.text, results[0].transcription.language);
+  }
+  
+  // Long audio was already sent part by part
+  if (duration <= CHUNKED_AUDIO_SECONDS) {
+    await sendAudioReplies(whatsappService, recipientId, results, { ...reply, header: redeliveryNote });
+  }
+  
+  console.log(`Sent multi-language translation to ${recipientId} with response mode: ${reply.responseMode}`);
+}
+
+/**
+ * Check whether a transcription is unsure enough to show the user before translating it
+ * @param {Object} transcriptionResult - Transcription result from the pipeline, of a voice note or one of its parts
+ * @returns {boolean} - True if speech was recognized with less than the configured confidence
+ */
+function needsConfirmation(transcriptionResult) {
+  const { confidence, transcription } = transcriptionResult;
+  return typeof confidence === 'number' && confidence < config.transcription.confidenceThreshold &&
+    Boolean(transcription?.trim());
+}
+
+/**
+ * Show the user a transcription of their voice note and hold it until they confirm, correct or discard it
+ * @param {Object} whatsappService - WhatsApp API service for the user's number
+ * @param {string} recipientId - WhatsApp ID of the user
+ * @param {Object} pending - { text, language, confidence, words, messageId, duration, sourceLanguageFixed, phoneNumberId, partial }
+ * @param {Function} localize - Localizer from getLocalizer
+ * @param {string} promptText - Transcription as shown to the user (optional, defaults to pending.text)
+ */
+async function askToConfirmTranscript(whatsappService, recipientId, pending, localize, promptText = pending.text) {
+  const text = promptText.length > MAX_PROMPT_TRANSCRIPT_LENGTH
+    ? `${promptText.slice(0, MAX_PROMPT_TRANSCRIPT_LENGTH)}…`
+    : promptText;
+  const response = await whatsappService.sendButtonMessage(
+    recipientId,
+    await localize('transcriptConfirm', { text: text, confidence: Math.round(pending.confidence * 100) }),
+    [
+      { id: `${TRANSCRIPT_ACTION}:confirm`, title: (await localize('transcriptConfirmButton')).slice(0, MAX_BUTTON_TITLE_LENGTH) },
+      { id: `${TRANSCRIPT_ACTION}:discard`, title: (await localize('transcriptDiscardButton')).slice(0, MAX_BUTTON_TITLE_LENGTH) }
+    ]
+  );
+  
+  // Button taps and quoted corrections are matched to the prompt they answer; an unquoted text
+  // only corrects the transcription while it is the first message after the prompt
+  await messageStoreService.savePendingTranscript(recipientId, {
+    ...pending,
+    promptMessageId: response?.messages?.[0]?.id || null,
+    awaitingReply: true
+  });
+}
+
+/**
+ * Get the transcription waiting for a user's confirmation on a number
+ * @param {string} recipientId - WhatsApp ID of the user
+ * @param {Object} tenant - Tenant of the number the user wrote to
+ * @returns {Promise<Object|null>} - The pending transcript, or null if none waits on this number
+ */
+async function getPendingTranscript(recipientId, tenant) {
+  const pending = await messageStoreService.getPendingTranscript(recipientId);
+  // Held per user, so a prompt sent from another number is not answered here
+  return pending && pending.phoneNumberId === tenant.phoneNumberId ? pending : null;
+}
+
+/**
+ * Check whether a message answers a pending transcription prompt: a reply quoting the prompt,
+ * or an unquoted message sent before anything else
+ * @param {Object} message - The user's message
+ * @param {Object} pending - The pending transcript
+ * @returns {boolean} - True if the message answers the prompt
+ */
+function answersTranscriptPrompt(message, pending) {
+  if (message.context?.id) {
+    return message.context.id === pending.promptMessageId;
+  }
+  return pending.awaitingReply === true;
+}
+
+/**
+ * Stop taking unquoted texts as corrections of a pending transcription, once the user sent something else
+ * @param {string} recipientId - WhatsApp ID of the user
+ * @param {Object} tenant - Tenant of the number the user wrote to
+ */
+async function endPlainTextCorrections(recipientId, tenant) {
+  const pending = await getPendingTranscript(recipientId, tenant);
+  if (pending?.awaitingReply) {
+    await messageStoreService.updatePendingTranscript(recipientId, { awaitingReply: false });
+  }
+}
+
+/**
+ * Handle taps on the buttons under a transcription waiting for confirmation
+ * @param {Object} message - The interactive message object
+ * @param {Object} context - The context of the message
+ */
+async function handleTranscriptConfirmation(message, context) {
+  try {
+    console.log('Handling transcript confirmation:', message);
     
-    console.log(`Sent multi-language translation to ${recipientId} with response mode: ${responseMode}`);
+    const recipientId = context.contacts[0].wa_id;
+    const tenant = tenantService.getTenantForContext(context);
+    const whatsappService = require('../services/whatsapp/whatsapp-api').forTenant(tenant);
+    const selection = SettingsMenu.parseReply(message.interactive);
+    const pending = await getPendingTranscript(recipientId, tenant);
+    
+    // Buttons of an expired prompt, or of one replaced by a later voice note
+    if (!pending || !answersTranscriptPrompt(message, pending)) {
+      const localize = await getLocalizer(recipientId, tenant);
+      await whatsappService.sendTextMessage(recipientId, await localize('transcriptExpired'));
+      return;
+    }
     
+    if (selection.value === 'discard') {
+      await messageStoreService.clearPendingTranscript(recipientId);
+      const localize = await getLocalizer(recipientId, tenant);
+      await whatsappService.sendTextMessage(recipientId, await localize('transcriptDiscarded'));
+      return;
+    }
+    
+    await translateConfirmedTranscript(pending, pending.text, context);
   } catch (error) {
-    console.error('Error handling audio message:', error);
-    // Optionally send an error message back to the user
-    const recipientId = context.contacts[0].wa_id;
-    const whatsappService = require('../services/whatsapp/whatsapp-api');
-    try {
-      await whatsappService.sendTextMessage(recipientId, 'Sorry, there was an error processing your voice message.');
-    } catch (sendError) {
-      console.error('Error sending error message to user:', sendError);
+    console.error('Error handling transcript confirmation:', error);
+    // Re-throw so the queue can retry; the user is notified once retries are exhausted
+    throw error;
+  }
+}
+
+/**
+ * Translate a voice note from the transcription the user confirmed or corrected, replying to the voice note
+ * @param {Object} pending - The pending transcript
+ * @param {string} text - The confirmed transcription, or the user's correction of it
+ * @param {Object} context - The context of the confirming message
+ */
+async function translateConfirmedTranscript(pending, text, context) {
+  const recipientId = context.contacts[0].wa_id;
+  const tenant = tenantService.getTenantForContext(context);
+  const whatsappService = require('../services/whatsapp/whatsapp-api').forTenant(tenant);
+  const audioProcessingPipeline = require('../utils/helpers/audio-processing-pipeline');
+  
+  const preferencesService = userPreferencesService.forTenant(tenant);
+  const userPrefs = await preferencesService.getPreferences(recipientId);
+  const targetLanguages = PreferenceValues.getTargetLanguages(userPrefs);
+  const localize = await getLocalizer(recipientId, tenant, userPrefs);
+  
+  const results = await audioProcessingPipeline.processTextTranslationMulti(
+    text,
+    targetLanguages,
+    pending.language,
+    PreferenceValues.getVoiceSettings(userPrefs)
+  );
+  
+  if (!pending.sourceLanguageFixed) {
+    await preferencesService.addRecentLanguage(recipientId, pending.language);
+  }
+  
+  // The word timings only caption the voice note if its transcription was kept as it was
+  if (text === pending.text && pending.words?.length > 0) {
+    await messageStoreService.saveTranscript(recipientId, {
+      language: pending.language,
+      targetLanguages: targetLanguages,
+      words: pending.words,
+      phoneNumberId: tenant.phoneNumberId
+    });
+  }
+  
+  // Charged like a voice note translated without confirmation
+  await chargeUsage(recipientId, 'audio', pending.duration * targetLanguages.length);
+  
+  // Held parts of a long voice note are only part of the transcription stored for it
+  if (pending.messageId && !pending.partial) {
+    await messageStoreService.saveMessage(pending.messageId, recipientId, text, pending.language);
+  }
+  
+  await sendAudioReplies(whatsappService, recipientId, results, {
+    header: '',
+    responseMode: userPrefs.responseMode || 'text',
+    replyOptions: PreferenceValues.shouldQuoteReplies(userPrefs) && pending.messageId ? { replyTo: pending.messageId } : {},
+    sourceLanguageFixed: pending.sourceLanguageFixed,
+    localize: localize
+  });
+  
+  // Cleared once the replies were sent, so a failed job is retried with the transcription still held
+  await messageStoreService.clearPendingTranscript(recipientId);
+  
+  console.log(`Sent confirmed transcription translation to ${recipientId}`);
+}
+
+/**
+ * Send the translations of audio as a text reply, plus voice replies if the user asked for them
+ * @param {Object} whatsappService - WhatsApp API service for the user's number
+ * @param {string} recipientId - WhatsApp ID of the user
+ * @param {Array<Object>} results - Pipeline results, one per target language
+ * @param {Object} reply - { header, responseMode, replyOptions, sourceLanguageFixed, localize }
+ */
+async function sendAudioReplies(whatsappService, recipientId, results, reply) {
+  const { localize, replyOptions } = reply;
+  
+  // Prepare the text response
+  let responseMessage = reply.header;
+  const originalText = results[0].speakerTurns
+    ? `\n${await formatSpeakerTurns(results[0].speakerTurns, 'text', localize)}`
+    : results[0].transcription.text;
+  responseMessage += `${await localize(reply.sourceLanguageFixed ? 'originalTextFixed' : 'originalText', { language: results[0].transcription.language, text: originalText })}\n\n`;
+  
+  // Translations by target language, also sent instead of voice replies that cannot be delivered
+  const translationTexts = new Map();
+  for (const result of results) {
+    const translatedText = result.speakerTurns
+      ? `\n${await formatSpeakerTurns(result.speakerTurns, 'translatedText', localize)}`
+      : result.translation.translatedText;
+    translationTexts.set(result, await localize('translationText', { language: result.translation.targetLanguage.toUpperCase(), text: translatedText }));
+    responseMessage += `${translationTexts.get(result)}\n\n`;
+  }
+  
+  // Send text response
+  await whatsappService.sendTextMessage(recipientId, responseMessage, replyOptions);
+  
+  // If user wants voice responses, send voice messages too
+  if (reply.responseMode === 'voice' || reply.responseMode === 'both') {
+    // Import media uploader service
+    const mediaUploader = require('../services/media-uploader');
+    
+    for (const result of results) {
+      try {
+        // Upload and send the audio response
+        await mediaUploader.uploadAndSendAudio(
+          whatsappService,
+          recipientId,
+          result.tts.audioContent, // The audio content from TTS
+          'ogg', // WhatsApp typically expects OGG/OPUS format
+          {
+            ...replyOptions,
+            fallbackText: translationTexts.get(result)
+          }
+        );
+      } catch (uploadError) {
+        console.error(`Error sending voice response for ${result.translation.targetLanguage}:`, uploadError);
+        // If voice response fails, send a text notification
+        await whatsappService.sendTextMessage(
+          recipientId,
+          await localize('voiceNotDelivered', { language: result.translation.targetLanguage.toUpperCase() })
+        );
+      }
     }
   }
 }
 
+/**
+ * Format the turns of a conversation as one line per turn, labelled with the speaker
+ * @param {Array<Object>} speakerTurns - { speaker, text, translatedText } turns from the pipeline
+ * @param {string} field - 'text' for the original turns, 'translatedText' for their translation
+ * @param {Function} localize - Localizer from getLocalizer
+ * @returns {Promise<string>} - "Speaker 1: ..." lines
+ */
+async function formatSpeakerTurns(speakerTurns, field, localize) {
+  const lines = [];
+  for (const turn of speakerTurns) {
+    lines.push(await localize('speakerTurn', { number: turn.speaker, text: turn[field] }));
+  }
+  return lines.join('\n');
+}
+
 /**
  * Handle text messages
  * @param {Object} message - The text message object
@@ -353,43 +937,58 @@ async function handleTextMessage(message, context) {
     
     const text = message.text.body;
     const recipientId = context.contacts[0].wa_id;
-    const whatsappService = require('../services/whatsapp/whatsapp-api');
+    const tenant = tenantService.getTenantForContext(context);
+    const whatsappService = require('../services/whatsapp/whatsapp-api').forTenant(tenant);
     const translationService = require('../services/google/translation');
     
-    // Get user preferences
-    const userPrefs = await userPreferencesService.getPreferences(recipientId);
-    let targetLanguages;
-    
-    // Handle the case where targetLanguages might be an array (default) or string (from Redis)
-    if (Array.isArray(userPrefs.targetLanguages)) {
-      targetLanguages = userPrefs.targetLanguages;
-    } else if (userPrefs.targetLanguages && typeof userPrefs.targetLanguages === 'string') {
-      targetLanguages = userPrefs.targetLanguages.split(',');
-    } else {
-      targetLanguages = ['en']; // fallback
+    // While a voice note's transcription waits for confirmation, a text answering the prompt corrects it
+    const pendingTranscript = await getPendingTranscript(recipientId, tenant);
+    if (pendingTranscript && answersTranscriptPrompt(message, pendingTranscript)) {
+      await translateConfirmedTranscript(pendingTranscript, text, context);
+      return;
+    }
+    if (pendingTranscript?.awaitingReply) {
+      await messageStoreService.updatePendingTranscript(recipientId, { awaitingReply: false });
     }
     
-    // Translate the text to multiple languages
+    // Get user preferences
+    const userPrefs = await userPreferencesService.forTenant(tenant).getPreferences(recipientId);
+    const targetLanguages = PreferenceValues.getTargetLanguages(userPrefs);
+    const fixedSourceLanguage = PreferenceValues.getSourceLanguage(userPrefs);
+    
+    // Translate the text to multiple languages, detecting the source language at most once
+    let sourceLanguage = fixedSourceLanguage;
     const results = [];
     for (const lang of targetLanguages) {
-      const result = await translationService.translateWithSourceDetection(text, lang.trim());
+      const result = sourceLanguage
+        ? await translationService.translateText(text, lang, sourceLanguage)
+        : await translationService.translateWithSourceDetection(text, lang, PreferenceValues.getCandidateLanguages(userPrefs));
+      sourceLanguage = result.sourceLanguage;
       results.push({
-        language: lang.trim(),
+        language: lang,
         result: result
       });
     }
     
+    // Remember the text so a flag reaction can translate it later
+    if (message.id) {
+      await messageStoreService.saveMessage(message.id, recipientId, text, results[0].result.sourceLanguage);
+    }
+    
     // Get user response preferences (userPrefs already fetched above)
     const responseMode = userPrefs.responseMode || 'text';
+    const replyOptions = PreferenceValues.shouldQuoteReplies(userPrefs) && message.id ? { replyTo: message.id } : {};
+    const localize = await getLocalizer(recipientId, tenant, userPrefs);
     
     // Send the translated text back via WhatsApp
-    let responseMessage = `Original (auto-detected as ${results[0].result.sourceLanguage}): ${results[0].result.originalText}\n\n`;
+    let responseMessage = await getRedeliveryNote(message, context, localize);
+    responseMessage += `${await localize(fixedSourceLanguage ? 'originalTextFixed' : 'originalText', { language: results[0].result.sourceLanguage, text: results[0].result.originalText })}\n\n`;
     
     for (const item of results) {
-      responseMessage += `Translation to ${item.language.toUpperCase()}: ${item.result.translatedText}\n\n`;
+      responseMessage += `${await localize('translationText', { language: item.language.toUpperCase(), text: item.result.translatedText })}\n\n`;
     }
     
-    await whatsappService.sendTextMessage(recipientId, responseMessage);
+    await whatsappService.sendTextMessage(recipientId, responseMessage, replyOptions);
     
     // If user wants voice responses, send voice messages too
     if (responseMode === 'voice' || responseMode === 'both') {
@@ -397,33 +996,17 @@ async function handleTextMessage(message, context) {
       const textToSpeechService = require('../services/google/text-to-speech');
       const mediaUploader = require('../services/media-uploader');
       
-      // Local function to convert language code to BCP-47 format
-      const convertToBCP47 = (languageCode) => {
-        const bcp47Map = {
-          'en': 'en-US',
-          'es': 'es-ES',
-          'fr': 'fr-FR',
-          'de': 'de-DE',
-          'it': 'it-IT',
-          'pt': 'pt-BR',
-          'ru': 'ru-RU',
-          'ar': 'ar-XA',
-          'hi': 'hi-IN',
-          'zh': 'zh-CN',
-          'ja': 'ja-JP',
-          'ko': 'ko-KR',
-          'tr': 'tr-TR'
-        };
-        
-        return bcp47Map[languageCode] || `${languageCode}-${languageCode.toUpperCase()}`;
-      };
+      const voiceSettings = PreferenceValues.getVoiceSettings(userPrefs);
       
       for (const item of results) {
         try {
-          // Convert translated text to speech
+          // Convert translated text to speech with the user's voice settings
           const ttsResult = await textToSpeechService.synthesizeText(
             item.result.translatedText,
-            convertToBCP47(item.language)
+            LanguageTags.toBCP47(item.language),
+            voiceSettings.voiceNames[item.language] || null,
+            voiceSettings.speakingRate,
+            voiceSettings.ssmlGender
           );
           
           // Upload and send the audio response
@@ -431,14 +1014,18 @@ async function handleTextMessage(message, context) {
             whatsappService,
             recipientId,
             ttsResult.audioContent, // The audio content from TTS
-            'ogg' // WhatsApp typically expects OGG/OPUS format
+            'ogg', // WhatsApp typically expects OGG/OPUS format
+            {
+              ...replyOptions,
+              fallbackText: await localize('translationText', { language: item.language.toUpperCase(), text: item.result.translatedText })
+            }
           );
         } catch (ttsError) {
           console.error(`Error generating voice response for ${item.language}:`, ttsError);
           // If voice response fails, send a text notification
           await whatsappService.sendTextMessage(
             recipientId,
-            `Audio response in ${item.language.toUpperCase()} could not be generated due to technical issues.`
+            await localize('voiceNotGenerated', { language: item.language.toUpperCase() })
           );
         }
       }
@@ -447,15 +1034,218 @@ async function handleTextMessage(message, context) {
     console.log(`Sent multi-language text translation to ${recipientId} with response mode: ${responseMode}`);
   } catch (error) {
     console.error('Error handling text message:', error);
-    // Optionally send an error message back to the user
+    // Re-throw so the queue can retry; the user is notified once retries are exhausted
+    throw error;
+  }
+}
+
+/**
+ * Handle flag emoji reactions by translating the reacted-to message into the flag's language
+ * @param {Object} message - The reaction message object
+ * @param {Object} context - The context of the message
+ */
+async function handleReactionMessage(message, context) {
+  try {
+    console.log('Handling reaction message:', message);
+    
+    const { message_id: reactedMessageId, emoji } = message.reaction;
     const recipientId = context.contacts[0].wa_id;
-    const whatsappService = require('../services/whatsapp/whatsapp-api');
-    try {
-      await whatsappService.sendTextMessage(recipientId, 'Sorry, there was an error processing your message.');
-    } catch (sendError) {
-      console.error('Error sending error message to user:', sendError);
+    const tenant = tenantService.getTenantForContext(context);
+    const whatsappService = require('../services/whatsapp/whatsapp-api').forTenant(tenant);
+    const translationService = require('../services/google/translation');
+    
+    const targetLanguage = FlagLanguages.getLanguageForFlag(emoji);
+    if (!targetLanguage) {
+      return;
+    }
+    
+    const localize = await getLocalizer(recipientId, tenant);
+    
+    // Only messages the user sent recently are kept; reactions to our replies are not found either
+    const storedMessage = await messageStoreService.getMessage(reactedMessageId);
+    if (!storedMessage || storedMessage.recipientId !== recipientId) {
+      await whatsappService.sendTextMessage(
+        recipientId,
+        await localize('reactionMessageNotFound', { hours: Math.round(config.messageStore.ttlSeconds / 3600) })
+      );
+      return;
+    }
+    
+    const result = await translationService.translateText(storedMessage.text, targetLanguage, storedMessage.language);
+    await chargeUsage(recipientId, 'text', storedMessage.text.length);
+    
+    await whatsappService.sendTextMessage(
+      recipientId,
+      `${await getRedeliveryNote(message, context, localize)}${await localize('translationText', { language: targetLanguage.toUpperCase(), text: result.translatedText })}`
+    );
+    
+    console.log(`Sent ${targetLanguage} translation of message ${reactedMessageId} to ${recipientId}`);
+  } catch (error) {
+    console.error('Error handling reaction message:', error);
+    // Re-throw so the queue can retry; the user is notified once retries are exhausted
+    throw error;
+  }
+}
+
+/**
+ * Handle document messages (txt, docx, pdf)
+ * @param {Object} message - The document message object
+ * @param {Object} context - The context of the message
+ */
+async function handleDocumentMessage(message, context) {
+  try {
+    console.log('Handling document message:', message);
+    
+    const { id: mediaId, filename, mime_type: mimeType } = message.document;
+    const recipientId = context.contacts[0].wa_id;
+    const tenant = tenantService.getTenantForContext(context);
+    const whatsappService = require('../services/whatsapp/whatsapp-api').forTenant(tenant);
+    const translationService = require('../services/google/translation');
+    const mediaUploader = require('../services/media-uploader');
+    const DocumentProcessor = require('../utils/helpers/document-processing');
+    const userPrefs = await userPreferencesService.forTenant(tenant).getPreferences(recipientId);
+    const localize = await getLocalizer(recipientId, tenant, userPrefs);
+    await endPlainTextCorrections(recipientId, tenant);
+    
+    // 1. Check that we can read this kind of document
+    const documentType = DocumentProcessor.getDocumentType(mimeType, filename);
+    if (!documentType) {
+      await whatsappService.sendTextMessage(recipientId, await localize('documentUnsupported'));
+      return;
+    }
+    
+    // 2. Download the document from WhatsApp
+    const documentBuffer = await downloadMedia(whatsappService, mediaId, mimeType);
+    console.log(`Downloaded document, size: ${documentBuffer.length} bytes`);
+    
+    if (documentBuffer.length > config.documents.maxBytes) {
+      await whatsappService.sendTextMessage(
+        recipientId,
+        await localize('documentTooLarge', { megabytes: Math.round(config.documents.maxBytes / (1024 * 1024)) })
+      );
+      return;
     }
+    
+    // 3. Extract the text and split it into paragraphs
+    const text = await DocumentProcessor.extractText(documentBuffer, documentType);
+    const paragraphs = DocumentProcessor.splitParagraphs(text);
+    
+    if (paragraphs.length === 0) {
+      await whatsappService.sendTextMessage(recipientId, await localize('documentNoText'));
+      return;
+    }
+    
+    const characterCount = paragraphs.reduce((total, paragraph) => total + paragraph.length, 0);
+    if (characterCount > config.documents.maxCharacters) {
+      await whatsappService.sendTextMessage(
+        recipientId,
+        await localize('documentTooLong', { characters: config.documents.maxCharacters })
+      );
+      return;
+    }
+    
+    // 4. Translate paragraph by paragraph into each target language and send the files back
+    const targetLanguages = PreferenceValues.getTargetLanguages(userPrefs);
+    await chargeUsage(recipientId, 'text', characterCount * targetLanguages.length);
+    
+    const redeliveryNote = await getRedeliveryNote(message, context, localize);
+    if (redeliveryNote) {
+      await whatsappService.sendTextMessage(recipientId, redeliveryNote.trim());
+    }
+    
+    for (const lang of targetLanguages) {
+      const translatedParagraphs = [];
+      
+      // The Translation API accepts at most 128 segments per request
+      for (let i = 0; i < paragraphs.length; i += 100) {
+        const results = await translationService.batchTranslate(paragraphs.slice(i, i + 100), lang);
+        translatedParagraphs.push(...results.map(result => result.translatedText));
+      }
+      
+      await mediaUploader.uploadAndSendDocument(
+        whatsappService,
+        recipientId,
+        Buffer.from(translatedParagraphs.join('\n\n'), 'utf8'),
+        DocumentProcessor.getTranslatedFilename(filename, lang),
+        await localize('translationCaption', { language: lang.toUpperCase() })
+      );
+    }
+    
+    console.log(`Sent translated document to ${recipientId} in ${targetLanguages.length} languages`);
+  } catch (error) {
+    console.error('Error handling document message:', error);
+    // Re-throw so the queue can retry; the user is notified once retries are exhausted
+    throw error;
+  }
+}
+
+/**
+ * Download media from WhatsApp, keeping a copy when webhook recording is turned on
+ * @param {Object} whatsappService - WhatsApp API service for the receiving number
+ * @param {string} mediaId - WhatsApp media ID
+ * @param {string} mimeType - MIME type from the message (optional)
+ * @returns {Promise<Buffer>} - The downloaded media
+ */
+async function downloadMedia(whatsappService, mediaId, mimeType) {
+  const mediaBuffer = await whatsappService.downloadMedia(mediaId);
+  await webhookRecorder.recordMedia(mediaId, mediaBuffer, mimeType);
+  return mediaBuffer;
+}
+
+/**
+ * Get the note explaining a late reply to a message retried from the dead-letter store
+ * @param {Object} message - The message being translated
+ * @param {Object} context - The context of the message
+ * @param {Function} localize - Message lookup in the user's language, from getLocalizer
+ * @returns {Promise<string>} - The note followed by a blank line, or '' for messages handled on time
+ */
+async function getRedeliveryNote(message, context, localize) {
+  if (!context.redelivery) {
+    return '';
+  }
+  
+  if (!message.timestamp) {
+    return `${await localize('lateReplyUndated')}\n\n`;
+  }
+  
+  // WhatsApp timestamps are Unix seconds
+  const sentAt = new Date(parseInt(message.timestamp, 10) * 1000).toISOString().slice(0, 16).replace('T', ' ');
+  return `${await localize('lateReply', { sentAt: sentAt })}\n\n`;
+}
+
+/**
+ * Tell the user that their message could not be processed
+ * @param {Object} message - The message object that failed
+ * @param {Object} context - The context of the message
+ */
+async function sendProcessingErrorMessage(message, context) {
+  const recipientId = context.contacts[0].wa_id;
+  const tenant = tenantService.getTenantForContext(context);
+  const whatsappService = require('../services/whatsapp/whatsapp-api').forTenant(tenant);
+  const errorMessageKeys = {
+    audio: 'audioError',
+    video: 'videoError',
+    document: 'documentError',
+    reaction: 'reactionError'
+  };
+  
+  try {
+    const localize = await getLocalizer(recipientId, tenant);
+    await whatsappService.sendTextMessage(recipientId, await localize(errorMessageKeys[message.type] || 'messageError'));
+  } catch (sendError) {
+    console.error('Error sending error message to user:', sendError);
   }
 }
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
+module.exports.processMessage = processMessage;
+module.exports.processStatus = processStatus;
+module.exports.handleInteractiveReply = handleInteractiveReply;
+module.exports.handleAudioMessage = handleAudioMessage;
+module.exports.handleVideoMessage = handleVideoMessage;
+module.exports.handleTextMessage = handleTextMessage;
+module.exports.handleCommandMessage = handleCommandMessage;
+module.exports.handleTranscriptConfirmation = handleTranscriptConfirmation;
+module.exports.handleDocumentMessage = handleDocumentMessage;
+module.exports.handleReactionMessage = handleReactionMessage;
+module.exports.sendProcessingErrorMessage = sendProcessingErrorMessage;
\ No newline at end of file
@@ -0,0 +1,359 @@
+// scripts/mock-graph-server.js
+const express = require('express');
+const http = require('http');
+const crypto = require('crypto');
+const axios = require('axios');
+
+/**
+ * Local stand-in for the WhatsApp Cloud API (Graph API) used for offline end-to-end testing.
+ * Point WHATSAPP_VOICE_TRANSLATE_GRAPH_BASE_URL at `${server.baseUrl}` and every outbound call
+ * made by services/whatsapp/whatsapp-api.js is answered and captured here.
+ *
+ * Graph endpoints (under any version prefix, e.g. /v18.0):
+ *   POST /{phoneNumberId}/messages - Capture an outbound message and return a message ID
+ *   GET  /{mediaId}                - Media metadata with a download URL
+ * Media download:
+ *   GET  /media/{mediaId}/download - The media bytes registered with addMedia
+ * Control endpoints:
+ *   GET    /__mock/messages        - Captured outbound messages
+ *   DELETE /__mock/messages        - Clear captured messages and media
+ *   POST   /__mock/media?id=&mimeType= - Register media (raw request body)
+ *   POST   /__mock/webhook         - Sign a webhook payload and deliver it to the app
+ */
+class MockGraphServer {
+  /**
+   * @param {Object} options - Server options
+   * @param {number} options.port - Port to listen on (0 picks a free port)
+   * @param {string} options.version - Graph API version prefix used in the base URL
+   * @param {string} options.webhookUrl - The app's webhook endpoint for synthetic webhooks
+   * @param {string} options.appSecret - App secret used to sign synthetic webhooks
+   */
+  constructor(options = {}) {
+    this.port = options.port ?? 4010;
+    this.version = options.version || 'v18.0';
+    this.webhookUrl = options.webhookUrl || null;
+    this.appSecret = options.appSecret || null;
+
+    this.sentMessages = [];
+    this.media = new Map();
+    this.messageCounter = 0;
+    this.server = null;
+
+    this.app = this.createApp();
+  }
+
+  /**
+   * Build the Express app serving the Graph and control endpoints
+   * @returns {Object} - Express app
+   */
+  createApp() {
+    const app = express();
+
+    // Control endpoints for tests and manual runs
+    app.get('/__mock/messages', (req, res) => {
+      res.json({ messages: this.getSentMessages(req.query.phoneNumberId) });
+    });
+
+    app.delete('/__mock/messages', (req, res) => {
+      this.reset();
+      res.status(204).end();
+    });
+
+    app.post('/__mock/media', express.raw({ type: '*/*', limit: '50mb' }), (req, res) => {
+      const mediaId = this.addMedia(req.query.id, req.body, req.query.mimeType || req.get('content-type'));
+      res.status(201).json({ id: mediaId });
+    });
+
+    app.post('/__mock/webhook', express.json({ limit: '50mb' }), async (req, res) => {
+      try {
+        const response = await this.sendWebhook(req.body);
+        res.status(response.status).json(response.data);
+      } catch (error) {
+        res.status(502).json({ error: `Webhook delivery failed: ${error.message}` });
+      }
+    });
+
+    // Media bytes, served from the URL returned by the media metadata endpoint
+    app.get('/media/:mediaId/download', this.requireAccessToken, (req, res) => {
+      const media = this.media.get(req.params.mediaId);
+      if (!media) {
+        return res.status(404).json(this.buildGraphError(`Media ${req.params.mediaId} not found`, 100));
+      }
+
+      res.set('Content-Type', media.mimeType);
+      res.send(media.buffer);
+    });
+
+    // Graph API endpoints, accepted under any version prefix
+    const graphRouter = express.Router();
+
+    graphRouter.post('/:phoneNumberId/messages', express.json({ limit: '50mb' }), this.requireAccessToken, (req, res) => {
+      if (req.body?.messaging_product !== 'whatsapp' || !req.body.to) {
+        return res.status(400).json(this.buildGraphError('messaging_product and to are required', 100));
+      }
+
+      const messageId = `wamid.MOCK${++this.messageCounter}`;
+      this.sentMessages.push({
+        id: messageId,
+        phoneNumberId: req.params.phoneNumberId,
+        accessToken: req.accessToken,
+        to: req.body.to,
+        type: req.body.type,
+        payload: req.body,
+        sentAt: new Date().toISOString()
+      });
+
+      res.json({
+        messaging_product: 'whatsapp',
+        contacts: [{ input: req.body.to, wa_id: req.body.to }],
+        messages: [{ id: messageId }]
+      });
+    });
+
+    graphRouter.get('/:mediaId', this.requireAccessToken, (req, res) => {
+      const media = this.media.get(req.params.mediaId);
+      if (!media) {
+        return res.status(404).json(this.buildGraphError(`Media ${req.params.mediaId} not found`, 100));
+      }
+
+      res.json({
+        messaging_product: 'whatsapp',
+        id: req.params.mediaId,
+        url: `${req.protocol}://${req.get('host')}/media/${encodeURIComponent(req.params.mediaId)}/download`,
+        mime_type: media.mimeType,
+        sha256: crypto.createHash('sha256').update(media.buffer).digest('hex'),
+        file_size: media.buffer.length
+      });
+    });
+
+    app.use('/:version', graphRouter);
+
+    return app;
+  }
+
+  /**
+   * Reject Graph calls without a bearer token, like the real API does
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Next middleware
+   */
+  requireAccessToken(req, res, next) {
+    const authHeader = req.get('authorization') || '';
+    if (!authHeader.startsWith('Bearer ') || authHeader.length === 'Bearer '.length) {
+      return res.status(401).json({
+        error: { message: 'An access token is required to request this resource.', type: 'OAuthException', code: 190 }
+      });
+    }
+
+    req.accessToken = authHeader.slice('Bearer '.length);
+    next();
+  }
+
+  /**
+   * Build an error body in the Graph API format
+   * @param {string} message - Error message
+   * @param {number} code - Graph error code
+   * @returns {Object} - { error: { message, type, code } }
+   */
+  buildGraphError(message, code) {
+    return { error: { message: message, type: 'GraphMethodException', code: code } };
+  }
+
+  /**
+   * Start listening
+   * @returns {Promise<string>} - The Graph base URL to configure, e.g. http://127.0.0.1:4010/v18.0
+   */
+  start() {
+    return new Promise((resolve, reject) => {
+      this.server = http.createServer(this.app);
+      this.server.once('error', reject);
+      this.server.listen(this.port, '127.0.0.1', () => {
+        this.port = this.server.address().port;
+        resolve(this.baseUrl);
+      });
+    });
+  }
+
+  /**
+   * Stop listening
+   * @returns {Promise<void>}
+   */
+  stop() {
+    return new Promise((resolve, reject) => {
+      if (!this.server) {
+        return resolve();
+      }
+
+      this.server.close(error => (error ? reject(error) : resolve()));
+      this.server = null;
+    });
+  }
+
+  /**
+   * The Graph base URL of the running server
+   * @returns {string} - Base URL including the version prefix
+   */
+  get baseUrl() {
+    return `http://127.0.0.1:${this.port}/${this.version}`;
+  }
+
+  /**
+   * Clear captured messages and registered media
+   */
+  reset() {
+    this.sentMessages = [];
+    this.media.clear();
+  }
+
+  /**
+   * Register media that the app can download by ID
+   * @param {string} mediaId - Media ID used in synthetic webhooks (generated if omitted)
+   * @param {Buffer} buffer - The media bytes
+   * @param {string} mimeType - MIME type reported in the media metadata
+   * @returns {string} - The media ID
+   */
+  addMedia(mediaId, buffer, mimeType = 'application/octet-stream') {
+    const id = mediaId || `media_${crypto.randomBytes(6).toString('hex')}`;
+    this.media.set(id, { buffer: Buffer.from(buffer), mimeType: mimeType });
+    return id;
+  }
+
+  /**
+   * Get captured outbound messages
+   * @param {string} phoneNumberId - Only return messages sent from this number (optional)
+   * @returns {Array<Object>} - Captured messages, oldest first
+   */
+  getSentMessages(phoneNumberId = null) {
+    return phoneNumberId
+      ? this.sentMessages.filter(message => message.phoneNumberId === phoneNumberId)
+      : [...this.sentMessages];
+  }
+
+  /**
+   * Wait until at least a number of outbound messages have been captured
+   * @param {number} count - Number of messages to wait for
+   * @param {number} timeoutMs - How long to wait before failing
+   * @returns {Promise<Array<Object>>} - Captured messages
+   */
+  async waitForMessages(count, timeoutMs = 5000) {
+    const deadline = Date.now() + timeoutMs;
+    while (this.sentMessages.length < count) {
+      if (Date.now() > deadline) {
+        throw new Error(`Mock Graph Error: expected ${count} outbound messages, got ${this.sentMessages.length}`);
+      }
+      await new Promise(resolve => setTimeout(resolve, 25));
+    }
+    return this.getSentMessages();
+  }
+
+  /**
+   * Deliver a webhook payload to the app, signed with the app secret like Meta does
+   * @param {Object} payload - Webhook payload, e.g. from buildMessageWebhook
+   * @param {string} webhookUrl - Webhook endpoint (defaults to the one given to the constructor)
+   * @returns {Promise<Object>} - Axios response from the app
+   */
+  async sendWebhook(payload, webhookUrl = this.webhookUrl) {
+    if (!webhookUrl) {
+      throw new Error('Mock Graph Error: no webhook URL configured');
+    }
+
+    const body = JSON.stringify(payload);
+    const headers = { 'Content-Type': 'application/json' };
+    if (this.appSecret) {
+      headers['X-Hub-Signature-256'] = MockGraphServer.sign(body, this.appSecret);
+    }
+
+    return axios.post(webhookUrl, body, { headers: headers, validateStatus: () => true });
+  }
+
+  /**
+   * Compute the X-Hub-Signature-256 header for a payload
+   * @param {string|Buffer} body - Raw request body
+   * @param {string} appSecret - App secret
+   * @returns {string} - Header value in the form sha256=<hex>
+   */
+  static sign(body, appSecret) {
+    return `sha256=${crypto.createHmac('sha256', appSecret).update(body).digest('hex')}`;
+  }
+
+  /**
+   * Build a webhook payload carrying one inbound message
+   * @param {Object} message - Message fields, e.g. { type: 'text', text: { body: 'Hello' } }
+   * @param {Object} options - Sender and receiving number
+   * @param {string} options.from - WhatsApp ID of the sender
+   * @param {string} options.phoneNumberId - Business number that receives the message
+   * @returns {Object} - Webhook payload
+   */
+  static buildMessageWebhook(message, options = {}) {
+    const from = options.from || '15550001111';
+    const phoneNumberId = options.phoneNumberId || 'mock_phone_number_id';
+
+    return MockGraphServer.buildWebhook(phoneNumberId, {
+      contacts: [{ profile: { name: 'Mock User' }, wa_id: from }],
+      messages: [{
+        id: `wamid.IN${crypto.randomBytes(8).toString('hex')}`,
+        from: from,
+        timestamp: String(Math.floor(Date.now() / 1000)),
+        ...message
+      }]
+    });
+  }
+
+  /**
+   * Build a webhook payload carrying one delivery status
+   * @param {Object} status - Status fields, e.g. { id: 'wamid.MOCK1', status: 'delivered', recipient_id: '1555...' }
+   * @param {Object} options - Receiving number
+   * @param {string} options.phoneNumberId - Business number that sent the message
+   * @returns {Object} - Webhook payload
+   */
+  static buildStatusWebhook(status, options = {}) {
+    return MockGraphServer.buildWebhook(options.phoneNumberId || 'mock_phone_number_id', {
+      statuses: [{
+        timestamp: String(Math.floor(Date.now() / 1000)),
+        ...status
+      }]
+    });
+  }
+
+  /**
+   * Wrap a change value in the webhook envelope
+   * @param {string} phoneNumberId - Business number the change belongs to
+   * @param {Object} value - Change value (messages, statuses, contacts)
+   * @returns {Object} - Webhook payload
+   */
+  static buildWebhook(phoneNumberId, value) {
+    return {
+      object: 'whatsapp_business_account',
+      entry: [{
+        id: 'mock_waba_id',
+        changes: [{
+          field: 'messages',
+          value: {
+            messaging_product: 'whatsapp',
+            metadata: { display_phone_number: '15550000000', phone_number_id: phoneNumberId },
+            ...value
+          }
+        }]
+      }]
+    };
+  }
+}
+
+// Run standalone: node scripts/mock-graph-server.js
+if (require.main === module) {
+  const mockServer = new MockGraphServer({
+    port: parseInt(process.env.MOCK_GRAPH_PORT, 10) || 4010,
+    webhookUrl: process.env.MOCK_GRAPH_WEBHOOK_URL || 'http://localhost:3000/webhook',
+    appSecret: process.env.WHATSAPP_VOICE_TRANSLATE_APP_SECRET
+  });
+
+  mockServer.start().then(baseUrl => {
+    console.log(`Mock WhatsApp Graph API listening at ${baseUrl}`);
+    console.log(`Set WHATSAPP_VOICE_TRANSLATE_GRAPH_BASE_URL=${baseUrl} on the app to use it`);
+  });
+
+  process.on('SIGINT', () => mockServer.stop().then(() => process.exit(0)));
+  process.on('SIGTERM', () => mockServer.stop().then(() => process.exit(0)));
+}
+
+module.exports = MockGraphServer;
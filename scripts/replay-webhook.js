@@ -0,0 +1,341 @@
+#!/usr/bin/env node
+// scripts/replay-webhook.js
+//
+// Replay webhooks recorded by services/webhook-recorder.js. Outbound WhatsApp calls go to the
+// bundled mock Graph server, so they are captured and printed instead of sent to users. In direct
+// mode, messages are queued on queues of their own that only this process works on, and do not
+// use up the users' rate limit budgets.
+//
+// Usage:
+//   node scripts/replay-webhook.js <recording.json | recordings dir> [options]
+//
+// Options:
+//   --direct             Run the payload through processMessage in this process (default)
+//   --target <url>       POST the signed payload to a running server's webhook instead
+//   --recordings <dir>   Recording directory holding media/ (default: derived from the recording path)
+//   --mock-port <port>   Port for the mock Graph server (default: 4010 with --target, a free port otherwise)
+//   --wait <ms>          How long to wait for outbound messages (default: 30000)
+//   --keep-ids           Keep the recorded message IDs (by default they get a suffix so deduplication does not skip them)
+//
+// With --target, start the server with WHATSAPP_VOICE_TRANSLATE_GRAPH_BASE_URL pointing at the mock
+// Graph server printed on startup, otherwise its replies reach WhatsApp.
+
+const fs = require('fs').promises;
+const path = require('path');
+const config = require('../config');
+
+// Replays must not record themselves
+config.webhookRecorder = { ...config.webhookRecorder, enabled: false };
+
+// A production worker on the same Redis must not take replayed jobs: it would send real messages
+config.queue = { ...config.queue, prefix: `replay-${process.pid}-${Date.now()}` };
+
+// Replays are not the user's own usage
+config.rateLimit = { ...config.rateLimit, enabled: false };
+
+const { WebhookRecorder } = require('../services/webhook-recorder');
+const MockGraphServer = require('./mock-graph-server');
+
+const MEDIA_TYPES = ['audio', 'video', 'document', 'image', 'sticker'];
+
+/**
+ * Parse command line arguments
+ * @param {Array<string>} argv - Arguments after the script name
+ * @returns {Object} - Replay options
+ */
+function parseArgs(argv) {
+  const options = {
+    recordingPath: null,
+    mode: 'direct',
+    target: null,
+    recordingsDir: null,
+    mockPort: null,
+    waitMs: 30000,
+    keepIds: false
+  };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    switch (arg) {
+      case '--direct':
+        options.mode = 'direct';
+        break;
+      case '--target':
+        options.mode = 'target';
+        options.target = argv[++i];
+        break;
+      case '--recordings':
+        options.recordingsDir = argv[++i];
+        break;
+      case '--mock-port':
+        options.mockPort = parseInt(argv[++i], 10);
+        break;
+      case '--wait':
+        options.waitMs = parseInt(argv[++i], 10);
+        break;
+      case '--keep-ids':
+        options.keepIds = true;
+        break;
+      default:
+        if (arg.startsWith('--')) {
+          throw new Error(`Unknown option: ${arg}`);
+        }
+        options.recordingPath = arg;
+    }
+  }
+
+  if (!options.recordingPath) {
+    throw new Error('A recording file or directory is required');
+  }
+  if (options.mode === 'target' && !options.target) {
+    throw new Error('--target needs the webhook URL of a running server');
+  }
+  if (Number.isNaN(options.waitMs) || Number.isNaN(options.mockPort)) {
+    throw new Error('--wait and --mock-port take numbers');
+  }
+
+  return options;
+}
+
+/**
+ * List the recording files to replay, oldest first
+ * @param {string} recordingPath - A recording file, or a directory of recordings
+ * @returns {Promise<Array<string>>} - Recording file paths
+ */
+async function listRecordings(recordingPath) {
+  const stats = await fs.stat(recordingPath);
+  if (!stats.isDirectory()) {
+    return [recordingPath];
+  }
+
+  // Accept both the recording root and its webhooks/ directory
+  const webhooksDir = path.basename(recordingPath) === 'webhooks' ? recordingPath : path.join(recordingPath, 'webhooks');
+  const files = await fs.readdir(webhooksDir);
+  return files
+    .filter(file => file.endsWith('.json'))
+    .sort() // File names start with the recording timestamp
+    .map(file => path.join(webhooksDir, file));
+}
+
+/**
+ * Work out the recording root (the directory holding webhooks/ and media/) for a recording path
+ * @param {string} recordingPath - A recording file, webhooks/ directory or recording root
+ * @returns {string} - Recording root
+ */
+function getRecordingsRoot(recordingPath) {
+  const resolved = path.resolve(recordingPath);
+  if (resolved.endsWith('.json')) {
+    return path.dirname(path.dirname(resolved));
+  }
+  return path.basename(resolved) === 'webhooks' ? path.dirname(resolved) : resolved;
+}
+
+/**
+ * Copy a recorded payload for replay, suffixing message IDs so deduplication does not skip them
+ * @param {Object} payload - Recorded webhook payload
+ * @param {Object} options - { keepIds, suffix }
+ * @returns {Object} - Payload to replay
+ */
+function prepareReplayPayload(payload, options = {}) {
+  const replayPayload = JSON.parse(JSON.stringify(payload));
+  if (options.keepIds) {
+    return replayPayload;
+  }
+
+  const suffix = options.suffix || `replay-${Date.now()}`;
+  for (const entry of replayPayload.entry || []) {
+    for (const change of entry.changes || []) {
+      for (const message of change.value?.messages || []) {
+        if (message.id) {
+          message.id = `${message.id}.${suffix}`;
+        }
+      }
+    }
+  }
+
+  return replayPayload;
+}
+
+/**
+ * Collect the media IDs referenced by the messages of a payload
+ * @param {Object} payload - Webhook payload
+ * @returns {Array<Object>} - { mediaId, mimeType } for each media message
+ */
+function collectMediaIds(payload) {
+  const media = [];
+  for (const entry of payload.entry || []) {
+    for (const change of entry.changes || []) {
+      for (const message of change.value?.messages || []) {
+        const mediaType = MEDIA_TYPES.find(type => message.type === type && message[type]?.id);
+        if (mediaType) {
+          media.push({ mediaId: message[mediaType].id, mimeType: message[mediaType].mime_type });
+        }
+      }
+    }
+  }
+  return media;
+}
+
+/**
+ * Describe a captured outbound message in one line
+ * @param {Object} sent - Message captured by the mock Graph server
+ * @returns {string} - Summary line
+ */
+function describeSentMessage(sent) {
+  const payload = sent.payload;
+  const summaries = {
+    text: () => payload.text?.body,
+    audio: () => `voice note ${payload.audio?.link}`,
+    document: () => `document ${payload.document?.filename || payload.document?.link}`,
+    interactive: () => `${payload.interactive?.type} menu: ${payload.interactive?.body?.text}`
+  };
+  const summary = summaries[sent.type] ? summaries[sent.type]() : JSON.stringify(payload);
+  const reply = payload.context?.message_id ? ` (reply to ${payload.context.message_id})` : '';
+
+  return `-> ${sent.to} from ${sent.phoneNumberId} [${sent.type}]${reply}\n${summary}\n`;
+}
+
+/**
+ * Wait for replay output: until the queues are idle, or for a fixed time when replaying to a server
+ * @param {MockGraphServer} mockGraph - The mock Graph server capturing outbound messages
+ * @param {Object} translationQueue - Queue to watch in direct mode (optional)
+ * @param {number} waitMs - Maximum time to wait
+ */
+async function waitForReplies(mockGraph, translationQueue, waitMs) {
+  const deadline = Date.now() + waitMs;
+  const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+  while (Date.now() < deadline) {
+    await sleep(500);
+    if (translationQueue) {
+      const stats = await translationQueue.getQueueStats();
+      const pending = stats.translation.waiting + stats.translation.active + stats.audio.waiting + stats.audio.active;
+      if (pending === 0) {
+        return;
+      }
+    }
+  }
+}
+
+/**
+ * Replay recordings through processMessage / processStatus in this process
+ * @param {Array<Object>} payloads - Payloads to replay
+ * @param {MockGraphServer} mockGraph - Started mock Graph server
+ * @param {Object} options - Replay options
+ */
+async function replayDirect(payloads, mockGraph, options) {
+  // Required after the base URL is set so the WhatsApp service talks to the mock
+  const { processMessage, processStatus } = require('../routes/webhook');
+  const translationQueue = require('../utils/processing/translation-queue');
+
+  try {
+    for (const payload of payloads) {
+      for (const entry of payload.entry || []) {
+        for (const change of entry.changes || []) {
+          for (const message of change.value?.messages || []) {
+            await processMessage(message, change.value);
+          }
+          for (const status of change.value?.statuses || []) {
+            await processStatus(status, change.value);
+          }
+        }
+      }
+    }
+
+    // Queued messages are handled by this process's queue workers
+    await waitForReplies(mockGraph, translationQueue, options.waitMs);
+  } finally {
+    // The replay's queues are not used again
+    await translationQueue.translationQueue.obliterate({ force: true });
+    await translationQueue.audioQueue.obliterate({ force: true });
+    await translationQueue.close();
+  }
+}
+
+/**
+ * Replay recordings by posting them, signed, to a running server
+ * @param {Array<Object>} payloads - Payloads to replay
+ * @param {MockGraphServer} mockGraph - Started mock Graph server
+ * @param {Object} options - Replay options
+ */
+async function replayToServer(payloads, mockGraph, options) {
+  for (const payload of payloads) {
+    const response = await mockGraph.sendWebhook(payload, options.target);
+    console.log(`Webhook replayed to ${options.target}: HTTP ${response.status}`);
+  }
+
+  await waitForReplies(mockGraph, null, options.waitMs);
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+  const recorder = new WebhookRecorder({
+    enabled: false,
+    directory: options.recordingsDir || getRecordingsRoot(options.recordingPath)
+  });
+
+  // Load recordings and the media they reference
+  const files = await listRecordings(options.recordingPath);
+  const payloads = [];
+  for (const file of files) {
+    const recording = await recorder.loadRecording(file);
+    payloads.push(prepareReplayPayload(recording.payload, { keepIds: options.keepIds }));
+    if (recording.redactions?.length) {
+      console.log(`${file} was recorded with redactions: ${recording.redactions.join(', ')}`);
+    }
+  }
+
+  const mockGraph = new MockGraphServer({
+    port: options.mockPort ?? (options.mode === 'target' ? 4010 : 0),
+    appSecret: config.whatsapp.appSecret
+  });
+
+  for (const payload of payloads) {
+    for (const { mediaId, mimeType } of collectMediaIds(payload)) {
+      const media = await recorder.loadMedia(mediaId);
+      if (media) {
+        mockGraph.addMedia(mediaId, media.buffer, media.mimeType || mimeType);
+      } else {
+        console.warn(`Media ${mediaId} was not recorded; downloading it will fail`);
+      }
+    }
+  }
+
+  const baseUrl = await mockGraph.start();
+  console.log(`Mock Graph server capturing outbound calls at ${baseUrl}`);
+  console.log(`Replaying ${payloads.length} webhook(s) ${options.mode === 'target' ? `to ${options.target}` : 'through processMessage'}\n`);
+
+  try {
+    if (options.mode === 'target') {
+      console.log(`The server must run with WHATSAPP_VOICE_TRANSLATE_GRAPH_BASE_URL=${baseUrl}\n`);
+      await replayToServer(payloads, mockGraph, options);
+    } else {
+      config.whatsapp.graphBaseUrl = baseUrl;
+      await replayDirect(payloads, mockGraph, options);
+    }
+
+    const sent = mockGraph.getSentMessages();
+    console.log(`\nCaptured ${sent.length} outbound message(s):\n`);
+    sent.forEach(message => console.log(describeSentMessage(message)));
+  } finally {
+    await mockGraph.stop();
+  }
+}
+
+if (require.main === module) {
+  main()
+    .then(() => process.exit(0))
+    .catch(error => {
+      console.error(`Replay failed: ${error.message}`);
+      process.exit(1);
+    });
+}
+
+module.exports = {
+  parseArgs,
+  listRecordings,
+  getRecordingsRoot,
+  prepareReplayPayload,
+  collectMediaIds,
+  describeSentMessage
+};
@@ -17,8 +17,13 @@ const server = http.createServer(app);
 app.use(helmet());
 app.use(cors());
 
-// Parse JSON bodies
-app.use(express.json({ limit: '50mb' }));
+// Parse JSON bodies, keeping the raw bytes for webhook signature verification
+app.use(express.json({
+  limit: '50mb',
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  }
+}));
 app.use(express.urlencoded({ extended: true, limit: '50mb' }));
 
 // Serve static files from temp directory for audio files
@@ -28,9 +33,11 @@ app.use('/temp', express.static('./temp'));
 
 // Import routes
 const webhookRoutes = require('./routes/webhook');
+const adminRoutes = require('./routes/admin');
 
 // Use routes
 app.use('/webhook', webhookRoutes);
+app.use('/admin', adminRoutes);
 
 // Health check endpoint
 app.get('/health', (req, res) => {
@@ -86,54 +93,64 @@ app.use((err, req, res, next) => {
   res.status(500).json({ error: 'Internal server error' });
 });
 
-// Periodically update queue length metrics
-setInterval(async () => {
-  try {
-    const queueStats = await translationQueue.getQueueStats();
-    monitoring.setQueueLength('translation', queueStats.translation.waiting);
-    monitoring.setQueueLength('audio', queueStats.audio.waiting);
-  } catch (error) {
-    // Silently fail, don't spam logs for metrics
-  }
-}, 5000); // Update every 5 seconds
+/**
+ * Start listening and the background timers, and close the queues on shutdown
+ */
+function start() {
+  // Periodically update queue length metrics
+  setInterval(async () => {
+    try {
+      const queueStats = await translationQueue.getQueueStats();
+      monitoring.setQueueLength('translation', queueStats.translation.waiting);
+      monitoring.setQueueLength('audio', queueStats.audio.waiting);
+    } catch (error) {
+      // Silently fail, don't spam logs for metrics
+    }
+  }, 5000); // Update every 5 seconds
 
-const PORT = process.env.PORT || 3000;
+  const PORT = process.env.PORT || 3000;
 
-server.listen(PORT, () => {
-  logger.info(`Server running on port ${PORT}`);
-  logger.info(`Webhook available at /webhook`);
+  server.listen(PORT, () => {
+    logger.info(`Server running on port ${PORT}`);
+    logger.info(`Webhook available at /webhook`);
   
-  // Log initial queue status
-  setTimeout(async () => {
-    try {
-      const stats = await translationQueue.getQueueStats();
-      logger.info('Queue status:', stats);
-    } catch (err) {
-      logger.error('Error getting queue stats:', err.message);
-      logger.warn('Queue system may not be available - check Redis connection');
-    }
-  }, 2000); // Delay slightly to allow Redis connection to establish
+    // Log initial queue status
+    setTimeout(async () => {
+      try {
+        const stats = await translationQueue.getQueueStats();
+        logger.info('Queue status:', stats);
+      } catch (err) {
+        logger.error('Error getting queue stats:', err.message);
+        logger.warn('Queue system may not be available - check Redis connection');
+      }
+    }, 2000); // Delay slightly to allow Redis connection to establish
 
-  logger.info(`WhatsApp Translation Service running on port ${PORT}`);
-  logger.info(`Webhook endpoint available at /webhook`);
-  logger.info(`Configure your WhatsApp Business API webhook to point to your server's /webhook endpoint`);
-});
+    logger.info(`WhatsApp Translation Service running on port ${PORT}`);
+    logger.info(`Webhook endpoint available at /webhook`);
+    logger.info(`Configure your WhatsApp Business API webhook to point to your server's /webhook endpoint`);
+  });
 
-// Graceful shutdown
-process.on('SIGTERM', async () => {
-  logger.info('Received SIGTERM, shutting down gracefully');
-  await translationQueue.close();
-  server.close(() => {
-    logger.info('Process terminated');
+  // Graceful shutdown
+  process.on('SIGTERM', async () => {
+    logger.info('Received SIGTERM, shutting down gracefully');
+    await translationQueue.close();
+    server.close(() => {
+      logger.info('Process terminated');
+    });
   });
-});
 
-process.on('SIGINT', async () => {
-  logger.info('Received SIGINT, shutting down gracefully');
-  await translationQueue.close();
-  server.close(() => {
-    logger.info('Process terminated');
+  process.on('SIGINT', async () => {
+    logger.info('Received SIGINT, shutting down gracefully');
+    await translationQueue.close();
+    server.close(() => {
+      logger.info('Process terminated');
+    });
   });
-});
+}
+
+// Requiring the server, e.g. from tests, only builds the app
+if (require.main === module) {
+  start();
+}
 
-module.exports = { app, server };
\ No newline at end of file
+module.exports = { app, server, start };
\ No newline at end of file
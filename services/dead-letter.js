@@ -0,0 +1,198 @@
+// services/dead-letter.js
+const Redis = require('ioredis');
+const crypto = require('crypto');
+const config = require('../config');
+const { logger } = require('../utils/helpers/performance-monitor');
+
+const INDEX_KEY = 'deadletter:index';
+const MAX_DEAD_LETTERS = 1000;
+
+// Processing stages, matched against the error prefixes of the services (checked in order)
+const FAILURE_STAGES = [
+  { stage: 'download', pattern: /Media Download Error/ },
+  { stage: 'transcription', pattern: /STT Service Error|Speech-to-Text/ },
+  { stage: 'translation', pattern: /Translation Service Error/ },
+  { stage: 'synthesis', pattern: /TTS Service Error/ },
+  { stage: 'reply', pattern: /WhatsApp .*Error/ }
+];
+
+class DeadLetterService {
+  constructor() {
+    this.redis = new Redis(config.redis.url);
+    this.ttlSeconds = config.deadLetter.ttlSeconds;
+  }
+
+  /**
+   * Store a message whose queue job failed on its final attempt
+   * Only the WhatsApp message and its context are kept; media stays referenced by its media ID.
+   * @param {Object} failure - { jobName, message, context, error, attempts }
+   * @returns {Promise<Object|null>} - The stored dead letter, or null on error
+   */
+  async add({ jobName, message, context, error, attempts }) {
+    try {
+      const id = message.id || `deadletter-${crypto.randomBytes(8).toString('hex')}`;
+      const key = `deadletter:${id}`;
+      const now = Date.now();
+
+      // A failed retry keeps counting on the existing entry
+      const retryCount = await this.redis.hget(key, 'retryCount');
+
+      // The retry marker is added by retry(), so it is not stored with the payload
+      const { redelivery, ...originalContext } = context;
+
+      const deadLetter = {
+        id: id,
+        jobName: jobName,
+        messageId: message.id || '',
+        messageType: message.type,
+        recipientId: originalContext.contacts?.[0]?.wa_id || '',
+        phoneNumberId: originalContext.metadata?.phone_number_id || '',
+        stage: this.getFailureStage(error),
+        error: error.message,
+        attempts: String(attempts),
+        retryCount: retryCount || '0',
+        status: 'failed',
+        failedAt: new Date(now).toISOString(),
+        message: JSON.stringify(message),
+        context: JSON.stringify(originalContext)
+      };
+
+      await this.redis.hset(key, deadLetter);
+      await this.redis.expire(key, this.ttlSeconds);
+
+      // Keep a bounded, time-ordered index for the admin listing
+      await this.redis.zadd(INDEX_KEY, now, id);
+      await this.redis.zremrangebyrank(INDEX_KEY, 0, -(MAX_DEAD_LETTERS + 1));
+
+      logger.info(`Dead-lettered ${jobName} job for message ${id} at stage ${deadLetter.stage}`);
+      return this.parseDeadLetter(deadLetter);
+    } catch (storeError) {
+      logger.error('Error storing dead letter:', storeError);
+      return null;
+    }
+  }
+
+  /**
+   * Get a dead letter with its payload
+   * @param {string} id - Dead letter ID (the WhatsApp message ID)
+   * @returns {Promise<Object|null>} - The dead letter, or null if it does not exist
+   */
+  async get(id) {
+    try {
+      const record = await this.redis.hgetall(`deadletter:${id}`);
+      if (Object.keys(record).length === 0) {
+        return null;
+      }
+
+      return this.parseDeadLetter(record);
+    } catch (error) {
+      logger.error('Error getting dead letter:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * List the most recent dead letters, newest first, without their payloads
+   * @param {number} limit - Maximum number of dead letters to return
+   * @returns {Promise<Array<Object>>} - Dead letter summaries
+   */
+  async list(limit = 50) {
+    try {
+      const ids = await this.redis.zrevrange(INDEX_KEY, 0, limit - 1);
+
+      const deadLetters = [];
+      for (const id of ids) {
+        const record = await this.redis.hgetall(`deadletter:${id}`);
+        if (Object.keys(record).length === 0) {
+          // Expired; drop it from the index as well
+          await this.redis.zrem(INDEX_KEY, id);
+          continue;
+        }
+
+        // Payloads hold user content, so they are only returned when a dead letter is inspected
+        const { message, context, ...summary } = this.parseDeadLetter(record);
+        deadLetters.push(summary);
+      }
+
+      return deadLetters;
+    } catch (error) {
+      logger.error('Error listing dead letters:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Queue a dead letter again; a successful retry removes it and tells the user about the delay
+   * @param {string} id - Dead letter ID
+   * @returns {Promise<Object|null>} - { deadLetter, job }, or null if the dead letter does not exist
+   */
+  async retry(id) {
+    const deadLetter = await this.get(id);
+    if (!deadLetter) {
+      return null;
+    }
+
+    // Required lazily: the queue workers add dead letters through this module
+    const translationQueue = require('../utils/processing/translation-queue');
+    const job = await translationQueue.addJobByName(deadLetter.jobName, deadLetter.message, {
+      ...deadLetter.context,
+      // Not part of WhatsApp's payload; marks the job as a late retry for the handlers
+      redelivery: { deadLetterId: id, failedAt: deadLetter.failedAt }
+    });
+
+    const update = {
+      status: 'retrying',
+      retryCount: String(deadLetter.retryCount + 1),
+      retriedAt: new Date().toISOString()
+    };
+    await this.redis.hset(`deadletter:${id}`, update);
+
+    logger.info(`Retrying dead letter ${id} as job ${job.id}`);
+    return { deadLetter: { ...deadLetter, ...update, retryCount: deadLetter.retryCount + 1 }, job: job };
+  }
+
+  /**
+   * Discard a dead letter
+   * @param {string} id - Dead letter ID
+   * @returns {Promise<boolean>} - True if the dead letter existed
+   */
+  async remove(id) {
+    try {
+      const deleted = await this.redis.del(`deadletter:${id}`);
+      await this.redis.zrem(INDEX_KEY, id);
+      return deleted === 1;
+    } catch (error) {
+      logger.error('Error removing dead letter:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Work out which processing stage an error came from
+   * @param {Error} error - The error the job failed with
+   * @returns {string} - download, transcription, translation, synthesis, reply or processing
+   */
+  getFailureStage(error) {
+    const match = FAILURE_STAGES.find(({ pattern }) => pattern.test(error?.message || ''));
+    return match ? match.stage : 'processing';
+  }
+
+  /**
+   * Turn a stored hash back into a dead letter object
+   * @param {Object} record - Hash fields from Redis
+   * @returns {Object} - Dead letter with parsed payload and counters
+   */
+  parseDeadLetter(record) {
+    return {
+      ...record,
+      attempts: parseInt(record.attempts, 10) || 0,
+      retryCount: parseInt(record.retryCount, 10) || 0,
+      message: JSON.parse(record.message),
+      context: JSON.parse(record.context)
+    };
+  }
+}
+
+// Create and export a singleton instance
+const deadLetterService = new DeadLetterService();
+module.exports = deadLetterService;
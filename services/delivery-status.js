@@ -0,0 +1,156 @@
+// services/delivery-status.js
+const Redis = require('ioredis');
+const config = require('../config');
+const { logger } = require('../utils/helpers/performance-monitor');
+
+// Order of WhatsApp delivery statuses; callbacks can arrive out of order,
+// so a lower-ranked status never overwrites a higher-ranked one
+const STATUS_RANK = {
+  accepted: 0,
+  sent: 1,
+  delivered: 2,
+  read: 3,
+  failed: 4
+};
+
+const DELIVERY_TTL_SECONDS = 86400 * 7; // 7 days expiration
+const MAX_DELIVERIES_PER_RECIPIENT = 100;
+
+class DeliveryStatusService {
+  constructor() {
+    this.redis = new Redis(config.redis.url);
+  }
+
+  /**
+   * Start tracking an outbound message returned by the WhatsApp API
+   * @param {string} messageId - WhatsApp message ID of the outbound message
+   * @param {string} recipientId - WhatsApp ID of the recipient
+   * @param {string} type - Message type ('text', 'audio', 'document', ...)
+   * @param {Object} metadata - Extra fields to store, e.g. fallbackText for voice notes
+   * @returns {Promise<boolean>} - Success status
+   */
+  async trackOutboundMessage(messageId, recipientId, type, metadata = {}) {
+    try {
+      const now = Date.now();
+      const key = `delivery:${messageId}`;
+      const indexKey = `delivery:recipient:${recipientId}`;
+
+      await this.redis.hset(key, {
+        ...metadata,
+        messageId: messageId,
+        recipientId: recipientId,
+        type: type,
+        status: 'accepted',
+        acceptedAt: new Date(now).toISOString()
+      });
+      await this.redis.expire(key, DELIVERY_TTL_SECONDS);
+
+      // Keep a bounded, time-ordered index of deliveries per recipient
+      await this.redis.zadd(indexKey, now, messageId);
+      await this.redis.zremrangebyrank(indexKey, 0, -(MAX_DELIVERIES_PER_RECIPIENT + 1));
+      await this.redis.expire(indexKey, DELIVERY_TTL_SECONDS);
+
+      return true;
+    } catch (error) {
+      logger.error('Error tracking outbound message:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Record a status callback from the webhook `statuses` array
+   * @param {Object} statusEvent - Status object from WhatsApp (id, status, timestamp, recipient_id, errors)
+   * @returns {Promise<Object|null>} - The updated delivery record, or null on error
+   */
+  async recordStatus(statusEvent) {
+    try {
+      const { id: messageId, status, recipient_id: recipientId } = statusEvent;
+      const key = `delivery:${messageId}`;
+      const timestamp = statusEvent.timestamp
+        ? new Date(parseInt(statusEvent.timestamp, 10) * 1000).toISOString()
+        : new Date().toISOString();
+
+      const existing = await this.redis.hgetall(key);
+      const isTracked = Object.keys(existing).length > 0;
+
+      const update = {
+        [`${status}At`]: timestamp
+      };
+
+      const currentRank = STATUS_RANK[existing.status] ?? -1;
+      const newRank = STATUS_RANK[status] ?? -1;
+      if (newRank >= currentRank) {
+        update.status = status;
+      }
+
+      if (status === 'failed' && statusEvent.errors?.length) {
+        update.errorCode = String(statusEvent.errors[0].code);
+        update.errorTitle = statusEvent.errors[0].title || statusEvent.errors[0].message || '';
+      }
+
+      if (!isTracked) {
+        // Status for a message we did not send through the tracked API calls
+        update.messageId = messageId;
+        update.recipientId = recipientId;
+        await this.redis.zadd(`delivery:recipient:${recipientId}`, Date.now(), messageId);
+        await this.redis.expire(`delivery:recipient:${recipientId}`, DELIVERY_TTL_SECONDS);
+      }
+
+      await this.redis.hset(key, update);
+      await this.redis.expire(key, DELIVERY_TTL_SECONDS);
+
+      logger.info(`Recorded ${status} status for message ${messageId}`);
+      return { ...existing, ...update };
+    } catch (error) {
+      logger.error('Error recording delivery status:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Claim the text fallback for a failed message so it is sent only once,
+   * even when Meta redelivers the failed status
+   * @param {string} messageId - WhatsApp message ID of the failed message
+   * @returns {Promise<boolean>} - True if the caller should send the fallback
+   */
+  async claimFallback(messageId) {
+    try {
+      const claimed = await this.redis.hsetnx(`delivery:${messageId}`, 'fallbackSentAt', new Date().toISOString());
+      return claimed === 1;
+    } catch (error) {
+      logger.error('Error claiming delivery fallback:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Get the most recent delivery records for a recipient, newest first
+   * @param {string} recipientId - WhatsApp ID of the recipient
+   * @param {number} limit - Maximum number of records to return
+   * @returns {Promise<Array<Object>>} - Delivery records
+   */
+  async getStatusesForRecipient(recipientId, limit = 50) {
+    try {
+      const messageIds = await this.redis.zrevrange(`delivery:recipient:${recipientId}`, 0, limit - 1);
+
+      const deliveries = [];
+      for (const messageId of messageIds) {
+        const record = await this.redis.hgetall(`delivery:${messageId}`);
+        if (Object.keys(record).length > 0) {
+          // Fallback text can hold user content, so it stays out of the admin view
+          const { fallbackText, ...delivery } = record;
+          deliveries.push(delivery);
+        }
+      }
+
+      return deliveries;
+    } catch (error) {
+      logger.error('Error getting delivery statuses:', error);
+      throw error;
+    }
+  }
+}
+
+// Create and export a singleton instance
+const deliveryStatusService = new DeliveryStatusService();
+module.exports = deliveryStatusService;
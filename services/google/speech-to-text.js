@@ -3,6 +3,11 @@ const speech = require('@google-cloud/speech');
 const GoogleCloudConfig = require('../../config/google-cloud');
 const { logger, logProcessingTime } = require('../../utils/helpers/performance-monitor');
 const AudioProcessor = require('../../utils/helpers/audio-processing');
+const LanguageTags = require('../../utils/helpers/language-tags');
+const { DEFAULT_DETECTION_LANGUAGES, MAX_DETECTION_LANGUAGES } = require('../../utils/helpers/preference-values');
+
+// Most people a voice note recorded during a conversation is expected to capture
+const MAX_SPEAKERS = 6;
 
 class SpeechToTextService {
   constructor() {
@@ -14,9 +19,13 @@ class SpeechToTextService {
    * Convert audio to text using Google Cloud Speech-to-Text
    * @param {Buffer} audioBuffer - The audio buffer to transcribe
    * @param {string} languageCode - Language code (e.g., 'en-US', 'es-ES')
-   * @returns {Promise<Object>} - Transcription result
+   * @param {Array<string>} alternativeLanguageCodes - Other languages the audio may be in (optional, at most three)
+   * @param {Object} options - Recognition options (optional)
+   * @param {boolean} options.separateSpeakers - Label who is speaking, adding speakerTurns to the result
+   * @param {Array<Object>} options.phraseHints - { phrase, boost } words and names recognition should favour
+   * @returns {Promise<Object>} - Transcription result; languageCode is the language that was recognized
    */
-  async transcribeAudio(audioBuffer, languageCode = 'en-US') {
+  async transcribeAudio(audioBuffer, languageCode = 'en-US', alternativeLanguageCodes = [], options = {}) {
     try {
       const startTime = Date.now();
       logger.info(`Starting transcription for audio of size: ${audioBuffer.length} bytes`);
@@ -45,6 +54,22 @@ class SpeechToTextService {
         // Let's try option 2 as it's more reliable
         sampleRateHertz: 16000, // Standard rate that works well with OPUS audio
       };
+      
+      if (alternativeLanguageCodes.length > 0) {
+        config.alternativeLanguageCodes = alternativeLanguageCodes;
+      }
+      
+      if (options.phraseHints?.length > 0) {
+        config.speechContexts = this.buildSpeechContexts(options.phraseHints);
+      }
+      
+      if (options.separateSpeakers) {
+        config.diarizationConfig = {
+          enableSpeakerDiarization: true,
+          minSpeakerCount: 1,
+          maxSpeakerCount: MAX_SPEAKERS
+        };
+      }
 
       const request = {
         audio: audio,
@@ -79,20 +104,102 @@ class SpeechToTextService {
       
       logger.info(`Transcription completed in ${processingTime}ms. Length: ${transcription.length} chars`);
       
+      // The API reports the recognized language in lower case (e.g. 'es-es'), so match it to the requested code
+      const recognizedCode = response.results[0]?.languageCode;
+      const requestedCodes = [languageCode, ...alternativeLanguageCodes];
+      const detectedCode = requestedCodes.find(code => code.toLowerCase() === recognizedCode?.toLowerCase()) ||
+        recognizedCode || languageCode;
+      
       // Return structured result
-      return {
+      const result = {
         transcription: transcription,
-        languageCode: languageCode,
+        languageCode: detectedCode,
         confidence: response.results[0]?.alternatives[0]?.confidence || null,
         processingTime: processingTime,
-        wordCount: transcription.split(/\s+/).length
+        wordCount: transcription.split(/\s+/).length,
+        words: this.getTimedWords(response, options.separateSpeakers)
       };
+      
+      if (options.separateSpeakers) {
+        result.speakerTurns = this.getSpeakerTurns(response, transcription);
+        logger.info(`Found ${new Set(result.speakerTurns.map(turn => turn.speaker)).size} speakers in ${result.speakerTurns.length} turns`);
+      }
+      
+      return result;
     } catch (error) {
       logger.error('Speech-to-Text error:', error);
       throw new Error(`STT Service Error: ${error.message}`);
     }
   }
 
+  /**
+   * Turn phrase hints into speech contexts, one per boost value since the API boosts whole contexts
+   * @param {Array<Object>} phraseHints - { phrase, boost } entries
+   * @returns {Array<Object>} - { phrases, boost } speech contexts
+   */
+  buildSpeechContexts(phraseHints) {
+    const contexts = new Map();
+    for (const { phrase, boost } of phraseHints) {
+      if (!contexts.has(boost)) {
+        contexts.set(boost, { phrases: [], boost: boost });
+      }
+      contexts.get(boost).phrases.push(phrase);
+    }
+    return Array.from(contexts.values());
+  }
+
+  /**
+   * Get the words of a transcription with their timings in seconds
+   * @param {Object} response - Recognition response with word time offsets
+   * @param {boolean} separateSpeakers - Whether the request was diarized
+   * @returns {Array<Object>} - { word, startTime, endTime } in order, with speakerTag if diarized
+   */
+  getTimedWords(response, separateSpeakers = false) {
+    // A diarized response repeats every word in its last result, so only that result is read
+    const results = separateSpeakers ? response.results.slice(-1) : response.results;
+    const toSeconds = (offset) => Number(offset?.seconds || 0) + (offset?.nanos || 0) / 1e9;
+    
+    return results.flatMap(result => result.alternatives[0]?.words || []).map(word => ({
+      word: word.word,
+      startTime: toSeconds(word.startTime),
+      endTime: toSeconds(word.endTime),
+      ...(word.speakerTag ? { speakerTag: word.speakerTag } : {})
+    }));
+  }
+
+  /**
+   * Split a diarized transcription into turns of consecutive words by the same speaker
+   * @param {Object} response - Recognition response with speaker tags
+   * @param {string} transcription - The whole transcription, used if no word has a speaker tag
+   * @returns {Array<Object>} - { speaker, text } turns; speakers are numbered from 1 in order of appearance
+   */
+  getSpeakerTurns(response, transcription) {
+    // The last result repeats every word of the audio with its speaker tag
+    const words = response.results[response.results.length - 1]?.alternatives[0]?.words || [];
+    const taggedWords = words.filter(word => word.speakerTag);
+    if (taggedWords.length === 0) {
+      return transcription ? [{ speaker: 1, text: transcription }] : [];
+    }
+    
+    const speakerNumbers = new Map();
+    const turns = [];
+    for (const word of taggedWords) {
+      if (!speakerNumbers.has(word.speakerTag)) {
+        speakerNumbers.set(word.speakerTag, speakerNumbers.size + 1);
+      }
+      const speaker = speakerNumbers.get(word.speakerTag);
+      
+      const lastTurn = turns[turns.length - 1];
+      if (lastTurn && lastTurn.speaker === speaker) {
+        lastTurn.text += ` ${word.word}`;
+      } else {
+        turns.push({ speaker: speaker, text: word.word });
+      }
+    }
+    
+    return turns;
+  }
+
   /**
    * Perform long-running recognition for longer audio files
    * @param {Object} audio - Audio object with content
@@ -175,51 +282,29 @@ class SpeechToTextService {
   }
 
   /**
-   * Detect language of audio and then transcribe
+   * Detect the language of audio and transcribe it in a single recognition request
    * @param {Buffer} audioBuffer - The audio buffer to process
-   * @returns {Promise<Object>} - Transcription result with detected language
+   * @param {Array<string>} languageCodes - BCP-47 codes the audio may be in, most likely first (optional, common languages if not provided)
+   * @param {Object} options - Recognition options passed to transcribeAudio (optional)
+   * @returns {Promise<Object>} - Transcription result with detected language and its confidence
    */
-  async transcribeWithLanguageDetection(audioBuffer) {
+  async transcribeWithLanguageDetection(audioBuffer, languageCodes = null, options = {}) {
     try {
-      logger.info('Starting transcription with language detection');
-      
-      // For language detection, we'll use a short sample of the audio
-      // In a real implementation, we might use Google's language detection features
-      // or a fallback language detection method
+      const languages = languageCodes?.length
+        ? languageCodes
+        : DEFAULT_DETECTION_LANGUAGES.map(language => LanguageTags.toBCP47(language));
+      if (languages.length > MAX_DETECTION_LANGUAGES) {
+        logger.warn(`Only detecting the first ${MAX_DETECTION_LANGUAGES} of ${languages.length} languages`);
+      }
       
-      // For now, we'll try multiple common languages and see which gives the best result
-      const commonLanguages = ['en-US', 'es-ES', 'fr-FR', 'de-DE', 'hi-IN', 'ar-SA', 'pt-BR'];
-      let bestResult = null;
-      let bestConfidence = 0;
+      // The first language is the primary one; the API picks whichever of them is spoken
+      const [primaryLanguage, ...alternativeLanguages] = languages.slice(0, MAX_DETECTION_LANGUAGES);
+      logger.info(`Starting transcription with language detection: ${primaryLanguage} or [${alternativeLanguages.join(', ')}]`);
       
-      // Try transcribing with different languages
-      for (const lang of commonLanguages) {
-        try {
-          const result = await this.transcribeAudio(audioBuffer, lang);
-          
-          if (result.confidence > bestConfidence) {
-            bestConfidence = result.confidence;
-            bestResult = { ...result, detectedLanguage: lang };
-          }
-          
-          // If we have a high confidence result, we can return early
-          if (bestConfidence > 0.8) {
-            break;
-          }
-        } catch (e) {
-          logger.warn(`Language ${lang} failed:`, e.message);
-          continue; // Try the next language
-        }
-      }
+      const result = await this.transcribeAudio(audioBuffer, primaryLanguage, alternativeLanguages, options);
       
-      if (bestResult) {
-        logger.info(`Language detected: ${bestResult.detectedLanguage} with confidence: ${bestConfidence}`);
-        return bestResult;
-      } else {
-        // Fallback: use English
-        logger.warn('Could not detect language, using English as fallback');
-        return await this.transcribeAudio(audioBuffer, 'en-US');
-      }
+      logger.info(`Language detected: ${result.languageCode} with confidence: ${result.confidence || 'N/A'}`);
+      return { ...result, detectedLanguage: result.languageCode };
     } catch (error) {
       logger.error('Error in transcription with language detection:', error);
       throw error;
@@ -15,22 +15,24 @@ class TextToSpeechService {
    * @param {string} languageCode - Language code (e.g., 'en-US', 'es-ES')
    * @param {string} voiceName - Specific voice name (optional, defaults to neutral)
    * @param {string} speakingRate - Speaking rate (0.25 to 4.0, default 1.0)
+   * @param {string} ssmlGender - Voice gender when no voice name is given ('MALE', 'FEMALE' or 'NEUTRAL')
    * @returns {Promise<Object>} - Synthesized audio result
    */
-  async synthesizeText(text, languageCode = 'en-US', voiceName = null, speakingRate = 1.0) {
+  async synthesizeText(text, languageCode = 'en-US', voiceName = null, speakingRate = 1.0, ssmlGender = 'NEUTRAL') {
     try {
       const startTime = Date.now();
       logger.info(`Starting text-to-speech synthesis for text of length: ${text.length}`);
       
-      // Configure the voice
+      // Configure the voice; names start with the voice's own language code, e.g. 'es-US-Neural2-A'
       const voice = {
-        languageCode: languageCode,
-        ssmlGender: 'NEUTRAL', // Can be 'MALE', 'FEMALE', or 'NEUTRAL'
+        languageCode: voiceName ? voiceName.split('-').slice(0, 2).join('-') : languageCode
       };
       
-      // Use specific voice if provided
+      // A named voice has its own gender, so the gender only picks a voice when none is named
       if (voiceName) {
         voice.name = voiceName;
+      } else {
+        voice.ssmlGender = ssmlGender;
       }
       
       // Configure the audio
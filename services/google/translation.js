@@ -57,14 +57,17 @@ class TranslationService {
    * Translate text with automatic source language detection
    * @param {string} text - The text to translate
    * @param {string} targetLanguage - Target language code
+   * @param {Array<string>} candidateLanguages - Languages the source is expected to be in (optional)
    * @returns {Promise<Object>} - Translation result with detected source language
    */
-  async translateWithSourceDetection(text, targetLanguage) {
+  async translateWithSourceDetection(text, targetLanguage, candidateLanguages = []) {
     try {
       logger.info('Starting translation with source language detection');
       
       // Detect the source language
-      const detectionResult = await languageDetector.detectLanguageWithFallback(text);
+      const detectionResult = candidateLanguages.length > 0
+        ? await languageDetector.detectLanguageAmong(text, candidateLanguages)
+        : await languageDetector.detectLanguageWithFallback(text);
       const sourceLanguage = detectionResult.language;
       
       logger.info(`Detected source language: ${sourceLanguage} with confidence: ${detectionResult.confidence || 'N/A'}`);
@@ -0,0 +1,270 @@
+// services/language-resolver.js
+const Redis = require('ioredis');
+const config = require('../config');
+const { logger } = require('../utils/helpers/performance-monitor');
+
+// How long the list of supported languages is kept before asking the Translation API again
+const SUPPORTED_LANGUAGES_TTL_SECONDS = 24 * 60 * 60;
+
+// Shared by every webhook and worker process, so a restart does not call the API inside a webhook request
+const SUPPORTED_LANGUAGES_KEY = 'languages:supported';
+
+// Codes people type for languages the Translation API knows under another code
+const CODE_ALIASES = {
+  fil: 'tl',
+  iw: 'he',
+  jw: 'jv',
+  nb: 'no',
+  zh: 'zh-CN',
+  'zh-hans': 'zh-CN',
+  'zh-hant': 'zh-TW'
+};
+
+/**
+ * Normalize a language name or code for matching: lowercase, without accents,
+ * spaces, hyphens, underscores or brackets, so "Español" matches "espanol" and
+ * "Chinese (Traditional)" matches "chinese-traditional"
+ * @param {string} text - Name or code as typed or listed
+ * @returns {string} - Normalized form
+ */
+function normalizeName(text) {
+  return text.normalize('NFD').replace(/\p{M}/gu, '').toLowerCase().replace(/[\s\-_()]/g, '');
+}
+
+/**
+ * Count the single-character edits between two strings
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {number} - Levenshtein distance
+ */
+function editDistance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+class LanguageResolverService {
+  constructor() {
+    this.redis = new Redis(config.redis.url);
+    this.languages = null;
+    this.loadedAt = 0;
+    this.loading = null;
+  }
+
+  /**
+   * Get the languages the Translation API supports, with their English and native names
+   * @returns {Promise<Array<Object>>} - { code, name, nativeName }, sorted by English name
+   */
+  async getSupportedLanguages() {
+    if (this.languages && Date.now() - this.loadedAt < SUPPORTED_LANGUAGES_TTL_SECONDS * 1000) {
+      return this.languages;
+    }
+
+    // Share one request between commands that arrive while the list is loading
+    if (!this.loading) {
+      this.loading = this.loadSupportedLanguages().finally(() => {
+        this.loading = null;
+      });
+    }
+    return this.loading;
+  }
+
+  /**
+   * Read the supported languages from the Redis cache, else fetch them from the Translation API
+   * @returns {Promise<Array<Object>>} - { code, name, nativeName }, sorted by English name
+   */
+  async loadSupportedLanguages() {
+    const cached = await this.getCachedLanguages();
+    if (cached) {
+      this.languages = cached;
+      this.loadedAt = Date.now();
+      return this.languages;
+    }
+
+    // Lazy require, so commands can be registered without a Translation client
+    const translationService = require('./google/translation');
+    const languages = await translationService.getSupportedLanguages('en');
+
+    this.languages = languages
+      .map(language => ({
+        code: language.code,
+        name: language.name,
+        nativeName: this.getNativeName(language.code)
+      }))
+      .sort((a, b) => a.name.localeCompare(b.name));
+    this.loadedAt = Date.now();
+
+    logger.info(`Loaded ${this.languages.length} supported languages`);
+    await this.cacheLanguages(this.languages);
+    return this.languages;
+  }
+
+  /**
+   * Get the supported languages another process stored in Redis
+   * @returns {Promise<Array<Object>|null>} - The cached list, or null if there is none or Redis is unavailable
+   */
+  async getCachedLanguages() {
+    try {
+      const cached = await this.redis.get(SUPPORTED_LANGUAGES_KEY);
+      return cached ? JSON.parse(cached) : null;
+    } catch (error) {
+      logger.error('Error reading cached supported languages:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Store the supported languages in Redis for the other processes
+   * @param {Array<Object>} languages - { code, name, nativeName }, sorted by English name
+   * @returns {Promise<boolean>} - Success status
+   */
+  async cacheLanguages(languages) {
+    try {
+      await this.redis.set(SUPPORTED_LANGUAGES_KEY, JSON.stringify(languages), 'EX', SUPPORTED_LANGUAGES_TTL_SECONDS);
+      return true;
+    } catch (error) {
+      logger.error('Error caching supported languages:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Get the name of a language in that language, e.g. 'español' for 'es'
+   * @param {string} code - Language code
+   * @returns {string|null} - Native name, or null if the runtime does not know the language
+   */
+  getNativeName(code) {
+    try {
+      const nativeName = new Intl.DisplayNames([code], { type: 'language' }).of(code);
+      return nativeName && nativeName !== code ? nativeName : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Resolve what a user typed to a supported language
+   * Accepts codes ('es'), regional tags ('pt-PT', 'es-MX' falls back to 'es') and English or
+   * native names ('spanish', 'español'); unknown input gets the closest match as a suggestion.
+   * @param {string} input - Language code, tag or name
+   * @returns {Promise<Object>} - { language: { code, name, nativeName } } or { language: null, suggestion }
+   */
+  async resolve(input) {
+    const typed = String(input || '').trim().replace(/_/g, '-');
+    if (!typed) {
+      return { language: null, suggestion: null };
+    }
+
+    let languages;
+    try {
+      languages = await this.getSupportedLanguages();
+    } catch (error) {
+      // Without the list, accept anything shaped like a language tag rather than blocking commands
+      logger.error('Error loading supported languages, accepting language tags as typed:', error);
+      return { language: this.parseLanguageTag(typed), suggestion: null };
+    }
+
+    const byCode = new Map(languages.map(language => [language.code.toLowerCase(), language]));
+    const lowerCased = typed.toLowerCase();
+    const baseCode = lowerCased.split('-')[0];
+
+    // Codes and tags, then aliases, then the language without its region
+    for (const candidate of [lowerCased, CODE_ALIASES[lowerCased], CODE_ALIASES[baseCode], baseCode]) {
+      if (candidate && byCode.has(candidate.toLowerCase())) {
+        return { language: byCode.get(candidate.toLowerCase()), suggestion: null };
+      }
+    }
+
+    // English and native names
+    const normalized = normalizeName(typed);
+    const named = languages.find(language => this.getNameKeys(language).includes(normalized));
+    if (named) {
+      return { language: named, suggestion: null };
+    }
+
+    return { language: null, suggestion: this.findClosest(normalized, languages) };
+  }
+
+  /**
+   * Get the normalized names a language can be typed as
+   * @param {Object} language - { code, name, nativeName }
+   * @returns {Array<string>} - Normalized names, with and without a bracketed variant
+   */
+  getNameKeys(language) {
+    const names = [language.name, language.nativeName].filter(Boolean);
+    const keys = names.map(normalizeName);
+    // "Chinese (Simplified)" can also be typed as "chinese"
+    names.forEach(name => keys.push(normalizeName(name.replace(/\(.*\)/, ''))));
+    return keys;
+  }
+
+  /**
+   * Find the language whose name or code is closest to a misspelling
+   * @param {string} normalized - Normalized input
+   * @param {Array<Object>} languages - Supported languages
+   * @returns {Object|null} - The closest language, or null if nothing is close enough
+   */
+  findClosest(normalized, languages) {
+    // Allow about one typo per three characters
+    const maxDistance = Math.max(1, Math.floor(normalized.length / 3));
+    let closest = null;
+    let closestDistance = Infinity;
+
+    for (const language of languages) {
+      for (const key of [normalizeName(language.code), ...this.getNameKeys(language)]) {
+        const distance = editDistance(normalized, key);
+        if (distance < closestDistance) {
+          closest = language;
+          closestDistance = distance;
+        }
+      }
+    }
+
+    return closestDistance <= maxDistance ? closest : null;
+  }
+
+  /**
+   * Accept a well-formed language tag without checking that it is supported
+   * @param {string} typed - Tag as typed, e.g. 'pt-pt'
+   * @returns {Object|null} - { code, name, nativeName } with the canonical tag, or null if it is not a tag
+   */
+  parseLanguageTag(typed) {
+    if (!/^[a-z]{2,3}(-[a-z0-9]{2,8})*$/i.test(typed)) {
+      return null;
+    }
+
+    try {
+      const [code] = Intl.getCanonicalLocales(typed);
+      return { code: code, name: code, nativeName: this.getNativeName(code) };
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Find supported languages whose code or name contains a search term
+   * @param {string} search - Part of a code or name
+   * @returns {Promise<Array<Object>>} - Matching languages, sorted by English name
+   */
+  async search(search) {
+    const languages = await this.getSupportedLanguages();
+    const normalized = normalizeName(search);
+    return languages.filter(language => (
+      [normalizeName(language.code), ...this.getNameKeys(language)].some(key => key.includes(normalized))
+    ));
+  }
+}
+
+// Create and export a singleton instance
+const languageResolverService = new LanguageResolverService();
+module.exports = languageResolverService;
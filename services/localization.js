@@ -0,0 +1,99 @@
+// services/localization.js
+const Redis = require('ioredis');
+const config = require('../config');
+const UiMessages = require('../utils/i18n');
+const { logger } = require('../utils/helpers/performance-monitor');
+
+class LocalizationService {
+  constructor() {
+    this.redis = new Redis(config.redis.url);
+    this.cacheTtlSeconds = config.localization.cacheTtlSeconds;
+  }
+
+  /**
+   * Get one of the bot's messages in a language
+   * @param {string} key - Message key from the catalogs, e.g. 'commandError'
+   * @param {string} language - Language code to reply in
+   * @param {Object} params - Placeholder values
+   * @returns {Promise<string>} - The message from the language's catalog, else machine translated, else in English
+   */
+  async getMessage(key, language, params = {}) {
+    let template = UiMessages.getTemplate(key, language);
+
+    if (template === null) {
+      template = await this.translateString(UiMessages.getEnglishTemplate(key), language);
+    }
+
+    return UiMessages.format(template, params);
+  }
+
+  /**
+   * Machine translate an English UI string, caching the result per string
+   * @param {string} text - English text, which may contain {name} placeholders
+   * @param {string} language - Language code to translate to
+   * @returns {Promise<string>} - The translation, or the English text if it could not be translated
+   */
+  async translateString(text, language) {
+    if (!language || language === 'en') {
+      return text;
+    }
+
+    const cacheKey = `i18n:${language}`;
+    try {
+      const cached = await this.redis.hget(cacheKey, text);
+      if (cached) {
+        return cached;
+      }
+    } catch (error) {
+      logger.error('Error reading cached UI translation:', error);
+    }
+
+    try {
+      // Lazy require, so the catalogs can be used without a Translation client
+      const translationService = require('./google/translation');
+
+      // Number the placeholders so their names are not translated, e.g. {minutes} -> {0}
+      const placeholders = UiMessages.getPlaceholders(text);
+      let numbered = text;
+      placeholders.forEach((name, index) => {
+        numbered = numbered.replace(`{${name}}`, `{${index}}`);
+      });
+
+      const result = await translationService.translateText(numbered, language, 'en');
+      let translated = result.translatedText;
+      for (const [index, name] of placeholders.entries()) {
+        if (!translated.includes(`{${index}}`)) {
+          logger.warn(`UI translation to ${language} lost placeholder {${name}}, using English: ${text}`);
+          return text;
+        }
+        translated = translated.replace(`{${index}}`, `{${name}}`);
+      }
+
+      await this.cacheTranslation(cacheKey, text, translated);
+      return translated;
+    } catch (error) {
+      // Fall back to English rather than leaving the user without a reply
+      logger.error(`Error translating UI string to ${language}:`, error);
+      return text;
+    }
+  }
+
+  /**
+   * Remember a UI translation, so each string is only machine translated once per language
+   * @param {string} cacheKey - Redis hash of the language's translations
+   * @param {string} text - English text
+   * @param {string} translated - Its translation
+   */
+  async cacheTranslation(cacheKey, text, translated) {
+    try {
+      await this.redis.hset(cacheKey, text, translated);
+      await this.redis.expire(cacheKey, this.cacheTtlSeconds);
+    } catch (error) {
+      logger.error('Error caching UI translation:', error);
+    }
+  }
+}
+
+// Create and export a singleton instance
+const localizationService = new LocalizationService();
+module.exports = localizationService;
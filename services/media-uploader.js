@@ -22,33 +22,58 @@ class MediaUploader {
    */
   async uploadAudio(audioBuffer, format = 'ogg') {
     try {
-      // Generate unique filename
-      const filename = `${uuidv4()}.${format}`;
-      const filepath = path.join(this.tempDir, filename);
-      
-      // Ensure temp directory exists
-      await fs.mkdir(this.tempDir, { recursive: true });
-      
-      // Write the audio buffer to file
-      await fs.writeFile(filepath, audioBuffer);
-      
-      // Create public URL (this is a placeholder - won't work in real environment without public hosting)
-      const publicUrl = `${this.basePublicUrl}/temp/${filename}`;
-      
-      logger.info(`Audio saved to: ${filepath}, URL: ${publicUrl}`);
-      
-      // Set up cleanup after some time (e.g., 1 hour)
-      setTimeout(() => {
-        this.cleanupFile(filepath);
-      }, 3600000); // 1 hour
-      
-      return publicUrl;
+      return await this.uploadFile(audioBuffer, format);
     } catch (error) {
       logger.error('Error uploading audio:', error);
       throw error;
     }
   }
 
+  /**
+   * Save a document buffer to temporary file and return a public URL
+   * @param {Buffer} documentBuffer - The document buffer to save
+   * @param {string} format - File extension (e.g., 'txt')
+   * @returns {Promise<string>} - Public URL for the uploaded document
+   */
+  async uploadDocument(documentBuffer, format = 'txt') {
+    try {
+      return await this.uploadFile(documentBuffer, format);
+    } catch (error) {
+      logger.error('Error uploading document:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Save a buffer to the temp directory under a unique name and return its public URL
+   * @param {Buffer} buffer - The file content
+   * @param {string} format - File extension
+   * @returns {Promise<string>} - Public URL for the saved file
+   */
+  async uploadFile(buffer, format) {
+    // Generate unique filename
+    const filename = `${uuidv4()}.${format}`;
+    const filepath = path.join(this.tempDir, filename);
+    
+    // Ensure temp directory exists
+    await fs.mkdir(this.tempDir, { recursive: true });
+    
+    // Write the buffer to file
+    await fs.writeFile(filepath, buffer);
+    
+    // Create public URL (this is a placeholder - won't work in real environment without public hosting)
+    const publicUrl = `${this.basePublicUrl}/temp/${filename}`;
+    
+    logger.info(`File saved to: ${filepath}, URL: ${publicUrl}`);
+    
+    // Set up cleanup after some time (e.g., 1 hour)
+    setTimeout(() => {
+      this.cleanupFile(filepath);
+    }, 3600000); // 1 hour
+    
+    return publicUrl;
+  }
+
   /**
    * Clean up temporary file
    * @param {string} filepath - Path to the file to delete
@@ -68,15 +93,16 @@ class MediaUploader {
    * @param {string} recipientId - Recipient's WhatsApp ID
    * @param {Buffer} audioBuffer - The audio buffer to send
    * @param {string} format - Audio format
+   * @param {Object} options - Options passed through to sendVoiceMessage (e.g. fallbackText, replyTo)
    * @returns {Promise<Object>} - WhatsApp API response
    */
-  async uploadAndSendAudio(whatsappService, recipientId, audioBuffer, format = 'ogg') {
+  async uploadAndSendAudio(whatsappService, recipientId, audioBuffer, format = 'ogg', options = {}) {
     try {
       // Upload the audio to get a public URL
       const audioUrl = await this.uploadAudio(audioBuffer, format);
       
       // Send the voice message via WhatsApp
-      const result = await whatsappService.sendVoiceMessage(recipientId, audioUrl);
+      const result = await whatsappService.sendVoiceMessage(recipientId, audioUrl, options);
       
       return result;
     } catch (error) {
@@ -84,6 +110,28 @@ class MediaUploader {
       throw error;
     }
   }
+  /**
+   * Upload and send a document via WhatsApp
+   * @param {Object} whatsappService - WhatsApp API service instance
+   * @param {string} recipientId - Recipient's WhatsApp ID
+   * @param {Buffer} documentBuffer - The document buffer to send
+   * @param {string} filename - File name shown to the recipient
+   * @param {string} caption - Optional caption for the document
+   * @returns {Promise<Object>} - WhatsApp API response
+   */
+  async uploadAndSendDocument(whatsappService, recipientId, documentBuffer, filename, caption = null) {
+    try {
+      // Upload the document to get a public URL
+      const format = path.extname(filename).slice(1) || 'txt';
+      const documentUrl = await this.uploadDocument(documentBuffer, format);
+      
+      // Send the document message via WhatsApp
+      return await whatsappService.sendMediaMessage(recipientId, 'document', documentUrl, caption, filename);
+    } catch (error) {
+      logger.error('Error uploading and sending document:', error);
+      throw error;
+    }
+  }
 }
 
 // Create and export a singleton instance
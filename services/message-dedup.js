@@ -0,0 +1,57 @@
+// services/message-dedup.js
+const Redis = require('ioredis');
+const config = require('../config');
+const { logger } = require('../utils/helpers/performance-monitor');
+
+class MessageDedupService {
+  constructor() {
+    this.redis = new Redis(config.redis.url);
+    this.ttlSeconds = config.messageDedup.ttlSeconds;
+  }
+
+  /**
+   * Claim a WhatsApp message for processing
+   * Meta redelivers webhooks it considers unacknowledged, so only the first delivery
+   * of a message ID wins the claim; later deliveries within the TTL are duplicates.
+   * @param {string} messageId - WhatsApp message ID (wamid)
+   * @returns {Promise<boolean>} - True if this delivery should be processed
+   */
+  async claimMessage(messageId) {
+    try {
+      const key = `message:${messageId}:processed`;
+      const result = await this.redis.set(key, Date.now(), 'EX', this.ttlSeconds, 'NX');
+
+      if (result !== 'OK') {
+        logger.info(`Duplicate delivery of message ${messageId}, skipping`);
+        return false;
+      }
+
+      return true;
+    } catch (error) {
+      // Prefer a possible duplicate reply over dropping the message
+      logger.error('Error claiming message for deduplication:', error);
+      return true;
+    }
+  }
+
+  /**
+   * Release a claimed message so a redelivery is processed again
+   * Used when the message could not be queued after it was claimed.
+   * @param {string} messageId - WhatsApp message ID (wamid)
+   * @returns {Promise<boolean>} - Success status
+   */
+  async releaseMessage(messageId) {
+    try {
+      await this.redis.del(`message:${messageId}:processed`);
+      logger.info(`Released deduplication claim for message ${messageId}`);
+      return true;
+    } catch (error) {
+      logger.error('Error releasing message deduplication claim:', error);
+      return false;
+    }
+  }
+}
+
+// Create and export a singleton instance
+const messageDedupService = new MessageDedupService();
+module.exports = messageDedupService;
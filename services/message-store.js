@@ -0,0 +1,207 @@
+// services/message-store.js
+const Redis = require('ioredis');
+const config = require('../config');
+const { logger } = require('../utils/helpers/performance-monitor');
+
+class MessageStoreService {
+  constructor() {
+    this.redis = new Redis(config.redis.url);
+    this.ttlSeconds = config.messageStore.ttlSeconds;
+  }
+
+  /**
+   * Remember the text of an inbound message so it can be translated again on request
+   * @param {string} messageId - WhatsApp message ID (wamid) of the inbound message
+   * @param {string} recipientId - WhatsApp ID of the sender
+   * @param {string} text - The message text, or the transcription of a voice note or video
+   * @param {string} language - Detected source language code (optional)
+   * @returns {Promise<boolean>} - Success status
+   */
+  async saveMessage(messageId, recipientId, text, language = null) {
+    try {
+      const key = `message:${messageId}:content`;
+
+      await this.redis.hset(key, {
+        recipientId: recipientId,
+        text: text,
+        language: language || '',
+        storedAt: new Date().toISOString()
+      });
+      await this.redis.expire(key, this.ttlSeconds);
+
+      return true;
+    } catch (error) {
+      logger.error('Error storing message content:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Look up a recently stored inbound message
+   * @param {string} messageId - WhatsApp message ID (wamid) of the inbound message
+   * @returns {Promise<Object|null>} - { recipientId, text, language, storedAt } or null if unknown or expired
+   */
+  async getMessage(messageId) {
+    try {
+      const record = await this.redis.hgetall(`message:${messageId}:content`);
+
+      if (Object.keys(record).length === 0) {
+        return null;
+      }
+
+      return {
+        ...record,
+        language: record.language || null
+      };
+    } catch (error) {
+      logger.error('Error getting stored message content:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Remember the timed transcription of a user's latest voice note or video, for !subtitles
+   * @param {string} recipientId - WhatsApp ID of the sender
+   * @param {Object} transcript - { language, targetLanguages, words, phoneNumberId }
+   * @returns {Promise<boolean>} - Success status
+   */
+  async saveTranscript(recipientId, transcript) {
+    try {
+      const record = { ...transcript, storedAt: new Date().toISOString() };
+      await this.redis.set(`user:${recipientId}:transcript`, JSON.stringify(record), 'EX', this.ttlSeconds);
+
+      return true;
+    } catch (error) {
+      logger.error('Error storing transcript:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Look up the timed transcription of a user's latest voice note or video
+   * @param {string} recipientId - WhatsApp ID of the sender
+   * @returns {Promise<Object|null>} - { language, targetLanguages, words, phoneNumberId, storedAt } or null if there is none
+   */
+  async getLatestTranscript(recipientId) {
+    try {
+      const record = await this.redis.get(`user:${recipientId}:transcript`);
+      return record ? JSON.parse(record) : null;
+    } catch (error) {
+      logger.error('Error getting stored transcript:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Remember that a part of a long voice note was sent, so a retried job does not send it again
+   * @param {string} messageId - WhatsApp message ID (wamid) of the voice note or video
+   * @param {number} index - Index of the part
+   * @returns {Promise<boolean>} - Success status
+   */
+  async markPartDelivered(messageId, index) {
+    try {
+      const key = `message:${messageId}:delivered-parts`;
+      await this.redis.sadd(key, String(index));
+      await this.redis.expire(key, this.ttlSeconds);
+
+      return true;
+    } catch (error) {
+      logger.error('Error storing delivered part:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Get the parts of a long voice note that were already sent
+   * @param {string} messageId - WhatsApp message ID (wamid) of the voice note or video
+   * @returns {Promise<Array<number>>} - Indexes of the sent parts, empty if none were sent or on error
+   */
+  async getDeliveredParts(messageId) {
+    try {
+      const members = await this.redis.smembers(`message:${messageId}:delivered-parts`);
+      return members.map(member => parseInt(member, 10));
+    } catch (error) {
+      logger.error('Error getting delivered parts:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Hold a low-confidence transcription of a user's voice note until they confirm or correct it
+   * @param {string} recipientId - WhatsApp ID of the sender
+   * @param {Object} pending - { text, language, messageId, promptMessageId, phoneNumberId, ... }
+   * @returns {Promise<boolean>} - Success status
+   */
+  async savePendingTranscript(recipientId, pending) {
+    try {
+      const record = { ...pending, storedAt: new Date().toISOString() };
+      await this.redis.set(
+        `user:${recipientId}:pending-transcript`,
+        JSON.stringify(record),
+        'EX',
+        config.transcription.confirmationTtlSeconds
+      );
+
+      return true;
+    } catch (error) {
+      logger.error('Error storing pending transcript:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Look up the transcription waiting for a user's confirmation
+   * @param {string} recipientId - WhatsApp ID of the sender
+   * @returns {Promise<Object|null>} - The pending transcript with storedAt, or null if there is none or it expired
+   */
+  async getPendingTranscript(recipientId) {
+    try {
+      const record = await this.redis.get(`user:${recipientId}:pending-transcript`);
+      return record ? JSON.parse(record) : null;
+    } catch (error) {
+      logger.error('Error getting pending transcript:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Change the transcription waiting for a user's confirmation, keeping its expiry
+   * @param {string} recipientId - WhatsApp ID of the sender
+   * @param {Object} changes - Fields to overwrite
+   * @returns {Promise<boolean>} - True if a pending transcript was updated
+   */
+  async updatePendingTranscript(recipientId, changes) {
+    try {
+      const key = `user:${recipientId}:pending-transcript`;
+      const record = await this.redis.get(key);
+      if (!record) {
+        return false;
+      }
+
+      await this.redis.set(key, JSON.stringify({ ...JSON.parse(record), ...changes }), 'KEEPTTL');
+      return true;
+    } catch (error) {
+      logger.error('Error updating pending transcript:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Forget the transcription waiting for a user's confirmation
+   * @param {string} recipientId - WhatsApp ID of the sender
+   * @returns {Promise<boolean>} - Success status
+   */
+  async clearPendingTranscript(recipientId) {
+    try {
+      await this.redis.del(`user:${recipientId}:pending-transcript`);
+      return true;
+    } catch (error) {
+      logger.error('Error clearing pending transcript:', error);
+      return false;
+    }
+  }
+}
+
+// Create and export a singleton instance
+const messageStoreService = new MessageStoreService();
+module.exports = messageStoreService;
@@ -0,0 +1,133 @@
+// services/rate-limiter.js
+const Redis = require('ioredis');
+const config = require('../config');
+const { logger } = require('../utils/helpers/performance-monitor');
+
+// Token bucket update, run atomically in Redis.
+// KEYS[1] = bucket key
+// ARGV = capacity, refill per second, now (ms), cost, mode ('consume' or 'charge'), TTL (seconds)
+// 'consume' only takes the tokens if enough are left (a cost of 0 just needs a positive balance);
+// a full bucket always admits a message, even one that costs more than the capacity.
+// 'charge' always takes them and may leave the bucket negative, for usage only known afterwards.
+// Returns { allowed (1/0), tokens left }
+const TOKEN_BUCKET_SCRIPT = `
+local bucket = redis.call('HMGET', KEYS[1], 'tokens', 'updatedAt')
+local capacity = tonumber(ARGV[1])
+local refillPerSecond = tonumber(ARGV[2])
+local now = tonumber(ARGV[3])
+local cost = tonumber(ARGV[4])
+
+local tokens = tonumber(bucket[1])
+local updatedAt = tonumber(bucket[2])
+if tokens == nil then
+  tokens = capacity
+  updatedAt = now
+end
+tokens = math.min(capacity, tokens + math.max(0, now - updatedAt) / 1000 * refillPerSecond)
+
+local allowed = 0
+if ARGV[5] == 'charge' or (cost == 0 and tokens > 0) or (cost > 0 and tokens >= math.min(cost, capacity)) then
+  tokens = tokens - cost
+  allowed = 1
+end
+
+redis.call('HSET', KEYS[1], 'tokens', tostring(tokens), 'updatedAt', tostring(now))
+redis.call('EXPIRE', KEYS[1], tonumber(ARGV[6]))
+return { allowed, tostring(tokens) }
+`;
+
+class RateLimiterService {
+  constructor() {
+    this.redis = new Redis(config.redis.url);
+    this.enabled = config.rateLimit.enabled;
+    this.windowSeconds = config.rateLimit.windowSeconds;
+
+    // Each budget refills completely over one window
+    this.budgets = {
+      audio: config.rateLimit.audioSeconds, // Seconds of audio per window
+      text: config.rateLimit.textCharacters // Characters of text per window
+    };
+  }
+
+  /**
+   * Take tokens from a user's budget if enough are left
+   * @param {string} userId - WhatsApp ID of the user
+   * @param {string} budget - 'audio' (seconds) or 'text' (characters)
+   * @param {number} cost - Tokens to take; 0 only checks that the budget is not used up
+   * @returns {Promise<Object>} - { allowed, remaining, retryAfterSeconds }
+   */
+  async consume(userId, budget, cost) {
+    return this.updateBucket(userId, budget, cost, 'consume');
+  }
+
+  /**
+   * Take tokens from a user's budget unconditionally, e.g. once the length of a voice note is known
+   * @param {string} userId - WhatsApp ID of the user
+   * @param {string} budget - 'audio' (seconds) or 'text' (characters)
+   * @param {number} cost - Tokens to take
+   * @returns {Promise<Object>} - { allowed, remaining, retryAfterSeconds }
+   */
+  async charge(userId, budget, cost) {
+    return this.updateBucket(userId, budget, cost, 'charge');
+  }
+
+  /**
+   * Claim the "slow down" notice for a user so it is sent at most once per window
+   * @param {string} userId - WhatsApp ID of the user
+   * @returns {Promise<boolean>} - True if the caller should send the notice
+   */
+  async claimNotice(userId) {
+    try {
+      const result = await this.redis.set(`ratelimit:${userId}:notice`, Date.now(), 'EX', this.windowSeconds, 'NX');
+      return result === 'OK';
+    } catch (error) {
+      logger.error('Error claiming rate limit notice:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Run the token bucket script for a user's budget
+   * @param {string} userId - WhatsApp ID of the user
+   * @param {string} budget - 'audio' or 'text'
+   * @param {number} cost - Tokens to take
+   * @param {string} mode - 'consume' or 'charge'
+   * @returns {Promise<Object>} - { allowed, remaining, retryAfterSeconds }
+   */
+  async updateBucket(userId, budget, cost, mode) {
+    const capacity = this.budgets[budget];
+    if (!this.enabled || !capacity) {
+      return { allowed: true, remaining: Infinity, retryAfterSeconds: 0 };
+    }
+
+    try {
+      const refillPerSecond = capacity / this.windowSeconds;
+      const [allowed, tokens] = await this.redis.eval(
+        TOKEN_BUCKET_SCRIPT,
+        1,
+        `ratelimit:${userId}:${budget}`,
+        capacity,
+        refillPerSecond,
+        Date.now(),
+        Math.max(0, cost),
+        mode,
+        this.windowSeconds
+      );
+
+      const remaining = parseFloat(tokens);
+      // Time until the bucket holds enough tokens again (at least a positive balance for 0-cost checks)
+      const needed = Math.max(Math.min(cost, capacity), Number.EPSILON) - remaining;
+      const retryAfterSeconds = allowed === 1 ? 0 : Math.ceil(Math.max(0, needed) / refillPerSecond);
+
+      return { allowed: allowed === 1, remaining: remaining, retryAfterSeconds: retryAfterSeconds };
+    } catch (error) {
+      // Prefer serving a user over dropping their message when Redis is unavailable
+      logger.error('Error checking rate limit:', error);
+      return { allowed: true, remaining: Infinity, retryAfterSeconds: 0 };
+    }
+  }
+}
+
+// Create and export a singleton instance
+const rateLimiterService = new RateLimiterService();
+module.exports = rateLimiterService;
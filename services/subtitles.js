@@ -0,0 +1,75 @@
+// services/subtitles.js
+const SubtitleBuilder = require('../utils/helpers/subtitle-builder');
+const { logger } = require('../utils/helpers/performance-monitor');
+
+// The Translation API accepts at most 128 segments per request
+const TRANSLATION_BATCH_SIZE = 100;
+
+class SubtitleService {
+  /**
+   * Build subtitle files of a transcript in its own language and each target language
+   * @param {Object} transcript - Transcript from messageStoreService.getLatestTranscript
+   * @param {Array<string>} formats - 'srt' and/or 'vtt'
+   * @returns {Promise<Array<Object>>} - { filename, language, format, content } files, original language first
+   */
+  async buildFiles(transcript, formats) {
+    // Lazy require, so the builder can be used without a Translation client
+    const translationService = require('./google/translation');
+
+    const cues = SubtitleBuilder.buildCues(transcript.words);
+    const tracks = [{ language: transcript.language, cues: cues }];
+
+    // Translated cues keep the timing of the original words
+    const targetLanguages = (transcript.targetLanguages || []).filter(lang => lang !== transcript.language);
+    for (const lang of targetLanguages) {
+      const translatedTexts = [];
+      for (let i = 0; i < cues.length; i += TRANSLATION_BATCH_SIZE) {
+        const texts = cues.slice(i, i + TRANSLATION_BATCH_SIZE).map(cue => cue.text);
+        const results = await translationService.batchTranslate(texts, lang, transcript.language);
+        translatedTexts.push(...results.map(result => result.translatedText));
+      }
+      tracks.push({ language: lang, cues: cues.map((cue, index) => ({ ...cue, text: translatedTexts[index] })) });
+    }
+
+    const files = [];
+    for (const track of tracks) {
+      for (const format of formats) {
+        files.push({
+          filename: `subtitles-${track.language}.${format}`,
+          language: track.language,
+          format: format,
+          content: SubtitleBuilder.format(track.cues, format)
+        });
+      }
+    }
+
+    logger.info(`Built ${files.length} subtitle files from ${cues.length} cues`);
+    return files;
+  }
+
+  /**
+   * Send subtitle files to a user as WhatsApp documents
+   * @param {Object} whatsappService - WhatsApp API service for the user's number
+   * @param {string} recipientId - WhatsApp ID of the user
+   * @param {Array<Object>} files - Files from buildFiles
+   * @param {Function} localize - Message lookup in the user's language, for the captions
+   * @returns {Promise<void>}
+   */
+  async sendFiles(whatsappService, recipientId, files, localize) {
+    const mediaUploader = require('./media-uploader');
+
+    for (const file of files) {
+      await mediaUploader.uploadAndSendDocument(
+        whatsappService,
+        recipientId,
+        Buffer.from(file.content, 'utf8'),
+        file.filename,
+        await localize('subtitlesCaption', { language: file.language.toUpperCase(), format: file.format.toUpperCase() })
+      );
+    }
+  }
+}
+
+// Create and export a singleton instance
+const subtitleService = new SubtitleService();
+module.exports = subtitleService;
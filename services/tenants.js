@@ -0,0 +1,93 @@
+// services/tenants.js
+const config = require('../config');
+const { logger } = require('../utils/helpers/performance-monitor');
+
+/**
+ * Resolves the business phone number a webhook was sent to into its tenant configuration.
+ * Each tenant has its own access token, default languages, branding text, Redis key
+ * namespace and admin numbers; the number configured in config.whatsapp is the default tenant.
+ */
+class TenantService {
+  constructor() {
+    this.defaultTenant = {
+      id: 'default',
+      phoneNumberId: config.whatsapp.phoneNumberId,
+      accessToken: config.whatsapp.accessToken,
+      defaultSourceLanguage: 'auto',
+      defaultTargetLanguages: ['en'],
+      brandingText: null,
+      redisNamespace: '',
+      adminNumbers: config.admin?.phoneNumbers || [],
+      isDefault: true
+    };
+
+    this.tenants = new Map();
+    for (const tenantConfig of config.tenants || []) {
+      const tenant = this.buildTenant(tenantConfig);
+      this.tenants.set(tenant.phoneNumberId, tenant);
+    }
+
+    // The default number is routed to the default tenant unless a tenant claims it
+    if (this.defaultTenant.phoneNumberId && !this.tenants.has(this.defaultTenant.phoneNumberId)) {
+      this.tenants.set(this.defaultTenant.phoneNumberId, this.defaultTenant);
+    }
+  }
+
+  /**
+   * Fill in defaults for a tenant from the WHATSAPP_VOICE_TRANSLATE_TENANTS configuration
+   * @param {Object} tenantConfig - Tenant entry from config.tenants
+   * @returns {Object} - Complete tenant configuration
+   */
+  buildTenant(tenantConfig) {
+    if (!tenantConfig.id || !tenantConfig.phoneNumberId) {
+      throw new Error('Tenant Configuration Error: every tenant needs an id and a phoneNumberId');
+    }
+
+    return {
+      id: tenantConfig.id,
+      phoneNumberId: String(tenantConfig.phoneNumberId),
+      // A system user token can cover several numbers, so the default token is reused if none is given
+      accessToken: tenantConfig.accessToken || config.whatsapp.accessToken,
+      defaultSourceLanguage: tenantConfig.defaultSourceLanguage || 'auto',
+      defaultTargetLanguages: tenantConfig.defaultTargetLanguages || ['en'],
+      brandingText: tenantConfig.brandingText || null,
+      redisNamespace: tenantConfig.redisNamespace || tenantConfig.id,
+      // WhatsApp IDs are bare digits, so '+1 555…' style entries are normalized
+      adminNumbers: (tenantConfig.adminNumbers || []).map(number => String(number).replace(/\D/g, '')),
+      isDefault: false
+    };
+  }
+
+  /**
+   * Get the tenant for a business phone number ID
+   * @param {string} phoneNumberId - ID of the number that received the message
+   * @returns {Object} - Tenant configuration, the default tenant's settings if the number is unknown
+   */
+  getTenant(phoneNumberId) {
+    if (!phoneNumberId) {
+      return this.defaultTenant;
+    }
+
+    const tenant = this.tenants.get(String(phoneNumberId));
+    if (!tenant) {
+      // Replies still go out from the number that received the message
+      logger.warn(`No tenant configured for phone number ${phoneNumberId}, using the default tenant settings`);
+      return { ...this.defaultTenant, phoneNumberId: String(phoneNumberId) };
+    }
+
+    return tenant;
+  }
+
+  /**
+   * Get the tenant for a webhook change value
+   * @param {Object} context - The change value holding metadata.phone_number_id
+   * @returns {Object} - Tenant configuration
+   */
+  getTenantForContext(context) {
+    return this.getTenant(context?.metadata?.phone_number_id);
+  }
+}
+
+// Create and export a singleton instance
+const tenantService = new TenantService();
+module.exports = tenantService;
@@ -3,9 +3,60 @@ const Redis = require('ioredis');
 const config = require('../config');
 const { logger } = require('../utils/helpers/performance-monitor');
 
+// Detected source languages remembered to speed up detection of the user's next voice notes
+const MAX_RECENT_LANGUAGES = 3;
+
+// Key of the vocabulary shared by everyone writing to a tenant's number
+const TEAM_VOCABULARY_KEY = 'vocabulary';
+
 class UserPreferencesService {
-  constructor() {
-    this.redis = new Redis(config.redis.url);
+  /**
+   * @param {Object} options - Tenant scoping (optional)
+   * @param {Object} options.redis - Redis connection to share instead of opening a new one
+   * @param {string} options.namespace - Prefix for this tenant's Redis keys
+   * @param {string} options.defaultSourceLanguage - Source language for users without preferences
+   * @param {Array<string>} options.defaultTargetLanguages - Target languages for users without preferences
+   */
+  constructor(options = {}) {
+    this.redis = options.redis || new Redis(config.redis.url);
+    this.namespace = options.namespace || '';
+    this.defaultSourceLanguage = options.defaultSourceLanguage || 'auto';
+    this.defaultTargetLanguages = options.defaultTargetLanguages || ['en'];
+    
+    // Services for other tenants, keyed by namespace
+    this.tenantServices = new Map();
+  }
+
+  /**
+   * Get a preferences service that stores preferences under a tenant's Redis namespace
+   * @param {Object} tenant - Tenant configuration from the tenant service
+   * @returns {UserPreferencesService} - This service for the default tenant, otherwise a service scoped to the tenant
+   */
+  forTenant(tenant) {
+    if (!tenant || tenant.isDefault) {
+      return this;
+    }
+    
+    if (!this.tenantServices.has(tenant.redisNamespace)) {
+      this.tenantServices.set(tenant.redisNamespace, new UserPreferencesService({
+        redis: this.redis,
+        namespace: tenant.redisNamespace,
+        defaultSourceLanguage: tenant.defaultSourceLanguage,
+        defaultTargetLanguages: tenant.defaultTargetLanguages
+      }));
+    }
+    
+    return this.tenantServices.get(tenant.redisNamespace);
+  }
+
+  /**
+   * Build the Redis key holding a user's preferences
+   * @param {string} userId - WhatsApp user ID
+   * @returns {string} - Redis key, prefixed with the tenant namespace if there is one
+   */
+  getKey(userId) {
+    const key = `user:${userId}:preferences`;
+    return this.namespace ? `${this.namespace}:${key}` : key;
   }
 
   /**
@@ -16,7 +67,7 @@ class UserPreferencesService {
    */
   async setPreferences(userId, preferences) {
     try {
-      const key = `user:${userId}:preferences`;
+      const key = this.getKey(userId);
       await this.redis.hset(key, preferences);
       await this.redis.expire(key, 86400 * 7); // 7 days expiration
       
@@ -35,24 +86,21 @@ class UserPreferencesService {
    */
   async getPreferences(userId) {
     try {
-      const key = `user:${userId}:preferences`;
+      const key = this.getKey(userId);
       const preferences = await this.redis.hgetall(key);
       
-      // Set default preferences if none exist
-      if (Object.keys(preferences).length === 0) {
-        return {
-          sourceLanguage: 'auto',
-          targetLanguages: ['en'], // Default to English
-          responseMode: 'text' // 'text', 'voice', or 'both'
-        };
-      }
-      
-      return preferences;
+      // Use defaults for settings the user has not stored, e.g. when only detected languages were remembered
+      return {
+        sourceLanguage: this.defaultSourceLanguage,
+        targetLanguages: this.defaultTargetLanguages, // English unless the tenant sets other defaults
+        responseMode: 'text', // 'text', 'voice', or 'both'
+        ...preferences
+      };
     } catch (error) {
       logger.error('Error getting user preferences:', error);
       return {
-        sourceLanguage: 'auto',
-        targetLanguages: ['en'],
+        sourceLanguage: this.defaultSourceLanguage,
+        targetLanguages: this.defaultTargetLanguages,
         responseMode: 'text'
       };
     }
@@ -66,7 +114,7 @@ class UserPreferencesService {
    */
   async setSourceLanguage(userId, language) {
     try {
-      const key = `user:${userId}:preferences`;
+      const key = this.getKey(userId);
       await this.redis.hset(key, 'sourceLanguage', language);
       await this.redis.expire(key, 86400 * 7); // 7 days expiration
       
@@ -86,7 +134,7 @@ class UserPreferencesService {
    */
   async setTargetLanguages(userId, languages) {
     try {
-      const key = `user:${userId}:preferences`;
+      const key = this.getKey(userId);
       await this.redis.hset(key, 'targetLanguages', languages.join(','));
       await this.redis.expire(key, 86400 * 7); // 7 days expiration
       
@@ -98,6 +146,215 @@ class UserPreferencesService {
     }
   }
 
+  /**
+   * Set the languages auto-detection chooses between
+   * @param {string} userId - WhatsApp user ID
+   * @param {Array<string>} languages - Candidate language codes, or an empty array to detect any language
+   * @returns {Promise<boolean>} - Success status
+   */
+  async setCandidateLanguages(userId, languages) {
+    try {
+      const key = this.getKey(userId);
+
+      if (languages.length === 0) {
+        await this.redis.hdel(key, 'candidateLanguages');
+      } else {
+        await this.redis.hset(key, 'candidateLanguages', languages.join(','));
+        await this.redis.expire(key, 86400 * 7); // 7 days expiration
+      }
+
+      logger.info(`Set candidate languages for user ${userId}:`, languages);
+      return true;
+    } catch (error) {
+      logger.error('Error setting candidate languages:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Remember a language detected in one of the user's messages
+   * @param {string} userId - WhatsApp user ID
+   * @param {string} language - Detected language code
+   * @returns {Promise<boolean>} - Success status
+   */
+  async addRecentLanguage(userId, language) {
+    try {
+      const key = this.getKey(userId);
+
+      // Most recent first, without duplicates
+      const stored = await this.redis.hget(key, 'recentLanguages');
+      const recent = (stored ? stored.split(',') : []).filter(lang => lang !== language);
+      const languages = [language, ...recent].slice(0, MAX_RECENT_LANGUAGES);
+
+      await this.redis.hset(key, 'recentLanguages', languages.join(','));
+      await this.redis.expire(key, 86400 * 7); // 7 days expiration
+      return true;
+    } catch (error) {
+      logger.error('Error remembering detected language:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Set whether translations are sent as replies quoting the original message
+   * @param {string} userId - WhatsApp user ID
+   * @param {boolean} enabled - True to quote the original message
+   * @returns {Promise<boolean>} - Success status
+   */
+  async setQuoteReplies(userId, enabled) {
+    try {
+      const key = this.getKey(userId);
+      await this.redis.hset(key, 'quoteReplies', enabled ? 'on' : 'off');
+      await this.redis.expire(key, 86400 * 7); // 7 days expiration
+      
+      logger.info(`Set quote replies for user ${userId}: ${enabled ? 'on' : 'off'}`);
+      return true;
+    } catch (error) {
+      logger.error('Error setting quote replies:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Set the text-to-speech voice for one of the user's target languages
+   * @param {string} userId - WhatsApp user ID
+   * @param {string} language - Target language code the voice speaks
+   * @param {string} voiceName - Google Cloud voice name (e.g., 'es-ES-Wavenet-B')
+   * @returns {Promise<boolean>} - Success status
+   */
+  async setVoice(userId, language, voiceName) {
+    try {
+      const key = this.getKey(userId);
+      
+      // Voices are stored together as JSON, one per language
+      const stored = await this.redis.hget(key, 'voiceNames');
+      const voiceNames = { ...JSON.parse(stored || '{}'), [language]: voiceName };
+      
+      await this.redis.hset(key, 'voiceNames', JSON.stringify(voiceNames));
+      await this.redis.expire(key, 86400 * 7); // 7 days expiration
+      
+      logger.info(`Set ${language} voice for user ${userId}: ${voiceName}`);
+      return true;
+    } catch (error) {
+      logger.error('Error setting voice:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Set the voice gender used for languages without a chosen voice
+   * @param {string} userId - WhatsApp user ID
+   * @param {string} gender - 'MALE', 'FEMALE' or 'NEUTRAL'
+   * @returns {Promise<boolean>} - Success status
+   */
+  async setVoiceGender(userId, gender) {
+    try {
+      if (!['MALE', 'FEMALE', 'NEUTRAL'].includes(gender)) {
+        throw new Error('Invalid voice gender. Use MALE, FEMALE, or NEUTRAL');
+      }
+      
+      const key = this.getKey(userId);
+      await this.redis.hset(key, 'voiceGender', gender);
+      await this.redis.expire(key, 86400 * 7); // 7 days expiration
+      
+      logger.info(`Set voice gender for user ${userId}: ${gender}`);
+      return true;
+    } catch (error) {
+      logger.error('Error setting voice gender:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Set the speaking rate of voice replies
+   * @param {string} userId - WhatsApp user ID
+   * @param {number} rate - Speaking rate between 0.25 and 4.0 (1.0 is normal speed)
+   * @returns {Promise<boolean>} - Success status
+   */
+  async setSpeakingRate(userId, rate) {
+    try {
+      if (!(rate >= 0.25 && rate <= 4.0)) {
+        throw new Error('Invalid speaking rate. Use a number between 0.25 and 4.0');
+      }
+      
+      const key = this.getKey(userId);
+      await this.redis.hset(key, 'speakingRate', String(rate));
+      await this.redis.expire(key, 86400 * 7); // 7 days expiration
+      
+      logger.info(`Set speaking rate for user ${userId}: ${rate}`);
+      return true;
+    } catch (error) {
+      logger.error('Error setting speaking rate:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Go back to the default voices, gender and speaking rate
+   * @param {string} userId - WhatsApp user ID
+   * @returns {Promise<boolean>} - Success status
+   */
+  async resetVoice(userId) {
+    try {
+      await this.redis.hdel(this.getKey(userId), 'voiceNames', 'voiceGender', 'speakingRate');
+      
+      logger.info(`Reset voice settings for user ${userId}`);
+      return true;
+    } catch (error) {
+      logger.error('Error resetting voice settings:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Set the language of the bot's own messages
+   * @param {string} userId - WhatsApp user ID
+   * @param {string} language - Language code, or 'auto' to follow the source language
+   * @returns {Promise<boolean>} - Success status
+   */
+  async setUiLanguage(userId, language) {
+    try {
+      const key = this.getKey(userId);
+
+      if (language === 'auto') {
+        await this.redis.hdel(key, 'uiLanguage');
+      } else {
+        await this.redis.hset(key, 'uiLanguage', language);
+        await this.redis.expire(key, 86400 * 7); // 7 days expiration
+      }
+
+      logger.info(`Set interface language for user ${userId}: ${language}`);
+      return true;
+    } catch (error) {
+      logger.error('Error setting interface language:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Set how voice notes with several speakers are translated
+   * @param {string} userId - WhatsApp user ID
+   * @param {string} mode - 'off', 'on' (label speaker turns) or 'voices' (also a distinct voice per speaker)
+   * @returns {Promise<boolean>} - Success status
+   */
+  async setSpeakerMode(userId, mode) {
+    try {
+      if (!['off', 'on', 'voices'].includes(mode)) {
+        throw new Error('Invalid speaker mode. Use off, on, or voices');
+      }
+      
+      const key = this.getKey(userId);
+      await this.redis.hset(key, 'speakerMode', mode);
+      await this.redis.expire(key, 86400 * 7); // 7 days expiration
+      
+      logger.info(`Set speaker mode for user ${userId}: ${mode}`);
+      return true;
+    } catch (error) {
+      logger.error('Error setting speaker mode:', error);
+      return false;
+    }
+  }
+
   /**
    * Set user's response mode (text, voice, or both)
    * @param {string} userId - WhatsApp user ID
@@ -110,7 +367,7 @@ class UserPreferencesService {
         throw new Error('Invalid response mode. Use text, voice, or both');
       }
       
-      const key = `user:${userId}:preferences`;
+      const key = this.getKey(userId);
       await this.redis.hset(key, 'responseMode', mode);
       await this.redis.expire(key, 86400 * 7); // 7 days expiration
       
@@ -121,6 +378,92 @@ class UserPreferencesService {
       return false;
     }
   }
+
+  /**
+   * Build the Redis key holding a user's or the team's vocabulary
+   * @param {string} userId - WhatsApp user ID
+   * @param {boolean} team - Whether to use the vocabulary shared by the tenant's users
+   * @returns {string} - Redis key, prefixed with the tenant namespace if there is one
+   */
+  getVocabularyKey(userId, team = false) {
+    const key = team ? TEAM_VOCABULARY_KEY : `user:${userId}:vocabulary`;
+    return this.namespace ? `${this.namespace}:${key}` : key;
+  }
+
+  /**
+   * Get the phrases speech recognition is biased towards
+   * @param {string} userId - WhatsApp user ID
+   * @param {boolean} team - Whether to read the vocabulary shared by the tenant's users
+   * @returns {Promise<Array<Object>>} - { phrase, boost } entries sorted by phrase, empty if it could not be read
+   */
+  async getVocabulary(userId, team = false) {
+    try {
+      // Fields are lowercased phrases, so adding a phrase again in other casing replaces it
+      const entries = await this.redis.hgetall(this.getVocabularyKey(userId, team));
+      return Object.values(entries || {})
+        .map(entry => JSON.parse(entry))
+        .sort((a, b) => a.phrase.localeCompare(b.phrase));
+    } catch (error) {
+      logger.error('Error getting vocabulary:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Add a phrase to a user's or the team's vocabulary, or change its boost
+   * @param {string} userId - WhatsApp user ID
+   * @param {string} phrase - Word or phrase, e.g. a product or person's name
+   * @param {number} boost - How strongly recognition favours the phrase
+   * @param {boolean} team - Whether to add it to the vocabulary shared by the tenant's users
+   * @returns {Promise<boolean>} - Success status
+   */
+  async addVocabularyPhrase(userId, phrase, boost, team = false) {
+    try {
+      const key = this.getVocabularyKey(userId, team);
+      await this.redis.hset(key, phrase.toLowerCase(), JSON.stringify({ phrase: phrase, boost: boost }));
+      if (!team) {
+        await this.redis.expire(key, 86400 * 7); // 7 days expiration, like the user's other settings
+      }
+      
+      logger.info(`Added ${team ? 'team' : 'user'} vocabulary phrase for user ${userId}: ${phrase} (boost ${boost})`);
+      return true;
+    } catch (error) {
+      logger.error('Error adding vocabulary phrase:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Remove a phrase from a user's or the team's vocabulary
+   * @param {string} userId - WhatsApp user ID
+   * @param {string} phrase - Phrase to remove, in any casing
+   * @param {boolean} team - Whether to remove it from the vocabulary shared by the tenant's users
+   * @returns {Promise<boolean>} - Success status
+   */
+  async removeVocabularyPhrase(userId, phrase, team = false) {
+    try {
+      await this.redis.hdel(this.getVocabularyKey(userId, team), phrase.toLowerCase());
+      
+      logger.info(`Removed ${team ? 'team' : 'user'} vocabulary phrase for user ${userId}: ${phrase}`);
+      return true;
+    } catch (error) {
+      logger.error('Error removing vocabulary phrase:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Get the phrase hints for recognizing a user's voice notes
+   * @param {string} userId - WhatsApp user ID
+   * @returns {Promise<Array<Object>>} - { phrase, boost } from the team's and the user's vocabulary; the user's boost wins for phrases in both
+   */
+  async getPhraseHints(userId) {
+    const hints = new Map();
+    for (const entry of [...await this.getVocabulary(userId, true), ...await this.getVocabulary(userId)]) {
+      hints.set(entry.phrase.toLowerCase(), entry);
+    }
+    return Array.from(hints.values());
+  }
 }
 
 // Create and export a singleton instance
@@ -0,0 +1,192 @@
+// services/webhook-recorder.js
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const config = require('../config');
+const { logger } = require('../utils/helpers/performance-monitor');
+
+// Fields of a webhook payload that hold phone numbers / WhatsApp IDs
+const PHONE_FIELDS = ['wa_id', 'from', 'recipient_id', 'display_phone_number'];
+
+// Fields that hold user-written content
+const TEXT_FIELDS = ['body', 'caption', 'emoji'];
+
+/**
+ * Opt-in recorder for incoming webhooks and downloaded media, used to reproduce production issues.
+ *
+ * Layout of the recording directory:
+ *   webhooks/<timestamp>-<id>.json - { recordedAt, redactions, payload }
+ *   media/<mediaId>.bin            - Downloaded media bytes
+ *   media/<mediaId>.json           - { mediaId, mimeType, size, recordedAt }
+ *
+ * Redaction options (config.webhookRecorder.redact):
+ *   phone - Replace phone numbers and WhatsApp IDs with stable hashes
+ *   text  - Replace message texts, captions and reaction emojis
+ *   media - Record media metadata only, never the bytes
+ */
+class WebhookRecorder {
+  /**
+   * @param {Object} options - Recorder settings (defaults to config.webhookRecorder)
+   * @param {boolean} options.enabled - Whether anything is recorded
+   * @param {string} options.directory - Directory recordings are written to
+   * @param {Array<string>} options.redact - Redaction options: 'phone', 'text', 'media'
+   */
+  constructor(options = config.webhookRecorder || {}) {
+    this.enabled = Boolean(options.enabled);
+    this.directory = path.resolve(options.directory || './recordings');
+    this.redact = options.redact || [];
+  }
+
+  /**
+   * Store a webhook body, redacted according to the recorder settings
+   * @param {Object} payload - Parsed webhook body
+   * @returns {Promise<string|null>} - Path of the recording, or null if nothing was recorded
+   */
+  async recordWebhook(payload) {
+    if (!this.enabled) {
+      return null;
+    }
+
+    try {
+      const webhooksDir = path.join(this.directory, 'webhooks');
+      await fs.mkdir(webhooksDir, { recursive: true });
+
+      const recordedAt = new Date().toISOString();
+      const filename = `${recordedAt.replace(/[:.]/g, '-')}-${crypto.randomBytes(4).toString('hex')}.json`;
+      const filepath = path.join(webhooksDir, filename);
+
+      await fs.writeFile(filepath, JSON.stringify({
+        recordedAt: recordedAt,
+        redactions: this.redact,
+        payload: this.redactPayload(payload)
+      }, null, 2));
+
+      logger.info(`Recorded webhook to ${filepath}`);
+      return filepath;
+    } catch (error) {
+      // Recording is a debugging aid and must never break message handling
+      logger.error('Error recording webhook:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Store downloaded media so a recorded webhook can be replayed without WhatsApp
+   * @param {string} mediaId - WhatsApp media ID
+   * @param {Buffer} mediaBuffer - The downloaded media
+   * @param {string} mimeType - MIME type from the message (optional)
+   * @returns {Promise<boolean>} - True if the media was recorded
+   */
+  async recordMedia(mediaId, mediaBuffer, mimeType = null) {
+    if (!this.enabled) {
+      return false;
+    }
+
+    try {
+      const mediaDir = path.join(this.directory, 'media');
+      await fs.mkdir(mediaDir, { recursive: true });
+
+      const storeContent = !this.redact.includes('media');
+      const safeId = this.getSafeMediaId(mediaId);
+
+      if (storeContent) {
+        await fs.writeFile(path.join(mediaDir, `${safeId}.bin`), mediaBuffer);
+      }
+      await fs.writeFile(path.join(mediaDir, `${safeId}.json`), JSON.stringify({
+        mediaId: mediaId,
+        mimeType: mimeType,
+        size: mediaBuffer.length,
+        contentRecorded: storeContent,
+        recordedAt: new Date().toISOString()
+      }, null, 2));
+
+      return true;
+    } catch (error) {
+      logger.error('Error recording media:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Load a recording written by recordWebhook
+   * @param {string} filepath - Path of the recording
+   * @returns {Promise<Object>} - { recordedAt, redactions, payload }
+   */
+  async loadRecording(filepath) {
+    try {
+      return JSON.parse(await fs.readFile(filepath, 'utf8'));
+    } catch (error) {
+      throw new Error(`Webhook Recording Error: ${error.message}`);
+    }
+  }
+
+  /**
+   * Load recorded media
+   * @param {string} mediaId - WhatsApp media ID
+   * @returns {Promise<Object|null>} - { buffer, mimeType }, or null if the media was not recorded
+   */
+  async loadMedia(mediaId) {
+    const safeId = this.getSafeMediaId(mediaId);
+    const mediaDir = path.join(this.directory, 'media');
+
+    try {
+      const metadata = JSON.parse(await fs.readFile(path.join(mediaDir, `${safeId}.json`), 'utf8'));
+      if (!metadata.contentRecorded) {
+        return null;
+      }
+
+      const buffer = await fs.readFile(path.join(mediaDir, `${safeId}.bin`));
+      return { buffer: buffer, mimeType: metadata.mimeType || 'application/octet-stream' };
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw new Error(`Webhook Recording Error: ${error.message}`);
+    }
+  }
+
+  /**
+   * Apply the configured redactions to a copy of a webhook payload
+   * @param {Object} payload - Parsed webhook body
+   * @returns {Object} - Redacted copy
+   */
+  redactPayload(payload) {
+    const redactPhone = this.redact.includes('phone');
+    const redactText = this.redact.includes('text');
+
+    const redactValue = (value, key) => {
+      if (Array.isArray(value)) {
+        return value.map(item => redactValue(item, null));
+      }
+      if (value && typeof value === 'object') {
+        return Object.fromEntries(
+          Object.entries(value).map(([childKey, childValue]) => [childKey, redactValue(childValue, childKey)])
+        );
+      }
+      if (typeof value === 'string' && redactPhone && PHONE_FIELDS.includes(key)) {
+        // Hash instead of blanking so messages from the same user stay grouped
+        return `redacted-${crypto.createHash('sha256').update(value).digest('hex').slice(0, 12)}`;
+      }
+      if (typeof value === 'string' && redactText && TEXT_FIELDS.includes(key)) {
+        return '[redacted]';
+      }
+      return value;
+    };
+
+    return redactValue(payload, null);
+  }
+
+  /**
+   * Turn a media ID into a safe file name
+   * @param {string} mediaId - WhatsApp media ID
+   * @returns {string} - File name without extension
+   */
+  getSafeMediaId(mediaId) {
+    return String(mediaId).replace(/[^a-zA-Z0-9_-]/g, '_');
+  }
+}
+
+// Create and export a singleton instance
+const webhookRecorder = new WebhookRecorder();
+module.exports = webhookRecorder;
+module.exports.WebhookRecorder = WebhookRecorder;
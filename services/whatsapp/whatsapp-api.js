@@ -1,12 +1,19 @@
 // services/whatsapp/whatsapp-api.js
 const axios = require('axios');
+const crypto = require('crypto');
 const config = require('../../config');
+const deliveryStatusService = require('../delivery-status');
 const { logger } = require('../../utils/helpers/performance-monitor');
 
 class WhatsAppAPIService {
-  constructor() {
-    // Base URL for WhatsApp Cloud API
-    this.baseUrl = 'https://graph.facebook.com/v18.0';
+  /**
+   * @param {Object} credentials - Business number to send from (optional, defaults to config.whatsapp)
+   * @param {string} credentials.phoneNumberId - WhatsApp business phone number ID
+   * @param {string} credentials.accessToken - Access token for that number
+   */
+  constructor(credentials = {}) {
+    // Base URL for WhatsApp Cloud API (configurable for the local mock Graph server)
+    this.baseUrl = config.whatsapp.graphBaseUrl || 'https://graph.facebook.com/v18.0';
     
     // Set up axios instance with default headers
     this.apiClient = axios.create({
@@ -18,17 +25,43 @@ class WhatsAppAPIService {
     });
     
     // WhatsApp access token for authentication
-    this.accessToken = config.whatsapp.accessToken;
-    this.phoneNumberId = config.whatsapp.phoneNumberId;
+    this.accessToken = credentials.accessToken || config.whatsapp.accessToken;
+    this.phoneNumberId = credentials.phoneNumberId || config.whatsapp.phoneNumberId;
+    
+    // Services for other tenants' numbers, keyed by phone number ID
+    this.tenantServices = new Map();
+  }
+
+  /**
+   * Get a service that sends from a tenant's business number
+   * @param {Object} tenant - Tenant configuration from the tenant service
+   * @returns {WhatsAppAPIService} - This service for the default number, otherwise a service bound to the tenant
+   */
+  forTenant(tenant) {
+    if (!tenant || (tenant.phoneNumberId === this.phoneNumberId && tenant.accessToken === this.accessToken)) {
+      return this;
+    }
+    
+    const cacheKey = `${tenant.phoneNumberId}:${tenant.accessToken}`;
+    if (!this.tenantServices.has(cacheKey)) {
+      this.tenantServices.set(cacheKey, new WhatsAppAPIService({
+        phoneNumberId: tenant.phoneNumberId,
+        accessToken: tenant.accessToken
+      }));
+    }
+    
+    return this.tenantServices.get(cacheKey);
   }
 
   /**
    * Send a text message to a WhatsApp user
    * @param {string} recipientId - The WhatsApp ID of the recipient
    * @param {string} message - The text message to send
+   * @param {Object} options - Optional settings
+   * @param {string} options.replyTo - ID of a message to quote, so this one is shown as a reply to it
    * @returns {Promise<Object>} - Response from WhatsApp API
    */
-  async sendTextMessage(recipientId, message) {
+  async sendTextMessage(recipientId, message, options = {}) {
     try {
       logger.info(`Sending text message to: ${recipientId}`);
       
@@ -36,6 +69,7 @@ class WhatsAppAPIService {
         `/${this.phoneNumberId}/messages`,
         {
           messaging_product: 'whatsapp',
+          ...this.buildReplyContext(options.replyTo),
           to: recipientId,
           type: 'text',
           text: {
@@ -50,6 +84,7 @@ class WhatsAppAPIService {
       );
       
       logger.info(`Message sent successfully. Message ID: ${response.data.messages[0].id}`);
+      await deliveryStatusService.trackOutboundMessage(response.data.messages[0].id, recipientId, 'text');
       return response.data;
     } catch (error) {
       logger.error('Error sending text message:', error.response?.data || error.message);
@@ -61,9 +96,12 @@ class WhatsAppAPIService {
    * Send a voice message to a WhatsApp user
    * @param {string} recipientId - The WhatsApp ID of the recipient
    * @param {string} audioUrl - URL of the audio file to send
+   * @param {Object} options - Optional settings
+   * @param {string} options.fallbackText - Text sent instead if delivery of the voice note fails
+   * @param {string} options.replyTo - ID of a message to quote, so this one is shown as a reply to it
    * @returns {Promise<Object>} - Response from WhatsApp API
    */
-  async sendVoiceMessage(recipientId, audioUrl) {
+  async sendVoiceMessage(recipientId, audioUrl, options = {}) {
     try {
       logger.info(`Sending voice message to: ${recipientId}`);
       
@@ -71,6 +109,7 @@ class WhatsAppAPIService {
         `/${this.phoneNumberId}/messages`,
         {
           messaging_product: 'whatsapp',
+          ...this.buildReplyContext(options.replyTo),
           to: recipientId,
           type: 'audio',
           audio: {
@@ -85,6 +124,12 @@ class WhatsAppAPIService {
       );
       
       logger.info(`Voice message sent successfully. Message ID: ${response.data.messages[0].id}`);
+      await deliveryStatusService.trackOutboundMessage(
+        response.data.messages[0].id,
+        recipientId,
+        'audio',
+        options.fallbackText ? { fallbackText: options.fallbackText } : {}
+      );
       return response.data;
     } catch (error) {
       logger.error('Error sending voice message:', error.response?.data || error.message);
@@ -92,15 +137,25 @@ class WhatsAppAPIService {
     }
   }
 
+  /**
+   * Build the context block that makes a message a reply to an earlier one
+   * @param {string} replyTo - ID of the message to quote (optional)
+   * @returns {Object} - { context: { message_id } }, or an empty object when not replying
+   */
+  buildReplyContext(replyTo) {
+    return replyTo ? { context: { message_id: replyTo } } : {};
+  }
+
   /**
    * Send a media message (image, document, etc.) to a WhatsApp user
    * @param {string} recipientId - The WhatsApp ID of the recipient
    * @param {string} mediaType - Type of media ('image', 'document', 'video')
    * @param {string} mediaUrl - URL of the media file
    * @param {string} caption - Optional caption for the media
+   * @param {string} filename - Optional file name shown for documents
    * @returns {Promise<Object>} - Response from WhatsApp API
    */
-  async sendMediaMessage(recipientId, mediaType, mediaUrl, caption = null) {
+  async sendMediaMessage(recipientId, mediaType, mediaUrl, caption = null, filename = null) {
     try {
       logger.info(`Sending ${mediaType} message to: ${recipientId}`);
       
@@ -118,6 +173,10 @@ class WhatsAppAPIService {
         messagePayload[mediaType].caption = caption;
       }
       
+      if (filename && mediaType === 'document') {
+        messagePayload[mediaType].filename = filename;
+      }
+      
       const response = await this.apiClient.post(
         `/${this.phoneNumberId}/messages`,
         messagePayload,
@@ -129,6 +188,7 @@ class WhatsAppAPIService {
       );
       
       logger.info(`${mediaType} message sent successfully. Message ID: ${response.data.messages[0].id}`);
+      await deliveryStatusService.trackOutboundMessage(response.data.messages[0].id, recipientId, mediaType);
       return response.data;
     } catch (error) {
       logger.error(`Error sending ${mediaType} message:`, error.response?.data || error.message);
@@ -136,6 +196,87 @@ class WhatsAppAPIService {
     }
   }
 
+  /**
+   * Send an interactive message with up to 3 reply buttons
+   * @param {string} recipientId - The WhatsApp ID of the recipient
+   * @param {string} bodyText - Message text shown above the buttons
+   * @param {Array<Object>} buttons - Buttons as { id, title } (title max 20 characters)
+   * @returns {Promise<Object>} - Response from WhatsApp API
+   */
+  async sendButtonMessage(recipientId, bodyText, buttons) {
+    return this.sendInteractiveMessage(recipientId, {
+      type: 'button',
+      body: { text: bodyText },
+      action: {
+        buttons: buttons.map(button => ({
+          type: 'reply',
+          reply: { id: button.id, title: button.title }
+        }))
+      }
+    });
+  }
+
+  /**
+   * Send an interactive list message
+   * @param {string} recipientId - The WhatsApp ID of the recipient
+   * @param {string} bodyText - Message text shown above the list button
+   * @param {string} buttonText - Label of the button that opens the list (max 20 characters)
+   * @param {Array<Object>} sections - Sections as { title, rows: [{ id, title, description }] } (max 10 rows in total)
+   * @param {string} headerText - Optional header text
+   * @returns {Promise<Object>} - Response from WhatsApp API
+   */
+  async sendListMessage(recipientId, bodyText, buttonText, sections, headerText = null) {
+    const interactive = {
+      type: 'list',
+      body: { text: bodyText },
+      action: {
+        button: buttonText,
+        sections: sections
+      }
+    };
+    
+    if (headerText) {
+      interactive.header = { type: 'text', text: headerText };
+    }
+    
+    return this.sendInteractiveMessage(recipientId, interactive);
+  }
+
+  /**
+   * Send an interactive message (buttons or list)
+   * @param {string} recipientId - The WhatsApp ID of the recipient
+   * @param {Object} interactive - The interactive object of the message payload
+   * @returns {Promise<Object>} - Response from WhatsApp API
+   */
+  async sendInteractiveMessage(recipientId, interactive) {
+    try {
+      logger.info(`Sending interactive ${interactive.type} message to: ${recipientId}`);
+      
+      const response = await this.apiClient.post(
+        `/${this.phoneNumberId}/messages`,
+        {
+          messaging_product: 'whatsapp',
+          recipient_type: 'individual',
+          to: recipientId,
+          type: 'interactive',
+          interactive: interactive
+        },
+        {
+          headers: {
+            'Authorization': `Bearer ${this.accessToken}`
+          }
+        }
+      );
+      
+      logger.info(`Interactive message sent successfully. Message ID: ${response.data.messages[0].id}`);
+      await deliveryStatusService.trackOutboundMessage(response.data.messages[0].id, recipientId, 'interactive');
+      return response.data;
+    } catch (error) {
+      logger.error('Error sending interactive message:', error.response?.data || error.message);
+      throw new Error(`WhatsApp Interactive API Error: ${error.message}`);
+    }
+  }
+
   /**
    * Download media from WhatsApp Cloud API
    * @param {string} mediaId - The ID of the media to download
@@ -269,19 +410,42 @@ class WhatsAppAPIService {
 
   /**
    * Validate webhook request signature (for security)
+   * Meta signs every webhook POST with an HMAC-SHA256 of the raw body using the app secret
+   * and sends it in the X-Hub-Signature-256 header as "sha256=<hex digest>"
    * @param {Object} req - Express request object
-   * @param {string} payload - Raw payload string
+   * @param {Buffer|string} payload - Raw request body exactly as received
    * @returns {boolean} - True if signature is valid
    */
   validateWebhookSignature(req, payload) {
-    // Note: WhatsApp Cloud API uses a different validation mechanism
-    // The webhook validation is done during setup with a verify_token
-    // This method is for validation of incoming messages
+    const appSecret = config.whatsapp.appSecret;
+    if (!appSecret) {
+      logger.error('Webhook signature cannot be verified: WhatsApp app secret is not configured');
+      return false;
+    }
+    
+    const signatureHeader = req.get('x-hub-signature-256');
+    if (!signatureHeader || !signatureHeader.startsWith('sha256=') || payload === undefined) {
+      logger.warn('Webhook request is missing its signature or raw body');
+      return false;
+    }
     
-    // In a real implementation, you would verify the webhook signature
-    // using the app secret and request payload
-    logger.info('Webhook signature validation method called');
-    return true; // Simplified for this implementation
+    const expectedSignature = crypto
+      .createHmac('sha256', appSecret)
+      .update(payload)
+      .digest();
+    const receivedSignature = Buffer.from(signatureHeader.slice('sha256='.length), 'hex');
+    
+    // timingSafeEqual throws on length mismatch, so check the length first
+    if (receivedSignature.length !== expectedSignature.length) {
+      logger.warn('Webhook signature has an invalid length');
+      return false;
+    }
+    
+    const isValid = crypto.timingSafeEqual(receivedSignature, expectedSignature);
+    if (!isValid) {
+      logger.warn('Webhook signature mismatch');
+    }
+    return isValid;
   }
 }
 
@@ -0,0 +1,209 @@
+const request = require('supertest');
+const express = require('express');
+
+// Mock config before the admin routes read it
+jest.mock('../config', () => ({
+  admin: {
+    apiKey: 'test_admin_key'
+  }
+}));
+
+// Mock the delivery status store to avoid Redis connection issues
+jest.mock('../services/delivery-status', () => ({
+  getStatusesForRecipient: jest.fn().mockResolvedValue([
+    { messageId: 'wamid.2', recipientId: 'test_user', type: 'audio', status: 'failed' },
+    { messageId: 'wamid.1', recipientId: 'test_user', type: 'text', status: 'read' }
+  ])
+}));
+
+// Mock the dead-letter store to avoid Redis connection issues
+jest.mock('../services/dead-letter', () => ({
+  list: jest.fn().mockResolvedValue([
+    { id: 'wamid.voice', jobName: 'process-audio', stage: 'transcription', status: 'failed' }
+  ]),
+  get: jest.fn().mockResolvedValue(null),
+  retry: jest.fn().mockResolvedValue(null),
+  remove: jest.fn().mockResolvedValue(false)
+}));
+
+// Mock the stored transcript and the services that send subtitles
+jest.mock('../services/message-store', () => ({
+  getLatestTranscript: jest.fn().mockResolvedValue(null)
+}));
+
+jest.mock('../services/subtitles', () => ({
+  buildFiles: jest.fn().mockResolvedValue([
+    { filename: 'subtitles-en.srt', language: 'en', format: 'srt', content: '1\n' },
+    { filename: 'subtitles-es.srt', language: 'es', format: 'srt', content: '1\n' }
+  ]),
+  sendFiles: jest.fn().mockResolvedValue()
+}));
+
+jest.mock('../services/tenants', () => ({
+  getTenant: jest.fn().mockReturnValue({ phoneNumberId: 'phone_1' })
+}));
+
+jest.mock('../services/user-preferences', () => ({
+  forTenant: jest.fn().mockReturnValue({
+    getPreferences: jest.fn().mockResolvedValue({ uiLanguage: 'es' })
+  })
+}));
+
+jest.mock('../services/localization', () => ({
+  getMessage: jest.fn().mockResolvedValue('Subtítulos')
+}));
+
+jest.mock('../services/whatsapp/whatsapp-api', () => ({
+  forTenant: jest.fn().mockReturnValue({})
+}));
+
+const adminRoutes = require('../routes/admin');
+const deliveryStatusService = require('../services/delivery-status');
+const deadLetterService = require('../services/dead-letter');
+const messageStoreService = require('../services/message-store');
+const subtitleService = require('../services/subtitles');
+const localizationService = require('../services/localization');
+
+// Create a separate app for testing to avoid server conflicts
+const testApp = express();
+testApp.use(express.json());
+testApp.use('/admin', adminRoutes);
+
+describe('Admin Route Tests', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  test('should reject requests without the admin key', async () => {
+    const response = await request(testApp).get('/admin/deliveries/test_user');
+
+    expect(response.status).toBe(401);
+    expect(deliveryStatusService.getStatusesForRecipient).not.toHaveBeenCalled();
+  });
+
+  test('should reject requests with a wrong admin key', async () => {
+    const response = await request(testApp)
+      .get('/admin/deliveries/test_user')
+      .set('Authorization', 'Bearer wrong_key');
+
+    expect(response.status).toBe(401);
+  });
+
+  test('should list delivery statuses for a recipient', async () => {
+    const response = await request(testApp)
+      .get('/admin/deliveries/test_user')
+      .query({ limit: 10 })
+      .set('Authorization', 'Bearer test_admin_key');
+
+    expect(response.status).toBe(200);
+    expect(response.body.count).toBe(2);
+    expect(response.body.deliveries[0].status).toBe('failed');
+    expect(deliveryStatusService.getStatusesForRecipient).toHaveBeenCalledWith('test_user', 10);
+  });
+});
+
+describe('Dead Letter Admin Tests', () => {
+  const auth = 'Bearer test_admin_key';
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  test('should list dead letters', async () => {
+    const response = await request(testApp).get('/admin/dead-letters').set('Authorization', auth);
+
+    expect(response.status).toBe(200);
+    expect(response.body.count).toBe(1);
+    expect(response.body.deadLetters[0].stage).toBe('transcription');
+    expect(deadLetterService.list).toHaveBeenCalledWith(50);
+  });
+
+  test('should inspect a dead letter with its payload', async () => {
+    deadLetterService.get.mockResolvedValueOnce({
+      id: 'wamid.voice',
+      message: { id: 'wamid.voice', type: 'audio', audio: { id: 'media_1' } }
+    });
+
+    const response = await request(testApp).get('/admin/dead-letters/wamid.voice').set('Authorization', auth);
+
+    expect(response.status).toBe(200);
+    expect(response.body.message.audio.id).toBe('media_1');
+  });
+
+  test('should return 404 for unknown dead letters', async () => {
+    const inspect = await request(testApp).get('/admin/dead-letters/wamid.unknown').set('Authorization', auth);
+    const retry = await request(testApp).post('/admin/dead-letters/wamid.unknown/retry').set('Authorization', auth);
+    const discard = await request(testApp).delete('/admin/dead-letters/wamid.unknown').set('Authorization', auth);
+
+    expect([inspect.status, retry.status, discard.status]).toEqual([404, 404, 404]);
+  });
+
+  test('should queue a retry', async () => {
+    deadLetterService.retry.mockResolvedValueOnce({ deadLetter: { id: 'wamid.voice', retryCount: 1 }, job: { id: 'job_7' } });
+
+    const response = await request(testApp).post('/admin/dead-letters/wamid.voice/retry').set('Authorization', auth);
+
+    expect(response.status).toBe(202);
+    expect(response.body).toEqual({ id: 'wamid.voice', jobId: 'job_7', retryCount: 1 });
+  });
+
+  test('should discard a dead letter', async () => {
+    deadLetterService.remove.mockResolvedValueOnce(true);
+
+    const response = await request(testApp).delete('/admin/dead-letters/wamid.voice').set('Authorization', auth);
+
+    expect(response.status).toBe(204);
+    expect(deadLetterService.remove).toHaveBeenCalledWith('wamid.voice');
+  });
+
+  test('should require the admin key', async () => {
+    const response = await request(testApp).post('/admin/dead-letters/wamid.voice/retry');
+
+    expect(response.status).toBe(401);
+    expect(deadLetterService.retry).not.toHaveBeenCalled();
+  });
+});
+
+describe('Subtitle Admin Tests', () => {
+  const auth = 'Bearer test_admin_key';
+  const transcript = { language: 'en', targetLanguages: ['es'], words: [{ word: 'Hello', startTime: 0, endTime: 0.5 }], phoneNumberId: 'phone_1' };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  test('should send the subtitles of the latest voice note', async () => {
+    messageStoreService.getLatestTranscript.mockResolvedValueOnce(transcript);
+
+    const response = await request(testApp)
+      .post('/admin/subtitles/test_user')
+      .set('Authorization', auth)
+      .send({ formats: ['srt'] });
+
+    expect(response.status).toBe(200);
+    expect(response.body.files.map(file => file.filename)).toEqual(['subtitles-en.srt', 'subtitles-es.srt']);
+    expect(subtitleService.buildFiles).toHaveBeenCalledWith(transcript, ['srt']);
+
+    // Captions are written in the user's language
+    const localize = subtitleService.sendFiles.mock.calls[0][3];
+    await localize('subtitlesCaption', { language: 'ES', format: 'SRT' });
+    expect(localizationService.getMessage).toHaveBeenCalledWith('subtitlesCaption', 'es', { language: 'ES', format: 'SRT' });
+  });
+
+  test('should return 404 without a recent voice note', async () => {
+    const response = await request(testApp).post('/admin/subtitles/test_user').set('Authorization', auth);
+
+    expect(response.status).toBe(404);
+    expect(subtitleService.sendFiles).not.toHaveBeenCalled();
+  });
+
+  test('should reject unknown formats', async () => {
+    const response = await request(testApp)
+      .post('/admin/subtitles/test_user')
+      .set('Authorization', auth)
+      .send({ formats: ['ass'] });
+
+    expect(response.status).toBe(400);
+    expect(messageStoreService.getLatestTranscript).not.toHaveBeenCalled();
+  });
+});
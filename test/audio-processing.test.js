@@ -32,7 +32,8 @@ jest.mock('../services/google/text-to-speech', () => ({
   synthesizeText: jest.fn().mockResolvedValue({
     audioContent: Buffer.from('mock audio data'),
     processingTime: 50
-  })
+  }),
+  listVoices: jest.fn().mockResolvedValue([])
 }));
 
 describe('Audio Processing Pipeline Tests', () => {
@@ -88,10 +89,124 @@ describe('Audio Processing Pipeline Tests', () => {
     expect(results).toHaveLength(2);
     expect(speechToTextService.transcribeAudio).toHaveBeenCalledWith(
       mockAudioBuffer,
-      'en-US'  // Should convert 'en' to 'en-US'
+      'en-US',  // Should convert 'en' to 'en-US'
+      [],
+      { separateSpeakers: false, phraseHints: [] }
+    );
+  });
+
+  test('should pass the vocabulary to speech recognition as phrase hints', async () => {
+    const phraseHints = [{ phrase: 'Kubernetes', boost: 15 }];
+
+    await audioProcessingPipeline.processAudioTranslationMulti(mockAudioBuffer, ['es'], 'en', {}, [], false, phraseHints);
+
+    expect(speechToTextService.transcribeAudio).toHaveBeenCalledWith(
+      mockAudioBuffer,
+      'en-US',
+      [],
+      { separateSpeakers: false, phraseHints: phraseHints }
     );
   });
 
+  test('should stop after transcribing when onTranscribed resolves to false', async () => {
+    const onTranscribed = jest.fn().mockResolvedValue(false);
+
+    const results = await audioProcessingPipeline.processAudioTranslationMulti(mockAudioBuffer, ['es'], 'en', {}, [], false, [], onTranscribed);
+
+    expect(results).toBeNull();
+    expect(onTranscribed).toHaveBeenCalledWith(expect.objectContaining({ sourceLanguage: 'en' }));
+    expect(translationService.translateText).not.toHaveBeenCalled();
+    expect(textToSpeechService.synthesizeText).not.toHaveBeenCalled();
+  });
+
+  test('should translate a confirmed transcript like the voice note it stands for', async () => {
+    const results = await audioProcessingPipeline.processTextTranslationMulti('Hello world', ['es', 'fr'], 'en', { speakingRate: 1.2 });
+
+    expect(speechToTextService.transcribeAudio).not.toHaveBeenCalled();
+    expect(translationService.translateText).toHaveBeenCalledWith('Hello world', 'es', 'en');
+    expect(translationService.translateText).toHaveBeenCalledWith('Hello world', 'fr', 'en');
+    expect(textToSpeechService.synthesizeText).toHaveBeenCalledWith(expect.any(String), 'es-ES', null, 1.2, 'NEUTRAL');
+    expect(results.map(result => result.translation.targetLanguage)).toEqual(['es', 'fr']);
+    expect(results[0].transcription).toEqual({ text: 'Hello world', language: 'en' });
+  });
+
+  test('should only try the candidate languages when detecting the source language', async () => {
+    speechToTextService.transcribeWithLanguageDetection.mockResolvedValueOnce({
+      transcription: 'Hola mundo',
+      detectedLanguage: 'es-ES',
+      languageCode: 'es-ES',
+      confidence: 0.9
+    });
+
+    const results = await audioProcessingPipeline.processAudioTranslationMulti(mockAudioBuffer, ['en'], null, {}, ['es', 'pt']);
+
+    expect(speechToTextService.transcribeWithLanguageDetection).toHaveBeenCalledWith(mockAudioBuffer, ['es-ES', 'pt-BR'], { separateSpeakers: false, phraseHints: [] });
+    expect(translationService.translateText).toHaveBeenCalledWith('Hola mundo', 'en', 'es');
+    expect(results[0].transcription.language).toBe('es');
+  });
+
+  test('should translate each speaker\'s turns separately', async () => {
+    speechToTextService.transcribeWithLanguageDetection.mockResolvedValueOnce({
+      transcription: 'Hello there. Hi, how are you?',
+      detectedLanguage: 'en-US',
+      languageCode: 'en-US',
+      confidence: 0.9,
+      speakerTurns: [{ speaker: 1, text: 'Hello there.' }, { speaker: 2, text: 'Hi, how are you?' }]
+    });
+    translationService.translateText
+      .mockResolvedValueOnce({ translatedText: 'Hola.' })
+      .mockResolvedValueOnce({ translatedText: 'Hola, ¿cómo estás?' });
+
+    const results = await audioProcessingPipeline.processAudioTranslationMulti(mockAudioBuffer, ['es'], null, {}, [], true);
+
+    expect(speechToTextService.transcribeWithLanguageDetection).toHaveBeenCalledWith(mockAudioBuffer, null, { separateSpeakers: true, phraseHints: [] });
+    expect(translationService.translateText).toHaveBeenCalledWith('Hello there.', 'es', 'en');
+    expect(translationService.translateText).toHaveBeenCalledWith('Hi, how are you?', 'es', 'en');
+    expect(results[0].speakerTurns).toEqual([
+      { speaker: 1, text: 'Hello there.', translatedText: 'Hola.' },
+      { speaker: 2, text: 'Hi, how are you?', translatedText: 'Hola, ¿cómo estás?' }
+    ]);
+    expect(textToSpeechService.synthesizeText).toHaveBeenCalledTimes(1);
+    expect(textToSpeechService.synthesizeText).toHaveBeenCalledWith('Hola.\nHola, ¿cómo estás?', 'es-ES', null, 1.0, 'NEUTRAL');
+  });
+
+  test('should give each speaker a distinct voice when asked to', async () => {
+    speechToTextService.transcribeWithLanguageDetection.mockResolvedValueOnce({
+      transcription: 'Hello there. Hi!',
+      detectedLanguage: 'en-US',
+      languageCode: 'en-US',
+      confidence: 0.9,
+      speakerTurns: [{ speaker: 1, text: 'Hello there.' }, { speaker: 2, text: 'Hi!' }, { speaker: 1, text: 'Bye.' }]
+    });
+    textToSpeechService.listVoices.mockResolvedValueOnce([
+      { name: 'es-ES-Wavenet-C', ssmlGender: 'FEMALE' },
+      { name: 'es-ES-Wavenet-B', ssmlGender: 'MALE' },
+      { name: 'es-ES-Wavenet-A', ssmlGender: 'FEMALE' }
+    ]);
+
+    const results = await audioProcessingPipeline.processAudioTranslationMulti(mockAudioBuffer, ['es'], null, {
+      voiceNames: {},
+      ssmlGender: 'FEMALE',
+      speakingRate: 1.0,
+      voicePerSpeaker: true
+    }, [], true);
+
+    const voices = textToSpeechService.synthesizeText.mock.calls.map(call => call[2]);
+    expect(voices).toEqual(['es-ES-Wavenet-A', 'es-ES-Wavenet-B', 'es-ES-Wavenet-A']);
+    expect(results[0].tts.audioContent).toEqual(Buffer.from('mock audio datamock audio datamock audio data'));
+  });
+
+  test('should synthesize replies with the user\'s voice settings', async () => {
+    await audioProcessingPipeline.processAudioTranslationMulti(mockAudioBuffer, ['es', 'fr'], null, {
+      voiceNames: { es: 'es-ES-Wavenet-B' },
+      ssmlGender: 'FEMALE',
+      speakingRate: 1.25
+    });
+
+    expect(textToSpeechService.synthesizeText).toHaveBeenCalledWith('Hola mundo', 'es-ES', 'es-ES-Wavenet-B', 1.25, 'FEMALE');
+    expect(textToSpeechService.synthesizeText).toHaveBeenCalledWith('Hola mundo', 'fr-FR', null, 1.25, 'FEMALE');
+  });
+
   test('should handle errors gracefully in multi-language processing', async () => {
     // Mock an error in the translation service
     translationService.translateText.mockRejectedValueOnce(new Error('Translation API error'));
@@ -109,4 +224,236 @@ describe('Audio Processing Pipeline Tests', () => {
     const bcp47Result = audioProcessingPipeline.convertToBCP47('es');
     expect(bcp47Result).toBe('es-ES');
   });
-});
\ No newline at end of file
+});
+describe('Long Audio Pipeline Tests', () => {
+  const AudioProcessor = require('../utils/helpers/audio-processing');
+  const mockAudioBuffer = Buffer.from('mock long audio data');
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(AudioProcessor, 'splitAtSilences').mockResolvedValue([
+      { start: 0, end: 42.5, audio: Buffer.from('chunk 1') },
+      { start: 42.5, end: 80, audio: Buffer.from('chunk 2') }
+    ]);
+  });
+
+  afterEach(() => {
+    AudioProcessor.splitAtSilences.mockRestore();
+  });
+
+  test('should deliver the first chunk while later chunks are still transcribed', async () => {
+    let finishSecondChunk;
+    speechToTextService.transcribeAudio
+      .mockResolvedValueOnce({
+        transcription: 'Hello everyone.',
+        languageCode: 'en-US',
+        confidence: 0.9,
+        words: [{ word: 'Hello', startTime: 0.5, endTime: 1 }, { word: 'everyone.', startTime: 1, endTime: 1.6 }]
+      })
+      .mockReturnValueOnce(new Promise(resolve => {
+        finishSecondChunk = resolve;
+      }));
+    translationService.translateText
+      .mockResolvedValueOnce({ originalText: 'Hello everyone.', translatedText: 'Hola a todos.', sourceLanguage: 'en' })
+      .mockResolvedValueOnce({ originalText: 'See you soon.', translatedText: 'Hasta pronto.', sourceLanguage: 'en' });
+
+    let firstChunkDelivered;
+    const delivered = new Promise(resolve => {
+      firstChunkDelivered = resolve;
+    });
+    const onChunkTranslated = jest.fn().mockImplementation(() => firstChunkDelivered());
+
+    const pipeline = audioProcessingPipeline.processLongAudioTranslationMulti(
+      mockAudioBuffer, ['es'], 'en', {}, [], [{ phrase: 'Acme', boost: 10 }], onChunkTranslated
+    );
+    await delivered;
+
+    // Both chunks were sent for recognition at once, and the first was delivered before the second finished
+    expect(speechToTextService.transcribeAudio).toHaveBeenCalledTimes(2);
+    expect(speechToTextService.transcribeAudio).toHaveBeenCalledWith(
+      Buffer.from('chunk 2'), 'en-US', [], { separateSpeakers: false, phraseHints: [{ phrase: 'Acme', boost: 10 }] }
+    );
+    expect(onChunkTranslated).toHaveBeenCalledTimes(1);
+    expect(onChunkTranslated.mock.calls[0][0][0].translation.translatedText).toBe('Hola a todos.');
+    expect(onChunkTranslated.mock.calls[0].slice(1)).toEqual([0, 2]);
+
+    finishSecondChunk({
+      transcription: 'See you soon.',
+      languageCode: 'en-US',
+      confidence: 0.7,
+      words: [{ word: 'See', startTime: 0.2, endTime: 0.5 }]
+    });
+    const results = await pipeline;
+
+    expect(onChunkTranslated.mock.calls[1].slice(1)).toEqual([1, 2]);
+    expect(results).toHaveLength(1);
+    expect(results[0].transcription.text).toBe('Hello everyone. See you soon.');
+    expect(results[0].transcription.confidence).toBeCloseTo(0.8);
+    expect(results[0].translation.translatedText).toBe('Hola a todos. Hasta pronto.');
+    // Word timings are moved to the chunk's place in the audio
+    expect(results[0].transcription.words.map(word => word.startTime)).toEqual([0.5, 1, 42.7]);
+  });
+
+  test('should leave chunks untranslated when onChunkTranscribed resolves to false', async () => {
+    speechToTextService.transcribeAudio
+      .mockResolvedValueOnce({ transcription: 'Hello everyone.', languageCode: 'en-US', confidence: 0.9 })
+      .mockResolvedValueOnce({ transcription: 'See you wound.', languageCode: 'en-US', confidence: 0.3 });
+    translationService.translateText.mockResolvedValueOnce({ originalText: 'Hello everyone.', translatedText: 'Hola a todos.', sourceLanguage: 'en' });
+    const onChunkTranslated = jest.fn();
+    const onChunkTranscribed = jest.fn().mockImplementation(async (transcriptionResult) => transcriptionResult.confidence > 0.5);
+
+    const results = await audioProcessingPipeline.processLongAudioTranslationMulti(
+      mockAudioBuffer, ['es'], 'en', {}, [], [], onChunkTranslated, onChunkTranscribed
+    );
+
+    expect(onChunkTranscribed.mock.calls.map(call => call.slice(1))).toEqual([[0, 2], [1, 2]]);
+    expect(translationService.translateText).toHaveBeenCalledTimes(1);
+    expect(onChunkTranslated).toHaveBeenCalledTimes(1);
+    // The transcription still covers the whole audio
+    expect(results[0].transcription.text).toBe('Hello everyone. See you wound.');
+    expect(results[0].translation.translatedText).toBe('Hola a todos.');
+  });
+
+  test('should report chunks that fail to transcribe', async () => {
+    speechToTextService.transcribeAudio
+      .mockResolvedValueOnce({ transcription: 'Hello everyone.', languageCode: 'en-US', confidence: 0.9 })
+      .mockRejectedValueOnce(new Error('STT Service Error: quota exceeded'));
+
+    await expect(audioProcessingPipeline.processLongAudioTranslationMulti(mockAudioBuffer, ['es'], 'en'))
+      .rejects.toThrow('quota exceeded');
+  });
+});
+
+describe('Audio Chunking Tests', () => {
+  const AudioProcessor = require('../utils/helpers/audio-processing');
+
+  test('should read silences from the silencedetect log', () => {
+    const silences = AudioProcessor.parseSilences([
+      'size=N/A time=00:00:10.00 bitrate=N/A',
+      '[silencedetect @ 0x5581] silence_start: 12.34',
+      '[silencedetect @ 0x5581] silence_end: 13.5 | silence_duration: 1.16',
+      '[silencedetect @ 0x5581] silence_start: -0.01',
+      '[silencedetect @ 0x5581] silence_start: 95.2'
+    ]);
+
+    expect(silences).toEqual([{ start: 12.34, end: 13.5 }, { start: 0 }, { start: 95.2 }]);
+  });
+
+  test('should split in the middle of the last pause before a chunk gets too long', () => {
+    const silences = [
+      { start: 5, end: 6 }, // Too early for a chunk
+      { start: 30, end: 31 },
+      { start: 44, end: 45 },
+      { start: 70, end: 72 }
+    ];
+
+    expect(AudioProcessor.planChunks(100, silences)).toEqual([
+      { start: 0, end: 44.5 },
+      { start: 44.5, end: 71 },
+      { start: 71, end: 100 }
+    ]);
+  });
+
+  test('should cut audio without pauses at the longest chunk', () => {
+    expect(AudioProcessor.planChunks(120, [])).toEqual([
+      { start: 0, end: 50 },
+      { start: 50, end: 100 },
+      { start: 100, end: 120 }
+    ]);
+  });
+
+  test('should keep short audio in one chunk without running ffmpeg', async () => {
+    const audio = Buffer.alloc(20000); // Estimated at 10 seconds
+
+    expect(await AudioProcessor.splitAtSilences(audio)).toEqual([{ start: 0, end: 10, audio: audio }]);
+  });
+});
+
+describe('Audio Duration Estimate Tests', () => {
+  const AudioProcessor = require('../utils/helpers/audio-processing');
+
+  // Minimal OGG page: capture pattern, version, header type, then the 64-bit granule position
+  const buildOggPage = (granulePosition, body) => {
+    const header = Buffer.alloc(27);
+    header.write('OggS', 0);
+    header.writeBigInt64LE(BigInt(granulePosition), 6);
+    return Buffer.concat([header, body]);
+  };
+
+  test('should read the duration of an Opus voice note from its last page', () => {
+    const opusHead = Buffer.alloc(19);
+    opusHead.write('OpusHead', 0);
+    opusHead.writeUInt16LE(312, 10); // Pre-skip
+
+    const voiceNote = Buffer.concat([
+      buildOggPage(0, opusHead),
+      buildOggPage(48000 * 2 + 312, Buffer.from('audio')),
+      buildOggPage(48000 * 7.5 + 312, Buffer.from('audio'))
+    ]);
+
+    expect(AudioProcessor.estimateDuration(voiceNote)).toBe(7.5);
+  });
+
+  test('should fall back to a bitrate estimate for other formats', () => {
+    expect(AudioProcessor.estimateDuration(Buffer.alloc(20000))).toBe(10);
+  });
+});
+
+describe('Video Audio Extraction Tests', () => {
+  const { PassThrough } = require('stream');
+
+  // Stands in for fluent-ffmpeg, failing the way ffmpeg does for a video without an audio track
+  const loadWithFailingFfmpeg = (message) => {
+    let AudioProcessor;
+    jest.isolateModules(() => {
+      jest.doMock('fluent-ffmpeg', () => {
+        const ffmpeg = jest.fn(() => {
+          const handlers = {};
+          const command = {
+            noVideo: () => command,
+            audioCodec: () => command,
+            audioChannels: () => command,
+            audioFrequency: () => command,
+            format: () => command,
+            on: (event, handler) => {
+              handlers[event] = handler;
+              return command;
+            },
+            pipe: () => {
+              const output = new PassThrough();
+              setImmediate(() => {
+                handlers.error(new Error(message));
+                output.end();
+              });
+              return output;
+            }
+          };
+          return command;
+        });
+        ffmpeg.setFfmpegPath = jest.fn();
+        return ffmpeg;
+      });
+      AudioProcessor = require('../utils/helpers/audio-processing');
+    });
+    return AudioProcessor;
+  };
+
+  afterEach(() => {
+    jest.dontMock('fluent-ffmpeg');
+  });
+
+  test('should return an empty buffer for a video without an audio track', async () => {
+    const AudioProcessor = loadWithFailingFfmpeg('ffmpeg exited with code 1: Output file #0 does not contain any stream');
+
+    const audioBuffer = await AudioProcessor.extractAudioTrack(Buffer.from('video without audio'));
+
+    expect(audioBuffer).toEqual(Buffer.alloc(0));
+  });
+
+  test('should still fail on other ffmpeg errors', async () => {
+    const AudioProcessor = loadWithFailingFfmpeg('ffmpeg exited with code 1: Invalid data found when processing input');
+
+    await expect(AudioProcessor.extractAudioTrack(Buffer.from('broken video')))
+      .rejects.toThrow('FFmpeg audio extraction error: ffmpeg exited with code 1: Invalid data found');
+  });
+});
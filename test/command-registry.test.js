@@ -0,0 +1,499 @@
+// Mock the voices offered by Text-to-Speech
+jest.mock('../services/google/text-to-speech', () => ({
+  listVoices: jest.fn().mockImplementation((language) => Promise.resolve({
+    es: [
+      { name: 'es-ES-Wavenet-B', ssmlGender: 'MALE', languageCodes: ['es-ES'] },
+      { name: 'es-ES-Neural2-A', ssmlGender: 'FEMALE', languageCodes: ['es-ES'] }
+    ],
+    fr: [
+      { name: 'fr-FR-Wavenet-A', ssmlGender: 'FEMALE', languageCodes: ['fr-FR'] }
+    ]
+  }[language] || []))
+}));
+
+// Mock the stored transcript and subtitle files used by !subtitles
+jest.mock('../services/message-store', () => ({
+  getLatestTranscript: jest.fn().mockResolvedValue(null)
+}));
+jest.mock('../services/subtitles', () => ({
+  buildFiles: jest.fn().mockResolvedValue([]),
+  sendFiles: jest.fn().mockResolvedValue()
+}));
+
+// Mock the Redis cache of the language resolver to avoid Redis connection issues
+jest.mock('ioredis', () => {
+  return jest.fn().mockImplementation(() => ({
+    get: jest.fn().mockResolvedValue(null),
+    set: jest.fn().mockResolvedValue('OK'),
+    on: jest.fn()
+  }));
+});
+
+// Mock the languages offered by the Translation API
+jest.mock('../services/google/translation', () => ({
+  getSupportedLanguages: jest.fn().mockResolvedValue([
+    { code: 'en', name: 'English' },
+    { code: 'es', name: 'Spanish' },
+    { code: 'fr', name: 'French' },
+    { code: 'de', name: 'German' },
+    { code: 'zh-CN', name: 'Chinese (Simplified)' },
+    { code: 'zh-TW', name: 'Chinese (Traditional)' }
+  ])
+}));
+
+const commandRegistry = require('../utils/commands');
+const { CommandRegistry } = require('../utils/commands');
+const UiMessages = require('../utils/i18n');
+
+describe('Command Registry Tests', () => {
+  let registry;
+  let handler;
+
+  beforeEach(() => {
+    handler = jest.fn().mockResolvedValue();
+    registry = new CommandRegistry();
+    registry.register({
+      name: 'greet',
+      aliases: ['hi'],
+      description: 'Greet someone',
+      usage: '!greet <lang> [<style>]',
+      example: '!greet es formal',
+      args: [
+        { name: 'lang', type: 'language', required: true },
+        { name: 'style', type: 'choice', choices: ['formal', 'casual'] }
+      ],
+      menuAction: 'greet',
+      handler: handler
+    });
+  });
+
+  const buildInvocation = () => ({ recipientId: 'user_1', reply: jest.fn().mockResolvedValue() });
+
+  test('should run commands by name and alias with parsed arguments', async () => {
+    const invocation = buildInvocation();
+
+    await registry.execute('!greet ES Formal', invocation);
+    await registry.execute('!HI fr', invocation);
+
+    expect(handler).toHaveBeenNthCalledWith(1, expect.objectContaining({
+      recipientId: 'user_1',
+      args: { lang: 'es', style: 'formal' },
+      source: 'text',
+      registry: registry
+    }));
+    expect(handler).toHaveBeenNthCalledWith(2, expect.objectContaining({ args: { lang: 'fr' } }));
+  });
+
+  test('should reply with usage instead of running the handler for invalid arguments', async () => {
+    const invocation = buildInvocation();
+
+    await registry.execute('!greet', invocation);
+    await registry.execute('!greet klingon', invocation);
+    await registry.execute('!greet es loud', invocation);
+    await registry.execute('!greet es formal extra', invocation);
+    await registry.execute('!greet spansh', invocation);
+
+    expect(handler).not.toHaveBeenCalled();
+    const replies = invocation.reply.mock.calls.map(([text]) => text);
+    expect(replies[0]).toBe('Missing <lang>.\n\nUsage: !greet <lang> [<style>] (e.g., !greet es formal)');
+    expect(replies[1]).toContain('Unknown language "klingon". Send !languages to see the supported languages.');
+    expect(replies[2]).toContain('Invalid style "loud". Use: formal, casual.');
+    expect(replies[3]).toContain('Too many arguments.');
+    expect(replies[4]).toContain('Unknown language "spansh". Did you mean Spanish (es)?');
+  });
+
+  test('should resolve language names and regional tags to supported codes', async () => {
+    const invocation = buildInvocation();
+
+    await registry.execute('!greet Español', invocation);
+    await registry.execute('!greet zh-tw', invocation);
+    await registry.execute('!greet fr-CA', invocation);
+
+    expect(handler.mock.calls.map(([call]) => call.args.lang)).toEqual(['es', 'zh-TW', 'fr']);
+  });
+
+  test('should localize replies through the invocation', async () => {
+    const invocation = {
+      ...buildInvocation(),
+      localize: jest.fn(async (key, params) => UiMessages.getMessage(key, 'es', params))
+    };
+
+    await registry.execute('!greet', invocation);
+
+    expect(invocation.reply).toHaveBeenCalledWith('Falta <lang>.\n\nUso: !greet <lang> [<style>] (p. ej., !greet es formal)');
+  });
+
+  test('should point unknown commands to !help', async () => {
+    const invocation = buildInvocation();
+
+    await registry.execute('!nope', invocation);
+
+    expect(invocation.reply).toHaveBeenCalledWith('Unknown command: !nope. Send !help for available commands.');
+  });
+
+  test('should find the command for a menu action', () => {
+    expect(registry.getByMenuAction('greet').name).toBe('greet');
+    expect(registry.getByMenuAction('unknown')).toBeNull();
+  });
+
+  test('should reject invalid and duplicate registrations', () => {
+    expect(() => registry.register({ name: 'broken' })).toThrow('Command Registry Error');
+    expect(() => registry.register({ name: 'hi', usage: '!hi', handler: jest.fn() })).toThrow('!hi is already registered');
+    expect(() => registry.register({
+      name: 'typed', usage: '!typed', args: [{ name: 'x', type: 'number' }], handler: jest.fn()
+    })).toThrow('unknown argument type');
+  });
+
+  test('should generate help from the registered commands', async () => {
+    expect(await registry.formatHelp()).toContain('!greet <lang> [<style>] - Greet someone');
+    expect(await registry.formatCommandHelp(registry.get('greet'))).toBe(
+      '!greet <lang> [<style>]\nGreet someone\nAliases: !hi\n<style>: formal, casual\nExample: !greet es formal'
+    );
+  });
+});
+
+describe('Built-in Command Tests', () => {
+  const buildInvocation = (prefs = {}) => {
+    const whatsappService = {
+      sendTextMessage: jest.fn().mockResolvedValue({}),
+      sendButtonMessage: jest.fn().mockResolvedValue({}),
+      sendListMessage: jest.fn().mockResolvedValue({})
+    };
+    return {
+      recipientId: 'user_1',
+      tenant: { brandingText: 'Acme Translate' },
+      whatsappService: whatsappService,
+      preferencesService: {
+        getPreferences: jest.fn().mockResolvedValue({ sourceLanguage: 'auto', targetLanguages: 'es,fr', responseMode: 'text', ...prefs }),
+        setTargetLanguages: jest.fn().mockResolvedValue(true),
+        setSourceLanguage: jest.fn().mockResolvedValue(true),
+        setResponseMode: jest.fn().mockResolvedValue(true),
+        setQuoteReplies: jest.fn().mockResolvedValue(true),
+        setVoice: jest.fn().mockResolvedValue(true),
+        setVoiceGender: jest.fn().mockResolvedValue(true),
+        setSpeakingRate: jest.fn().mockResolvedValue(true),
+        resetVoice: jest.fn().mockResolvedValue(true),
+        setUiLanguage: jest.fn().mockResolvedValue(true),
+        setCandidateLanguages: jest.fn().mockResolvedValue(true),
+        setSpeakerMode: jest.fn().mockResolvedValue(true),
+        getVocabulary: jest.fn().mockResolvedValue([]),
+        addVocabularyPhrase: jest.fn().mockResolvedValue(true),
+        removeVocabularyPhrase: jest.fn().mockResolvedValue(true)
+      },
+      reply: (text) => whatsappService.sendTextMessage('user_1', text)
+    };
+  };
+
+  test('should list every built-in command in !help', async () => {
+    const invocation = buildInvocation();
+
+    await commandRegistry.execute('!help', invocation);
+
+    const helpText = invocation.whatsappService.sendTextMessage.mock.calls[0][1];
+    expect(helpText.startsWith('Acme Translate\n\nAvailable commands:')).toBe(true);
+    for (const command of commandRegistry.getCommands()) {
+      expect(helpText).toContain(command.usage);
+    }
+    expect(invocation.whatsappService.sendButtonMessage).toHaveBeenCalled();
+  });
+
+  test('should explain a single command with !help <command>', async () => {
+    const invocation = buildInvocation();
+
+    await commandRegistry.execute('!help !language', invocation);
+
+    expect(invocation.whatsappService.sendTextMessage).toHaveBeenCalledWith(
+      'user_1',
+      expect.stringContaining('!lang <lang> [<lang> ...]\nSet target languages\nAliases: !language')
+    );
+    expect(invocation.whatsappService.sendButtonMessage).not.toHaveBeenCalled();
+  });
+
+  test('should show current settings when !lang has no arguments', async () => {
+    const invocation = buildInvocation();
+
+    await commandRegistry.execute('!lang', invocation);
+
+    expect(invocation.whatsappService.sendTextMessage).toHaveBeenCalledWith(
+      'user_1',
+      expect.stringContaining('Targets: es, fr')
+    );
+    expect(invocation.preferencesService.setTargetLanguages).not.toHaveBeenCalled();
+  });
+
+  test('should toggle target languages with !target', async () => {
+    const invocation = buildInvocation();
+
+    await commandRegistry.execute('!target de', invocation);
+
+    expect(invocation.preferencesService.setTargetLanguages).toHaveBeenCalledWith('user_1', ['es', 'fr', 'de']);
+  });
+
+  test('should keep at least one target language', async () => {
+    const invocation = buildInvocation({ targetLanguages: 'es' });
+
+    await commandRegistry.execute('!target es', invocation);
+
+    expect(invocation.preferencesService.setTargetLanguages).not.toHaveBeenCalled();
+    expect(invocation.whatsappService.sendTextMessage).toHaveBeenCalledWith('user_1', 'You need at least one target language.');
+  });
+
+  test('should accept auto as a source language', async () => {
+    const invocation = buildInvocation();
+
+    await commandRegistry.execute('!source auto', invocation);
+
+    expect(invocation.preferencesService.setSourceLanguage).toHaveBeenCalledWith('user_1', 'auto');
+  });
+
+  test('should open settings sub-menus with !settings', async () => {
+    const invocation = buildInvocation();
+
+    await commandRegistry.execute('!settings response', invocation);
+
+    expect(invocation.whatsappService.sendButtonMessage).toHaveBeenCalledWith(
+      'user_1',
+      expect.stringContaining('Current reply format: text'),
+      expect.any(Array)
+    );
+  });
+
+  test('should send the settings menus in the user\'s interface language', async () => {
+    const invocation = buildInvocation();
+    invocation.localize = async (key, params) => UiMessages.getMessage(key, 'es', params);
+
+    await commandRegistry.execute('!settings', invocation);
+    await commandRegistry.execute('!settings targets', invocation);
+
+    expect(invocation.whatsappService.sendButtonMessage).toHaveBeenCalledWith('user_1', 'Toca un ajuste para cambiarlo.', [
+      { id: 'menu:targets', title: 'Traducir a' },
+      { id: 'menu:source', title: 'Idioma hablado' },
+      { id: 'menu:response', title: 'Formato de respuesta' }
+    ]);
+    expect(invocation.whatsappService.sendListMessage).toHaveBeenCalledWith(
+      'user_1',
+      'Idiomas de destino actuales: es, fr\nToca un idioma para añadirlo o quitarlo.',
+      'Elegir idioma',
+      [{
+        title: 'Traducir a',
+        rows: expect.arrayContaining([
+          { id: 'target:es', title: 'Español', description: 'Seleccionado - toca para quitar' },
+          { id: 'target:de', title: 'Deutsch', description: 'Toca para añadir' }
+        ])
+      }]
+    );
+  });
+
+  test('should report settings that could not be saved', async () => {
+    const invocation = buildInvocation();
+    invocation.preferencesService.setResponseMode.mockResolvedValueOnce(false);
+
+    await commandRegistry.execute('!response voice', invocation);
+
+    expect(invocation.whatsappService.sendTextMessage).toHaveBeenCalledWith(
+      'user_1',
+      'Error setting response mode. Please try again.'
+    );
+  });
+
+  test('should list the voices of each target language with !voice', async () => {
+    const invocation = buildInvocation({ voiceNames: '{"fr":"fr-FR-Wavenet-A"}', speakingRate: '1.25' });
+
+    await commandRegistry.execute('!voice', invocation);
+
+    const text = invocation.whatsappService.sendTextMessage.mock.calls[0][1];
+    expect(text).toContain('Voice settings: neutral voices, speaking rate 1.25');
+    expect(text).toContain('ES voice: default\nes-ES-Neural2-A (female)\nes-ES-Wavenet-B (male)');
+    expect(text).toContain('FR voice: fr-FR-Wavenet-A');
+  });
+
+  test('should pick a voice for the target language it speaks', async () => {
+    const invocation = buildInvocation();
+
+    await commandRegistry.execute('!voice ES-ES-WAVENET-B', invocation);
+
+    expect(invocation.preferencesService.setVoice).toHaveBeenCalledWith('user_1', 'es', 'es-ES-Wavenet-B');
+    expect(invocation.whatsappService.sendTextMessage).toHaveBeenCalledWith('user_1', 'ES voice set to: es-ES-Wavenet-B');
+  });
+
+  test('should reject voices of other languages', async () => {
+    const invocation = buildInvocation();
+
+    await commandRegistry.execute('!voice de-DE-Wavenet-A', invocation);
+
+    expect(invocation.preferencesService.setVoice).not.toHaveBeenCalled();
+    expect(invocation.whatsappService.sendTextMessage).toHaveBeenCalledWith(
+      'user_1',
+      expect.stringContaining('Unknown voice: de-DE-Wavenet-A')
+    );
+  });
+
+  test('should set the voice gender, speaking rate and reset with !voice', async () => {
+    const invocation = buildInvocation();
+
+    await commandRegistry.execute('!voice female', invocation);
+    await commandRegistry.execute('!voice rate 0.8', invocation);
+    await commandRegistry.execute('!voice rate fast', invocation);
+    await commandRegistry.execute('!voice reset', invocation);
+
+    expect(invocation.preferencesService.setVoiceGender).toHaveBeenCalledWith('user_1', 'FEMALE');
+    expect(invocation.preferencesService.setSpeakingRate).toHaveBeenCalledTimes(1);
+    expect(invocation.preferencesService.setSpeakingRate).toHaveBeenCalledWith('user_1', 0.8);
+    expect(invocation.preferencesService.resetVoice).toHaveBeenCalledWith('user_1');
+    expect(invocation.whatsappService.sendTextMessage).toHaveBeenCalledWith(
+      'user_1',
+      'Please give a speaking rate between 0.25 and 4.0. Example: !voice rate 1.25'
+    );
+  });
+
+  test('should set the interface language with !uilang', async () => {
+    const invocation = buildInvocation({ sourceLanguage: 'fr' });
+
+    await commandRegistry.execute('!uilang', invocation);
+    await commandRegistry.execute('!uilang de', invocation);
+    await commandRegistry.execute('!uilang auto', invocation);
+
+    const replies = invocation.whatsappService.sendTextMessage.mock.calls.map(([, text]) => text);
+    expect(replies[0]).toContain('Bot messages are in: fr');
+    expect(invocation.preferencesService.setUiLanguage).toHaveBeenNthCalledWith(1, 'user_1', 'de');
+    expect(invocation.preferencesService.setUiLanguage).toHaveBeenNthCalledWith(2, 'user_1', 'auto');
+    expect(replies[2]).toBe('Bot messages will now follow your source language.');
+  });
+
+  test('should narrow source language detection with !candidates', async () => {
+    const invocation = buildInvocation({ candidateLanguages: 'en,de' });
+
+    await commandRegistry.execute('!candidates', invocation);
+    await commandRegistry.execute('!candidates english spanish', invocation);
+    await commandRegistry.execute('!candidates en es fr de zh-TW', invocation);
+    await commandRegistry.execute('!candidates all', invocation);
+
+    const replies = invocation.whatsappService.sendTextMessage.mock.calls.map(([, text]) => text);
+    expect(replies[0]).toContain('Source language detection chooses between: en, de');
+    expect(invocation.preferencesService.setCandidateLanguages).toHaveBeenNthCalledWith(1, 'user_1', ['en', 'es']);
+    expect(replies[1]).toBe('Source language detection now chooses between: en, es');
+    expect(replies[2]).toBe('Please choose at most 4 candidate languages.');
+    expect(invocation.preferencesService.setCandidateLanguages).toHaveBeenNthCalledWith(2, 'user_1', []);
+    expect(replies[3]).toBe('Source language detection now considers all languages.');
+  });
+
+  test('should separate speakers with !speakers', async () => {
+    const invocation = buildInvocation();
+
+    await commandRegistry.execute('!speakers', invocation);
+    await commandRegistry.execute('!speakers voices', invocation);
+    await commandRegistry.execute('!speakers off', invocation);
+
+    const replies = invocation.whatsappService.sendTextMessage.mock.calls.map(([, text]) => text);
+    expect(replies[0]).toContain('Separating speakers: off');
+    expect(replies[0]).toContain('Voice notes over a minute are always translated as one text');
+    expect(invocation.preferencesService.setSpeakerMode).toHaveBeenCalledWith('user_1', 'voices');
+    // Long voice notes are not separated, which the user is told when turning separation on
+    expect(replies[1]).toBe('Separating speakers: voices\nVoice notes over a minute are always translated as one text, without separating speakers.');
+    expect(replies[2]).toBe('Separating speakers: off');
+  });
+
+  test('should queue the commands that call Google or send media', () => {
+    expect(commandRegistry.isQueued('!voice')).toBe(true);
+    expect(commandRegistry.isQueued('!VOICE rate 1.25')).toBe(true);
+    expect(commandRegistry.isQueued('!subtitles vtt')).toBe(true);
+    expect(commandRegistry.isQueued('!lang es')).toBe(false);
+    expect(commandRegistry.isQueued('!nope')).toBe(false);
+  });
+
+  test('should send subtitles of the latest voice note with !subtitles', async () => {
+    const messageStoreService = require('../services/message-store');
+    const subtitleService = require('../services/subtitles');
+    const invocation = buildInvocation();
+    const transcript = { language: 'en', targetLanguages: ['es'], words: [{ word: 'Hello', startTime: 0, endTime: 0.5 }] };
+
+    await commandRegistry.execute('!subtitles', invocation);
+    messageStoreService.getLatestTranscript.mockResolvedValueOnce(transcript);
+    await commandRegistry.execute('!subtitles both', invocation);
+
+    expect(invocation.whatsappService.sendTextMessage).toHaveBeenCalledWith('user_1', expect.stringContaining('There is no recent voice note or video'));
+    expect(subtitleService.buildFiles).toHaveBeenCalledWith(transcript, ['srt', 'vtt']);
+    expect(subtitleService.sendFiles).toHaveBeenCalledWith(invocation.whatsappService, 'user_1', [], expect.any(Function));
+  });
+
+  test('should not send subtitles of a voice note sent to another business number', async () => {
+    const messageStoreService = require('../services/message-store');
+    const subtitleService = require('../services/subtitles');
+    const invocation = buildInvocation();
+    invocation.tenant.phoneNumberId = 'emea_phone_id';
+    subtitleService.buildFiles.mockClear();
+    messageStoreService.getLatestTranscript.mockResolvedValueOnce({
+      language: 'en',
+      targetLanguages: ['es'],
+      words: [{ word: 'Hello', startTime: 0, endTime: 0.5 }],
+      phoneNumberId: 'latam_phone_id'
+    });
+
+    await commandRegistry.execute('!subtitles', invocation);
+
+    expect(invocation.whatsappService.sendTextMessage).toHaveBeenCalledWith('user_1', expect.stringContaining('There is no recent voice note or video'));
+    expect(subtitleService.buildFiles).not.toHaveBeenCalled();
+  });
+
+  test('should manage the user and team vocabulary with !vocab', async () => {
+    const invocation = buildInvocation();
+    invocation.tenant.adminNumbers = ['user_1'];
+    invocation.preferencesService.getVocabulary.mockImplementation((userId, team) => Promise.resolve(
+      team ? [{ phrase: 'Acme Cloud', boost: 10 }] : [{ phrase: 'Kubernetes', boost: 15 }]
+    ));
+
+    await commandRegistry.execute('!vocab', invocation);
+    await commandRegistry.execute('!vocab add team Grafana Loki 12', invocation);
+    await commandRegistry.execute('!vocab add Istio', invocation);
+    await commandRegistry.execute('!vocab add Istio 30', invocation);
+    await commandRegistry.execute('!vocab remove KUBERNETES', invocation);
+    await commandRegistry.execute('!vocab remove team Kubernetes', invocation);
+
+    const replies = invocation.whatsappService.sendTextMessage.mock.calls.map(([, text]) => text);
+    expect(replies[0]).toBe('Your vocabulary:\nKubernetes (boost 15)\n\nTeam vocabulary:\nAcme Cloud (boost 10)');
+    expect(invocation.preferencesService.addVocabularyPhrase).toHaveBeenNthCalledWith(1, 'user_1', 'Grafana Loki', 12, true);
+    expect(replies[1]).toBe('Voice notes now favour "Grafana Loki" (boost 12).');
+    expect(invocation.preferencesService.addVocabularyPhrase).toHaveBeenNthCalledWith(2, 'user_1', 'Istio', 10, false);
+    expect(replies[3]).toBe('Please give a boost between 0 and 20. Example: !vocab add Kubernetes 15');
+    expect(invocation.preferencesService.removeVocabularyPhrase).toHaveBeenCalledWith('user_1', 'KUBERNETES', false);
+    expect(replies[4]).toBe('Removed "Kubernetes" from the vocabulary.');
+    expect(replies[5]).toContain('"Kubernetes" is not in the vocabulary.');
+    expect(invocation.preferencesService.addVocabularyPhrase).toHaveBeenCalledTimes(2);
+  });
+
+  test('should only let the number\'s admins change the team vocabulary', async () => {
+    const invocation = buildInvocation();
+    invocation.tenant.adminNumbers = ['admin_1'];
+
+    await commandRegistry.execute('!vocab add team Grafana Loki 12', invocation);
+    await commandRegistry.execute('!vocab remove team Acme Cloud', invocation);
+    await commandRegistry.execute('!vocab add Grafana Loki', invocation);
+
+    const replies = invocation.whatsappService.sendTextMessage.mock.calls.map(([, text]) => text);
+    expect(replies[0]).toBe('Only the admins of this number can change the team vocabulary. Add the phrase for yourself with !vocab add <phrase>.');
+    expect(replies[1]).toBe(replies[0]);
+    expect(invocation.preferencesService.removeVocabularyPhrase).not.toHaveBeenCalled();
+    expect(invocation.preferencesService.addVocabularyPhrase).toHaveBeenCalledTimes(1);
+    expect(invocation.preferencesService.addVocabularyPhrase).toHaveBeenCalledWith('user_1', 'Grafana Loki', 10, false);
+  });
+
+  test('should point users without a vocabulary to !vocab add', async () => {
+    const invocation = buildInvocation();
+
+    await commandRegistry.execute('!vocab list', invocation);
+
+    expect(invocation.whatsappService.sendTextMessage).toHaveBeenCalledWith('user_1', expect.stringContaining('No vocabulary yet.'));
+  });
+
+  test('should list and search the supported languages with !languages', async () => {
+    const invocation = buildInvocation();
+
+    await commandRegistry.execute('!languages', invocation);
+    await commandRegistry.execute('!languages chinese', invocation);
+
+    const replies = invocation.whatsappService.sendTextMessage.mock.calls.map(([, text]) => text);
+    expect(replies[0]).toContain('Supported languages (6):');
+    expect(replies[0]).toContain('es - Spanish (español)');
+    expect(replies[1]).toBe('Languages matching "chinese":\nzh-CN - Chinese (Simplified) (中文（中国）)\nzh-TW - Chinese (Traditional) (中文（台灣）)');
+  });
+});
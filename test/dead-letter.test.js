@@ -0,0 +1,145 @@
+// Mock config before any imports that might use it
+jest.mock('../config', () => ({
+  redis: {
+    url: 'redis://localhost:6379'
+  },
+  deadLetter: {
+    ttlSeconds: 604800
+  }
+}));
+
+// Mock the Redis connection to avoid actual Redis connection issues
+jest.mock('ioredis', () => {
+  return jest.fn().mockImplementation(() => ({
+    hset: jest.fn().mockResolvedValue(1),
+    hget: jest.fn().mockResolvedValue(null),
+    hgetall: jest.fn().mockResolvedValue({}),
+    expire: jest.fn().mockResolvedValue(1),
+    zadd: jest.fn().mockResolvedValue(1),
+    zrem: jest.fn().mockResolvedValue(1),
+    zremrangebyrank: jest.fn().mockResolvedValue(0),
+    zrevrange: jest.fn().mockResolvedValue([]),
+    del: jest.fn().mockResolvedValue(1),
+    on: jest.fn()
+  }));
+});
+
+// Mock the queue the retries go through
+jest.mock('../utils/processing/translation-queue', () => ({
+  addJobByName: jest.fn().mockResolvedValue({ id: 'job_7' })
+}));
+
+const deadLetterService = require('../services/dead-letter');
+const translationQueue = require('../utils/processing/translation-queue');
+
+describe('Dead Letter Service Tests', () => {
+  const message = { id: 'wamid.voice', type: 'audio', audio: { id: 'media_1' } };
+  const context = { contacts: [{ wa_id: 'user_1' }], metadata: { phone_number_id: 'phone_1' } };
+
+  // What Redis holds for the message above
+  const storedRecord = {
+    id: 'wamid.voice',
+    jobName: 'process-audio',
+    messageId: 'wamid.voice',
+    messageType: 'audio',
+    recipientId: 'user_1',
+    phoneNumberId: 'phone_1',
+    stage: 'transcription',
+    error: 'STT Service Error: unavailable',
+    attempts: '3',
+    retryCount: '0',
+    status: 'failed',
+    failedAt: '2026-01-01T00:00:00.000Z',
+    message: JSON.stringify(message),
+    context: JSON.stringify(context)
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  test('should store failed messages with their error, stage and payload', async () => {
+    const deadLetter = await deadLetterService.add({
+      jobName: 'process-audio',
+      message: message,
+      context: context,
+      error: new Error('Multi-Language Audio Processing Pipeline Error: STT Service Error: unavailable'),
+      attempts: 3
+    });
+
+    expect(deadLetter).toEqual(expect.objectContaining({
+      id: 'wamid.voice',
+      recipientId: 'user_1',
+      phoneNumberId: 'phone_1',
+      stage: 'transcription',
+      attempts: 3,
+      status: 'failed',
+      message: message
+    }));
+    expect(deadLetterService.redis.hset).toHaveBeenCalledWith('deadletter:wamid.voice', expect.objectContaining({
+      context: JSON.stringify(context)
+    }));
+    expect(deadLetterService.redis.expire).toHaveBeenCalledWith('deadletter:wamid.voice', 604800);
+    expect(deadLetterService.redis.zadd).toHaveBeenCalledWith('deadletter:index', expect.any(Number), 'wamid.voice');
+  });
+
+  test('should not store the retry marker with the payload', async () => {
+    deadLetterService.redis.hget.mockResolvedValueOnce('1');
+
+    const deadLetter = await deadLetterService.add({
+      jobName: 'process-audio',
+      message: message,
+      context: { ...context, redelivery: { deadLetterId: 'wamid.voice' } },
+      error: new Error('STT Service Error: unavailable'),
+      attempts: 3
+    });
+
+    expect(deadLetter.context).toEqual(context);
+    expect(deadLetter.retryCount).toBe(1);
+  });
+
+  test('should work out the failing stage from the error', () => {
+    expect(deadLetterService.getFailureStage(new Error('WhatsApp Media Download Error: 404'))).toBe('download');
+    expect(deadLetterService.getFailureStage(new Error('Translation Service Error: quota'))).toBe('translation');
+    expect(deadLetterService.getFailureStage(new Error('TTS Service Error: voice'))).toBe('synthesis');
+    expect(deadLetterService.getFailureStage(new Error('WhatsApp API Error: 131047'))).toBe('reply');
+    expect(deadLetterService.getFailureStage(new Error('Something else'))).toBe('processing');
+  });
+
+  test('should list dead letters without their payloads', async () => {
+    deadLetterService.redis.zrevrange.mockResolvedValueOnce(['wamid.voice', 'wamid.expired']);
+    deadLetterService.redis.hgetall.mockResolvedValueOnce(storedRecord).mockResolvedValueOnce({});
+
+    const deadLetters = await deadLetterService.list(10);
+
+    expect(deadLetters).toHaveLength(1);
+    expect(deadLetters[0]).toEqual(expect.objectContaining({ id: 'wamid.voice', stage: 'transcription' }));
+    expect(deadLetters[0].message).toBeUndefined();
+    expect(deadLetterService.redis.zrem).toHaveBeenCalledWith('deadletter:index', 'wamid.expired');
+  });
+
+  test('should queue a retry marked as a late delivery', async () => {
+    deadLetterService.redis.hgetall.mockResolvedValueOnce(storedRecord);
+
+    const retried = await deadLetterService.retry('wamid.voice');
+
+    expect(translationQueue.addJobByName).toHaveBeenCalledWith('process-audio', message, {
+      ...context,
+      redelivery: { deadLetterId: 'wamid.voice', failedAt: '2026-01-01T00:00:00.000Z' }
+    });
+    expect(retried.job.id).toBe('job_7');
+    expect(retried.deadLetter.status).toBe('retrying');
+    expect(retried.deadLetter.retryCount).toBe(1);
+  });
+
+  test('should return null when retrying an unknown dead letter', async () => {
+    expect(await deadLetterService.retry('wamid.unknown')).toBeNull();
+    expect(translationQueue.addJobByName).not.toHaveBeenCalled();
+  });
+
+  test('should discard dead letters', async () => {
+    expect(await deadLetterService.remove('wamid.voice')).toBe(true);
+    expect(deadLetterService.redis.del).toHaveBeenCalledWith('deadletter:wamid.voice');
+    expect(deadLetterService.redis.zrem).toHaveBeenCalledWith('deadletter:index', 'wamid.voice');
+  });
+});
@@ -0,0 +1,130 @@
+// Mock config before any imports that might use it
+jest.mock('../config', () => ({
+  redis: {
+    url: 'redis://localhost:6379'
+  }
+}));
+
+// Mock the Redis connection to avoid actual Redis connection issues
+jest.mock('ioredis', () => {
+  return jest.fn().mockImplementation(() => ({
+    hset: jest.fn().mockResolvedValue(1),
+    hsetnx: jest.fn().mockResolvedValue(1),
+    hgetall: jest.fn().mockResolvedValue({}),
+    expire: jest.fn().mockResolvedValue(1),
+    zadd: jest.fn().mockResolvedValue(1),
+    zremrangebyrank: jest.fn().mockResolvedValue(0),
+    zrevrange: jest.fn().mockResolvedValue([]),
+    on: jest.fn()
+  }));
+});
+
+const deliveryStatusService = require('../services/delivery-status');
+
+describe('Delivery Status Service Tests', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  test('should track outbound messages per recipient', async () => {
+    const result = await deliveryStatusService.trackOutboundMessage(
+      'wamid.1',
+      'test_user',
+      'audio',
+      { fallbackText: 'Translation to ES: Hola' }
+    );
+
+    expect(result).toBe(true);
+    expect(deliveryStatusService.redis.hset).toHaveBeenCalledWith('delivery:wamid.1', expect.objectContaining({
+      recipientId: 'test_user',
+      type: 'audio',
+      status: 'accepted',
+      fallbackText: 'Translation to ES: Hola'
+    }));
+    expect(deliveryStatusService.redis.zadd).toHaveBeenCalledWith(
+      'delivery:recipient:test_user',
+      expect.any(Number),
+      'wamid.1'
+    );
+  });
+
+  test('should record a status with its timestamp', async () => {
+    deliveryStatusService.redis.hgetall.mockResolvedValueOnce({
+      messageId: 'wamid.1',
+      recipientId: 'test_user',
+      type: 'text',
+      status: 'sent'
+    });
+
+    const record = await deliveryStatusService.recordStatus({
+      id: 'wamid.1',
+      status: 'delivered',
+      timestamp: '1700000000',
+      recipient_id: 'test_user'
+    });
+
+    expect(record.status).toBe('delivered');
+    expect(record.deliveredAt).toBe(new Date(1700000000 * 1000).toISOString());
+  });
+
+  test('should not let a late status overwrite a later one', async () => {
+    deliveryStatusService.redis.hgetall.mockResolvedValueOnce({
+      messageId: 'wamid.1',
+      recipientId: 'test_user',
+      status: 'read'
+    });
+
+    const record = await deliveryStatusService.recordStatus({
+      id: 'wamid.1',
+      status: 'delivered',
+      timestamp: '1700000000',
+      recipient_id: 'test_user'
+    });
+
+    expect(record.status).toBe('read');
+    expect(record.deliveredAt).toBeDefined();
+  });
+
+  test('should store the error of a failed delivery', async () => {
+    deliveryStatusService.redis.hgetall.mockResolvedValueOnce({
+      messageId: 'wamid.2',
+      recipientId: 'test_user',
+      type: 'audio',
+      status: 'sent',
+      fallbackText: 'Translation to FR: Bonjour'
+    });
+
+    const record = await deliveryStatusService.recordStatus({
+      id: 'wamid.2',
+      status: 'failed',
+      timestamp: '1700000000',
+      recipient_id: 'test_user',
+      errors: [{ code: 131053, title: 'Media upload error' }]
+    });
+
+    expect(record.status).toBe('failed');
+    expect(record.errorCode).toBe('131053');
+    expect(record.fallbackText).toBe('Translation to FR: Bonjour');
+  });
+
+  test('should claim the fallback only once', async () => {
+    deliveryStatusService.redis.hsetnx.mockResolvedValueOnce(1).mockResolvedValueOnce(0);
+
+    expect(await deliveryStatusService.claimFallback('wamid.2')).toBe(true);
+    expect(await deliveryStatusService.claimFallback('wamid.2')).toBe(false);
+  });
+
+  test('should list statuses for a recipient without fallback text', async () => {
+    deliveryStatusService.redis.zrevrange.mockResolvedValueOnce(['wamid.2']);
+    deliveryStatusService.redis.hgetall.mockResolvedValueOnce({
+      messageId: 'wamid.2',
+      status: 'failed',
+      fallbackText: 'Translation to FR: Bonjour'
+    });
+
+    const deliveries = await deliveryStatusService.getStatusesForRecipient('test_user', 10);
+
+    expect(deliveryStatusService.redis.zrevrange).toHaveBeenCalledWith('delivery:recipient:test_user', 0, 9);
+    expect(deliveries).toEqual([{ messageId: 'wamid.2', status: 'failed' }]);
+  });
+});
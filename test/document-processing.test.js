@@ -0,0 +1,164 @@
+// Mock config before any imports that might use it
+jest.mock('../config', () => ({
+  whatsapp: {},
+  documents: {
+    maxBytes: 1024,
+    maxCharacters: 200
+  }
+}));
+
+// Mock services to avoid external API calls and Redis issues
+jest.mock('../services/whatsapp/whatsapp-api', () => {
+  const whatsappService = {
+    sendTextMessage: jest.fn().mockResolvedValue({ messages: [{ id: 'mock_msg_id' }] }),
+    downloadMedia: jest.fn()
+  };
+  // Every tenant shares the mock so assertions see all calls
+  whatsappService.forTenant = jest.fn().mockReturnValue(whatsappService);
+  return whatsappService;
+});
+
+jest.mock('../services/media-uploader', () => ({
+  uploadAndSendDocument: jest.fn().mockResolvedValue({ messages: [{ id: 'mock_doc_id' }] })
+}));
+
+jest.mock('../services/google/translation', () => ({
+  batchTranslate: jest.fn().mockImplementation((texts, targetLanguage) => Promise.resolve(
+    texts.map(text => ({ originalText: text, translatedText: `[${targetLanguage}] ${text}` }))
+  ))
+}));
+
+jest.mock('../services/user-preferences', () => {
+  const userPreferencesService = {
+    getPreferences: jest.fn().mockResolvedValue({
+      sourceLanguage: 'auto',
+      targetLanguages: 'es,fr',
+      responseMode: 'text'
+    })
+  };
+  // Every tenant shares the mock so assertions see all calls
+  userPreferencesService.forTenant = jest.fn().mockReturnValue(userPreferencesService);
+  return userPreferencesService;
+});
+
+jest.mock('../services/message-dedup', () => ({}));
+jest.mock('../services/rate-limiter', () => ({
+  charge: jest.fn().mockResolvedValue({ allowed: true, remaining: 1000, retryAfterSeconds: 0 })
+}));
+// Bot messages come straight from the catalogs, without machine translation
+jest.mock('../services/localization', () => {
+  const UiMessages = jest.requireActual('../utils/i18n');
+  return {
+    getMessage: jest.fn((key, language, params) => Promise.resolve(UiMessages.getMessage(key, language, params))),
+    translateString: jest.fn((text) => Promise.resolve(text))
+  };
+});
+jest.mock('../services/message-store', () => ({
+  getPendingTranscript: jest.fn().mockResolvedValue(null)
+}));
+jest.mock('../services/delivery-status', () => ({}));
+jest.mock('../utils/processing/translation-queue', () => ({}));
+
+const DocumentProcessor = require('../utils/helpers/document-processing');
+const { handleDocumentMessage } = require('../routes/webhook');
+const whatsappService = require('../services/whatsapp/whatsapp-api');
+const mediaUploader = require('../services/media-uploader');
+const translationService = require('../services/google/translation');
+
+describe('Document Processor Tests', () => {
+  test('should detect document types from MIME type', () => {
+    expect(DocumentProcessor.getDocumentType('text/plain')).toBe('txt');
+    expect(DocumentProcessor.getDocumentType('text/plain; charset=utf-8')).toBe('txt');
+    expect(DocumentProcessor.getDocumentType('application/pdf')).toBe('pdf');
+    expect(DocumentProcessor.getDocumentType(
+      'application/vnd.openxmlformats-officedocument.wordprocessingml.document'
+    )).toBe('docx');
+  });
+
+  test('should fall back to the file extension for generic MIME types', () => {
+    expect(DocumentProcessor.getDocumentType('application/octet-stream', 'notes.DOCX')).toBe('docx');
+    expect(DocumentProcessor.getDocumentType('application/octet-stream', 'image.png')).toBeNull();
+    expect(DocumentProcessor.getDocumentType('image/png')).toBeNull();
+  });
+
+  test('should extract text from plain text documents', async () => {
+    const text = await DocumentProcessor.extractText(Buffer.from('\uFEFFHello\n\nWorld', 'utf8'), 'txt');
+    expect(text).toBe('Hello\n\nWorld');
+  });
+
+  test('should split text into paragraphs on blank lines', () => {
+    const paragraphs = DocumentProcessor.splitParagraphs('First line\r\nsame paragraph\r\n\r\n  \n\nSecond\n\n\n');
+    expect(paragraphs).toEqual(['First line\nsame paragraph', 'Second']);
+  });
+
+  test('should name translated files after the original', () => {
+    expect(DocumentProcessor.getTranslatedFilename('report.pdf', 'es')).toBe('report.es.txt');
+    expect(DocumentProcessor.getTranslatedFilename(undefined, 'fr')).toBe('document.fr.txt');
+  });
+});
+
+describe('Document Message Handler Tests', () => {
+  const context = { contacts: [{ wa_id: 'test_user' }] };
+  const buildMessage = (document) => ({ id: 'wamid.doc', type: 'document', document });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  test('should translate each paragraph and send a document per target language', async () => {
+    whatsappService.downloadMedia.mockResolvedValueOnce(Buffer.from('Hello there\n\nGood morning'));
+
+    await handleDocumentMessage(
+      buildMessage({ id: 'media_1', filename: 'notes.txt', mime_type: 'text/plain' }),
+      context
+    );
+
+    expect(whatsappService.downloadMedia).toHaveBeenCalledWith('media_1');
+    expect(translationService.batchTranslate).toHaveBeenCalledWith(['Hello there', 'Good morning'], 'es');
+    expect(translationService.batchTranslate).toHaveBeenCalledWith(['Hello there', 'Good morning'], 'fr');
+    expect(mediaUploader.uploadAndSendDocument).toHaveBeenCalledTimes(2);
+
+    const [, recipientId, buffer, filename, caption] = mediaUploader.uploadAndSendDocument.mock.calls[0];
+    expect(recipientId).toBe('test_user');
+    expect(buffer.toString('utf8')).toBe('[es] Hello there\n\n[es] Good morning');
+    expect(filename).toBe('notes.es.txt');
+    expect(caption).toBe('Translation to ES');
+  });
+
+  test('should reject unsupported document types without downloading them', async () => {
+    await handleDocumentMessage(
+      buildMessage({ id: 'media_2', filename: 'sheet.xlsx', mime_type: 'application/vnd.ms-excel' }),
+      context
+    );
+
+    expect(whatsappService.downloadMedia).not.toHaveBeenCalled();
+    expect(whatsappService.sendTextMessage).toHaveBeenCalledWith(
+      'test_user',
+      expect.stringContaining('.txt, .docx and .pdf')
+    );
+  });
+
+  test('should reject documents over the size limit', async () => {
+    whatsappService.downloadMedia.mockResolvedValueOnce(Buffer.alloc(2048, 'a'));
+
+    await handleDocumentMessage(
+      buildMessage({ id: 'media_3', filename: 'big.txt', mime_type: 'text/plain' }),
+      context
+    );
+
+    expect(translationService.batchTranslate).not.toHaveBeenCalled();
+    expect(whatsappService.sendTextMessage).toHaveBeenCalledWith('test_user', expect.stringContaining('too large'));
+  });
+
+  test('should reject documents over the character limit', async () => {
+    whatsappService.downloadMedia.mockResolvedValueOnce(Buffer.from('word '.repeat(100)));
+
+    await handleDocumentMessage(
+      buildMessage({ id: 'media_4', filename: 'long.txt', mime_type: 'text/plain' }),
+      context
+    );
+
+    expect(translationService.batchTranslate).not.toHaveBeenCalled();
+    expect(whatsappService.sendTextMessage).toHaveBeenCalledWith('test_user', expect.stringContaining('too long'));
+  });
+});
@@ -0,0 +1,229 @@
+const express = require('express');
+const MockGraphServer = require('../scripts/mock-graph-server');
+
+// Mock config before any imports that might use it; the Graph base URL is filled in once the mock is listening
+jest.mock('../config', () => ({
+  whatsapp: {
+    webhookVerifyToken: 'e2e_verify_token',
+    accessToken: 'e2e_access_token',
+    phoneNumberId: 'e2e_phone_id',
+    appSecret: 'e2e_app_secret',
+    graphBaseUrl: null
+  },
+  tenants: [],
+  redis: {
+    url: 'redis://localhost:6379'
+  }
+}));
+
+// Redis-backed stores are mocked; everything that talks to WhatsApp goes to the mock Graph server
+jest.mock('../services/user-preferences', () => {
+  const userPreferencesService = {
+    getPreferences: jest.fn().mockResolvedValue({
+      sourceLanguage: 'auto',
+      targetLanguages: 'es',
+      responseMode: 'text'
+    }),
+    addRecentLanguage: jest.fn().mockResolvedValue(true),
+    getPhraseHints: jest.fn().mockResolvedValue([])
+  };
+  userPreferencesService.forTenant = jest.fn().mockReturnValue(userPreferencesService);
+  return userPreferencesService;
+});
+
+jest.mock('../services/delivery-status', () => ({
+  trackOutboundMessage: jest.fn().mockResolvedValue(true),
+  recordStatus: jest.fn().mockResolvedValue({}),
+  claimFallback: jest.fn().mockResolvedValue(false)
+}));
+
+jest.mock('../services/message-dedup', () => ({
+  claimMessage: jest.fn().mockResolvedValue(true),
+  releaseMessage: jest.fn().mockResolvedValue(true)
+}));
+
+jest.mock('../services/rate-limiter', () => ({
+  consume: jest.fn().mockResolvedValue({ allowed: true, remaining: 1000, retryAfterSeconds: 0 }),
+  charge: jest.fn().mockResolvedValue({ allowed: true, remaining: 1000, retryAfterSeconds: 0 }),
+  claimNotice: jest.fn().mockResolvedValue(true)
+}));
+// Bot messages come straight from the catalogs, without machine translation
+jest.mock('../services/localization', () => {
+  const UiMessages = jest.requireActual('../utils/i18n');
+  return {
+    getMessage: jest.fn((key, language, params) => Promise.resolve(UiMessages.getMessage(key, language, params))),
+    translateString: jest.fn((text) => Promise.resolve(text))
+  };
+});
+
+jest.mock('../services/message-store', () => ({
+  saveMessage: jest.fn().mockResolvedValue(true),
+  getMessage: jest.fn().mockResolvedValue(null),
+  getPendingTranscript: jest.fn().mockResolvedValue(null),
+  clearPendingTranscript: jest.fn().mockResolvedValue(true)
+}));
+
+// Capture queued jobs so the tests can run them the way the worker would
+jest.mock('../utils/processing/translation-queue', () => ({
+  addAudioJob: jest.fn().mockResolvedValue({ id: 'mock_audio_job' }),
+  addTranslationJob: jest.fn().mockResolvedValue({ id: 'mock_translation_job' })
+}));
+
+jest.mock('../services/google/translation', () => ({
+  translateText: jest.fn().mockImplementation((text, targetLanguage, sourceLanguage) => Promise.resolve({
+    originalText: text,
+    translatedText: `[${targetLanguage}] ${text}`,
+    sourceLanguage: sourceLanguage,
+    targetLanguage: targetLanguage
+  })),
+  translateWithSourceDetection: jest.fn().mockImplementation((text, targetLanguage) => Promise.resolve({
+    originalText: text,
+    translatedText: `[${targetLanguage}] ${text}`,
+    sourceLanguage: 'en',
+    targetLanguage: targetLanguage
+  }))
+}));
+
+jest.mock('../utils/helpers/audio-processing-pipeline', () => ({
+  processAudioTranslationMulti: jest.fn().mockResolvedValue([
+    {
+      transcription: { text: 'Hello world', language: 'en' },
+      translation: { translatedText: 'Hola mundo', targetLanguage: 'es' },
+      tts: { audioContent: Buffer.from('mock audio') }
+    }
+  ])
+}));
+
+const config = require('../config');
+const translationQueue = require('../utils/processing/translation-queue');
+const audioProcessingPipeline = require('../utils/helpers/audio-processing-pipeline');
+
+describe('End-to-End Tests with the Mock Graph Server', () => {
+  const userId = '15550001111';
+  let mockGraph;
+  let appServer;
+  let webhookRoutes;
+
+  beforeAll(async () => {
+    mockGraph = new MockGraphServer({ port: 0, appSecret: 'e2e_app_secret' });
+    config.whatsapp.graphBaseUrl = await mockGraph.start();
+
+    // Required after the base URL is known so the WhatsApp service talks to the mock
+    webhookRoutes = require('../routes/webhook');
+    const app = express();
+    app.use(express.json({
+      limit: '50mb',
+      verify: (req, res, buf) => {
+        req.rawBody = buf;
+      }
+    }));
+    app.use('/webhook', webhookRoutes);
+
+    await new Promise(resolve => {
+      appServer = app.listen(0, '127.0.0.1', resolve);
+    });
+    mockGraph.webhookUrl = `http://127.0.0.1:${appServer.address().port}/webhook`;
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => appServer.close(resolve));
+    await mockGraph.stop();
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockGraph.reset();
+    mockGraph.appSecret = 'e2e_app_secret';
+  });
+
+  test('text message: signed webhook -> queued job -> translation sent through the Graph API', async () => {
+    const payload = MockGraphServer.buildMessageWebhook(
+      { type: 'text', text: { body: 'Hello' } },
+      { from: userId, phoneNumberId: 'e2e_phone_id' }
+    );
+
+    const response = await mockGraph.sendWebhook(payload);
+    expect(response.status).toBe(200);
+
+    const [message, context] = translationQueue.addTranslationJob.mock.calls[0];
+    await webhookRoutes.handleTextMessage(message, context);
+
+    const [sent] = await mockGraph.waitForMessages(1);
+    expect(sent).toEqual(expect.objectContaining({
+      phoneNumberId: 'e2e_phone_id',
+      accessToken: 'e2e_access_token',
+      to: userId,
+      type: 'text'
+    }));
+    expect(sent.payload.text.body).toContain('Translation to ES: [es] Hello');
+    expect(sent.payload.context).toEqual({ message_id: payload.entry[0].changes[0].value.messages[0].id });
+  });
+
+  test('voice note: media is downloaded from the mock before translation', async () => {
+    const audio = Buffer.from('OggS mock voice note');
+    mockGraph.addMedia('media_voice_1', audio, 'audio/ogg; codecs=opus');
+
+    const payload = MockGraphServer.buildMessageWebhook(
+      { type: 'audio', audio: { id: 'media_voice_1', mime_type: 'audio/ogg; codecs=opus', voice: true } },
+      { from: userId, phoneNumberId: 'e2e_phone_id' }
+    );
+
+    await mockGraph.sendWebhook(payload);
+    const [message, context] = translationQueue.addAudioJob.mock.calls[0];
+    await webhookRoutes.handleAudioMessage(message, context);
+
+    expect(audioProcessingPipeline.processAudioTranslationMulti).toHaveBeenCalledWith(audio, ['es'], null, expect.objectContaining({ speakingRate: 1.0 }), ['en', 'es', 'fr', 'hi'], false, [], expect.any(Function));
+    const [sent] = await mockGraph.waitForMessages(1);
+    expect(sent.payload.text.body).toContain('Translation to ES: Hola mundo');
+  });
+
+  test('commands are answered inline with text and the interactive settings menu', async () => {
+    const payload = MockGraphServer.buildMessageWebhook(
+      { type: 'text', text: { body: '!help' } },
+      { from: userId, phoneNumberId: 'e2e_phone_id' }
+    );
+
+    await mockGraph.sendWebhook(payload);
+
+    const sent = await mockGraph.waitForMessages(2);
+    expect(sent.map(message => message.type)).toEqual(['text', 'interactive']);
+    expect(sent[1].payload.interactive.type).toBe('button');
+  });
+
+  test('replies go out from the number that received the message', async () => {
+    const payload = MockGraphServer.buildMessageWebhook(
+      { type: 'text', text: { body: '!response' } },
+      { from: userId, phoneNumberId: 'second_phone_id' }
+    );
+
+    await mockGraph.sendWebhook(payload);
+
+    await mockGraph.waitForMessages(1);
+    expect(mockGraph.getSentMessages('second_phone_id')).toHaveLength(1);
+    expect(mockGraph.getSentMessages('e2e_phone_id')).toHaveLength(0);
+  });
+
+  test('webhooks signed with the wrong secret are rejected', async () => {
+    mockGraph.appSecret = 'not_the_app_secret';
+
+    const response = await mockGraph.sendWebhook(MockGraphServer.buildMessageWebhook(
+      { type: 'text', text: { body: 'Hello' } },
+      { from: userId }
+    ));
+
+    expect(response.status).toBe(401);
+    expect(translationQueue.addTranslationJob).not.toHaveBeenCalled();
+  });
+
+  test('unknown media IDs fail the download', async () => {
+    const payload = MockGraphServer.buildMessageWebhook(
+      { type: 'audio', audio: { id: 'missing_media' } },
+      { from: userId, phoneNumberId: 'e2e_phone_id' }
+    );
+
+    await mockGraph.sendWebhook(payload);
+    const [message, context] = translationQueue.addAudioJob.mock.calls[0];
+
+    await expect(webhookRoutes.handleAudioMessage(message, context)).rejects.toThrow('WhatsApp Media Download Error');
+  });
+});
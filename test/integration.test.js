@@ -2,6 +2,12 @@ const request = require('supertest');
 const express = require('express');
 const webhookRoutes = require('../routes/webhook');
 const userPreferencesService = require('../services/user-preferences');
+const translationQueue = require('../utils/processing/translation-queue');
+const whatsappService = require('../services/whatsapp/whatsapp-api');
+const messageStoreService = require('../services/message-store');
+const AudioProcessor = require('../utils/helpers/audio-processing');
+const audioProcessingPipeline = require('../utils/helpers/audio-processing-pipeline');
+const translationService = require('../services/google/translation');
 
 // Create a separate app for testing to avoid server conflicts
 const testApp = express();
@@ -10,10 +16,96 @@ testApp.use(express.urlencoded({ extended: true, limit: '50mb' }));
 testApp.use('/webhook', webhookRoutes);
 
 // Mock services to avoid external API calls and Redis issues
-jest.mock('../services/whatsapp/whatsapp-api', () => ({
-  sendTextMessage: jest.fn().mockResolvedValue({}),
-  sendVoiceMessage: jest.fn().mockResolvedValue({}),
-  downloadMedia: jest.fn().mockResolvedValue(Buffer.from('mock audio content'))
+jest.mock('../services/whatsapp/whatsapp-api', () => {
+  const whatsappService = {
+    sendTextMessage: jest.fn().mockResolvedValue({}),
+    sendVoiceMessage: jest.fn().mockResolvedValue({}),
+    downloadMedia: jest.fn().mockResolvedValue(Buffer.from('mock audio content')),
+    sendButtonMessage: jest.fn().mockResolvedValue({ messages: [{ id: 'wamid.prompt' }] }),
+    validateWebhookSignature: jest.fn().mockReturnValue(true)
+  };
+  // Every tenant shares the mock so assertions see all calls
+  whatsappService.forTenant = jest.fn().mockReturnValue(whatsappService);
+  return whatsappService;
+});
+
+// Mock the delivery status store to avoid Redis connection issues
+jest.mock('../services/delivery-status', () => ({
+  trackOutboundMessage: jest.fn().mockResolvedValue(true),
+  recordStatus: jest.fn().mockResolvedValue({}),
+  claimFallback: jest.fn().mockResolvedValue(true),
+  getStatusesForRecipient: jest.fn().mockResolvedValue([])
+}));
+
+// Mock the message store to avoid Redis connection issues
+jest.mock('../services/message-store', () => ({
+  saveMessage: jest.fn().mockResolvedValue(true),
+  saveTranscript: jest.fn().mockResolvedValue(true),
+  getMessage: jest.fn().mockResolvedValue(null),
+  markPartDelivered: jest.fn().mockResolvedValue(true),
+  getDeliveredParts: jest.fn().mockResolvedValue([]),
+  savePendingTranscript: jest.fn().mockResolvedValue(true),
+  getPendingTranscript: jest.fn().mockResolvedValue(null),
+  updatePendingTranscript: jest.fn().mockResolvedValue(true),
+  clearPendingTranscript: jest.fn().mockResolvedValue(true)
+}));
+
+// Mock the dedup store so every delivery counts as new unless a test says otherwise
+jest.mock('../services/message-dedup', () => ({
+  claimMessage: jest.fn().mockResolvedValue(true),
+  releaseMessage: jest.fn().mockResolvedValue(true)
+}));
+
+jest.mock('../services/rate-limiter', () => ({
+  consume: jest.fn().mockResolvedValue({ allowed: true, remaining: 1000, retryAfterSeconds: 0 }),
+  charge: jest.fn().mockResolvedValue({ allowed: true, remaining: 1000, retryAfterSeconds: 0 }),
+  claimNotice: jest.fn().mockResolvedValue(true)
+}));
+// Bot messages come straight from the catalogs, without machine translation
+jest.mock('../services/localization', () => {
+  const UiMessages = jest.requireActual('../utils/i18n');
+  return {
+    getMessage: jest.fn((key, language, params) => Promise.resolve(UiMessages.getMessage(key, language, params))),
+    translateString: jest.fn((text) => Promise.resolve(text))
+  };
+});
+
+// Mock the queue so the tests can run the queued handlers themselves
+jest.mock('../utils/processing/translation-queue', () => ({
+  addAudioJob: jest.fn().mockResolvedValue({ id: 'mock_audio_job' }),
+  addTranslationJob: jest.fn().mockResolvedValue({ id: 'mock_translation_job' }),
+  addReactionJob: jest.fn().mockResolvedValue({ id: 'mock_reaction_job' }),
+  addVideoJob: jest.fn().mockResolvedValue({ id: 'mock_video_job' }),
+  addTranscriptConfirmationJob: jest.fn().mockResolvedValue({ id: 'mock_confirmation_job' })
+}));
+
+// Mock the Redis cache of the language resolver to avoid Redis connection issues
+jest.mock('ioredis', () => {
+  return jest.fn().mockImplementation(() => ({
+    get: jest.fn().mockResolvedValue(null),
+    set: jest.fn().mockResolvedValue('OK'),
+    on: jest.fn()
+  }));
+});
+
+jest.mock('../services/google/translation', () => ({
+  translateText: jest.fn().mockImplementation((text, targetLanguage, sourceLanguage) => Promise.resolve({
+    originalText: text,
+    translatedText: `[${targetLanguage}] ${text}`,
+    sourceLanguage: sourceLanguage,
+    targetLanguage: targetLanguage
+  })),
+  translateWithSourceDetection: jest.fn().mockImplementation((text, targetLanguage) => Promise.resolve({
+    originalText: text,
+    translatedText: `[${targetLanguage}] ${text}`,
+    sourceLanguage: 'en',
+    targetLanguage: targetLanguage
+  }))
+}));
+
+jest.mock('../utils/helpers/audio-processing', () => ({
+  extractAudioTrack: jest.fn().mockResolvedValue(Buffer.from('mock extracted audio')),
+  estimateDuration: jest.fn().mockReturnValue(5)
 }));
 
 jest.mock('../utils/helpers/audio-processing-pipeline', () => ({
@@ -50,25 +142,40 @@ jest.mock('../utils/helpers/audio-processing-pipeline', () => ({
       },
       pipelineCompleted: true
     }
-  ])
+  ]),
+  processLongAudioTranslationMulti: jest.fn(),
+  processTextTranslationMulti: jest.fn().mockImplementation((text, targetLanguages, sourceLanguage) => Promise.resolve(
+    targetLanguages.map(language => ({
+      transcription: { text: text, language: sourceLanguage },
+      translation: { translatedText: `[${language}] ${text}`, targetLanguage: language },
+      tts: { audioContent: Buffer.from('mock audio') }
+    }))
+  ))
 }));
 
 // Mock user preferences service to avoid Redis connection issues
-jest.mock('../services/user-preferences', () => ({
-  getPreferences: jest.fn().mockResolvedValue({
-    sourceLanguage: 'auto',
-    targetLanguages: 'en',
-    responseMode: 'text'
-  }),
-  setTargetLanguages: jest.fn().mockResolvedValue(true),
-  setSourceLanguage: jest.fn().mockResolvedValue(true),
-  setResponseMode: jest.fn().mockResolvedValue(true),
-  redis: {
-    del: jest.fn(),
-    hset: jest.fn(),
-    hgetall: jest.fn().mockResolvedValue({})
-  }
-}));
+jest.mock('../services/user-preferences', () => {
+  const userPreferencesService = {
+    getPreferences: jest.fn().mockResolvedValue({
+      sourceLanguage: 'auto',
+      targetLanguages: 'en',
+      responseMode: 'text'
+    }),
+    setTargetLanguages: jest.fn().mockResolvedValue(true),
+    setSourceLanguage: jest.fn().mockResolvedValue(true),
+    setResponseMode: jest.fn().mockResolvedValue(true),
+    addRecentLanguage: jest.fn().mockResolvedValue(true),
+    getPhraseHints: jest.fn().mockResolvedValue([]),
+    redis: {
+      del: jest.fn(),
+      hset: jest.fn(),
+      hgetall: jest.fn().mockResolvedValue({})
+    }
+  };
+  // Every tenant shares the mock so assertions see all calls
+  userPreferencesService.forTenant = jest.fn().mockReturnValue(userPreferencesService);
+  return userPreferencesService;
+});
 
 describe('Full Integration Tests', () => {
   const testUserId = 'integration_test_user_123';
@@ -106,6 +213,7 @@ describe('Full Integration Tests', () => {
           value: {
             contacts: [{ wa_id: testUserId }],
             messages: [{
+              id: 'wamid.voice',
               type: 'audio',
               audio: { id: 'test_audio_123' },
               from: testUserId
@@ -120,9 +228,252 @@ describe('Full Integration Tests', () => {
       .send(audioPayload)
       .set('Content-Type', 'application/json');
 
-    // 3. Verify the webhook processed successfully
+    // 3. Verify the webhook acknowledged and queued the voice note
     expect(response.status).toBe(200);
     expect(response.body.status).toBe('success');
+    expect(translationQueue.addAudioJob).toHaveBeenCalledTimes(1);
+
+    // 4. Run the queued job the way the worker would
+    const [message, context] = translationQueue.addAudioJob.mock.calls[0];
+    await webhookRoutes.handleAudioMessage(message, context);
+
+    expect(whatsappService.downloadMedia).toHaveBeenCalledWith('test_audio_123');
+    // The detected language is tried first for the next voice note
+    expect(userPreferencesService.addRecentLanguage).toHaveBeenCalledWith(testUserId, 'en');
+    // The translation is sent as a reply quoting the voice note
+    expect(whatsappService.sendTextMessage).toHaveBeenCalledWith(
+      testUserId,
+      expect.stringContaining('Translation to ES: Hola mundo'),
+      { replyTo: 'wamid.voice' }
+    );
+  });
+
+  test('voice notes with several speakers are translated in speaker blocks', async () => {
+    const voiceMessage = { id: 'wamid.voice', type: 'audio', audio: { id: 'media_1' } };
+    const context = { contacts: [{ wa_id: testUserId }] };
+
+    userPreferencesService.getPreferences.mockResolvedValueOnce({
+      sourceLanguage: 'auto',
+      targetLanguages: 'es',
+      responseMode: 'text',
+      speakerMode: 'on'
+    });
+    audioProcessingPipeline.processAudioTranslationMulti.mockResolvedValueOnce([{
+      transcription: { text: 'Hello there. Hi!', language: 'en' },
+      translation: { translatedText: 'Hola.\n¡Hola!', targetLanguage: 'es' },
+      tts: { audioContent: Buffer.from('mock audio') },
+      speakerTurns: [
+        { speaker: 1, text: 'Hello there.', translatedText: 'Hola.' },
+        { speaker: 2, text: 'Hi!', translatedText: '¡Hola!' }
+      ]
+    }]);
+
+    await webhookRoutes.handleAudioMessage(voiceMessage, context);
+
+    expect(audioProcessingPipeline.processAudioTranslationMulti).toHaveBeenCalledWith(
+      expect.any(Buffer), ['es'], null, expect.any(Object), expect.any(Array), true, [], expect.any(Function)
+    );
+    expect(whatsappService.sendTextMessage).toHaveBeenCalledWith(
+      testUserId,
+      'Original (auto-detected as en): \nSpeaker 1: Hello there.\nSpeaker 2: Hi!\n\n' +
+        'Translation to ES: \nSpeaker 1: Hola.\nSpeaker 2: ¡Hola!\n\n',
+      { replyTo: 'wamid.voice' }
+    );
+  });
+
+  test('the user and team vocabulary is used to recognize voice notes', async () => {
+    const voiceMessage = { id: 'wamid.voice', type: 'audio', audio: { id: 'media_1' } };
+    const context = { contacts: [{ wa_id: testUserId }] };
+    const phraseHints = [{ phrase: 'Kubernetes', boost: 15 }, { phrase: 'Acme Cloud', boost: 10 }];
+
+    userPreferencesService.getPhraseHints.mockResolvedValueOnce(phraseHints);
+
+    await webhookRoutes.handleAudioMessage(voiceMessage, context);
+
+    expect(userPreferencesService.getPhraseHints).toHaveBeenCalledWith(testUserId);
+    expect(audioProcessingPipeline.processAudioTranslationMulti).toHaveBeenCalledWith(
+      expect.any(Buffer), expect.any(Array), null, expect.any(Object), expect.any(Array), false, phraseHints, expect.any(Function)
+    );
+  });
+
+  test('long voice notes are translated and sent part by part', async () => {
+    const voiceMessage = { id: 'wamid.voice', type: 'audio', audio: { id: 'media_1' } };
+    const context = { contacts: [{ wa_id: testUserId }] };
+    const partResult = (text, translatedText) => ({
+      transcription: { text: text, language: 'en' },
+      translation: { translatedText: translatedText, targetLanguage: 'es' },
+      tts: { audioContent: Buffer.from('mock audio') }
+    });
+
+    userPreferencesService.getPreferences.mockResolvedValueOnce({
+      sourceLanguage: 'auto',
+      targetLanguages: 'es',
+      responseMode: 'text'
+    });
+    AudioProcessor.estimateDuration.mockReturnValueOnce(95);
+    audioProcessingPipeline.processLongAudioTranslationMulti.mockImplementationOnce(
+      async (audioBuffer, targetLanguages, sourceLanguage, voiceSettings, detectionLanguages, phraseHints, onChunkTranslated) => {
+        await onChunkTranslated([partResult('Hello everyone.', 'Hola a todos.')], 0, 2);
+        await onChunkTranslated([partResult('See you soon.', 'Hasta pronto.')], 1, 2);
+        return [partResult('Hello everyone. See you soon.', 'Hola a todos. Hasta pronto.')];
+      }
+    );
+
+    await webhookRoutes.handleAudioMessage(voiceMessage, context);
+
+    expect(audioProcessingPipeline.processAudioTranslationMulti).not.toHaveBeenCalled();
+    expect(whatsappService.sendTextMessage).toHaveBeenCalledTimes(2);
+    expect(whatsappService.sendTextMessage).toHaveBeenNthCalledWith(
+      1,
+      testUserId,
+      'Part 1 of 2\nOriginal (auto-detected as en): Hello everyone.\n\nTranslation to ES: Hola a todos.\n\n',
+      { replyTo: 'wamid.voice' }
+    );
+    expect(whatsappService.sendTextMessage).toHaveBeenNthCalledWith(
+      2,
+      testUserId,
+      expect.stringMatching(/^Part 2 of 2\n.*See you soon/),
+      { replyTo: 'wamid.voice' }
+    );
+    // The whole voice note is remembered for flag reactions
+    expect(messageStoreService.saveMessage).toHaveBeenCalledWith('wamid.voice', testUserId, 'Hello everyone. See you soon.', 'en');
+    expect(messageStoreService.markPartDelivered).toHaveBeenCalledWith('wamid.voice', 0);
+    expect(messageStoreService.markPartDelivered).toHaveBeenCalledWith('wamid.voice', 1);
+  });
+
+  test('retried long voice notes do not send the parts a failed attempt already sent', async () => {
+    const voiceMessage = { id: 'wamid.voice', type: 'audio', audio: { id: 'media_1' } };
+    const context = { contacts: [{ wa_id: testUserId }] };
+    const partResult = (text) => ({
+      transcription: { text: text, language: 'en' },
+      translation: { translatedText: text, targetLanguage: 'en' },
+      tts: { audioContent: Buffer.from('mock audio') }
+    });
+    const translated = [];
+
+    messageStoreService.getDeliveredParts.mockResolvedValueOnce([0]);
+    AudioProcessor.estimateDuration.mockReturnValueOnce(95);
+    audioProcessingPipeline.processLongAudioTranslationMulti.mockImplementationOnce(async (...args) => {
+      const [onChunkTranslated, onChunkTranscribed] = args.slice(6);
+      const chunks = ['Hello everyone.', 'See you soon.'];
+      for (const [index, text] of chunks.entries()) {
+        if (await onChunkTranscribed({ transcription: text, sourceLanguage: 'en', confidence: 0.9 }, index, chunks.length)) {
+          translated.push(index);
+          await onChunkTranslated([partResult(text)], index, chunks.length);
+        }
+      }
+      return [partResult('Hello everyone. See you soon.')];
+    });
+
+    await webhookRoutes.handleAudioMessage(voiceMessage, context);
+
+    expect(messageStoreService.getDeliveredParts).toHaveBeenCalledWith('wamid.voice');
+    expect(translated).toEqual([1]);
+    expect(whatsappService.sendTextMessage).toHaveBeenCalledTimes(1);
+    expect(whatsappService.sendTextMessage).toHaveBeenCalledWith(
+      testUserId, expect.stringMatching(/^Part 2 of 2\n/), { replyTo: 'wamid.voice' }
+    );
+  });
+
+  test('voice notes without speech get an explanation and are not stored or charged', async () => {
+    const rateLimiterService = require('../services/rate-limiter');
+    const voiceMessage = { id: 'wamid.voice', type: 'audio', audio: { id: 'media_1' } };
+    const context = { contacts: [{ wa_id: testUserId }] };
+    let proceed;
+    audioProcessingPipeline.processAudioTranslationMulti.mockImplementationOnce(async (...args) => {
+      proceed = await args[7]({ transcription: '', sourceLanguage: 'en', confidence: null });
+      return proceed === false ? null : [];
+    });
+    // Every chunk of a long voice note was silent
+    AudioProcessor.estimateDuration.mockReturnValueOnce(5).mockReturnValueOnce(95);
+    audioProcessingPipeline.processLongAudioTranslationMulti.mockResolvedValueOnce([{
+      transcription: { text: '', language: null, words: [] },
+      translation: { translatedText: '', targetLanguage: 'en' },
+      tts: { audioContent: Buffer.alloc(0) }
+    }]);
+
+    await webhookRoutes.handleAudioMessage(voiceMessage, context);
+    await webhookRoutes.handleAudioMessage(voiceMessage, context);
+
+    expect(proceed).toBe(false);
+    expect(whatsappService.sendTextMessage).toHaveBeenCalledTimes(2);
+    expect(whatsappService.sendTextMessage).toHaveBeenCalledWith(
+      testUserId,
+      'No speech was recognized in your voice note. Please try recording it again.',
+      { replyTo: 'wamid.voice' }
+    );
+    expect(userPreferencesService.addRecentLanguage).not.toHaveBeenCalled();
+    expect(messageStoreService.saveMessage).not.toHaveBeenCalled();
+    expect(rateLimiterService.charge).not.toHaveBeenCalled();
+  });
+
+  test('unsure parts of long voice notes are held back and shown to the user', async () => {
+    const voiceMessage = { id: 'wamid.voice', type: 'audio', audio: { id: 'media_1' } };
+    const context = { contacts: [{ wa_id: testUserId }] };
+    const partResult = (text, translatedText) => ({
+      transcription: { text: text, language: 'en' },
+      translation: { translatedText: translatedText, targetLanguage: 'en' },
+      tts: { audioContent: Buffer.from('mock audio') }
+    });
+    const translated = [];
+
+    AudioProcessor.estimateDuration.mockReturnValueOnce(95);
+    audioProcessingPipeline.processLongAudioTranslationMulti.mockImplementationOnce(async (...args) => {
+      const [onChunkTranslated, onChunkTranscribed] = args.slice(6);
+      const chunks = [
+        { transcription: 'Hello everyone.', sourceLanguage: 'en', confidence: 0.9 },
+        { transcription: 'See you wound.', sourceLanguage: 'en', confidence: 0.35 }
+      ];
+      for (const [index, chunk] of chunks.entries()) {
+        if (await onChunkTranscribed(chunk, index, chunks.length)) {
+          translated.push(index);
+          await onChunkTranslated([partResult(chunk.transcription, chunk.transcription)], index, chunks.length);
+        }
+      }
+      return [partResult('Hello everyone. See you wound.', 'Hello everyone.')];
+    });
+
+    await webhookRoutes.handleAudioMessage(voiceMessage, context);
+
+    expect(translated).toEqual([0]);
+    expect(whatsappService.sendTextMessage).toHaveBeenCalledTimes(1);
+    expect(whatsappService.sendButtonMessage).toHaveBeenCalledWith(
+      testUserId,
+      expect.stringContaining('(35% confident):\n\n"Part 2 of 2\nSee you wound."'),
+      expect.any(Array)
+    );
+    expect(messageStoreService.savePendingTranscript).toHaveBeenCalledWith(testUserId, expect.objectContaining({
+      text: 'See you wound.',
+      messageId: 'wamid.voice',
+      duration: 0,
+      partial: true
+    }));
+  });
+
+  test('the word timings of a voice note are kept for !subtitles', async () => {
+    const messageStoreService = require('../services/message-store');
+    const voiceMessage = { id: 'wamid.voice', type: 'audio', audio: { id: 'media_1' } };
+    const context = { contacts: [{ wa_id: testUserId }] };
+    const words = [{ word: 'Hello', startTime: 0, endTime: 0.4 }, { word: 'world', startTime: 0.5, endTime: 0.9 }];
+
+    userPreferencesService.getPreferences.mockResolvedValueOnce({
+      sourceLanguage: 'auto',
+      targetLanguages: 'es,fr',
+      responseMode: 'text'
+    });
+    audioProcessingPipeline.processAudioTranslationMulti.mockResolvedValueOnce(['es', 'fr'].map(lang => ({
+      transcription: { text: 'Hello world', language: 'en', words: words },
+      translation: { translatedText: 'Hola mundo', targetLanguage: lang },
+      tts: { audioContent: Buffer.from('mock audio') }
+    })));
+
+    await webhookRoutes.handleAudioMessage(voiceMessage, context);
+
+    expect(messageStoreService.saveTranscript).toHaveBeenCalledWith(testUserId, expect.objectContaining({
+      language: 'en',
+      targetLanguages: ['es', 'fr'],
+      words: words
+    }));
   });
 
   test('complete flow: set preferences -> send text -> get multi-language response', async () => {
@@ -168,9 +519,438 @@ describe('Full Integration Tests', () => {
       .send(textPayload)
       .set('Content-Type', 'application/json');
 
-    // 3. Verify successful processing
+    // 3. Verify the webhook acknowledged and queued the text
     expect(response.status).toBe(200);
     expect(response.body.status).toBe('success');
+    expect(translationQueue.addTranslationJob).toHaveBeenCalledTimes(1);
+
+    // 4. Run the queued job the way the worker would
+    const [message, context] = translationQueue.addTranslationJob.mock.calls[0];
+    await webhookRoutes.handleTextMessage(message, context);
+
+    expect(whatsappService.sendTextMessage).toHaveBeenCalledWith(
+      testUserId,
+      expect.stringContaining('Translation to EN: [en] Hello, how are you?'),
+      {}
+    );
+  });
+
+  test('translations are sent as loose messages when quoting is turned off', async () => {
+    const textMessage = { id: 'wamid.text', type: 'text', text: { body: 'Hello' } };
+    const context = { contacts: [{ wa_id: testUserId }] };
+
+    userPreferencesService.getPreferences.mockResolvedValueOnce({
+      targetLanguages: 'es',
+      responseMode: 'text',
+      quoteReplies: 'off'
+    });
+
+    await webhookRoutes.handleTextMessage(textMessage, context);
+
+    expect(whatsappService.sendTextMessage).toHaveBeenCalledWith(
+      testUserId,
+      expect.stringContaining('Translation to ES: [es] Hello'),
+      {}
+    );
+  });
+
+  test('a stored source language is used instead of detecting it', async () => {
+    const textMessage = { id: 'wamid.text', type: 'text', text: { body: 'Bonjour' } };
+    const context = { contacts: [{ wa_id: testUserId }] };
+
+    userPreferencesService.getPreferences.mockResolvedValueOnce({
+      sourceLanguage: 'fr',
+      targetLanguages: 'en,de',
+      responseMode: 'text'
+    });
+
+    await webhookRoutes.handleTextMessage(textMessage, context);
+
+    expect(translationService.translateWithSourceDetection).not.toHaveBeenCalled();
+    expect(translationService.translateText).toHaveBeenCalledWith('Bonjour', 'en', 'fr');
+    expect(translationService.translateText).toHaveBeenCalledWith('Bonjour', 'de', 'fr');
+    expect(whatsappService.sendTextMessage).toHaveBeenCalledWith(
+      testUserId,
+      expect.stringContaining('Original (fr) : Bonjour'), // Bot messages follow the source language
+      { replyTo: 'wamid.text' }
+    );
+  });
+
+  test('the source language is detected once among the candidate languages', async () => {
+    const textMessage = { id: 'wamid.text', type: 'text', text: { body: 'Hello' } };
+    const context = { contacts: [{ wa_id: testUserId }] };
+
+    userPreferencesService.getPreferences.mockResolvedValueOnce({
+      sourceLanguage: 'auto',
+      candidateLanguages: 'en,hi',
+      targetLanguages: 'es,fr',
+      responseMode: 'text'
+    });
+
+    await webhookRoutes.handleTextMessage(textMessage, context);
+
+    expect(translationService.translateWithSourceDetection).toHaveBeenCalledTimes(1);
+    expect(translationService.translateWithSourceDetection).toHaveBeenCalledWith('Hello', 'es', ['en', 'hi']);
+    expect(translationService.translateText).toHaveBeenCalledWith('Hello', 'fr', 'en');
+  });
+
+  test('retried dead letters are translated late with a note about the delay', async () => {
+    const voiceMessage = { id: 'wamid.voice', type: 'audio', timestamp: '1767225600', audio: { id: 'media_1' } };
+    const context = {
+      contacts: [{ wa_id: testUserId }],
+      redelivery: { deadLetterId: 'wamid.voice', failedAt: '2026-01-01T00:05:00.000Z' }
+    };
+
+    await webhookRoutes.handleAudioMessage(voiceMessage, context);
+
+    expect(whatsappService.sendTextMessage).toHaveBeenCalledWith(
+      testUserId,
+      expect.stringMatching(/^Sorry for the late reply: we could not translate your message from 2026-01-01 00:00 UTC when you sent it/),
+      { replyTo: 'wamid.voice' }
+    );
+  });
+
+  test('complete flow: send text -> react with a flag -> get a translation', async () => {
+    // 1. Send and process a text message
+    const textPayload = {
+      entry: [{
+        changes: [{
+          value: {
+            contacts: [{ wa_id: testUserId }],
+            messages: [{
+              id: 'wamid.original',
+              type: 'text',
+              text: { body: 'Good morning' },
+              from: testUserId
+            }]
+          }
+        }]
+      }]
+    };
+
+    await request(testApp)
+      .post('/webhook')
+      .send(textPayload)
+      .set('Content-Type', 'application/json');
+
+    const [message, context] = translationQueue.addTranslationJob.mock.calls[0];
+    await webhookRoutes.handleTextMessage(message, context);
+
+    expect(messageStoreService.saveMessage).toHaveBeenCalledWith('wamid.original', testUserId, 'Good morning', 'en');
+
+    // 2. React to it with the Japanese flag
+    messageStoreService.getMessage.mockResolvedValueOnce({
+      recipientId: testUserId,
+      text: 'Good morning',
+      language: 'en'
+    });
+
+    const reactionPayload = {
+      entry: [{
+        changes: [{
+          value: {
+            contacts: [{ wa_id: testUserId }],
+            messages: [{
+              id: 'wamid.reaction',
+              type: 'reaction',
+              reaction: { message_id: 'wamid.original', emoji: '\u{1F1EF}\u{1F1F5}' },
+              from: testUserId
+            }]
+          }
+        }]
+      }]
+    };
+
+    const response = await request(testApp)
+      .post('/webhook')
+      .send(reactionPayload)
+      .set('Content-Type', 'application/json');
+
+    expect(response.status).toBe(200);
+    expect(translationQueue.addReactionJob).toHaveBeenCalledTimes(1);
+
+    // 3. Run the queued reaction job the way the worker would
+    const [reaction, reactionContext] = translationQueue.addReactionJob.mock.calls[0];
+    await webhookRoutes.handleReactionMessage(reaction, reactionContext);
+
+    expect(messageStoreService.getMessage).toHaveBeenCalledWith('wamid.original');
+    expect(whatsappService.sendTextMessage).toHaveBeenCalledWith(testUserId, 'Translation to JA: [ja] Good morning');
+  });
+
+  test('complete flow: send video -> translate its audio track', async () => {
+    const videoPayload = {
+      entry: [{
+        changes: [{
+          value: {
+            contacts: [{ wa_id: testUserId }],
+            messages: [{
+              type: 'video',
+              video: { id: 'test_video_123', mime_type: 'video/mp4' },
+              from: testUserId
+            }]
+          }
+        }]
+      }]
+    };
+
+    const response = await request(testApp)
+      .post('/webhook')
+      .send(videoPayload)
+      .set('Content-Type', 'application/json');
+
+    expect(response.status).toBe(200);
+    expect(translationQueue.addVideoJob).toHaveBeenCalledTimes(1);
+
+    // Run the queued job the way the worker would
+    const [message, context] = translationQueue.addVideoJob.mock.calls[0];
+    await webhookRoutes.handleVideoMessage(message, context);
+
+    expect(whatsappService.downloadMedia).toHaveBeenCalledWith('test_video_123');
+    expect(AudioProcessor.extractAudioTrack).toHaveBeenCalledWith(Buffer.from('mock audio content'));
+    expect(audioProcessingPipeline.processAudioTranslationMulti).toHaveBeenCalledWith(
+      Buffer.from('mock extracted audio'),
+      ['en'],
+      null,
+      { voiceNames: {}, ssmlGender: 'NEUTRAL', speakingRate: 1.0, voicePerSpeaker: false },
+      ['en', 'es', 'fr', 'hi'],
+      false,
+      [],
+      expect.any(Function)
+    );
+    expect(whatsappService.sendTextMessage).toHaveBeenCalledWith(
+      testUserId,
+      expect.stringContaining('Translation to ES: Hola mundo'),
+      {}
+    );
+  });
+
+  test('video without an audio track gets an explanation', async () => {
+    AudioProcessor.extractAudioTrack.mockResolvedValueOnce(Buffer.alloc(0));
+
+    await webhookRoutes.handleVideoMessage(
+      { type: 'video', video: { id: 'silent_video' } },
+      { contacts: [{ wa_id: testUserId }] }
+    );
+
+    expect(audioProcessingPipeline.processAudioTranslationMulti).not.toHaveBeenCalled();
+    expect(whatsappService.sendTextMessage).toHaveBeenCalledWith(
+      testUserId,
+      'Sorry, I could not find any audio in this video.'
+    );
+  });
+
+  test('unsure transcriptions are shown to the user instead of being translated', async () => {
+    const voiceMessage = { id: 'wamid.voice', type: 'audio', audio: { id: 'media_1' } };
+    const context = { contacts: [{ wa_id: testUserId }] };
+    let proceed;
+    audioProcessingPipeline.processAudioTranslationMulti.mockImplementationOnce(async (...args) => {
+      const onTranscribed = args[7];
+      proceed = await onTranscribed({ transcription: 'Hello wurld', sourceLanguage: 'en', confidence: 0.42, words: [] });
+      return proceed === false ? null : [];
+    });
+
+    await webhookRoutes.handleAudioMessage(voiceMessage, context);
+
+    expect(proceed).toBe(false);
+    expect(whatsappService.sendButtonMessage).toHaveBeenCalledWith(
+      testUserId,
+      expect.stringContaining('(42% confident):\n\n"Hello wurld"'),
+      [{ id: 'transcript:confirm', title: 'Translate' }, { id: 'transcript:discard', title: 'Record again' }]
+    );
+    expect(messageStoreService.savePendingTranscript).toHaveBeenCalledWith(testUserId, expect.objectContaining({
+      text: 'Hello wurld',
+      language: 'en',
+      messageId: 'wamid.voice',
+      duration: 5,
+      promptMessageId: 'wamid.prompt',
+      awaitingReply: true
+    }));
+    expect(whatsappService.sendTextMessage).not.toHaveBeenCalled();
+    expect(messageStoreService.saveMessage).not.toHaveBeenCalled();
+  });
+
+  test('confident transcriptions are translated without asking', async () => {
+    const voiceMessage = { id: 'wamid.voice', type: 'audio', audio: { id: 'media_1' } };
+    const context = { contacts: [{ wa_id: testUserId }] };
+
+    await webhookRoutes.handleAudioMessage(voiceMessage, context);
+
+    const onTranscribed = audioProcessingPipeline.processAudioTranslationMulti.mock.calls[0][7];
+    await expect(onTranscribed({ transcription: 'Hello world', sourceLanguage: 'en', confidence: 0.9 })).resolves.toBe(true);
+    // Recognitions without a confidence are not held either
+    await expect(onTranscribed({ transcription: 'Hello world', sourceLanguage: 'en', confidence: null })).resolves.toBe(true);
+    expect(whatsappService.sendButtonMessage).not.toHaveBeenCalled();
+  });
+
+  describe('answering an unsure transcription', () => {
+    const context = { contacts: [{ wa_id: testUserId }] };
+    const tenantService = require('../services/tenants');
+    let pending;
+
+    beforeEach(() => {
+      pending = {
+        text: 'Hello wurld',
+        language: 'en',
+        words: [{ word: 'Hello', startTime: 0, endTime: 0.5 }],
+        messageId: 'wamid.voice',
+        duration: 5,
+        sourceLanguageFixed: false,
+        promptMessageId: 'wamid.prompt',
+        awaitingReply: true,
+        phoneNumberId: tenantService.getTenantForContext(context).phoneNumberId
+      };
+    });
+
+    test('the first text after the prompt corrects the transcription without quoting it', async () => {
+      messageStoreService.getPendingTranscript.mockResolvedValueOnce(pending);
+      const correction = { id: 'wamid.correction', type: 'text', text: { body: 'Hello world' } };
+
+      await webhookRoutes.handleTextMessage(correction, context);
+
+      expect(audioProcessingPipeline.processTextTranslationMulti).toHaveBeenCalledWith('Hello world', ['en'], 'en', expect.any(Object));
+      expect(messageStoreService.clearPendingTranscript).toHaveBeenCalledWith(testUserId);
+    });
+
+    test('later unquoted texts are translated as usual', async () => {
+      messageStoreService.getPendingTranscript.mockResolvedValueOnce({ ...pending, awaitingReply: false });
+      const text = { id: 'wamid.text', type: 'text', text: { body: 'Good night' } };
+
+      await webhookRoutes.handleTextMessage(text, context);
+
+      expect(audioProcessingPipeline.processTextTranslationMulti).not.toHaveBeenCalled();
+      expect(translationService.translateWithSourceDetection).toHaveBeenCalled();
+    });
+
+    test('prompt, then a confident voice note, then a text: the text is translated as usual', async () => {
+      // Keep the pending transcript in memory, the way Redis would
+      let stored = null;
+      messageStoreService.savePendingTranscript.mockImplementation(async (recipientId, record) => { stored = record; return true; });
+      messageStoreService.getPendingTranscript.mockImplementation(async () => stored);
+      messageStoreService.clearPendingTranscript.mockImplementation(async () => { stored = null; return true; });
+
+      try {
+        const voiceMessage = { id: 'wamid.voice', type: 'audio', audio: { id: 'media_1' } };
+        audioProcessingPipeline.processAudioTranslationMulti.mockImplementationOnce(async (...args) => {
+          await args[7]({ transcription: 'Hello wurld', sourceLanguage: 'en', confidence: 0.42, words: [] });
+          return null;
+        });
+        await webhookRoutes.handleAudioMessage(voiceMessage, context);
+        expect(stored).toEqual(expect.objectContaining({ text: 'Hello wurld', awaitingReply: true }));
+
+        await webhookRoutes.handleAudioMessage({ ...voiceMessage, id: 'wamid.voice2' }, context);
+        expect(stored).toBeNull();
+
+        await webhookRoutes.handleTextMessage({ id: 'wamid.text', type: 'text', text: { body: 'Good night' } }, context);
+
+        expect(audioProcessingPipeline.processTextTranslationMulti).not.toHaveBeenCalled();
+        expect(translationService.translateWithSourceDetection).toHaveBeenCalledWith('Good night', 'en', []);
+      } finally {
+        messageStoreService.savePendingTranscript.mockResolvedValue(true);
+        messageStoreService.getPendingTranscript.mockResolvedValue(null);
+        messageStoreService.clearPendingTranscript.mockResolvedValue(true);
+      }
+    });
+
+    test('a text reply corrects the transcription before it is translated', async () => {
+      messageStoreService.getPendingTranscript.mockResolvedValueOnce(pending);
+      const correction = { id: 'wamid.correction', type: 'text', text: { body: 'Hello world' }, context: { id: 'wamid.prompt' } };
+
+      await webhookRoutes.handleTextMessage(correction, context);
+
+      expect(audioProcessingPipeline.processTextTranslationMulti).toHaveBeenCalledWith('Hello world', ['en'], 'en', expect.any(Object));
+      expect(whatsappService.sendTextMessage).toHaveBeenCalledWith(
+        testUserId,
+        'Original (auto-detected as en): Hello world\n\nTranslation to EN: [en] Hello world\n\n',
+        { replyTo: 'wamid.voice' }
+      );
+      expect(messageStoreService.saveMessage).toHaveBeenCalledWith('wamid.voice', testUserId, 'Hello world', 'en');
+      // The timings belong to the words that were misheard
+      expect(messageStoreService.saveTranscript).not.toHaveBeenCalled();
+      expect(messageStoreService.clearPendingTranscript).toHaveBeenCalledWith(testUserId);
+      expect(translationService.translateWithSourceDetection).not.toHaveBeenCalled();
+    });
+
+    test('a text quoting another message is translated as usual', async () => {
+      messageStoreService.getPendingTranscript.mockResolvedValueOnce(pending);
+      const quote = { id: 'wamid.text', type: 'text', text: { body: 'Good night' }, context: { id: 'wamid.other' } };
+
+      await webhookRoutes.handleTextMessage(quote, context);
+
+      expect(audioProcessingPipeline.processTextTranslationMulti).not.toHaveBeenCalled();
+      expect(translationService.translateWithSourceDetection).toHaveBeenCalled();
+      expect(messageStoreService.clearPendingTranscript).not.toHaveBeenCalled();
+      // Unquoted texts no longer correct it either
+      expect(messageStoreService.updatePendingTranscript).toHaveBeenCalledWith(testUserId, { awaitingReply: false });
+    });
+
+    test('complete flow: tap Translate -> the transcription is translated as it is', async () => {
+      const tapPayload = {
+        entry: [{
+          changes: [{
+            value: {
+              contacts: [{ wa_id: testUserId }],
+              messages: [{
+                type: 'interactive',
+                interactive: { type: 'button_reply', button_reply: { id: 'transcript:confirm', title: 'Translate' } },
+                context: { id: 'wamid.prompt' },
+                from: testUserId
+              }]
+            }
+          }]
+        }]
+      };
+
+      const response = await request(testApp)
+        .post('/webhook')
+        .send(tapPayload)
+        .set('Content-Type', 'application/json');
+
+      expect(response.status).toBe(200);
+      expect(translationQueue.addTranscriptConfirmationJob).toHaveBeenCalledTimes(1);
+
+      messageStoreService.getPendingTranscript.mockResolvedValueOnce(pending);
+      const [message, jobContext] = translationQueue.addTranscriptConfirmationJob.mock.calls[0];
+      await webhookRoutes.handleTranscriptConfirmation(message, jobContext);
+
+      expect(audioProcessingPipeline.processTextTranslationMulti).toHaveBeenCalledWith('Hello wurld', ['en'], 'en', expect.any(Object));
+      expect(whatsappService.sendTextMessage).toHaveBeenCalledWith(
+        testUserId,
+        expect.stringContaining('Translation to EN: [en] Hello wurld'),
+        { replyTo: 'wamid.voice' }
+      );
+      expect(userPreferencesService.addRecentLanguage).toHaveBeenCalledWith(testUserId, 'en');
+      expect(messageStoreService.saveTranscript).toHaveBeenCalledWith(testUserId, expect.objectContaining({ words: pending.words }));
+      expect(messageStoreService.clearPendingTranscript).toHaveBeenCalledWith(testUserId);
+    });
+
+    test('tapping Record again drops the transcription', async () => {
+      messageStoreService.getPendingTranscript.mockResolvedValueOnce(pending);
+      const tap = {
+        type: 'interactive',
+        interactive: { type: 'button_reply', button_reply: { id: 'transcript:discard' } },
+        context: { id: 'wamid.prompt' }
+      };
+
+      await webhookRoutes.handleTranscriptConfirmation(tap, context);
+
+      expect(messageStoreService.clearPendingTranscript).toHaveBeenCalledWith(testUserId);
+      expect(audioProcessingPipeline.processTextTranslationMulti).not.toHaveBeenCalled();
+      expect(whatsappService.sendTextMessage).toHaveBeenCalledWith(testUserId, expect.stringContaining("I won't translate it"));
+    });
+
+    test('buttons of a replaced or expired prompt are not answered', async () => {
+      messageStoreService.getPendingTranscript.mockResolvedValueOnce({ ...pending, promptMessageId: 'wamid.newer' });
+      const tap = {
+        type: 'interactive',
+        interactive: { type: 'button_reply', button_reply: { id: 'transcript:confirm' } },
+        context: { id: 'wamid.prompt' }
+      };
+
+      await webhookRoutes.handleTranscriptConfirmation(tap, context);
+
+      expect(audioProcessingPipeline.processTextTranslationMulti).not.toHaveBeenCalled();
+      expect(whatsappService.sendTextMessage).toHaveBeenCalledWith(testUserId, expect.stringContaining('no longer waiting'));
+    });
   });
 
   test('health and metrics endpoints should work', async () => {
@@ -0,0 +1,120 @@
+// Mock config before any imports that might use it
+jest.mock('../config', () => ({
+  redis: {
+    url: 'redis://localhost:6379'
+  }
+}));
+
+// Keep the Redis cache in memory, shared by every resolver like the real Redis
+const mockRedisValues = new Map();
+jest.mock('ioredis', () => {
+  return jest.fn().mockImplementation(() => ({
+    get: jest.fn(async (key) => mockRedisValues.get(key) || null),
+    set: jest.fn(async (key, value) => {
+      mockRedisValues.set(key, value);
+      return 'OK';
+    }),
+    on: jest.fn()
+  }));
+});
+
+// Mock the Translation API's list of supported languages
+jest.mock('../services/google/translation', () => ({
+  getSupportedLanguages: jest.fn()
+}));
+
+const translationService = require('../services/google/translation');
+
+const SUPPORTED_LANGUAGES = [
+  { code: 'en', name: 'English' },
+  { code: 'es', name: 'Spanish' },
+  { code: 'de', name: 'German' },
+  { code: 'pt', name: 'Portuguese (Brazil)' },
+  { code: 'pt-PT', name: 'Portuguese (Portugal)' },
+  { code: 'tl', name: 'Filipino' },
+  { code: 'yue', name: 'Cantonese' },
+  { code: 'zh-CN', name: 'Chinese (Simplified)' },
+  { code: 'zh-TW', name: 'Chinese (Traditional)' }
+];
+
+describe('Language Resolver Tests', () => {
+  let languageResolver;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockRedisValues.clear();
+    // A fresh resolver per test, so the cached list does not leak between tests
+    jest.isolateModules(() => {
+      languageResolver = require('../services/language-resolver');
+    });
+    translationService.getSupportedLanguages.mockResolvedValue(SUPPORTED_LANGUAGES);
+  });
+
+  const resolveCode = async (input) => (await languageResolver.resolve(input)).language?.code;
+
+  test('should resolve codes and regional tags', async () => {
+    expect(await resolveCode('es')).toBe('es');
+    expect(await resolveCode('YUE')).toBe('yue');
+    expect(await resolveCode('pt-pt')).toBe('pt-PT');
+    expect(await resolveCode('zh_TW')).toBe('zh-TW');
+    // Regions the API does not list fall back to the language
+    expect(await resolveCode('es-MX')).toBe('es');
+  });
+
+  test('should resolve codes known under another code', async () => {
+    expect(await resolveCode('fil')).toBe('tl');
+    expect(await resolveCode('zh')).toBe('zh-CN');
+    expect(await resolveCode('zh-Hant')).toBe('zh-TW');
+  });
+
+  test('should resolve English and native names', async () => {
+    expect(await resolveCode('spanish')).toBe('es');
+    expect(await resolveCode('Español')).toBe('es');
+    expect(await resolveCode('espanol')).toBe('es');
+    expect(await resolveCode('deutsch')).toBe('de');
+    expect(await resolveCode('chinese-traditional')).toBe('zh-TW');
+    expect(await resolveCode('portuguese')).toBe('pt');
+  });
+
+  test('should suggest the closest language for typos', async () => {
+    const resolution = await languageResolver.resolve('germna');
+
+    expect(resolution.language).toBeNull();
+    expect(resolution.suggestion.code).toBe('de');
+    expect((await languageResolver.resolve('klingon')).suggestion).toBeNull();
+  });
+
+  test('should load the supported languages once', async () => {
+    await Promise.all([languageResolver.resolve('es'), languageResolver.resolve('de')]);
+    await languageResolver.resolve('en');
+
+    expect(translationService.getSupportedLanguages).toHaveBeenCalledTimes(1);
+    expect(translationService.getSupportedLanguages).toHaveBeenCalledWith('en');
+  });
+
+  test('should share the supported languages with other processes through Redis', async () => {
+    await languageResolver.resolve('es');
+
+    // A restarted process finds the list in Redis instead of asking the Translation API
+    let restartedResolver;
+    jest.isolateModules(() => {
+      restartedResolver = require('../services/language-resolver');
+    });
+    expect((await restartedResolver.resolve('deutsch')).language.code).toBe('de');
+    expect(translationService.getSupportedLanguages).toHaveBeenCalledTimes(1);
+    expect(restartedResolver.redis.get).toHaveBeenCalledWith('languages:supported');
+  });
+
+  test('should accept language tags when the supported languages cannot be loaded', async () => {
+    translationService.getSupportedLanguages.mockRejectedValue(new Error('Get Languages Service Error: offline'));
+
+    expect(await resolveCode('pt-pt')).toBe('pt-PT');
+    expect(await resolveCode('spanish')).toBeUndefined();
+  });
+
+  test('should search languages by code and name', async () => {
+    const matches = await languageResolver.search('portu');
+
+    expect(matches.map(language => language.code)).toEqual(['pt', 'pt-PT']);
+  });
+});
@@ -0,0 +1,98 @@
+// Mock config before any imports that might use it
+jest.mock('../config', () => ({
+  redis: {
+    url: 'redis://localhost:6379'
+  },
+  localization: {
+    cacheTtlSeconds: 3600
+  }
+}));
+
+// Mock the Redis connection to avoid actual Redis connection issues
+jest.mock('ioredis', () => {
+  return jest.fn().mockImplementation(() => ({
+    hget: jest.fn().mockResolvedValue(null),
+    hset: jest.fn().mockResolvedValue(1),
+    expire: jest.fn().mockResolvedValue(1),
+    on: jest.fn()
+  }));
+});
+
+jest.mock('../services/google/translation', () => ({
+  translateText: jest.fn()
+}));
+
+const localizationService = require('../services/localization');
+const translationService = require('../services/google/translation');
+const UiMessages = require('../utils/i18n');
+
+describe('UI Message Catalog Tests', () => {
+  test('should have every English message with the same placeholders in each catalog', () => {
+    const englishKeys = Object.keys(require('../utils/i18n/locales/en.json'));
+
+    for (const language of UiMessages.getCatalogLanguages()) {
+      for (const key of englishKeys) {
+        const template = UiMessages.getTemplate(key, language);
+        expect({ language, key, present: template !== null }).toEqual({ language, key, present: true });
+        expect(UiMessages.getPlaceholders(template).sort()).toEqual(UiMessages.getPlaceholders(UiMessages.getEnglishTemplate(key)).sort());
+      }
+    }
+  });
+
+  test('should fill in placeholders and fall back to English', () => {
+    expect(UiMessages.getMessage('translationText', 'es', { language: 'FR', text: 'Bonjour' })).toBe('Traducción a FR: Bonjour');
+    expect(UiMessages.getMessage('translationText', 'xx', { language: 'FR', text: 'Bonjour' })).toBe('Translation to FR: Bonjour');
+    expect(() => UiMessages.getEnglishTemplate('noSuchMessage')).toThrow('UI Messages Error');
+  });
+});
+
+describe('Localization Service Tests', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  test('should use the catalog without machine translation', async () => {
+    expect(await localizationService.getMessage('videoNoAudio', 'fr')).toBe('Désolé, je n\'ai trouvé aucun son dans cette vidéo.');
+    expect(await localizationService.getMessage('videoNoAudio', 'en')).toBe('Sorry, I could not find any audio in this video.');
+
+    expect(translationService.translateText).not.toHaveBeenCalled();
+    expect(localizationService.redis.hget).not.toHaveBeenCalled();
+  });
+
+  test('should machine translate messages missing from the catalogs and cache them', async () => {
+    translationService.translateText.mockResolvedValueOnce({ translatedText: 'Traduzione in {0}: {1}' });
+
+    const message = await localizationService.getMessage('translationText', 'it', { language: 'ES', text: 'Hola' });
+
+    expect(message).toBe('Traduzione in ES: Hola');
+    // Placeholders are numbered so their names are not translated
+    expect(translationService.translateText).toHaveBeenCalledWith('Translation to {0}: {1}', 'it', 'en');
+    expect(localizationService.redis.hset).toHaveBeenCalledWith('i18n:it', 'Translation to {language}: {text}', 'Traduzione in {language}: {text}');
+    expect(localizationService.redis.expire).toHaveBeenCalledWith('i18n:it', 3600);
+  });
+
+  test('should use cached machine translations', async () => {
+    localizationService.redis.hget.mockResolvedValueOnce('Traduzione in {language}: {text}');
+
+    const message = await localizationService.getMessage('translationText', 'it', { language: 'ES', text: 'Hola' });
+
+    expect(message).toBe('Traduzione in ES: Hola');
+    expect(translationService.translateText).not.toHaveBeenCalled();
+  });
+
+  test('should fall back to English when a translation loses a placeholder', async () => {
+    translationService.translateText.mockResolvedValueOnce({ translatedText: 'Traduzione: {1}' });
+
+    const message = await localizationService.getMessage('translationText', 'it', { language: 'ES', text: 'Hola' });
+
+    expect(message).toBe('Translation to ES: Hola');
+    expect(localizationService.redis.hset).not.toHaveBeenCalled();
+  });
+
+  test('should fall back to English when translation or Redis fails', async () => {
+    localizationService.redis.hget.mockRejectedValueOnce(new Error('Redis down'));
+    translationService.translateText.mockRejectedValueOnce(new Error('Translation Service Error: unsupported'));
+
+    expect(await localizationService.getMessage('commandError', 'it')).toBe('Sorry, there was an error processing your command.');
+  });
+});
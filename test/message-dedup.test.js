@@ -0,0 +1,57 @@
+// Mock config before any imports that might use it
+jest.mock('../config', () => ({
+  redis: {
+    url: 'redis://localhost:6379'
+  },
+  messageDedup: {
+    ttlSeconds: 3600
+  }
+}));
+
+// Mock the Redis connection to avoid actual Redis connection issues
+jest.mock('ioredis', () => {
+  return jest.fn().mockImplementation(() => ({
+    set: jest.fn().mockResolvedValue('OK'),
+    del: jest.fn().mockResolvedValue(1),
+    on: jest.fn()
+  }));
+});
+
+const messageDedupService = require('../services/message-dedup');
+
+describe('Message Dedup Service Tests', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  test('should claim a message the first time it is delivered', async () => {
+    messageDedupService.redis.set.mockResolvedValueOnce('OK');
+
+    expect(await messageDedupService.claimMessage('wamid.1')).toBe(true);
+    expect(messageDedupService.redis.set).toHaveBeenCalledWith(
+      'message:wamid.1:processed',
+      expect.any(Number),
+      'EX',
+      3600,
+      'NX'
+    );
+  });
+
+  test('should reject a redelivered message', async () => {
+    // SET NX returns null when the key already exists
+    messageDedupService.redis.set.mockResolvedValueOnce(null);
+
+    expect(await messageDedupService.claimMessage('wamid.1')).toBe(false);
+  });
+
+  test('should process the message when Redis is unavailable', async () => {
+    messageDedupService.redis.set.mockRejectedValueOnce(new Error('Connection refused'));
+
+    expect(await messageDedupService.claimMessage('wamid.2')).toBe(true);
+  });
+
+  test('should release a claimed message', async () => {
+    expect(await messageDedupService.releaseMessage('wamid.3')).toBe(true);
+    expect(messageDedupService.redis.del).toHaveBeenCalledWith('message:wamid.3:processed');
+  });
+});
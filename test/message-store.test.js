@@ -0,0 +1,118 @@
+// Mock config before any imports that might use it
+jest.mock('../config', () => ({
+  redis: {
+    url: 'redis://localhost:6379'
+  },
+  messageStore: {
+    ttlSeconds: 3600
+  },
+  transcription: {
+    confirmationTtlSeconds: 600
+  }
+}));
+
+// Mock the Redis connection to avoid actual Redis connection issues
+jest.mock('ioredis', () => {
+  return jest.fn().mockImplementation(() => ({
+    hset: jest.fn().mockResolvedValue(1),
+    hgetall: jest.fn().mockResolvedValue({}),
+    set: jest.fn().mockResolvedValue('OK'),
+    get: jest.fn().mockResolvedValue(null),
+    expire: jest.fn().mockResolvedValue(1),
+    del: jest.fn().mockResolvedValue(1),
+    sadd: jest.fn().mockResolvedValue(1),
+    smembers: jest.fn().mockResolvedValue([]),
+    on: jest.fn()
+  }));
+});
+
+const messageStoreService = require('../services/message-store');
+
+describe('Message Store Service Tests', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  test('should store message content with an expiry', async () => {
+    expect(await messageStoreService.saveMessage('wamid.1', 'user_1', 'Hello', 'en')).toBe(true);
+
+    expect(messageStoreService.redis.hset).toHaveBeenCalledWith('message:wamid.1:content', expect.objectContaining({
+      recipientId: 'user_1',
+      text: 'Hello',
+      language: 'en'
+    }));
+    expect(messageStoreService.redis.expire).toHaveBeenCalledWith('message:wamid.1:content', 3600);
+  });
+
+  test('should return stored message content', async () => {
+    messageStoreService.redis.hgetall.mockResolvedValueOnce({
+      recipientId: 'user_1',
+      text: 'Hello',
+      language: '',
+      storedAt: '2024-01-01T00:00:00.000Z'
+    });
+
+    const stored = await messageStoreService.getMessage('wamid.1');
+
+    expect(stored).toEqual(expect.objectContaining({ recipientId: 'user_1', text: 'Hello', language: null }));
+  });
+
+  test('should return null for unknown or expired messages', async () => {
+    expect(await messageStoreService.getMessage('wamid.unknown')).toBeNull();
+  });
+
+  test('should keep the latest timed transcript of a user with an expiry', async () => {
+    const transcript = { language: 'en', targetLanguages: ['es'], words: [{ word: 'Hello', startTime: 0, endTime: 0.5 }] };
+
+    expect(await messageStoreService.saveTranscript('user_1', transcript)).toBe(true);
+    const [key, value, expiryMode, ttl] = messageStoreService.redis.set.mock.calls[0];
+    expect([key, expiryMode, ttl]).toEqual(['user:user_1:transcript', 'EX', 3600]);
+
+    messageStoreService.redis.get.mockResolvedValueOnce(value);
+    expect(await messageStoreService.getLatestTranscript('user_1')).toEqual(expect.objectContaining(transcript));
+    expect(await messageStoreService.getLatestTranscript('user_2')).toBeNull();
+  });
+
+  test('should remember which parts of a long voice note were sent', async () => {
+    expect(await messageStoreService.markPartDelivered('wamid.voice', 1)).toBe(true);
+    expect(messageStoreService.redis.sadd).toHaveBeenCalledWith('message:wamid.voice:delivered-parts', '1');
+    expect(messageStoreService.redis.expire).toHaveBeenCalledWith('message:wamid.voice:delivered-parts', 3600);
+
+    messageStoreService.redis.smembers.mockResolvedValueOnce(['0', '1']);
+    expect(await messageStoreService.getDeliveredParts('wamid.voice')).toEqual([0, 1]);
+    messageStoreService.redis.smembers.mockRejectedValueOnce(new Error('Connection refused'));
+    expect(await messageStoreService.getDeliveredParts('wamid.voice')).toEqual([]);
+  });
+
+  test('should hold a transcript waiting for confirmation until it is answered or expires', async () => {
+    const pending = { text: 'Hello wurld', language: 'en', messageId: 'wamid.voice', promptMessageId: 'wamid.prompt' };
+
+    expect(await messageStoreService.savePendingTranscript('user_1', pending)).toBe(true);
+    const [key, value, expiryMode, ttl] = messageStoreService.redis.set.mock.calls[0];
+    expect([key, expiryMode, ttl]).toEqual(['user:user_1:pending-transcript', 'EX', 600]);
+
+    messageStoreService.redis.get.mockResolvedValueOnce(value);
+    expect(await messageStoreService.getPendingTranscript('user_1')).toEqual(expect.objectContaining(pending));
+
+    messageStoreService.redis.get.mockResolvedValueOnce(value);
+    expect(await messageStoreService.updatePendingTranscript('user_1', { awaitingReply: false })).toBe(true);
+    expect(messageStoreService.redis.set).toHaveBeenLastCalledWith(
+      'user:user_1:pending-transcript',
+      expect.stringContaining('"awaitingReply":false'),
+      'KEEPTTL'
+    );
+    expect(await messageStoreService.updatePendingTranscript('user_2', { awaitingReply: false })).toBe(false);
+
+    expect(await messageStoreService.clearPendingTranscript('user_1')).toBe(true);
+    expect(messageStoreService.redis.del).toHaveBeenCalledWith('user:user_1:pending-transcript');
+    expect(await messageStoreService.getPendingTranscript('user_1')).toBeNull();
+  });
+
+  test('should report failures without throwing', async () => {
+    messageStoreService.redis.hset.mockRejectedValueOnce(new Error('Connection refused'));
+    messageStoreService.redis.hgetall.mockRejectedValueOnce(new Error('Connection refused'));
+
+    expect(await messageStoreService.saveMessage('wamid.2', 'user_1', 'Hello')).toBe(false);
+    expect(await messageStoreService.getMessage('wamid.2')).toBeNull();
+  });
+});
@@ -4,6 +4,10 @@
 jest.mock('../config', () => ({
   redis: {
     url: 'redis://localhost:6379'
+  },
+  queue: {
+    prefix: 'bull',
+    mediaJobTimeoutSeconds: 1800
   }
 }));
 
@@ -141,7 +145,11 @@ describe('Option 1 New Features Tests', () => {
       expect(audioProcessingPipeline.convertToBCP47('en')).toBe('en-US');
       expect(audioProcessingPipeline.convertToBCP47('es')).toBe('es-ES');
       expect(audioProcessingPipeline.convertToBCP47('fr')).toBe('fr-FR');
-      expect(audioProcessingPipeline.convertToBCP47('invalid')).toBe('invalid-INVALID');
+      expect(audioProcessingPipeline.convertToBCP47('yue')).toBe('yue-Hant-HK');
+      expect(audioProcessingPipeline.convertToBCP47('tl')).toBe('fil-PH');
+      expect(audioProcessingPipeline.convertToBCP47('pt-PT')).toBe('pt-PT');
+      // Languages without a known locale keep their bare code instead of a made-up region
+      expect(audioProcessingPipeline.convertToBCP47('invalid')).toBe('invalid');
     });
   });
 });
@@ -0,0 +1,94 @@
+// Mock config before any imports that might use it
+jest.mock('../config', () => ({
+  redis: {
+    url: 'redis://localhost:6379'
+  },
+  rateLimit: {
+    enabled: true,
+    windowSeconds: 3600,
+    audioSeconds: 1800,
+    textCharacters: 36000
+  }
+}));
+
+// Mock the Redis connection to avoid actual Redis connection issues
+jest.mock('ioredis', () => {
+  return jest.fn().mockImplementation(() => ({
+    eval: jest.fn().mockResolvedValue([1, '1000']),
+    set: jest.fn().mockResolvedValue('OK'),
+    on: jest.fn()
+  }));
+});
+
+const rateLimiterService = require('../services/rate-limiter');
+
+describe('Rate Limiter Service Tests', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    rateLimiterService.enabled = true;
+  });
+
+  test('should take tokens from the per-user bucket of a budget', async () => {
+    const result = await rateLimiterService.consume('user_1', 'text', 500);
+
+    expect(result).toEqual({ allowed: true, remaining: 1000, retryAfterSeconds: 0 });
+    // Key, capacity, refill per second, now, cost, mode, TTL
+    expect(rateLimiterService.redis.eval).toHaveBeenCalledWith(
+      expect.any(String), 1, 'ratelimit:user_1:text', 36000, 10, expect.any(Number), 500, 'consume', 3600
+    );
+  });
+
+  test('should report when the budget refills enough for a rejected message', async () => {
+    rateLimiterService.redis.eval.mockResolvedValueOnce([0, '100']);
+
+    const result = await rateLimiterService.consume('user_1', 'text', 600);
+
+    // 500 characters short at 10 characters per second
+    expect(result).toEqual({ allowed: false, remaining: 100, retryAfterSeconds: 50 });
+  });
+
+  test('should wait for a positive balance when only checking a spent budget', async () => {
+    rateLimiterService.redis.eval.mockResolvedValueOnce([0, '-60']);
+
+    const result = await rateLimiterService.consume('user_1', 'audio', 0);
+
+    // 60 seconds of audio overspent at 0.5 seconds per second
+    expect(result.allowed).toBe(false);
+    expect(result.retryAfterSeconds).toBe(120);
+  });
+
+  test('should charge usage unconditionally', async () => {
+    await rateLimiterService.charge('user_1', 'audio', 42.5);
+
+    expect(rateLimiterService.redis.eval).toHaveBeenCalledWith(
+      expect.any(String), 1, 'ratelimit:user_1:audio', 1800, 0.5, expect.any(Number), 42.5, 'charge', 3600
+    );
+  });
+
+  test('should let everything through when disabled', async () => {
+    rateLimiterService.enabled = false;
+
+    const result = await rateLimiterService.consume('user_1', 'text', 100000);
+
+    expect(result.allowed).toBe(true);
+    expect(rateLimiterService.redis.eval).not.toHaveBeenCalled();
+  });
+
+  test('should fail open when Redis is unavailable', async () => {
+    rateLimiterService.redis.eval.mockRejectedValueOnce(new Error('Connection refused'));
+
+    const result = await rateLimiterService.consume('user_1', 'text', 100);
+
+    expect(result.allowed).toBe(true);
+  });
+
+  test('should claim the slow down notice once per window', async () => {
+    expect(await rateLimiterService.claimNotice('user_1')).toBe(true);
+    expect(rateLimiterService.redis.set).toHaveBeenCalledWith(
+      'ratelimit:user_1:notice', expect.any(Number), 'EX', 3600, 'NX'
+    );
+
+    rateLimiterService.redis.set.mockResolvedValueOnce(null);
+    expect(await rateLimiterService.claimNotice('user_1')).toBe(false);
+  });
+});
@@ -0,0 +1,129 @@
+// Mock config before any imports that might use it
+jest.mock('../config', () => ({
+  whatsapp: {},
+  messageStore: {
+    ttlSeconds: 86400
+  }
+}));
+
+// Mock services to avoid external API calls and Redis issues
+jest.mock('../services/whatsapp/whatsapp-api', () => {
+  const whatsappService = {
+    sendTextMessage: jest.fn().mockResolvedValue({ messages: [{ id: 'mock_msg_id' }] })
+  };
+  // Every tenant shares the mock so assertions see all calls
+  whatsappService.forTenant = jest.fn().mockReturnValue(whatsappService);
+  return whatsappService;
+});
+
+jest.mock('../services/google/translation', () => ({
+  translateText: jest.fn().mockImplementation((text, targetLanguage) => Promise.resolve({
+    originalText: text,
+    translatedText: `[${targetLanguage}] ${text}`
+  }))
+}));
+
+jest.mock('../services/message-store', () => ({
+  getMessage: jest.fn()
+}));
+
+jest.mock('../services/user-preferences', () => {
+  const userPreferencesService = {
+    getPreferences: jest.fn().mockResolvedValue({ sourceLanguage: 'auto', targetLanguages: 'en', responseMode: 'text' })
+  };
+  userPreferencesService.forTenant = jest.fn().mockReturnValue(userPreferencesService);
+  return userPreferencesService;
+});
+jest.mock('../services/message-dedup', () => ({}));
+jest.mock('../services/rate-limiter', () => ({
+  charge: jest.fn().mockResolvedValue({ allowed: true, remaining: 1000, retryAfterSeconds: 0 })
+}));
+// Bot messages come straight from the catalogs, without machine translation
+jest.mock('../services/localization', () => {
+  const UiMessages = jest.requireActual('../utils/i18n');
+  return {
+    getMessage: jest.fn((key, language, params) => Promise.resolve(UiMessages.getMessage(key, language, params))),
+    translateString: jest.fn((text) => Promise.resolve(text))
+  };
+});
+jest.mock('../services/delivery-status', () => ({}));
+jest.mock('../utils/processing/translation-queue', () => ({}));
+
+const FlagLanguages = require('../utils/helpers/flag-languages');
+const { handleReactionMessage } = require('../routes/webhook');
+const whatsappService = require('../services/whatsapp/whatsapp-api');
+const translationService = require('../services/google/translation');
+const messageStoreService = require('../services/message-store');
+const userPreferencesService = require('../services/user-preferences');
+
+const JAPAN_FLAG = '\u{1F1EF}\u{1F1F5}';
+const MEXICO_FLAG = '\u{1F1F2}\u{1F1FD}';
+
+describe('Flag Language Tests', () => {
+  test('should decode the region code of a flag emoji', () => {
+    expect(FlagLanguages.getCountryCode(JAPAN_FLAG)).toBe('JP');
+    expect(FlagLanguages.getCountryCode(MEXICO_FLAG)).toBe('MX');
+  });
+
+  test('should map flags to their main language', () => {
+    expect(FlagLanguages.getLanguageForFlag(JAPAN_FLAG)).toBe('ja');
+    expect(FlagLanguages.getLanguageForFlag(MEXICO_FLAG)).toBe('es');
+  });
+
+  test('should ignore emojis that are not country flags', () => {
+    expect(FlagLanguages.getLanguageForFlag('\u{1F44D}')).toBeNull();
+    expect(FlagLanguages.getLanguageForFlag('')).toBeNull();
+    expect(FlagLanguages.getLanguageForFlag(undefined)).toBeNull();
+    // Antarctica is a valid flag without a language of its own
+    expect(FlagLanguages.getLanguageForFlag('\u{1F1E6}\u{1F1F6}')).toBeNull();
+  });
+});
+
+describe('Reaction Message Handler Tests', () => {
+  const context = { contacts: [{ wa_id: 'test_user' }] };
+  const buildReaction = (emoji) => ({
+    id: 'wamid.reaction',
+    type: 'reaction',
+    reaction: { message_id: 'wamid.original', emoji: emoji }
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  test('should translate the reacted-to message into the flag language', async () => {
+    messageStoreService.getMessage.mockResolvedValueOnce({ recipientId: 'test_user', text: 'Good night', language: 'en' });
+
+    await handleReactionMessage(buildReaction(JAPAN_FLAG), context);
+
+    expect(messageStoreService.getMessage).toHaveBeenCalledWith('wamid.original');
+    expect(translationService.translateText).toHaveBeenCalledWith('Good night', 'ja', 'en');
+    expect(whatsappService.sendTextMessage).toHaveBeenCalledWith('test_user', 'Translation to JA: [ja] Good night');
+  });
+
+  test('should explain when the reacted-to message is no longer stored', async () => {
+    messageStoreService.getMessage.mockResolvedValueOnce(null);
+
+    await handleReactionMessage(buildReaction(JAPAN_FLAG), context);
+
+    expect(translationService.translateText).not.toHaveBeenCalled();
+    expect(whatsappService.sendTextMessage).toHaveBeenCalledWith('test_user', expect.stringContaining('last 24 hours'));
+  });
+
+  test('should reply in the user\'s interface language', async () => {
+    userPreferencesService.getPreferences.mockResolvedValueOnce({ sourceLanguage: 'auto', targetLanguages: 'en', uiLanguage: 'es' });
+    messageStoreService.getMessage.mockResolvedValueOnce({ recipientId: 'test_user', text: 'Good night', language: 'en' });
+
+    await handleReactionMessage(buildReaction(JAPAN_FLAG), context);
+
+    expect(whatsappService.sendTextMessage).toHaveBeenCalledWith('test_user', 'Traducción a JA: [ja] Good night');
+  });
+
+  test('should not translate messages stored for another user', async () => {
+    messageStoreService.getMessage.mockResolvedValueOnce({ recipientId: 'other_user', text: 'Secret', language: 'en' });
+
+    await handleReactionMessage(buildReaction(JAPAN_FLAG), context);
+
+    expect(translationService.translateText).not.toHaveBeenCalled();
+  });
+});
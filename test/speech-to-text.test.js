@@ -0,0 +1,140 @@
+const speechToTextService = require('../services/google/speech-to-text');
+
+// Mock the Speech-to-Text client to avoid external API calls
+jest.mock('@google-cloud/speech', () => {
+  const client = { recognize: jest.fn(), longRunningRecognize: jest.fn() };
+  return { SpeechClient: jest.fn().mockImplementation(() => client) };
+});
+
+/**
+ * Build a recognize response for one recognized result
+ * @param {string} transcript - Recognized text
+ * @param {string} languageCode - Language the API reports, in lower case like the real API
+ * @param {number} confidence - Confidence of the transcript
+ * @returns {Array} - Resolved value of client.recognize
+ */
+function recognizeResponse(transcript, languageCode, confidence) {
+  return [{ results: [{ alternatives: [{ transcript: transcript, confidence: confidence }], languageCode: languageCode }] }];
+}
+
+describe('Speech-to-Text Language Detection Tests', () => {
+  const mockAudioBuffer = Buffer.from('mock audio data');
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  test('should detect the language in a single request with alternative languages', async () => {
+    speechToTextService.client.recognize.mockResolvedValueOnce(recognizeResponse('नमस्ते दुनिया', 'hi-in', 0.92));
+
+    const result = await speechToTextService.transcribeWithLanguageDetection(mockAudioBuffer, ['en-US', 'hi-IN']);
+
+    expect(speechToTextService.client.recognize).toHaveBeenCalledTimes(1);
+    expect(speechToTextService.client.recognize.mock.calls[0][0].config).toEqual(expect.objectContaining({
+      languageCode: 'en-US',
+      alternativeLanguageCodes: ['hi-IN']
+    }));
+    expect(result).toEqual(expect.objectContaining({
+      transcription: 'नमस्ते दुनिया',
+      detectedLanguage: 'hi-IN',
+      languageCode: 'hi-IN',
+      confidence: 0.92
+    }));
+  });
+
+  test('should detect between common languages without candidates, up to the API limit', async () => {
+    speechToTextService.client.recognize.mockResolvedValue(recognizeResponse('Hello world', 'en-us', 0.9));
+
+    await speechToTextService.transcribeWithLanguageDetection(mockAudioBuffer);
+    await speechToTextService.transcribeWithLanguageDetection(mockAudioBuffer, ['en-US', 'es-ES', 'fr-FR', 'de-DE', 'pt-BR']);
+
+    const [defaultRequest, cappedRequest] = speechToTextService.client.recognize.mock.calls.map(([request]) => request.config);
+    expect(defaultRequest.alternativeLanguageCodes).toEqual(['es-ES', 'fr-FR', 'hi-IN']);
+    expect(cappedRequest.alternativeLanguageCodes).toEqual(['es-ES', 'fr-FR', 'de-DE']);
+  });
+
+  test('should transcribe a known language without alternative languages', async () => {
+    speechToTextService.client.recognize.mockResolvedValueOnce(recognizeResponse('Hola mundo', 'es-es', 0.95));
+
+    const result = await speechToTextService.transcribeAudio(mockAudioBuffer, 'es-ES');
+
+    expect(speechToTextService.client.recognize.mock.calls[0][0].config).not.toHaveProperty('alternativeLanguageCodes');
+    expect(result.languageCode).toBe('es-ES');
+  });
+
+  test('should send phrase hints as one speech context per boost', async () => {
+    await speechToTextService.transcribeAudio(mockAudioBuffer, 'en-US', [], {
+      phraseHints: [
+        { phrase: 'Kubernetes', boost: 15 },
+        { phrase: 'Acme Cloud', boost: 10 },
+        { phrase: 'Istio', boost: 15 }
+      ]
+    });
+
+    expect(speechToTextService.client.recognize.mock.calls[0][0].config.speechContexts).toEqual([
+      { phrases: ['Kubernetes', 'Istio'], boost: 15 },
+      { phrases: ['Acme Cloud'], boost: 10 }
+    ]);
+  });
+
+  test('should split a diarized transcription into speaker turns', async () => {
+    const words = [
+      { word: 'Hello', speakerTag: 2 },
+      { word: 'there.', speakerTag: 2 },
+      { word: 'Hi,', speakerTag: 1 },
+      { word: 'how', speakerTag: 1 },
+      { word: 'are', speakerTag: 1 },
+      { word: 'you?', speakerTag: 1 },
+      { word: 'Fine.', speakerTag: 2 }
+    ];
+    speechToTextService.client.recognize.mockResolvedValueOnce([{
+      results: [
+        { alternatives: [{ transcript: 'Hello there. Hi, how are you? Fine.', confidence: 0.9 }], languageCode: 'en-us' },
+        { alternatives: [{ transcript: '', words: words }], languageCode: 'en-us' }
+      ]
+    }]);
+
+    const result = await speechToTextService.transcribeAudio(mockAudioBuffer, 'en-US', [], { separateSpeakers: true });
+
+    expect(speechToTextService.client.recognize.mock.calls[0][0].config.diarizationConfig).toEqual(expect.objectContaining({
+      enableSpeakerDiarization: true
+    }));
+    // Speakers are numbered in the order they first speak
+    expect(result.speakerTurns).toEqual([
+      { speaker: 1, text: 'Hello there.' },
+      { speaker: 2, text: 'Hi, how are you?' },
+      { speaker: 1, text: 'Fine.' }
+    ]);
+  });
+
+  test('should keep the timing of each word in seconds', async () => {
+    speechToTextService.client.recognize.mockResolvedValueOnce([{
+      results: [{
+        alternatives: [{
+          transcript: 'Hello world',
+          confidence: 0.9,
+          words: [
+            { word: 'Hello', startTime: { seconds: '1', nanos: 200000000 }, endTime: { seconds: '1', nanos: 600000000 } },
+            { word: 'world', startTime: { seconds: '1', nanos: 700000000 }, endTime: { seconds: '2' } }
+          ]
+        }],
+        languageCode: 'en-us'
+      }]
+    }]);
+
+    const result = await speechToTextService.transcribeAudio(mockAudioBuffer, 'en-US');
+
+    expect(result.words).toEqual([
+      { word: 'Hello', startTime: 1.2, endTime: 1.6 },
+      { word: 'world', startTime: 1.7, endTime: 2 }
+    ]);
+  });
+
+  test('should report recognition errors', async () => {
+    speechToTextService.client.recognize.mockRejectedValueOnce(new Error('Invalid audio'));
+
+    await expect(
+      speechToTextService.transcribeWithLanguageDetection(mockAudioBuffer, ['en-US', 'es-ES'])
+    ).rejects.toThrow('STT Service Error: Invalid audio');
+  });
+});
@@ -0,0 +1,109 @@
+const SubtitleBuilder = require('../utils/helpers/subtitle-builder');
+const subtitleService = require('../services/subtitles');
+const translationService = require('../services/google/translation');
+const mediaUploader = require('../services/media-uploader');
+
+// Mock the Translation API to translate each cue predictably
+jest.mock('../services/google/translation', () => ({
+  batchTranslate: jest.fn().mockImplementation((texts, targetLanguage) => Promise.resolve(
+    texts.map(text => ({ translatedText: `[${targetLanguage}] ${text}` }))
+  ))
+}));
+
+jest.mock('../services/media-uploader', () => ({
+  uploadAndSendDocument: jest.fn().mockResolvedValue({})
+}));
+
+/**
+ * Build timed words spoken one after another
+ * @param {string} text - Words separated by spaces
+ * @param {number} start - Time of the first word in seconds
+ * @param {number} duration - Length of each word in seconds
+ * @returns {Array<Object>} - { word, startTime, endTime } words
+ */
+function timedWords(text, start = 0, duration = 0.5) {
+  return text.split(' ').map((word, index) => ({
+    word: word,
+    startTime: start + index * duration,
+    endTime: start + (index + 1) * duration
+  }));
+}
+
+describe('Subtitle Builder Tests', () => {
+  test('should break cues at sentence ends, pauses and speaker changes', () => {
+    const words = [
+      ...timedWords('Hello there. How are you', 0),
+      ...timedWords('Fine thanks', 4).map(word => ({ ...word, speakerTag: 1 })),
+      { word: 'Great', startTime: 5, endTime: 5.5, speakerTag: 2 }
+    ];
+
+    const cues = SubtitleBuilder.buildCues(words);
+
+    expect(cues.map(cue => cue.text)).toEqual(['Hello there.', 'How are you', 'Fine thanks', 'Great']);
+    expect(cues[1]).toEqual({ start: 1, end: 2.5, text: 'How are you' });
+  });
+
+  test('should keep cues short enough to read', () => {
+    const words = timedWords('one two three four five six seven eight nine ten eleven twelve thirteen fourteen', 0, 0.5);
+
+    const cues = SubtitleBuilder.buildCues(words);
+
+    // Cues last at most six seconds
+    expect(cues.map(cue => cue.text.split(' ').length)).toEqual([12, 2]);
+    expect(cues.every(cue => cue.end - cue.start <= 6)).toBe(true);
+  });
+
+  test('should write SRT with comma decimals and balanced lines', () => {
+    const srt = SubtitleBuilder.toSrt([
+      { start: 1.2, end: 3.456, text: 'Hello world' },
+      { start: 3661.5, end: 3663, text: 'This cue is a little too long to fit on a single line' }
+    ]);
+
+    expect(srt).toBe(
+      '1\n00:00:01,200 --> 00:00:03,456\nHello world\n\n' +
+      '2\n01:01:01,500 --> 01:01:03,000\nThis cue is a little too\nlong to fit on a single line\n'
+    );
+  });
+
+  test('should write WebVTT with a header and dot decimals', () => {
+    expect(SubtitleBuilder.toVtt([{ start: 0, end: 1.5, text: 'Hello' }])).toBe('WEBVTT\n\n00:00:00.000 --> 00:00:01.500\nHello\n');
+  });
+
+  test('should reject unknown formats', () => {
+    expect(() => SubtitleBuilder.format([], 'ass')).toThrow('Subtitle Builder Error');
+  });
+});
+
+describe('Subtitle Service Tests', () => {
+  const transcript = { language: 'en', targetLanguages: ['es', 'en'], words: timedWords('Hello world.') };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  test('should build files in the original and each target language with the original timing', async () => {
+    const files = await subtitleService.buildFiles(transcript, ['srt', 'vtt']);
+
+    expect(files.map(file => file.filename)).toEqual(['subtitles-en.srt', 'subtitles-en.vtt', 'subtitles-es.srt', 'subtitles-es.vtt']);
+    expect(translationService.batchTranslate).toHaveBeenCalledTimes(1);
+    expect(translationService.batchTranslate).toHaveBeenCalledWith(['Hello world.'], 'es', 'en');
+    expect(files[2].content).toBe('1\n00:00:00,000 --> 00:00:01,000\n[es] Hello world.\n');
+  });
+
+  test('should send each file as a captioned document', async () => {
+    const whatsappService = {};
+    const localize = jest.fn().mockImplementation((key, params) => Promise.resolve(`Subtitles in ${params.language} (${params.format})`));
+
+    await subtitleService.sendFiles(whatsappService, 'user_1', [
+      { filename: 'subtitles-es.vtt', language: 'es', format: 'vtt', content: 'WEBVTT\n' }
+    ], localize);
+
+    expect(mediaUploader.uploadAndSendDocument).toHaveBeenCalledWith(
+      whatsappService,
+      'user_1',
+      Buffer.from('WEBVTT\n', 'utf8'),
+      'subtitles-es.vtt',
+      'Subtitles in ES (VTT)'
+    );
+  });
+});
@@ -0,0 +1,114 @@
+// Mock config before any imports that might use it
+jest.mock('../config', () => ({
+  whatsapp: {
+    accessToken: 'default_token',
+    phoneNumberId: 'default_phone_id'
+  },
+  admin: {
+    phoneNumbers: ['15550001111']
+  },
+  tenants: [
+    {
+      id: 'emea',
+      phoneNumberId: 'emea_phone_id',
+      accessToken: 'emea_token',
+      defaultTargetLanguages: ['fr', 'de'],
+      brandingText: 'Welcome to Acme EMEA',
+      adminNumbers: ['+44 7700 900123']
+    },
+    {
+      id: 'latam',
+      phoneNumberId: 'latam_phone_id',
+      defaultSourceLanguage: 'es',
+      redisNamespace: 'acme-latam'
+    }
+  ]
+}));
+
+const tenantService = require('../services/tenants');
+
+describe('Tenant Service Tests', () => {
+  test('should route a phone number ID to its tenant', () => {
+    const tenant = tenantService.getTenant('emea_phone_id');
+
+    expect(tenant).toEqual(expect.objectContaining({
+      id: 'emea',
+      phoneNumberId: 'emea_phone_id',
+      accessToken: 'emea_token',
+      defaultTargetLanguages: ['fr', 'de'],
+      brandingText: 'Welcome to Acme EMEA',
+      redisNamespace: 'emea',
+      adminNumbers: ['447700900123'],
+      isDefault: false
+    }));
+  });
+
+  test('should fill in defaults for optional tenant settings', () => {
+    const tenant = tenantService.getTenant('latam_phone_id');
+
+    expect(tenant.accessToken).toBe('default_token');
+    expect(tenant.defaultSourceLanguage).toBe('es');
+    expect(tenant.defaultTargetLanguages).toEqual(['en']);
+    expect(tenant.redisNamespace).toBe('acme-latam');
+    expect(tenant.adminNumbers).toEqual([]);
+  });
+
+  test('should route the configured default number to the default tenant', () => {
+    expect(tenantService.getTenant('default_phone_id').isDefault).toBe(true);
+    expect(tenantService.getTenant('default_phone_id').adminNumbers).toEqual(['15550001111']);
+    expect(tenantService.getTenant(undefined).isDefault).toBe(true);
+  });
+
+  test('should keep replying from an unknown number with the default settings', () => {
+    const tenant = tenantService.getTenant('unknown_phone_id');
+
+    expect(tenant.phoneNumberId).toBe('unknown_phone_id');
+    expect(tenant.accessToken).toBe('default_token');
+    expect(tenant.redisNamespace).toBe('');
+  });
+
+  test('should read the tenant from the webhook metadata', () => {
+    const context = { metadata: { display_phone_number: '15550000000', phone_number_id: 'emea_phone_id' } };
+
+    expect(tenantService.getTenantForContext(context).id).toBe('emea');
+    expect(tenantService.getTenantForContext({}).isDefault).toBe(true);
+  });
+
+  test('should reject tenants without a phone number ID', () => {
+    expect(() => tenantService.buildTenant({ id: 'broken' })).toThrow('Tenant Configuration Error');
+  });
+});
+
+describe('Tenant Configuration Tests', () => {
+  const originalTenants = process.env.WHATSAPP_VOICE_TRANSLATE_TENANTS;
+
+  afterEach(() => {
+    if (originalTenants === undefined) {
+      delete process.env.WHATSAPP_VOICE_TRANSLATE_TENANTS;
+    } else {
+      process.env.WHATSAPP_VOICE_TRANSLATE_TENANTS = originalTenants;
+    }
+  });
+
+  const loadConfig = () => {
+    let config;
+    jest.isolateModules(() => {
+      config = jest.requireActual('../config');
+    });
+    return config;
+  };
+
+  test('should read the tenants from WHATSAPP_VOICE_TRANSLATE_TENANTS', () => {
+    process.env.WHATSAPP_VOICE_TRANSLATE_TENANTS = '[{"id":"emea","phoneNumberId":"123"}]';
+
+    expect(loadConfig().tenants).toEqual([{ id: 'emea', phoneNumberId: '123' }]);
+  });
+
+  test('should explain which variable holds invalid tenants', () => {
+    process.env.WHATSAPP_VOICE_TRANSLATE_TENANTS = '[{"id":"emea",}]';
+    expect(loadConfig).toThrow('invalid WHATSAPP_VOICE_TRANSLATE_TENANTS');
+
+    process.env.WHATSAPP_VOICE_TRANSLATE_TENANTS = '{"id":"emea"}';
+    expect(loadConfig).toThrow('expected a JSON array of tenants');
+  });
+});
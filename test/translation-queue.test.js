@@ -0,0 +1,192 @@
+// Mock config before any imports that might use it
+jest.mock('../config', () => ({
+  redis: {
+    url: 'redis://localhost:6379'
+  },
+  queue: {
+    prefix: 'bull',
+    mediaJobTimeoutSeconds: 1800
+  }
+}));
+
+// Mock Bull queue to avoid Redis connection
+jest.mock('bull', () => {
+  return jest.fn().mockImplementation(() => ({
+    process: jest.fn(),
+    add: jest.fn().mockResolvedValue({ id: 'mock_job_id' }),
+    on: jest.fn(),
+    close: jest.fn().mockResolvedValue()
+  }));
+});
+
+// Mock the webhook handlers the workers delegate to
+jest.mock('../routes/webhook', () => ({
+  handleAudioMessage: jest.fn().mockResolvedValue(),
+  handleTextMessage: jest.fn().mockResolvedValue(),
+  handleCommandMessage: jest.fn().mockResolvedValue(),
+  handleTranscriptConfirmation: jest.fn().mockResolvedValue(),
+  sendProcessingErrorMessage: jest.fn().mockResolvedValue()
+}));
+
+// Mock the dead-letter store to avoid Redis connection issues
+jest.mock('../services/dead-letter', () => ({
+  add: jest.fn().mockResolvedValue({}),
+  remove: jest.fn().mockResolvedValue(true)
+}));
+
+const translationQueue = require('../utils/processing/translation-queue');
+const webhook = require('../routes/webhook');
+const deadLetterService = require('../services/dead-letter');
+
+describe('Translation Queue Workers', () => {
+  const message = { id: 'wamid.test', type: 'audio', audio: { id: 'media_1' } };
+  const context = { contacts: [{ wa_id: 'test_user' }] };
+
+  // Capture the created queues and registered processors before mocks are cleared
+  const queueCalls = require('bull').mock.calls.slice();
+  const processors = {
+    'process-audio': translationQueue.audioQueue.process.mock.calls[0][1],
+    'translate': translationQueue.translationQueue.process.mock.calls[0][1],
+    'confirm-transcript': translationQueue.translationQueue.process.mock.calls
+      .find(([jobName]) => jobName === 'confirm-transcript')[1],
+    'run-command': translationQueue.translationQueue.process.mock.calls
+      .find(([jobName]) => jobName === 'run-command')[1]
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  test('should create the queues under the configured prefix', () => {
+    expect(queueCalls).toEqual([
+      ['translation tasks', 'redis://localhost:6379', { prefix: 'bull' }],
+      ['audio processing tasks', 'redis://localhost:6379', { prefix: 'bull' }]
+    ]);
+  });
+
+  test('should queue audio messages with retries', async () => {
+    await translationQueue.addAudioJob(message, context);
+
+    expect(translationQueue.audioQueue.add).toHaveBeenCalledWith(
+      'process-audio',
+      { message, context },
+      expect.objectContaining({ attempts: 3 })
+    );
+  });
+
+  test('should give voice notes and videos long enough to translate every part', async () => {
+    await translationQueue.addAudioJob(message, context);
+    await translationQueue.addVideoJob({ ...message, type: 'video' }, context);
+
+    const timeouts = translationQueue.audioQueue.add.mock.calls.map(([, , options]) => options.timeout);
+    expect(timeouts).toEqual([1800000, 1800000]);
+  });
+
+  test('should run the audio handler for process-audio jobs', async () => {
+    const processor = processors['process-audio'];
+    const result = await processor({ id: 1, data: { message, context }, opts: { attempts: 3 }, attemptsMade: 0 });
+
+    expect(webhook.handleAudioMessage).toHaveBeenCalledWith(message, context);
+    expect(result).toEqual({ messageId: 'wamid.test' });
+  });
+
+  test('should run the text handler for translate jobs', async () => {
+    const textMessage = { id: 'wamid.text', type: 'text', text: { body: 'Hello' } };
+    const processor = processors.translate;
+    await processor({ id: 2, data: { message: textMessage, context }, opts: { attempts: 3 }, attemptsMade: 0 });
+
+    expect(webhook.handleTextMessage).toHaveBeenCalledWith(textMessage, context);
+  });
+
+  test('should run the confirmation handler for confirm-transcript jobs', async () => {
+    const tap = { id: 'wamid.tap', type: 'interactive', interactive: { button_reply: { id: 'transcript:confirm' } } };
+    const processor = processors['confirm-transcript'];
+    await processor({ id: 3, data: { message: tap, context }, opts: { attempts: 3 }, attemptsMade: 0 });
+
+    expect(webhook.handleTranscriptConfirmation).toHaveBeenCalledWith(tap, context);
+  });
+
+  test('should run queued commands once, since they reply to their own errors', async () => {
+    const command = { id: 'wamid.command', type: 'text', text: { body: '!subtitles' } };
+    await translationQueue.addCommandJob(command, context);
+    await processors['run-command']({ id: 8, data: { message: command, context }, opts: { attempts: 1 }, attemptsMade: 0 });
+
+    expect(translationQueue.translationQueue.add).toHaveBeenCalledWith(
+      'run-command',
+      { message: command, context },
+      expect.objectContaining({ attempts: 1 })
+    );
+    expect(webhook.handleCommandMessage).toHaveBeenCalledWith(command, context);
+  });
+
+  test('should not notify the user while retries remain', async () => {
+    webhook.handleAudioMessage.mockRejectedValueOnce(new Error('STT unavailable'));
+    const processor = processors['process-audio'];
+
+    await expect(
+      processor({ id: 3, data: { message, context }, opts: { attempts: 3 }, attemptsMade: 0 })
+    ).rejects.toThrow('STT unavailable');
+    expect(webhook.sendProcessingErrorMessage).not.toHaveBeenCalled();
+    expect(deadLetterService.add).not.toHaveBeenCalled();
+  });
+
+  test('should notify the user on the final failed attempt', async () => {
+    webhook.handleAudioMessage.mockRejectedValueOnce(new Error('STT unavailable'));
+    const processor = processors['process-audio'];
+
+    await expect(
+      processor({ id: 4, data: { message, context }, opts: { attempts: 3 }, attemptsMade: 2 })
+    ).rejects.toThrow('STT unavailable');
+    expect(webhook.sendProcessingErrorMessage).toHaveBeenCalledWith(message, context);
+  });
+
+  test('should dead-letter the message on the final failed attempt', async () => {
+    const error = new Error('STT unavailable');
+    webhook.handleAudioMessage.mockRejectedValueOnce(error);
+    const processor = processors['process-audio'];
+
+    await expect(
+      processor({ id: 5, name: 'process-audio', data: { message, context }, opts: { attempts: 3 }, attemptsMade: 2 })
+    ).rejects.toThrow('STT unavailable');
+    expect(deadLetterService.add).toHaveBeenCalledWith({
+      jobName: 'process-audio',
+      message: message,
+      context: context,
+      error: error,
+      attempts: 3
+    });
+  });
+
+  test('should not notify the user again when a dead-letter retry fails', async () => {
+    const retryContext = { ...context, redelivery: { deadLetterId: 'wamid.test' } };
+    webhook.handleAudioMessage.mockRejectedValueOnce(new Error('STT unavailable'));
+    const processor = processors['process-audio'];
+
+    await expect(
+      processor({ id: 6, name: 'process-audio', data: { message, context: retryContext }, opts: { attempts: 3 }, attemptsMade: 2 })
+    ).rejects.toThrow('STT unavailable');
+    expect(deadLetterService.add).toHaveBeenCalled();
+    expect(webhook.sendProcessingErrorMessage).not.toHaveBeenCalled();
+    expect(deadLetterService.remove).not.toHaveBeenCalled();
+  });
+
+  test('should discard the dead letter once a retry succeeds', async () => {
+    const retryContext = { ...context, redelivery: { deadLetterId: 'wamid.test' } };
+    const processor = processors['process-audio'];
+
+    await processor({ id: 7, name: 'process-audio', data: { message, context: retryContext }, opts: { attempts: 3 }, attemptsMade: 0 });
+
+    expect(deadLetterService.remove).toHaveBeenCalledWith('wamid.test');
+  });
+
+  test('should add jobs by job name for dead-letter retries', async () => {
+    await translationQueue.addJobByName('process-audio', message, context);
+
+    expect(translationQueue.audioQueue.add).toHaveBeenCalledWith(
+      'process-audio',
+      { message, context },
+      expect.objectContaining({ attempts: 3 })
+    );
+    await expect(translationQueue.addJobByName('unknown', message, context)).rejects.toThrow('Unknown job name');
+  });
+});
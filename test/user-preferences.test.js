@@ -4,7 +4,9 @@ const userPreferencesService = require('../services/user-preferences');
 jest.mock('ioredis', () => {
   return jest.fn().mockImplementation(() => ({
     hset: jest.fn().mockResolvedValue(1),
+    hget: jest.fn().mockResolvedValue(null),
     hgetall: jest.fn().mockResolvedValue({}),
+    hdel: jest.fn().mockResolvedValue(1),
     del: jest.fn().mockResolvedValue(1),
     expire: jest.fn().mockResolvedValue(1),
     quit: jest.fn().mockResolvedValue('OK'),
@@ -78,10 +80,227 @@ describe('User Preferences Service Unit Tests', () => {
     expect(setResult).toBe(true);
   });
 
+  test('should store the quote replies setting', async () => {
+    expect(await userPreferencesService.setQuoteReplies(testUserId, false)).toBe(true);
+    expect(userPreferencesService.redis.hset).toHaveBeenCalledWith(
+      `user:${testUserId}:preferences`,
+      'quoteReplies',
+      'off'
+    );
+  });
+
+  test('should store one voice per target language', async () => {
+    userPreferencesService.redis.hget.mockResolvedValueOnce('{"fr":"fr-FR-Wavenet-A"}');
+
+    expect(await userPreferencesService.setVoice(testUserId, 'es', 'es-ES-Wavenet-B')).toBe(true);
+    expect(userPreferencesService.redis.hset).toHaveBeenCalledWith(
+      `user:${testUserId}:preferences`,
+      'voiceNames',
+      '{"fr":"fr-FR-Wavenet-A","es":"es-ES-Wavenet-B"}'
+    );
+  });
+
+  test('should validate the voice gender and speaking rate', async () => {
+    expect(await userPreferencesService.setVoiceGender(testUserId, 'FEMALE')).toBe(true);
+    expect(await userPreferencesService.setVoiceGender(testUserId, 'robot')).toBe(false);
+    expect(await userPreferencesService.setSpeakingRate(testUserId, 1.25)).toBe(true);
+    expect(userPreferencesService.redis.hset).toHaveBeenCalledWith(`user:${testUserId}:preferences`, 'speakingRate', '1.25');
+    expect(await userPreferencesService.setSpeakingRate(testUserId, 5)).toBe(false);
+  });
+
+  test('should reset the voice settings', async () => {
+    expect(await userPreferencesService.resetVoice(testUserId)).toBe(true);
+    expect(userPreferencesService.redis.hdel).toHaveBeenCalledWith(
+      `user:${testUserId}:preferences`,
+      'voiceNames',
+      'voiceGender',
+      'speakingRate'
+    );
+  });
+
+  test('should set and clear the interface language', async () => {
+    expect(await userPreferencesService.setUiLanguage(testUserId, 'es')).toBe(true);
+    expect(userPreferencesService.redis.hset).toHaveBeenCalledWith(`user:${testUserId}:preferences`, 'uiLanguage', 'es');
+
+    expect(await userPreferencesService.setUiLanguage(testUserId, 'auto')).toBe(true);
+    expect(userPreferencesService.redis.hdel).toHaveBeenCalledWith(`user:${testUserId}:preferences`, 'uiLanguage');
+  });
+
+  test('should set and clear the candidate languages', async () => {
+    expect(await userPreferencesService.setCandidateLanguages(testUserId, ['en', 'hi'])).toBe(true);
+    expect(userPreferencesService.redis.hset).toHaveBeenCalledWith(`user:${testUserId}:preferences`, 'candidateLanguages', 'en,hi');
+
+    expect(await userPreferencesService.setCandidateLanguages(testUserId, [])).toBe(true);
+    expect(userPreferencesService.redis.hdel).toHaveBeenCalledWith(`user:${testUserId}:preferences`, 'candidateLanguages');
+  });
+
+  test('should only accept known speaker modes', async () => {
+    expect(await userPreferencesService.setSpeakerMode(testUserId, 'voices')).toBe(true);
+    expect(userPreferencesService.redis.hset).toHaveBeenCalledWith(`user:${testUserId}:preferences`, 'speakerMode', 'voices');
+
+    expect(await userPreferencesService.setSpeakerMode(testUserId, 'loud')).toBe(false);
+  });
+
+  test('should fill in defaults for settings a user has not stored', async () => {
+    // A service with its own connection, so values queued by other tests are not read
+    const UserPreferencesService = userPreferencesService.constructor;
+    const service = new UserPreferencesService({ redis: { hgetall: jest.fn().mockResolvedValue({ recentLanguages: 'hi' }) } });
+
+    const preferences = await service.getPreferences(testUserId);
+
+    expect(preferences).toEqual({ sourceLanguage: 'auto', targetLanguages: ['en'], responseMode: 'text', recentLanguages: 'hi' });
+  });
+
+  test('should remember recently detected languages, most recent first', async () => {
+    userPreferencesService.redis.hget.mockResolvedValueOnce('es,en,fr');
+
+    expect(await userPreferencesService.addRecentLanguage(testUserId, 'en')).toBe(true);
+    expect(userPreferencesService.redis.hset).toHaveBeenCalledWith(`user:${testUserId}:preferences`, 'recentLanguages', 'en,es,fr');
+  });
+
+  test('should keep a user and a team vocabulary, replacing phrases added again in other casing', async () => {
+    expect(await userPreferencesService.addVocabularyPhrase(testUserId, 'Kubernetes', 15)).toBe(true);
+    expect(userPreferencesService.redis.hset).toHaveBeenCalledWith(
+      `user:${testUserId}:vocabulary`,
+      'kubernetes',
+      JSON.stringify({ phrase: 'Kubernetes', boost: 15 })
+    );
+
+    expect(await userPreferencesService.removeVocabularyPhrase(testUserId, 'KUBERNETES', true)).toBe(true);
+    expect(userPreferencesService.redis.hdel).toHaveBeenCalledWith('vocabulary', 'kubernetes');
+  });
+
+  test('should combine the team and user vocabulary into phrase hints', async () => {
+    // A service with its own connection, so values queued by other tests are not read
+    const UserPreferencesService = userPreferencesService.constructor;
+    const vocabularies = {
+      'acme:vocabulary': { istio: '{"phrase":"Istio","boost":5}', 'acme cloud': '{"phrase":"Acme Cloud","boost":10}' },
+      [`acme:user:${testUserId}:vocabulary`]: { istio: '{"phrase":"istio","boost":20}' }
+    };
+    const service = new UserPreferencesService({
+      namespace: 'acme',
+      redis: { hgetall: jest.fn().mockImplementation(key => Promise.resolve(vocabularies[key] || {})) }
+    });
+
+    expect(await service.getVocabulary(testUserId, true)).toEqual([
+      { phrase: 'Acme Cloud', boost: 10 },
+      { phrase: 'Istio', boost: 5 }
+    ]);
+    expect(await service.getPhraseHints(testUserId)).toEqual([
+      { phrase: 'Acme Cloud', boost: 10 },
+      { phrase: 'istio', boost: 20 }
+    ]);
+  });
+
+  test('should store tenant preferences under the tenant namespace', async () => {
+    const tenantPreferences = userPreferencesService.forTenant({
+      id: 'emea',
+      redisNamespace: 'emea',
+      defaultSourceLanguage: 'auto',
+      defaultTargetLanguages: ['fr', 'de'],
+      isDefault: false
+    });
+
+    expect(tenantPreferences).not.toBe(userPreferencesService);
+    expect(await tenantPreferences.setResponseMode(testUserId, 'voice')).toBe(true);
+    expect(tenantPreferences.redis.hset).toHaveBeenCalledWith(
+      `emea:user:${testUserId}:preferences`,
+      'responseMode',
+      'voice'
+    );
+
+    // New users of the tenant get the tenant's default languages
+    const defaultPrefs = await tenantPreferences.getPreferences('new_user_999');
+    expect(defaultPrefs.targetLanguages).toEqual(['fr', 'de']);
+  });
+
+  test('should use the unprefixed keys for the default tenant', () => {
+    expect(userPreferencesService.forTenant({ isDefault: true })).toBe(userPreferencesService);
+    expect(userPreferencesService.getKey(testUserId)).toBe(`user:${testUserId}:preferences`);
+  });
+
   test('should properly handle response mode validation', async () => {
     // Test valid modes
     expect(await userPreferencesService.setResponseMode(testUserId, 'text')).toBe(true);
     expect(await userPreferencesService.setResponseMode(testUserId, 'voice')).toBe(true);
     expect(await userPreferencesService.setResponseMode(testUserId, 'both')).toBe(true);
   });
-});
\ No newline at end of file
+});
+describe('User Preferences Round Trip Tests', () => {
+  const testUserId = 'test_user_123';
+  let preferencesService;
+
+  // Keeps hashes in memory, so stored preferences can be read back
+  const buildMemoryRedis = () => {
+    const hashes = new Map();
+    return {
+      hset: jest.fn(async (key, field, value) => {
+        const fields = typeof field === 'object' ? field : { [field]: value };
+        const hash = hashes.get(key) || {};
+        for (const [name, fieldValue] of Object.entries(fields)) {
+          hash[name] = Array.isArray(fieldValue) ? fieldValue.join(',') : String(fieldValue);
+        }
+        hashes.set(key, hash);
+        return 1;
+      }),
+      hgetall: jest.fn(async (key) => ({ ...(hashes.get(key) || {}) })),
+      expire: jest.fn().mockResolvedValue(1)
+    };
+  };
+
+  beforeEach(() => {
+    preferencesService = new userPreferencesService.constructor({ redis: buildMemoryRedis() });
+  });
+
+  test('should set and get user preferences correctly', async () => {
+    const preferences = {
+      sourceLanguage: 'en',
+      targetLanguages: ['es', 'fr'],
+      responseMode: 'both'
+    };
+
+    expect(await preferencesService.setPreferences(testUserId, preferences)).toBe(true);
+
+    const storedPrefs = await preferencesService.getPreferences(testUserId);
+    expect(storedPrefs.sourceLanguage).toBe('en');
+    expect(storedPrefs.targetLanguages).toBe('es,fr'); // Stored as comma-separated string
+    expect(storedPrefs.responseMode).toBe('both');
+  });
+
+  test('should return default preferences for new users', async () => {
+    const defaultPrefs = await preferencesService.getPreferences('nonexistent_user');
+
+    expect(defaultPrefs.sourceLanguage).toBe('auto');
+    expect(defaultPrefs.targetLanguages).toEqual(['en']);
+    expect(defaultPrefs.responseMode).toBe('text');
+  });
+
+  test('should set source language independently', async () => {
+    expect(await preferencesService.setSourceLanguage(testUserId, 'es')).toBe(true);
+
+    const storedPrefs = await preferencesService.getPreferences(testUserId);
+    expect(storedPrefs.sourceLanguage).toBe('es');
+    expect(storedPrefs.responseMode).toBe('text');
+  });
+
+  test('should set target languages independently', async () => {
+    expect(await preferencesService.setTargetLanguages(testUserId, ['es', 'fr', 'de'])).toBe(true);
+
+    const storedPrefs = await preferencesService.getPreferences(testUserId);
+    expect(storedPrefs.targetLanguages).toBe('es,fr,de');
+  });
+
+  test('should set response mode independently', async () => {
+    expect(await preferencesService.setResponseMode(testUserId, 'voice')).toBe(true);
+
+    const storedPrefs = await preferencesService.getPreferences(testUserId);
+    expect(storedPrefs.responseMode).toBe('voice');
+  });
+
+  test('should reject invalid response mode', async () => {
+    expect(await preferencesService.setResponseMode(testUserId, 'invalid_mode')).toBe(false);
+
+    const storedPrefs = await preferencesService.getPreferences(testUserId);
+    expect(storedPrefs.responseMode).toBe('text');
+  });
+});
@@ -0,0 +1,163 @@
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+
+// Mock config before any imports that might use it
+jest.mock('../config', () => ({
+  whatsapp: {},
+  webhookRecorder: {
+    enabled: false
+  }
+}));
+
+const { WebhookRecorder } = require('../services/webhook-recorder');
+const {
+  parseArgs,
+  listRecordings,
+  getRecordingsRoot,
+  prepareReplayPayload,
+  collectMediaIds
+} = require('../scripts/replay-webhook');
+
+const buildPayload = (message) => ({
+  object: 'whatsapp_business_account',
+  entry: [{
+    changes: [{
+      value: {
+        metadata: { display_phone_number: '15550000000', phone_number_id: 'phone_1' },
+        contacts: [{ profile: { name: 'Test User' }, wa_id: '15551234567' }],
+        messages: [{ id: 'wamid.1', from: '15551234567', ...message }]
+      }
+    }]
+  }]
+});
+
+describe('Webhook Recorder Tests', () => {
+  let directory;
+
+  beforeEach(async () => {
+    directory = await fs.mkdtemp(path.join(os.tmpdir(), 'webhook-recorder-'));
+  });
+
+  afterEach(async () => {
+    await fs.rm(directory, { recursive: true, force: true });
+  });
+
+  test('should not record anything unless enabled', async () => {
+    const recorder = new WebhookRecorder({ enabled: false, directory });
+
+    expect(await recorder.recordWebhook(buildPayload({ type: 'text', text: { body: 'Hello' } }))).toBeNull();
+    expect(await recorder.recordMedia('media_1', Buffer.from('audio'))).toBe(false);
+    expect(await fs.readdir(directory)).toEqual([]);
+  });
+
+  test('should record webhooks and load them back', async () => {
+    const recorder = new WebhookRecorder({ enabled: true, directory });
+    const payload = buildPayload({ type: 'text', text: { body: 'Hello' } });
+
+    const filepath = await recorder.recordWebhook(payload);
+    const recording = await recorder.loadRecording(filepath);
+
+    expect(path.dirname(filepath)).toBe(path.join(directory, 'webhooks'));
+    expect(recording.payload).toEqual(payload);
+    expect(recording.redactions).toEqual([]);
+  });
+
+  test('should redact phone numbers with stable hashes and message texts', async () => {
+    const recorder = new WebhookRecorder({ enabled: true, directory, redact: ['phone', 'text'] });
+
+    const redacted = recorder.redactPayload(buildPayload({ type: 'text', text: { body: 'My secret' } }));
+    const value = redacted.entry[0].changes[0].value;
+
+    expect(value.contacts[0].wa_id).toMatch(/^redacted-[0-9a-f]{12}$/);
+    expect(value.messages[0].from).toBe(value.contacts[0].wa_id);
+    expect(value.metadata.display_phone_number).toMatch(/^redacted-/);
+    expect(value.metadata.phone_number_id).toBe('phone_1');
+    expect(value.messages[0].text.body).toBe('[redacted]');
+  });
+
+  test('should record media and serve it for replay', async () => {
+    const recorder = new WebhookRecorder({ enabled: true, directory });
+
+    expect(await recorder.recordMedia('media/1', Buffer.from('voice'), 'audio/ogg')).toBe(true);
+
+    const media = await recorder.loadMedia('media/1');
+    expect(media.buffer.toString()).toBe('voice');
+    expect(media.mimeType).toBe('audio/ogg');
+    expect(await recorder.loadMedia('missing')).toBeNull();
+  });
+
+  test('should keep only media metadata when media is redacted', async () => {
+    const recorder = new WebhookRecorder({ enabled: true, directory, redact: ['media'] });
+
+    await recorder.recordMedia('media_2', Buffer.from('voice'), 'audio/ogg');
+
+    expect(await fs.readdir(path.join(directory, 'media'))).toEqual(['media_2.json']);
+    expect(await recorder.loadMedia('media_2')).toBeNull();
+  });
+});
+
+describe('Webhook Replay CLI Tests', () => {
+  test('should parse replay options', () => {
+    expect(parseArgs(['recordings/webhooks/a.json'])).toEqual(expect.objectContaining({
+      recordingPath: 'recordings/webhooks/a.json',
+      mode: 'direct',
+      keepIds: false
+    }));
+
+    expect(parseArgs(['a.json', '--target', 'http://localhost:3000/webhook', '--wait', '5000', '--keep-ids']))
+      .toEqual(expect.objectContaining({
+        mode: 'target',
+        target: 'http://localhost:3000/webhook',
+        waitMs: 5000,
+        keepIds: true
+      }));
+  });
+
+  test('should reject invalid options', () => {
+    expect(() => parseArgs([])).toThrow('A recording file or directory is required');
+    expect(() => parseArgs(['a.json', '--target'])).toThrow('--target needs the webhook URL');
+    expect(() => parseArgs(['a.json', '--verbose'])).toThrow('Unknown option: --verbose');
+  });
+
+  test('should find the recording root from a recording file or directory', () => {
+    const root = path.resolve('recordings');
+
+    expect(getRecordingsRoot('recordings/webhooks/a.json')).toBe(root);
+    expect(getRecordingsRoot('recordings/webhooks')).toBe(root);
+    expect(getRecordingsRoot('recordings')).toBe(root);
+  });
+
+  test('should list recordings in a directory oldest first', async () => {
+    const directory = await fs.mkdtemp(path.join(os.tmpdir(), 'webhook-replay-'));
+    try {
+      await fs.mkdir(path.join(directory, 'webhooks'));
+      await fs.writeFile(path.join(directory, 'webhooks', '2024-01-02.json'), '{}');
+      await fs.writeFile(path.join(directory, 'webhooks', '2024-01-01.json'), '{}');
+
+      expect(await listRecordings(directory)).toEqual([
+        path.join(directory, 'webhooks', '2024-01-01.json'),
+        path.join(directory, 'webhooks', '2024-01-02.json')
+      ]);
+    } finally {
+      await fs.rm(directory, { recursive: true, force: true });
+    }
+  });
+
+  test('should suffix message IDs so deduplication does not skip replays', () => {
+    const payload = buildPayload({ type: 'text', text: { body: 'Hello' } });
+
+    const replayPayload = prepareReplayPayload(payload, { suffix: 'replay-1' });
+
+    expect(replayPayload.entry[0].changes[0].value.messages[0].id).toBe('wamid.1.replay-1');
+    expect(payload.entry[0].changes[0].value.messages[0].id).toBe('wamid.1');
+    expect(prepareReplayPayload(payload, { keepIds: true })).toEqual(payload);
+  });
+
+  test('should collect the media referenced by a payload', () => {
+    const payload = buildPayload({ type: 'audio', audio: { id: 'media_1', mime_type: 'audio/ogg' } });
+
+    expect(collectMediaIds(payload)).toEqual([{ mediaId: 'media_1', mimeType: 'audio/ogg' }]);
+    expect(collectMediaIds(buildPayload({ type: 'text', text: { body: 'Hi' } }))).toEqual([]);
+  });
+});
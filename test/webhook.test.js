@@ -5,36 +5,117 @@ const express = require('express');
 jest.mock('../config', () => ({
   whatsapp: {
     webhookVerifyToken: 'test_verify_token'
+  },
+  redis: {
+    url: 'redis://localhost:6379'
   }
 }));
 
 const { app } = require('../server'); // Use the main server app
 const userPreferencesService = require('../services/user-preferences');
 const whatsappService = require('../services/whatsapp/whatsapp-api');
+const translationQueue = require('../utils/processing/translation-queue');
+const messageDedupService = require('../services/message-dedup');
+const deliveryStatusService = require('../services/delivery-status');
+const webhookRecorder = require('../services/webhook-recorder');
+const rateLimiterService = require('../services/rate-limiter');
 const { logger } = require('../utils/helpers/performance-monitor');
 
 // Mock the WhatsApp service to avoid actual API calls during testing
-jest.mock('../services/whatsapp/whatsapp-api', () => ({
-  sendTextMessage: jest.fn().mockResolvedValue({ messages: [{ id: 'mock_msg_id' }] }),
-  sendVoiceMessage: jest.fn().mockResolvedValue({ messages: [{ id: 'mock_voice_msg_id' }] }),
-  downloadMedia: jest.fn().mockResolvedValue(Buffer.from('mock audio data'))
-}));
+jest.mock('../services/whatsapp/whatsapp-api', () => {
+  const whatsappService = {
+    sendTextMessage: jest.fn().mockResolvedValue({ messages: [{ id: 'mock_msg_id' }] }),
+    sendVoiceMessage: jest.fn().mockResolvedValue({ messages: [{ id: 'mock_voice_msg_id' }] }),
+    downloadMedia: jest.fn().mockResolvedValue(Buffer.from('mock audio data')),
+    sendButtonMessage: jest.fn().mockResolvedValue({ messages: [{ id: 'mock_button_msg_id' }] }),
+    sendListMessage: jest.fn().mockResolvedValue({ messages: [{ id: 'mock_list_msg_id' }] }),
+    validateWebhookSignature: jest.fn().mockReturnValue(true)
+  };
+  // Every tenant shares the mock so assertions see all calls
+  whatsappService.forTenant = jest.fn().mockReturnValue(whatsappService);
+  return whatsappService;
+});
 
 // Mock the user preferences service to avoid Redis connection issues
-jest.mock('../services/user-preferences', () => ({
-  getPreferences: jest.fn().mockResolvedValue({
-    sourceLanguage: 'auto',
-    targetLanguages: 'es,fr',
-    responseMode: 'text'
+jest.mock('../services/user-preferences', () => {
+  const userPreferencesService = {
+    getPreferences: jest.fn().mockResolvedValue({
+      sourceLanguage: 'auto',
+      targetLanguages: 'es,fr',
+      responseMode: 'text'
+    }),
+    setTargetLanguages: jest.fn().mockResolvedValue(true),
+    setSourceLanguage: jest.fn().mockResolvedValue(true),
+    setResponseMode: jest.fn().mockResolvedValue(true),
+    setQuoteReplies: jest.fn().mockResolvedValue(true),
+    addRecentLanguage: jest.fn().mockResolvedValue(true),
+    getPhraseHints: jest.fn().mockResolvedValue([])
+  };
+  // Every tenant shares the mock so assertions see all calls
+  userPreferencesService.forTenant = jest.fn().mockReturnValue(userPreferencesService);
+  return userPreferencesService;
+});
+
+// Mock the delivery status store to avoid Redis connection issues
+jest.mock('../services/delivery-status', () => ({
+  trackOutboundMessage: jest.fn().mockResolvedValue(true),
+  recordStatus: jest.fn().mockResolvedValue({}),
+  claimFallback: jest.fn().mockResolvedValue(true),
+  getStatusesForRecipient: jest.fn().mockResolvedValue([])
+}));
+
+// Mock the message store to avoid Redis connection issues
+jest.mock('../services/message-store', () => ({
+  saveMessage: jest.fn().mockResolvedValue(true),
+  getMessage: jest.fn().mockResolvedValue(null),
+  getPendingTranscript: jest.fn().mockResolvedValue(null),
+  clearPendingTranscript: jest.fn().mockResolvedValue(true)
+}));
+
+// Mock the dedup store so every delivery counts as new unless a test says otherwise
+jest.mock('../services/message-dedup', () => ({
+  claimMessage: jest.fn().mockResolvedValue(true),
+  releaseMessage: jest.fn().mockResolvedValue(true)
+}));
+
+// Mock the rate limiter so every message is within budget unless a test says otherwise
+jest.mock('../services/rate-limiter', () => ({
+  consume: jest.fn().mockResolvedValue({ allowed: true, remaining: 1000, retryAfterSeconds: 0 }),
+  charge: jest.fn().mockResolvedValue({ allowed: true, remaining: 1000, retryAfterSeconds: 0 }),
+  claimNotice: jest.fn().mockResolvedValue(true)
+}));
+// Bot messages come straight from the catalogs, without machine translation
+jest.mock('../services/localization', () => {
+  const UiMessages = jest.requireActual('../utils/i18n');
+  return {
+    getMessage: jest.fn((key, language, params) => Promise.resolve(UiMessages.getMessage(key, language, params))),
+    translateString: jest.fn((text) => Promise.resolve(text))
+  };
+});
+
+// Mock the dead-letter store used by the admin routes to avoid Redis connection issues
+jest.mock('../services/dead-letter', () => ({}));
+
+// Mock the Redis cache of the language resolver to avoid Redis connection issues
+jest.mock('ioredis', () => {
+  return jest.fn().mockImplementation(() => ({
+    get: jest.fn().mockResolvedValue(null),
+    set: jest.fn().mockResolvedValue('OK'),
+    on: jest.fn()
+  }));
+});
+
+// Mock the queue so webhook messages are captured instead of sent to Redis
+jest.mock('../utils/processing/translation-queue', () => ({
+  addAudioJob: jest.fn().mockResolvedValue({ id: 'mock_audio_job' }),
+  addTranslationJob: jest.fn().mockResolvedValue({ id: 'mock_translation_job' }),
+  addCommandJob: jest.fn().mockResolvedValue({ id: 'mock_command_job' }),
+  addReactionJob: jest.fn().mockResolvedValue({ id: 'mock_reaction_job' }),
+  getQueueStats: jest.fn().mockResolvedValue({
+    translation: { waiting: 0 },
+    audio: { waiting: 0 }
   }),
-  setTargetLanguages: jest.fn().mockResolvedValue(true),
-  setSourceLanguage: jest.fn().mockResolvedValue(true),
-  setResponseMode: jest.fn().mockResolvedValue(true),
-  redis: {
-    del: jest.fn(),
-    hset: jest.fn(),
-    hgetall: jest.fn().mockResolvedValue({})
-  }
+  close: jest.fn().mockResolvedValue()
 }));
 
 jest.mock('../utils/helpers/audio-processing-pipeline', () => ({
@@ -144,74 +225,524 @@ describe('Webhook Route Tests', () => {
         .set('Content-Type', 'application/json');
       
       expect(response.status).toBe(200);
-      expect(whatsappService.downloadMedia).toHaveBeenCalledWith('test_audio_id');
+      // The audio is queued for the worker rather than processed inline
+      expect(translationQueue.addAudioJob).toHaveBeenCalledWith(
+        mockAudioPayload.entry[0].changes[0].value.messages[0],
+        mockAudioPayload.entry[0].changes[0].value
+      );
+      expect(whatsappService.downloadMedia).not.toHaveBeenCalled();
+    });
+
+    test('should queue text messages for translation', async () => {
+      const mockTextPayload = {
+        entry: [{
+          changes: [{
+            value: {
+              contacts: [{ wa_id: 'test_user_id' }],
+              messages: [{
+                type: 'text',
+                text: { body: 'Hello' },
+                from: 'test_user_id'
+              }]
+            }
+          }]
+        }]
+      };
+
+      const response = await request(app)
+        .post('/webhook')
+        .send(mockTextPayload)
+        .set('Content-Type', 'application/json');
+      
+      expect(response.status).toBe(200);
+      expect(translationQueue.addTranslationJob).toHaveBeenCalledTimes(1);
+      expect(whatsappService.sendTextMessage).not.toHaveBeenCalled();
+    });
+
+    test('should queue commands that call Google or send media', async () => {
+      const mockCommandPayload = {
+        entry: [{
+          changes: [{
+            value: {
+              contacts: [{ wa_id: 'test_user_id' }],
+              messages: [{
+                type: 'text',
+                text: { body: '!subtitles vtt' },
+                from: 'test_user_id'
+              }]
+            }
+          }]
+        }]
+      };
+
+      const response = await request(app)
+        .post('/webhook')
+        .send(mockCommandPayload)
+        .set('Content-Type', 'application/json');
+
+      expect(response.status).toBe(200);
+      expect(translationQueue.addCommandJob).toHaveBeenCalledTimes(1);
+      expect(translationQueue.addTranslationJob).not.toHaveBeenCalled();
+      expect(whatsappService.sendTextMessage).not.toHaveBeenCalled();
+    });
+
+    test('should acknowledge but not requeue duplicate deliveries', async () => {
+      const mockPayload = {
+        entry: [{
+          changes: [{
+            value: {
+              contacts: [{ wa_id: 'test_user_id' }],
+              messages: [{
+                id: 'wamid.duplicate',
+                type: 'audio',
+                audio: { id: 'test_audio_id' },
+                from: 'test_user_id'
+              }]
+            }
+          }]
+        }]
+      };
+
+      messageDedupService.claimMessage
+        .mockResolvedValueOnce(true)
+        .mockResolvedValueOnce(false);
+
+      const firstResponse = await request(app)
+        .post('/webhook')
+        .send(mockPayload)
+        .set('Content-Type', 'application/json');
+      const retryResponse = await request(app)
+        .post('/webhook')
+        .send(mockPayload)
+        .set('Content-Type', 'application/json');
+      
+      expect(firstResponse.status).toBe(200);
+      expect(retryResponse.status).toBe(200);
+      expect(messageDedupService.claimMessage).toHaveBeenCalledWith('wamid.duplicate');
+      expect(translationQueue.addAudioJob).toHaveBeenCalledTimes(1);
+    });
+
+    test('should release the claim when a message cannot be queued', async () => {
+      translationQueue.addTranslationJob.mockRejectedValueOnce(new Error('Redis unavailable'));
+
+      const response = await request(app)
+        .post('/webhook')
+        .send({
+          entry: [{
+            changes: [{
+              value: {
+                contacts: [{ wa_id: 'test_user_id' }],
+                messages: [{ id: 'wamid.failed', type: 'text', text: { body: 'Hello' } }]
+              }
+            }]
+          }]
+        })
+        .set('Content-Type', 'application/json');
+      
+      expect(response.status).toBe(500);
+      expect(messageDedupService.releaseMessage).toHaveBeenCalledWith('wamid.failed');
+    });
+
+    test('should return 401 when the webhook signature is invalid', async () => {
+      whatsappService.validateWebhookSignature.mockReturnValueOnce(false);
+
+      const response = await request(app)
+        .post('/webhook')
+        .send({ entry: [] })
+        .set('Content-Type', 'application/json')
+        .set('X-Hub-Signature-256', 'sha256=invalid');
+      
+      expect(response.status).toBe(401);
+      expect(translationQueue.addTranslationJob).not.toHaveBeenCalled();
+    });
+
+    test('should return 400 for payloads without an entry array', async () => {
+      const response = await request(app)
+        .post('/webhook')
+        .send({ object: 'whatsapp_business_account' })
+        .set('Content-Type', 'application/json');
+      
+      expect(response.status).toBe(400);
+      expect(translationQueue.addTranslationJob).not.toHaveBeenCalled();
     });
   });
 });
 
-describe('User Preference Service Tests', () => {
-  const testUserId = 'test_user_123';
-  
-  beforeEach(async () => {
-    // Clear any existing preferences for the test user
-    await userPreferencesService.redis.del(`user:${testUserId}:preferences`);
+describe('Webhook Recording Tests', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
   });
 
-  afterEach(async () => {
-    // Clean up after each test
-    await userPreferencesService.redis.del(`user:${testUserId}:preferences`);
+  test('should hand verified webhooks to the recorder', async () => {
+    const recordSpy = jest.spyOn(webhookRecorder, 'recordWebhook').mockResolvedValueOnce(null);
+    const mockPayload = {
+      entry: [{
+        changes: [{
+          value: {
+            contacts: [{ wa_id: 'test_user_id' }],
+            messages: [{ type: 'text', text: { body: 'Hello' }, from: 'test_user_id' }]
+          }
+        }]
+      }]
+    };
+
+    await request(app)
+      .post('/webhook')
+      .send(mockPayload)
+      .set('Content-Type', 'application/json');
+
+    expect(recordSpy).toHaveBeenCalledWith(mockPayload);
+    recordSpy.mockRestore();
+  });
+
+  test('should not record webhooks that fail signature validation', async () => {
+    const recordSpy = jest.spyOn(webhookRecorder, 'recordWebhook');
+    whatsappService.validateWebhookSignature.mockReturnValueOnce(false);
+
+    await request(app)
+      .post('/webhook')
+      .send({ entry: [] })
+      .set('Content-Type', 'application/json');
+
+    expect(recordSpy).not.toHaveBeenCalled();
+    recordSpy.mockRestore();
+  });
+});
+
+describe('Tenant Routing Tests', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
   });
 
-  test('should set and get user preferences correctly', async () => {
-    const preferences = {
-      sourceLanguage: 'en',
-      targetLanguages: ['es', 'fr'],
-      responseMode: 'both'
+  test('should answer from the number that received the message', async () => {
+    const mockPayload = {
+      entry: [{
+        changes: [{
+          value: {
+            metadata: { display_phone_number: '15550000001', phone_number_id: 'regional_phone_id' },
+            contacts: [{ wa_id: 'test_user_id' }],
+            messages: [{
+              type: 'text',
+              text: { body: '!response voice' },
+              from: 'test_user_id'
+            }]
+          }
+        }]
+      }]
     };
 
-    const setResult = await userPreferencesService.setPreferences(testUserId, preferences);
-    expect(setResult).toBe(true);
+    await request(app)
+      .post('/webhook')
+      .send(mockPayload)
+      .set('Content-Type', 'application/json');
 
-    const getPreferences = await userPreferencesService.getPreferences(testUserId);
-    expect(getPreferences.sourceLanguage).toBe('en');
-    expect(getPreferences.targetLanguages).toBe('es,fr'); // Stored as comma-separated string
-    expect(getPreferences.responseMode).toBe('both');
+    expect(whatsappService.forTenant).toHaveBeenCalledWith(
+      expect.objectContaining({ phoneNumberId: 'regional_phone_id' })
+    );
+    expect(userPreferencesService.forTenant).toHaveBeenCalledWith(
+      expect.objectContaining({ phoneNumberId: 'regional_phone_id' })
+    );
+    expect(whatsappService.sendTextMessage).toHaveBeenCalledWith('test_user_id', 'Response mode set to: voice');
   });
+});
 
-  test('should return default preferences for new users', async () => {
-    const getPreferences = await userPreferencesService.getPreferences('nonexistent_user');
-    expect(getPreferences.sourceLanguage).toBe('auto');
-    expect(getPreferences.targetLanguages).toBe('en');
-    expect(getPreferences.responseMode).toBe('text');
+describe('Reaction Dispatch Tests', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
   });
 
-  test('should set source language independently', async () => {
-    const setResult = await userPreferencesService.setSourceLanguage(testUserId, 'es');
-    expect(setResult).toBe(true);
+  const buildReactionPayload = (emoji) => ({
+    entry: [{
+      changes: [{
+        value: {
+          contacts: [{ wa_id: 'test_user_id' }],
+          messages: [{
+            id: 'wamid.reaction',
+            type: 'reaction',
+            reaction: { message_id: 'wamid.original', emoji: emoji },
+            from: 'test_user_id'
+          }]
+        }
+      }]
+    }]
+  });
 
-    const getPreferences = await userPreferencesService.getPreferences(testUserId);
-    expect(getPreferences.sourceLanguage).toBe('es');
+  test('should queue flag reactions for translation', async () => {
+    const response = await request(app)
+      .post('/webhook')
+      .send(buildReactionPayload('\u{1F1EB}\u{1F1F7}'))
+      .set('Content-Type', 'application/json');
+
+    expect(response.status).toBe(200);
+    expect(translationQueue.addReactionJob).toHaveBeenCalledWith(
+      expect.objectContaining({ id: 'wamid.reaction', type: 'reaction' }),
+      expect.any(Object)
+    );
+  });
+
+  test('should ignore reactions that are not flags', async () => {
+    await request(app)
+      .post('/webhook')
+      .send(buildReactionPayload('\u{1F44D}'))
+      .set('Content-Type', 'application/json');
+
+    expect(translationQueue.addReactionJob).not.toHaveBeenCalled();
+  });
+
+  test('should ignore removed reactions', async () => {
+    await request(app)
+      .post('/webhook')
+      .send(buildReactionPayload(''))
+      .set('Content-Type', 'application/json');
+
+    expect(translationQueue.addReactionJob).not.toHaveBeenCalled();
+  });
+});
+
+describe('Rate Limiting Tests', () => {
+  const { processMessage } = require('../routes/webhook');
+  const context = { contacts: [{ wa_id: 'test_user_id' }] };
+  const overLimit = { allowed: false, remaining: -20, retryAfterSeconds: 150 };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  test('should charge text characters for every target language', async () => {
+    await processMessage({ id: 'wamid.text', type: 'text', text: { body: 'Hello' } }, context);
+
+    // 5 characters translated into es and fr
+    expect(rateLimiterService.consume).toHaveBeenCalledWith('test_user_id', 'text', 10);
+    expect(translationQueue.addTranslationJob).toHaveBeenCalled();
+  });
+
+  test('should only check the audio budget for voice notes', async () => {
+    await processMessage({ id: 'wamid.voice', type: 'audio', audio: { id: 'media_1' } }, context);
+
+    expect(rateLimiterService.consume).toHaveBeenCalledWith('test_user_id', 'audio', 0);
+    expect(translationQueue.addAudioJob).toHaveBeenCalled();
+  });
+
+  test('should drop over-limit messages and ask the user to slow down', async () => {
+    rateLimiterService.consume.mockResolvedValueOnce(overLimit);
+
+    await processMessage({ id: 'wamid.voice', type: 'audio', audio: { id: 'media_1' } }, context);
+
+    expect(translationQueue.addAudioJob).not.toHaveBeenCalled();
+    expect(rateLimiterService.claimNotice).toHaveBeenCalledWith('test_user_id');
+    expect(whatsappService.sendTextMessage).toHaveBeenCalledWith(
+      'test_user_id',
+      expect.stringContaining('Please slow down and try again in about 3 minutes')
+    );
+  });
+
+  test('should send the slow down message at most once per window', async () => {
+    rateLimiterService.consume.mockResolvedValueOnce(overLimit);
+    rateLimiterService.claimNotice.mockResolvedValueOnce(false);
+
+    await processMessage({ id: 'wamid.text', type: 'text', text: { body: 'Hello' } }, context);
+
+    expect(translationQueue.addTranslationJob).not.toHaveBeenCalled();
+    expect(whatsappService.sendTextMessage).not.toHaveBeenCalled();
+  });
+
+  test('should keep commands available to throttled users', async () => {
+    await processMessage({ id: 'wamid.command', type: 'text', text: { body: '!quote off' } }, context);
+
+    expect(rateLimiterService.consume).not.toHaveBeenCalled();
+    expect(userPreferencesService.setQuoteReplies).toHaveBeenCalledWith('test_user_id', false);
+  });
+
+  test('should export throttled messages as a metric', async () => {
+    const monitoring = require('../utils/helpers/monitoring');
+    rateLimiterService.consume.mockResolvedValueOnce(overLimit);
+
+    await processMessage({ id: 'wamid.text', type: 'text', text: { body: 'Hello' } }, context);
+
+    expect(await monitoring.getMetrics()).toMatch(/whatsapp_throttled_messages_total\{budget="text",message_type="text"\} [1-9]/);
+  });
+});
+
+describe('Interactive Menu Tests', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  const buildInteractivePayload = (interactive) => ({
+    entry: [{
+      changes: [{
+        value: {
+          contacts: [{ wa_id: 'test_user_id' }],
+          messages: [{
+            type: 'interactive',
+            interactive: interactive,
+            from: 'test_user_id'
+          }]
+        }
+      }]
+    }]
+  });
+
+  test('should open the target language list from the settings buttons', async () => {
+    await request(app)
+      .post('/webhook')
+      .send(buildInteractivePayload({
+        type: 'button_reply',
+        button_reply: { id: 'menu:targets', title: 'Translate to' }
+      }))
+      .set('Content-Type', 'application/json');
+
+    expect(whatsappService.sendListMessage).toHaveBeenCalledWith(
+      'test_user_id',
+      expect.stringContaining('es, fr'),
+      'Choose language',
+      [expect.objectContaining({
+        rows: expect.arrayContaining([
+          expect.objectContaining({ id: 'target:es', description: 'Selected - tap to remove' }),
+          expect.objectContaining({ id: 'target:de', description: 'Tap to add' })
+        ])
+      })]
+    );
+  });
+
+  test('should add a target language from a list reply', async () => {
+    await request(app)
+      .post('/webhook')
+      .send(buildInteractivePayload({
+        type: 'list_reply',
+        list_reply: { id: 'target:de', title: 'German' }
+      }))
+      .set('Content-Type', 'application/json');
+
+    expect(userPreferencesService.setTargetLanguages).toHaveBeenCalledWith('test_user_id', ['es', 'fr', 'de']);
+    expect(whatsappService.sendTextMessage).toHaveBeenCalledWith('test_user_id', 'Target languages set to: es, fr, de');
+  });
+
+  test('should remove an already selected target language', async () => {
+    await request(app)
+      .post('/webhook')
+      .send(buildInteractivePayload({
+        type: 'list_reply',
+        list_reply: { id: 'target:es', title: 'Spanish' }
+      }))
+      .set('Content-Type', 'application/json');
+
+    expect(userPreferencesService.setTargetLanguages).toHaveBeenCalledWith('test_user_id', ['fr']);
+  });
+
+  test('should set the source language from a list reply', async () => {
+    await request(app)
+      .post('/webhook')
+      .send(buildInteractivePayload({
+        type: 'list_reply',
+        list_reply: { id: 'source:auto', title: 'Auto-detect' }
+      }))
+      .set('Content-Type', 'application/json');
+
+    expect(userPreferencesService.setSourceLanguage).toHaveBeenCalledWith('test_user_id', 'auto');
+  });
+
+  test('should set the response mode from a button reply', async () => {
+    await request(app)
+      .post('/webhook')
+      .send(buildInteractivePayload({
+        type: 'button_reply',
+        button_reply: { id: 'response:both', title: 'Text + voice' }
+      }))
+      .set('Content-Type', 'application/json');
+
+    expect(userPreferencesService.setResponseMode).toHaveBeenCalledWith('test_user_id', 'both');
+    expect(whatsappService.sendTextMessage).toHaveBeenCalledWith('test_user_id', 'Response mode set to: both');
+  });
+
+  test('should ignore languages the menu does not offer', async () => {
+    await request(app)
+      .post('/webhook')
+      .send(buildInteractivePayload({
+        type: 'list_reply',
+        list_reply: { id: 'source:xx', title: 'Unknown' }
+      }))
+      .set('Content-Type', 'application/json');
+
+    expect(userPreferencesService.setSourceLanguage).not.toHaveBeenCalled();
+  });
+});
+
+describe('Delivery Status Processing Tests', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  const buildStatusPayload = (status) => ({
+    entry: [{
+      changes: [{
+        value: {
+          statuses: [status]
+        }
+      }]
+    }]
   });
 
-  test('should set target languages independently', async () => {
-    const setResult = await userPreferencesService.setTargetLanguages(testUserId, ['es', 'fr', 'de']);
-    expect(setResult).toBe(true);
+  test('should record delivery statuses', async () => {
+    const status = {
+      id: 'wamid.outbound',
+      status: 'delivered',
+      timestamp: '1700000000',
+      recipient_id: 'test_user_id'
+    };
+
+    const response = await request(app)
+      .post('/webhook')
+      .send(buildStatusPayload(status))
+      .set('Content-Type', 'application/json');
 
-    const getPreferences = await userPreferencesService.getPreferences(testUserId);
-    expect(getPreferences.targetLanguages).toBe('es,fr,de');
+    expect(response.status).toBe(200);
+    expect(deliveryStatusService.recordStatus).toHaveBeenCalledWith(status);
+    expect(whatsappService.sendTextMessage).not.toHaveBeenCalled();
   });
 
-  test('should set response mode independently', async () => {
-    const setResult = await userPreferencesService.setResponseMode(testUserId, 'voice');
-    expect(setResult).toBe(true);
+  test('should send a text fallback when a voice note fails to deliver', async () => {
+    deliveryStatusService.recordStatus.mockResolvedValueOnce({
+      messageId: 'wamid.voice',
+      recipientId: 'test_user_id',
+      type: 'audio',
+      status: 'failed',
+      fallbackText: 'Translation to ES: Hola mundo'
+    });
+
+    const response = await request(app)
+      .post('/webhook')
+      .send(buildStatusPayload({
+        id: 'wamid.voice',
+        status: 'failed',
+        timestamp: '1700000000',
+        recipient_id: 'test_user_id',
+        errors: [{ code: 131053, title: 'Media upload error' }]
+      }))
+      .set('Content-Type', 'application/json');
 
-    const getPreferences = await userPreferencesService.getPreferences(testUserId);
-    expect(getPreferences.responseMode).toBe('voice');
+    expect(response.status).toBe(200);
+    expect(deliveryStatusService.claimFallback).toHaveBeenCalledWith('wamid.voice');
+    expect(whatsappService.sendTextMessage).toHaveBeenCalledWith(
+      'test_user_id',
+      expect.stringContaining('Translation to ES: Hola mundo')
+    );
   });
 
-  test('should reject invalid response mode', async () => {
-    await expect(userPreferencesService.setResponseMode(testUserId, 'invalid_mode'))
-      .rejects.toThrow('Invalid response mode');
+  test('should not resend the fallback for a redelivered failure', async () => {
+    deliveryStatusService.recordStatus.mockResolvedValueOnce({
+      recipientId: 'test_user_id',
+      type: 'audio',
+      fallbackText: 'Translation to ES: Hola mundo'
+    });
+    deliveryStatusService.claimFallback.mockResolvedValueOnce(false);
+
+    await request(app)
+      .post('/webhook')
+      .send(buildStatusPayload({ id: 'wamid.voice', status: 'failed', recipient_id: 'test_user_id' }))
+      .set('Content-Type', 'application/json');
+
+    expect(whatsappService.sendTextMessage).not.toHaveBeenCalled();
   });
 });
 
@@ -271,6 +802,62 @@ describe('Command Processing Tests', () => {
     expect(whatsappService.sendTextMessage).toHaveBeenCalled();
   });
 
+  test('should open the settings menu with !help', async () => {
+    const mockPayload = {
+      entry: [{
+        changes: [{
+          value: {
+            contacts: [{ wa_id: 'test_user_id' }],
+            messages: [{
+              type: 'text',
+              text: { body: '!help' },
+              from: 'test_user_id'
+            }]
+          }
+        }]
+      }]
+    };
+
+    await request(app)
+      .post('/webhook')
+      .send(mockPayload)
+      .set('Content-Type', 'application/json');
+
+    expect(whatsappService.sendButtonMessage).toHaveBeenCalledWith(
+      'test_user_id',
+      expect.any(String),
+      expect.arrayContaining([
+        { id: 'menu:targets', title: 'Translate to' },
+        { id: 'menu:response', title: 'Reply format' }
+      ])
+    );
+  });
+
+  test('should turn quoting off with !quote', async () => {
+    const mockPayload = {
+      entry: [{
+        changes: [{
+          value: {
+            contacts: [{ wa_id: 'test_user_id' }],
+            messages: [{
+              type: 'text',
+              text: { body: '!quote off' },
+              from: 'test_user_id'
+            }]
+          }
+        }]
+      }]
+    };
+
+    await request(app)
+      .post('/webhook')
+      .send(mockPayload)
+      .set('Content-Type', 'application/json');
+
+    expect(userPreferencesService.setQuoteReplies).toHaveBeenCalledWith('test_user_id', false);
+    expect(whatsappService.sendTextMessage).toHaveBeenCalledWith('test_user_id', 'Quoting original messages: off');
+  });
+
   test('should process !srclang command correctly', async () => {
     const mockPayload = {
       entry: [{
@@ -0,0 +1,113 @@
+const crypto = require('crypto');
+
+// Mock config before the service reads it
+jest.mock('../config', () => ({
+  whatsapp: {
+    accessToken: 'test_access_token',
+    phoneNumberId: 'test_phone_id',
+    appSecret: 'test_app_secret'
+  }
+}));
+
+// Mock the delivery status store to avoid Redis connection issues
+jest.mock('../services/delivery-status', () => ({
+  trackOutboundMessage: jest.fn().mockResolvedValue(true)
+}));
+
+const whatsappService = require('../services/whatsapp/whatsapp-api');
+
+describe('WhatsApp API Service Tests', () => {
+  describe('Reply Context', () => {
+    beforeEach(() => {
+      whatsappService.apiClient.post = jest.fn().mockResolvedValue({
+        data: { messages: [{ id: 'wamid.outbound' }] }
+      });
+    });
+
+    test('should quote the original message when replyTo is given', async () => {
+      await whatsappService.sendTextMessage('user_1', 'Hola', { replyTo: 'wamid.inbound' });
+
+      expect(whatsappService.apiClient.post).toHaveBeenCalledWith(
+        '/test_phone_id/messages',
+        expect.objectContaining({ context: { message_id: 'wamid.inbound' }, to: 'user_1' }),
+        expect.any(Object)
+      );
+    });
+
+    test('should quote the original message in voice replies', async () => {
+      await whatsappService.sendVoiceMessage('user_1', 'https://example.com/a.ogg', { replyTo: 'wamid.inbound' });
+
+      const [, payload] = whatsappService.apiClient.post.mock.calls[0];
+      expect(payload.context).toEqual({ message_id: 'wamid.inbound' });
+      expect(payload.audio).toEqual({ link: 'https://example.com/a.ogg' });
+    });
+
+    test('should send a loose message without replyTo', async () => {
+      await whatsappService.sendTextMessage('user_1', 'Hola');
+
+      const [, payload] = whatsappService.apiClient.post.mock.calls[0];
+      expect(payload).not.toHaveProperty('context');
+    });
+  });
+
+  describe('Tenant Numbers', () => {
+    test('should reuse the default service for the default number', () => {
+      expect(whatsappService.forTenant({ phoneNumberId: 'test_phone_id', accessToken: 'test_access_token' }))
+        .toBe(whatsappService);
+    });
+
+    test('should send from the tenant number with the tenant token', async () => {
+      const tenantService = whatsappService.forTenant({ phoneNumberId: 'emea_phone_id', accessToken: 'emea_token' });
+      tenantService.apiClient.post = jest.fn().mockResolvedValue({
+        data: { messages: [{ id: 'wamid.outbound' }] }
+      });
+
+      await tenantService.sendTextMessage('user_1', 'Hola');
+
+      expect(tenantService).not.toBe(whatsappService);
+      expect(whatsappService.forTenant({ phoneNumberId: 'emea_phone_id', accessToken: 'emea_token' })).toBe(tenantService);
+      expect(tenantService.apiClient.post).toHaveBeenCalledWith(
+        '/emea_phone_id/messages',
+        expect.any(Object),
+        { headers: { 'Authorization': 'Bearer emea_token' } }
+      );
+    });
+  });
+
+  describe('Webhook Signature Validation', () => {
+    const payload = Buffer.from(JSON.stringify({ entry: [] }));
+
+    // Build a minimal Express-like request carrying the given signature header
+    const buildRequest = (signature) => ({
+      get: (header) => (header.toLowerCase() === 'x-hub-signature-256' ? signature : undefined)
+    });
+
+    const sign = (body, secret) =>
+      `sha256=${crypto.createHmac('sha256', secret).update(body).digest('hex')}`;
+
+    test('should accept a payload signed with the app secret', () => {
+      const req = buildRequest(sign(payload, 'test_app_secret'));
+      expect(whatsappService.validateWebhookSignature(req, payload)).toBe(true);
+    });
+
+    test('should reject a payload signed with a different secret', () => {
+      const req = buildRequest(sign(payload, 'wrong_secret'));
+      expect(whatsappService.validateWebhookSignature(req, payload)).toBe(false);
+    });
+
+    test('should reject a tampered payload', () => {
+      const req = buildRequest(sign(payload, 'test_app_secret'));
+      const tampered = Buffer.from(JSON.stringify({ entry: [{ id: 'injected' }] }));
+      expect(whatsappService.validateWebhookSignature(req, tampered)).toBe(false);
+    });
+
+    test('should reject requests without a signature header', () => {
+      expect(whatsappService.validateWebhookSignature(buildRequest(undefined), payload)).toBe(false);
+    });
+
+    test('should reject malformed signatures', () => {
+      expect(whatsappService.validateWebhookSignature(buildRequest('sha256=abc'), payload)).toBe(false);
+      expect(whatsappService.validateWebhookSignature(buildRequest('md5=abc'), payload)).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,548 @@
+// utils/commands/builtin-commands.js
+const SettingsMenu = require('../helpers/settings-menu');
+const PreferenceValues = require('../helpers/preference-values');
+
+const RESPONSE_MODES = ['text', 'voice', 'both'];
+const VOICE_GENDERS = ['male', 'female', 'neutral'];
+const SPEAKER_MODES = ['off', 'on', 'voices'];
+const SUBTITLE_FORMATS = ['srt', 'vtt', 'both'];
+const VOCABULARY_ACTIONS = ['add', 'remove', 'list'];
+
+// Voices listed per language by !voice; WhatsApp messages are limited to 4096 characters
+const MAX_LISTED_VOICES = 10;
+
+// Longer lists are split over several messages
+const MAX_MESSAGE_LENGTH = 4000;
+
+// Speech-to-Text accepts boosts from 0 to 20; higher values favour a phrase more strongly
+const MIN_VOCABULARY_BOOST = 0;
+const MAX_VOCABULARY_BOOST = 20;
+const DEFAULT_VOCABULARY_BOOST = 10;
+
+// Phrases kept in each user's and each team's vocabulary, and the longest phrase Speech-to-Text accepts
+const MAX_VOCABULARY_PHRASES = 100;
+const MAX_PHRASE_LENGTH = 100;
+
+/**
+ * Get the text-to-speech voices for each of the user's target languages
+ * @param {Array<string>} targetLanguages - Target language codes
+ * @returns {Promise<Array<Object>>} - { language, voices } sorted by voice name
+ */
+async function listTargetVoices(targetLanguages) {
+  // Required lazily so loading the commands does not create a Text-to-Speech client
+  const textToSpeechService = require('../../services/google/text-to-speech');
+
+  const voicesByLanguage = [];
+  for (const language of targetLanguages) {
+    const voices = await textToSpeechService.listVoices(language);
+    voicesByLanguage.push({ language: language, voices: voices.sort((a, b) => a.name.localeCompare(b.name)) });
+  }
+  return voicesByLanguage;
+}
+
+/**
+ * Reply with the user's voice settings and the voices they can choose from
+ * @param {Object} invocation - Command invocation
+ * @returns {Promise<Object>} - WhatsApp API response
+ */
+async function replyVoiceSettings(invocation) {
+  const currentPrefs = await invocation.preferencesService.getPreferences(invocation.recipientId);
+  const voiceSettings = PreferenceValues.getVoiceSettings(currentPrefs);
+  const voicesByLanguage = await listTargetVoices(PreferenceValues.getTargetLanguages(currentPrefs));
+  const { localize } = invocation;
+
+  let text = `${await localize('voiceSettings', { gender: voiceSettings.ssmlGender.toLowerCase(), rate: voiceSettings.speakingRate })}\n`;
+  for (const { language, voices } of voicesByLanguage) {
+    const voice = voiceSettings.voiceNames[language] || await localize('voiceDefault');
+    text += `\n${await localize('voiceForLanguage', { language: language.toUpperCase(), voice: voice })}\n`;
+    text += voices.slice(0, MAX_LISTED_VOICES).map(voice => `${voice.name} (${voice.ssmlGender.toLowerCase()})`).join('\n');
+    if (voices.length > MAX_LISTED_VOICES) {
+      text += `\n${await localize('moreVoices', { count: voices.length - MAX_LISTED_VOICES })}`;
+    }
+    text += '\n';
+  }
+  text += `\n${await localize('voiceUsage')}`;
+
+  return invocation.reply(text);
+}
+
+/**
+ * Reply with the user's and the team's vocabulary
+ * @param {Object} invocation - Command invocation
+ * @returns {Promise<void>}
+ */
+async function replyVocabulary(invocation) {
+  const { recipientId, preferencesService, localize } = invocation;
+  const userVocabulary = await preferencesService.getVocabulary(recipientId);
+  const teamVocabulary = await preferencesService.getVocabulary(recipientId, true);
+
+  if (userVocabulary.length === 0 && teamVocabulary.length === 0) {
+    return replyMessage(invocation, 'vocabularyEmpty');
+  }
+
+  const lines = [];
+  for (const [headingKey, vocabulary] of [['vocabularyUser', userVocabulary], ['vocabularyTeam', teamVocabulary]]) {
+    if (vocabulary.length === 0) {
+      continue;
+    }
+    if (lines.length > 0) {
+      lines.push('');
+    }
+    lines.push(await localize(headingKey));
+    for (const entry of vocabulary) {
+      lines.push(await localize('vocabularyEntry', { phrase: entry.phrase, boost: entry.boost }));
+    }
+  }
+
+  const [heading, ...entries] = lines;
+  return replyList(invocation, heading, entries);
+}
+
+/**
+ * Reply with a heading and a list, split over several messages if it is too long for one
+ * @param {Object} invocation - Command invocation
+ * @param {string} heading - First line of the first message
+ * @param {Array<string>} lines - List entries
+ * @returns {Promise<void>}
+ */
+async function replyList(invocation, heading, lines) {
+  let text = heading;
+  for (const line of lines) {
+    if (text.length + line.length + 1 > MAX_MESSAGE_LENGTH) {
+      await invocation.reply(text);
+      text = line;
+    } else {
+      text += `\n${line}`;
+    }
+  }
+  await invocation.reply(text);
+}
+
+/**
+ * Reply with one of the bot's messages in the user's language
+ * @param {Object} invocation - Command invocation
+ * @param {string} key - Message key
+ * @param {Object} params - Placeholder values
+ * @returns {Promise<Object>} - WhatsApp API response
+ */
+async function replyMessage(invocation, key, params = {}) {
+  return invocation.reply(await invocation.localize(key, params));
+}
+
+/**
+ * Reply with the result of saving a setting
+ * @param {Object} invocation - Command invocation
+ * @param {boolean} saved - Whether the preference service stored the setting
+ * @param {string} confirmationKey - Message key of the reply when the setting was stored
+ * @param {Object} params - Placeholder values of the confirmation
+ * @param {string} errorKey - Message key of the reply when it was not
+ * @returns {Promise<Object>} - WhatsApp API response
+ */
+function replySaved(invocation, saved, confirmationKey, params, errorKey) {
+  return saved ? replyMessage(invocation, confirmationKey, params) : replyMessage(invocation, errorKey);
+}
+
+// The commands every deployment has, in the order !help lists them
+module.exports = [
+  {
+    name: 'lang',
+    aliases: ['language'],
+    description: 'Set target languages',
+    usage: '!lang <lang> [<lang> ...]',
+    example: '!lang es fr',
+    args: [{ name: 'languages', type: 'language', multiple: true }],
+    handler: async (invocation) => {
+      const { args, recipientId, preferencesService } = invocation;
+
+      if (!args.languages) {
+        // Show current language settings
+        const currentPrefs = await preferencesService.getPreferences(recipientId);
+        return replyMessage(invocation, 'currentSettings', {
+          source: currentPrefs.sourceLanguage,
+          targets: PreferenceValues.getTargetLanguages(currentPrefs).join(', ')
+        });
+      }
+
+      const saved = await preferencesService.setTargetLanguages(recipientId, args.languages);
+      return replySaved(invocation, saved, 'targetLanguagesSet', { languages: args.languages.join(', ') }, 'targetLanguagesNotSaved');
+    }
+  },
+  {
+    name: 'target',
+    description: 'Add or remove one target language',
+    usage: '!target <lang>',
+    example: '!target de',
+    args: [{ name: 'lang', type: 'language', required: true }],
+    menuAction: 'target',
+    handler: async (invocation) => {
+      const { args, recipientId, preferencesService } = invocation;
+      const targets = PreferenceValues.getTargetLanguages(await preferencesService.getPreferences(recipientId));
+
+      // Toggle the language, keeping at least one target
+      let languages;
+      if (!targets.includes(args.lang)) {
+        languages = [...targets, args.lang];
+      } else if (targets.length > 1) {
+        languages = targets.filter(lang => lang !== args.lang);
+      } else {
+        return replyMessage(invocation, 'atLeastOneTarget');
+      }
+
+      const saved = await preferencesService.setTargetLanguages(recipientId, languages);
+      return replySaved(invocation, saved, 'targetLanguagesSet', { languages: languages.join(', ') }, 'targetLanguagesNotSaved');
+    }
+  },
+  {
+    name: 'srclang',
+    aliases: ['source'],
+    description: 'Set source language, or auto to detect it',
+    usage: '!srclang <lang>',
+    example: '!srclang en',
+    args: [{ name: 'lang', type: 'language', required: true, allow: ['auto'] }],
+    menuAction: 'source',
+    handler: async (invocation) => {
+      const { args, recipientId, preferencesService } = invocation;
+      const saved = await preferencesService.setSourceLanguage(recipientId, args.lang);
+      return replySaved(invocation, saved, 'sourceLanguageSet', { language: args.lang }, 'sourceLanguageNotSaved');
+    }
+  },
+  {
+    name: 'candidates',
+    description: 'Narrow source language detection to the languages you speak, or all to detect any language',
+    usage: '!candidates <lang> [<lang> ...]',
+    example: '!candidates en hi',
+    args: [{ name: 'languages', type: 'language', multiple: true, allow: ['all'] }],
+    handler: async (invocation) => {
+      const { args, recipientId, preferencesService } = invocation;
+
+      if (!args.languages) {
+        const candidates = PreferenceValues.getCandidateLanguages(await preferencesService.getPreferences(recipientId));
+        return candidates.length > 0
+          ? replyMessage(invocation, 'candidateLanguagesStatus', { languages: candidates.join(', ') })
+          : replyMessage(invocation, 'candidateLanguagesAll');
+      }
+
+      if (args.languages.includes('all')) {
+        const saved = await preferencesService.setCandidateLanguages(recipientId, []);
+        return replySaved(invocation, saved, 'candidateLanguagesCleared', {}, 'candidateLanguagesNotSaved');
+      }
+
+      const languages = [...new Set(args.languages)];
+      if (languages.length > PreferenceValues.MAX_DETECTION_LANGUAGES) {
+        return replyMessage(invocation, 'tooManyCandidates', { max: PreferenceValues.MAX_DETECTION_LANGUAGES });
+      }
+
+      const saved = await preferencesService.setCandidateLanguages(recipientId, languages);
+      return replySaved(invocation, saved, 'candidateLanguagesSet', { languages: languages.join(', ') }, 'candidateLanguagesNotSaved');
+    }
+  },
+  {
+    name: 'languages',
+    description: 'List the supported languages, or search them by name',
+    usage: '!languages [<search>]',
+    example: '!languages chinese',
+    args: [{ name: 'search', type: 'text' }],
+    handler: async (invocation) => {
+      // Lazy require, so loading the commands does not create a Translation client
+      const languageResolver = require('../../services/language-resolver');
+      const { args, localize } = invocation;
+
+      const languages = args.search
+        ? await languageResolver.search(args.search)
+        : await languageResolver.getSupportedLanguages();
+      if (languages.length === 0) {
+        return replyMessage(invocation, 'noLanguagesMatching', { search: args.search });
+      }
+
+      const lines = languages.map(language => (
+        language.nativeName && language.nativeName.toLowerCase() !== language.name.toLowerCase()
+          ? `${language.code} - ${language.name} (${language.nativeName})`
+          : `${language.code} - ${language.name}`
+      ));
+      if (args.search) {
+        return replyList(invocation, await localize('languagesMatching', { search: args.search }), lines);
+      }
+      return replyList(invocation, await localize('supportedLanguages', { count: languages.length }), [
+        ...lines,
+        '',
+        await localize('languagesSearchHint')
+      ]);
+    }
+  },
+  {
+    name: 'response',
+    aliases: ['mode'],
+    description: 'Set response mode: text, voice, or both',
+    usage: '!response <mode>',
+    example: '!response both',
+    args: [{ name: 'mode', type: 'choice', choices: RESPONSE_MODES }],
+    menuAction: 'response',
+    handler: async (invocation) => {
+      const { args, recipientId, preferencesService } = invocation;
+
+      if (!args.mode) {
+        const currentPrefs = await preferencesService.getPreferences(recipientId);
+        return replyMessage(invocation, 'currentResponseMode', { mode: currentPrefs.responseMode, modes: RESPONSE_MODES.join(', ') });
+      }
+
+      const saved = await preferencesService.setResponseMode(recipientId, args.mode);
+      return replySaved(invocation, saved, 'responseModeSet', { mode: args.mode }, 'responseModeNotSaved');
+    }
+  },
+  {
+    name: 'quote',
+    description: 'Reply to the original message when sending translations',
+    usage: '!quote <on|off>',
+    example: '!quote off',
+    args: [{ name: 'setting', type: 'choice', choices: ['on', 'off'] }],
+    handler: async (invocation) => {
+      const { args, recipientId, preferencesService } = invocation;
+
+      if (!args.setting) {
+        const currentPrefs = await preferencesService.getPreferences(recipientId);
+        return replyMessage(invocation, 'quoteStatus', { setting: PreferenceValues.shouldQuoteReplies(currentPrefs) ? 'on' : 'off' });
+      }
+
+      const saved = await preferencesService.setQuoteReplies(recipientId, args.setting === 'on');
+      return replySaved(invocation, saved, 'quoteSet', { setting: args.setting }, 'quoteNotSaved');
+    }
+  },
+  {
+    name: 'speakers',
+    description: 'Translate each speaker of a conversation separately, optionally with a voice per speaker',
+    usage: '!speakers <off|on|voices>',
+    example: '!speakers on',
+    args: [{ name: 'mode', type: 'choice', choices: SPEAKER_MODES }],
+    handler: async (invocation) => {
+      const { args, recipientId, preferencesService } = invocation;
+
+      if (!args.mode) {
+        const currentPrefs = await preferencesService.getPreferences(recipientId);
+        return replyMessage(invocation, 'speakerModeStatus', { mode: PreferenceValues.getSpeakerMode(currentPrefs) });
+      }
+
+      const saved = await preferencesService.setSpeakerMode(recipientId, args.mode);
+      // Long voice notes are recognized in chunks, whose speaker tags do not match up
+      const confirmationKey = args.mode === 'off' ? 'speakerModeSet' : 'speakerModeSetSeparated';
+      return replySaved(invocation, saved, confirmationKey, { mode: args.mode }, 'speakerModeNotSaved');
+    }
+  },
+  {
+    name: 'subtitles',
+    description: 'Get subtitle files of your latest voice note or video in its language and your target languages',
+    usage: '!subtitles [srt|vtt|both]',
+    example: '!subtitles vtt',
+    args: [{ name: 'format', type: 'choice', choices: SUBTITLE_FORMATS }],
+    // Translates every cue and uploads documents, which takes too long for the webhook request
+    queued: true,
+    handler: async (invocation) => {
+      // Lazy require, so loading the commands does not open Redis or create a Translation client
+      const messageStoreService = require('../../services/message-store');
+      const subtitleService = require('../../services/subtitles');
+      const { args, recipientId, tenant, whatsappService, localize } = invocation;
+
+      // The latest voice note may have gone to another business number, whose tenant it belongs to
+      const transcript = await messageStoreService.getLatestTranscript(recipientId);
+      const fromThisNumber = transcript && (!tenant?.phoneNumberId || transcript.phoneNumberId === tenant.phoneNumberId);
+      if (!fromThisNumber || transcript.words.length === 0) {
+        return replyMessage(invocation, 'subtitlesNone');
+      }
+
+      const format = args.format || 'srt';
+      const formats = format === 'both' ? ['srt', 'vtt'] : [format];
+      const files = await subtitleService.buildFiles(transcript, formats);
+      return subtitleService.sendFiles(whatsappService, recipientId, files, localize);
+    }
+  },
+  {
+    name: 'vocab',
+    description: 'Add, remove or list words and names voice notes should recognize, for you or everyone writing to this number',
+    usage: '!vocab <add|remove|list> [team] [<phrase> [<boost>]]',
+    example: '!vocab add team Kubernetes 15',
+    args: [
+      { name: 'action', type: 'choice', choices: VOCABULARY_ACTIONS },
+      { name: 'phrase', type: 'text', multiple: true }
+    ],
+    handler: async (invocation) => {
+      const { args, recipientId, preferencesService } = invocation;
+      const words = args.phrase || [];
+
+      if (!args.action || args.action === 'list') {
+        return replyVocabulary(invocation);
+      }
+
+      // 'team' before the phrase edits the vocabulary shared by the tenant's users
+      const team = words[0]?.toLowerCase() === 'team' && words.length > 1;
+      const phraseWords = team ? words.slice(1) : words;
+
+      // Everyone on the number sees the team vocabulary, so only its admins may change it
+      if (team && !(invocation.tenant?.adminNumbers || []).includes(recipientId)) {
+        return replyMessage(invocation, 'vocabularyTeamNotAllowed');
+      }
+
+      // A number after the phrase is its boost
+      let boost = DEFAULT_VOCABULARY_BOOST;
+      if (args.action === 'add' && phraseWords.length > 1 && /^-?\d+(\.\d+)?$/.test(phraseWords[phraseWords.length - 1])) {
+        boost = parseFloat(phraseWords.pop());
+        if (boost < MIN_VOCABULARY_BOOST || boost > MAX_VOCABULARY_BOOST) {
+          return replyMessage(invocation, 'invalidVocabularyBoost', { min: MIN_VOCABULARY_BOOST, max: MAX_VOCABULARY_BOOST });
+        }
+      }
+
+      const phrase = phraseWords.join(' ');
+      if (!phrase) {
+        return invocation.reply(
+          await invocation.registry.formatArgumentError(invocation.command, { key: 'missingArgument', params: { argument: 'phrase' } }, invocation)
+        );
+      }
+
+      const vocabulary = await preferencesService.getVocabulary(recipientId, team);
+      const existing = vocabulary.find(entry => entry.phrase.toLowerCase() === phrase.toLowerCase());
+
+      if (args.action === 'remove') {
+        if (!existing) {
+          return replyMessage(invocation, 'vocabularyNotFound', { phrase: phrase });
+        }
+        const saved = await preferencesService.removeVocabularyPhrase(recipientId, phrase, team);
+        return replySaved(invocation, saved, 'vocabularyRemoved', { phrase: existing.phrase }, 'vocabularyNotSaved');
+      }
+
+      if (phrase.length > MAX_PHRASE_LENGTH) {
+        return replyMessage(invocation, 'vocabularyPhraseTooLong', { max: MAX_PHRASE_LENGTH });
+      }
+      if (!existing && vocabulary.length >= MAX_VOCABULARY_PHRASES) {
+        return replyMessage(invocation, 'vocabularyFull', { max: MAX_VOCABULARY_PHRASES });
+      }
+
+      const saved = await preferencesService.addVocabularyPhrase(recipientId, phrase, boost, team);
+      return replySaved(invocation, saved, 'vocabularyAdded', { phrase: phrase, boost: boost }, 'vocabularyNotSaved');
+    }
+  },
+  {
+    name: 'voice',
+    description: 'List voices, or pick a voice, gender or speaking rate for voice replies',
+    usage: '!voice [<name>|male|female|neutral|rate <speed>|reset]',
+    example: '!voice rate 1.25',
+    args: [
+      { name: 'setting', type: 'text' },
+      { name: 'value', type: 'text' }
+    ],
+    // Listing and checking voice names asks Text-to-Speech, which takes too long for the webhook request
+    queued: true,
+    handler: async (invocation) => {
+      const { args, recipientId, preferencesService } = invocation;
+      const setting = args.setting?.toLowerCase();
+
+      if (!setting) {
+        return replyVoiceSettings(invocation);
+      }
+
+      if (setting === 'reset') {
+        const saved = await preferencesService.resetVoice(recipientId);
+        return replySaved(invocation, saved, 'voiceReset', {}, 'voiceNotSaved');
+      }
+
+      if (setting === 'rate') {
+        const rate = parseFloat(args.value);
+        if (!(rate >= 0.25 && rate <= 4.0)) {
+          return replyMessage(invocation, 'invalidSpeakingRate');
+        }
+        const saved = await preferencesService.setSpeakingRate(recipientId, rate);
+        return replySaved(invocation, saved, 'speakingRateSet', { rate: rate }, 'speakingRateNotSaved');
+      }
+
+      if (args.value) {
+        return invocation.reply(
+          await invocation.registry.formatArgumentError(invocation.command, { key: 'tooManyArguments' }, invocation)
+        );
+      }
+
+      if (VOICE_GENDERS.includes(setting)) {
+        const saved = await preferencesService.setVoiceGender(recipientId, setting.toUpperCase());
+        return replySaved(invocation, saved, 'voiceGenderSet', { gender: setting }, 'voiceGenderNotSaved');
+      }
+
+      // Anything else is a voice name, which must belong to one of the target languages
+      const currentPrefs = await preferencesService.getPreferences(recipientId);
+      const voicesByLanguage = await listTargetVoices(PreferenceValues.getTargetLanguages(currentPrefs));
+      for (const { language, voices } of voicesByLanguage) {
+        const voice = voices.find(candidate => candidate.name.toLowerCase() === setting);
+        if (voice) {
+          const saved = await preferencesService.setVoice(recipientId, language, voice.name);
+          return replySaved(invocation, saved, 'voiceSet', { language: language.toUpperCase(), voice: voice.name }, 'voiceNotSaved');
+        }
+      }
+
+      return replyMessage(invocation, 'unknownVoice', { voice: args.setting });
+    }
+  },
+  {
+    name: 'uilang',
+    description: 'Set the language of the bot\'s own messages, or auto to use your source language',
+    usage: '!uilang <lang>',
+    example: '!uilang es',
+    args: [{ name: 'lang', type: 'language', allow: ['auto'] }],
+    handler: async (invocation) => {
+      const { args, recipientId, preferencesService } = invocation;
+
+      if (!args.lang) {
+        const currentPrefs = await preferencesService.getPreferences(recipientId);
+        return replyMessage(invocation, 'uiLanguageStatus', { language: PreferenceValues.getUiLanguage(currentPrefs) });
+      }
+
+      // Confirmed in the new language, since invocation.localize reads the saved preference
+      const saved = await preferencesService.setUiLanguage(recipientId, args.lang);
+      if (args.lang === 'auto') {
+        return replySaved(invocation, saved, 'uiLanguageAuto', {}, 'uiLanguageNotSaved');
+      }
+      return replySaved(invocation, saved, 'uiLanguageSet', { language: args.lang }, 'uiLanguageNotSaved');
+    }
+  },
+  {
+    name: 'settings',
+    aliases: ['menu'],
+    description: 'Open the tappable settings menu',
+    usage: '!settings [targets|source|response]',
+    args: [{ name: 'menu', type: 'choice', choices: ['targets', 'source', 'response'] }],
+    menuAction: 'menu',
+    handler: async (invocation) => {
+      const { args, recipientId, whatsappService, preferencesService, localize } = invocation;
+
+      if (!args.menu) {
+        return SettingsMenu.sendSettingsMenu(whatsappService, recipientId, localize);
+      }
+
+      // Open one of the settings sub-menus
+      const currentPrefs = await preferencesService.getPreferences(recipientId);
+      if (args.menu === 'targets') {
+        return SettingsMenu.sendTargetLanguageMenu(whatsappService, recipientId, PreferenceValues.getTargetLanguages(currentPrefs), localize);
+      }
+      if (args.menu === 'source') {
+        return SettingsMenu.sendSourceLanguageMenu(whatsappService, recipientId, currentPrefs.sourceLanguage, localize);
+      }
+      return SettingsMenu.sendResponseModeMenu(whatsappService, recipientId, currentPrefs.responseMode, localize);
+    }
+  },
+  {
+    name: 'help',
+    description: 'Show this help message',
+    usage: '!help [command]',
+    example: '!help lang',
+    args: [{ name: 'command', type: 'text' }],
+    handler: async (invocation) => {
+      const { args, registry, tenant, whatsappService, recipientId } = invocation;
+
+      if (args.command) {
+        const command = registry.get(args.command);
+        return command
+          ? invocation.reply(await registry.formatCommandHelp(command, invocation))
+          : replyMessage(invocation, 'unknownCommand', { command: `!${args.command.replace(/^!/, '')}` });
+      }
+
+      await invocation.reply((tenant?.brandingText ? `${tenant.brandingText}\n\n` : '') + await registry.formatHelp(invocation));
+
+      // Follow up with the tappable settings menu
+      return SettingsMenu.sendSettingsMenu(whatsappService, recipientId, invocation.localize);
+    }
+  }
+];
@@ -0,0 +1,275 @@
+// utils/commands/command-registry.js
+const UiMessages = require('../i18n');
+
+// Parsers for the argument types a command can declare. Each resolves to { value } or
+// { error: { key, params } } with the message describing why the value was rejected.
+const ARGUMENT_TYPES = {
+  // Language codes, tags or names resolved to a supported code, plus any extra values
+  // the argument allows (e.g. 'auto')
+  language: async (value, arg) => {
+    if ((arg.allow || []).includes(value.toLowerCase())) {
+      return { value: value.toLowerCase() };
+    }
+
+    // Lazy require, so registering commands does not load the Translation client
+    const languageResolver = require('../../services/language-resolver');
+    const { language, suggestion } = await languageResolver.resolve(value);
+    if (language) {
+      return { value: language.code };
+    }
+    if (suggestion) {
+      return { error: { key: 'unknownLanguageSuggestion', params: { value: value, name: suggestion.name, code: suggestion.code } } };
+    }
+    return { error: { key: 'unknownLanguage', params: { value: value } } };
+  },
+  choice: async (value, arg) => {
+    const choice = value.toLowerCase();
+    return arg.choices.includes(choice)
+      ? { value: choice }
+      : { error: { key: 'invalidChoice', params: { argument: arg.name, value: value, choices: arg.choices.join(', ') } } };
+  },
+  text: async (value) => ({ value: value })
+};
+
+// Replies in English, for invocations that do not localize them
+const ENGLISH = {
+  localize: async (key, params) => UiMessages.getMessage(key, 'en', params),
+  translate: async (text) => text
+};
+
+/**
+ * Registry of the bot's ! commands. Typed commands and taps on the interactive menus
+ * are both dispatched through it.
+ *
+ * A command definition has the form:
+ *   {
+ *     name: 'lang',                 // Typed as !lang
+ *     aliases: ['language'],        // Other names it can be typed as
+ *     description: 'Set target languages',
+ *     usage: '!lang <lang> [<lang> ...]',
+ *     example: '!lang es fr',       // Optional
+ *     args: [{ name, type: 'language' | 'choice' | 'text', required, multiple, choices, allow }],
+ *     menuAction: 'target',         // Optional: menu reply IDs "<menuAction>:<value>" run it with the value as argument
+ *     queued: true,                 // Optional: run on the translation queue, for commands that call Google or send media
+ *     handler: async (invocation) => {}
+ *   }
+ *
+ * Handlers receive the invocation passed to dispatch, extended with the parsed args,
+ * the command and the registry. Replies are written with invocation.localize(key, params),
+ * which looks up the bot's message catalogs in the user's language, and free text such as
+ * command descriptions with invocation.translate(text).
+ */
+class CommandRegistry {
+  constructor() {
+    this.commands = [];
+    this.names = new Map();
+    this.menuActions = new Map();
+  }
+
+  /**
+   * Add a command to the registry
+   * @param {Object} command - Command definition (see above)
+   * @returns {CommandRegistry} - The registry, for chaining
+   */
+  register(command) {
+    if (!command?.name || !command.usage || typeof command.handler !== 'function') {
+      throw new Error('Command Registry Error: commands need a name, usage and handler');
+    }
+
+    const definition = { aliases: [], args: [], ...command };
+    for (const arg of definition.args) {
+      if (!ARGUMENT_TYPES[arg.type]) {
+        throw new Error(`Command Registry Error: unknown argument type "${arg.type}" for !${definition.name}`);
+      }
+    }
+
+    const names = [definition.name, ...definition.aliases].map(name => name.toLowerCase());
+    const taken = names.find(name => this.names.has(name));
+    if (taken) {
+      throw new Error(`Command Registry Error: !${taken} is already registered`);
+    }
+    if (definition.menuAction && this.menuActions.has(definition.menuAction)) {
+      throw new Error(`Command Registry Error: menu action "${definition.menuAction}" is already registered`);
+    }
+
+    this.commands.push(definition);
+    names.forEach(name => this.names.set(name, definition));
+    if (definition.menuAction) {
+      this.menuActions.set(definition.menuAction, definition);
+    }
+
+    return this;
+  }
+
+  /**
+   * Look up a command by its name or one of its aliases
+   * @param {string} name - Command name, with or without the leading !
+   * @returns {Object|null} - Command definition, or null if there is no such command
+   */
+  get(name) {
+    return this.names.get(String(name).replace(/^!/, '').toLowerCase()) || null;
+  }
+
+  /**
+   * Look up the command that handles a menu action
+   * @param {string} action - Action part of a menu reply ID
+   * @returns {Object|null} - Command definition, or null if no command handles the action
+   */
+  getByMenuAction(action) {
+    return this.menuActions.get(action) || null;
+  }
+
+  /**
+   * Check whether a typed command runs on the translation queue instead of inside the webhook request
+   * @param {string} text - The message text, starting with !
+   * @returns {boolean} - True if the text names a queued command
+   */
+  isQueued(text) {
+    const [name] = text.trim().split(/\s+/);
+    return Boolean(this.get(name)?.queued);
+  }
+
+  /**
+   * Get all commands in registration order
+   * @returns {Array<Object>} - Command definitions
+   */
+  getCommands() {
+    return this.commands;
+  }
+
+  /**
+   * Validate raw arguments against a command's argument schema
+   * @param {Object} command - Command definition
+   * @param {Array<string>} tokens - Arguments as typed, split on whitespace
+   * @returns {Promise<Object>} - { args } with parsed values keyed by argument name, or { error } with the message key and params describing the problem
+   */
+  async parseArguments(command, tokens) {
+    const args = {};
+    let index = 0;
+
+    for (const arg of command.args) {
+      // A multiple argument takes all remaining tokens, so it must come last
+      const rawValues = arg.multiple ? tokens.slice(index) : tokens.slice(index, index + 1);
+      index += rawValues.length;
+
+      if (rawValues.length === 0) {
+        if (arg.required) {
+          return { error: { key: 'missingArgument', params: { argument: arg.name } } };
+        }
+        continue;
+      }
+
+      const values = [];
+      for (const rawValue of rawValues) {
+        const { value, error } = await ARGUMENT_TYPES[arg.type](rawValue, arg);
+        if (error) {
+          return { error: error };
+        }
+        values.push(value);
+      }
+
+      args[arg.name] = arg.multiple ? values : values[0];
+    }
+
+    if (index < tokens.length) {
+      return { error: { key: 'tooManyArguments' } };
+    }
+
+    return { args: args };
+  }
+
+  /**
+   * Run a typed command, e.g. "!lang es fr"
+   * @param {string} text - The message text, starting with !
+   * @param {Object} invocation - { recipientId, tenant, whatsappService, preferencesService, reply }
+   * @returns {Promise<void>}
+   */
+  async execute(text, invocation) {
+    const [name, ...tokens] = text.trim().split(/\s+/);
+    await this.dispatch(name, tokens, { ...invocation, source: 'text' });
+  }
+
+  /**
+   * Validate the arguments of a command and run its handler, replying with usage on invalid input
+   * @param {string} name - Command name or alias
+   * @param {Array<string>} tokens - Raw arguments
+   * @param {Object} invocation - { recipientId, tenant, whatsappService, preferencesService, reply, localize, translate, source }
+   * @returns {Promise<void>}
+   */
+  async dispatch(name, tokens, invocation) {
+    invocation = { ...ENGLISH, ...invocation };
+
+    const command = this.get(name);
+    if (!command) {
+      await invocation.reply(await invocation.localize('unknownCommand', { command: name.toLowerCase() }));
+      return;
+    }
+
+    const { args, error } = await this.parseArguments(command, tokens);
+    if (error) {
+      await invocation.reply(await this.formatArgumentError(command, error, invocation));
+      return;
+    }
+
+    await command.handler({ ...invocation, args: args, command: command, registry: this });
+  }
+
+  /**
+   * Explain a problem with a command's arguments, followed by its usage
+   * @param {Object} command - Command definition
+   * @param {Object} error - { key, params } of the message describing the problem
+   * @param {Object} invocation - Invocation to localize the reply for (optional)
+   * @returns {Promise<string>} - e.g. "Too many arguments.\n\nUsage: !quote <on|off> (e.g., !quote off)"
+   */
+  async formatArgumentError(command, error, invocation = ENGLISH) {
+    const usage = await invocation.localize('usage', { usage: await this.formatUsage(command, invocation) });
+    return `${await invocation.localize(error.key, error.params)}\n\n${usage}`;
+  }
+
+  /**
+   * Format the usage line of a command, with its example if it has one
+   * @param {Object} command - Command definition
+   * @param {Object} invocation - Invocation to localize the text for (optional)
+   * @returns {Promise<string>} - e.g. "!lang <lang> [<lang> ...] (e.g., !lang es fr)"
+   */
+  async formatUsage(command, invocation = ENGLISH) {
+    return command.example
+      ? invocation.localize('usageExample', { usage: command.usage, example: command.example })
+      : command.usage;
+  }
+
+  /**
+   * Build the list of all commands shown by !help
+   * @param {Object} invocation - Invocation to localize the text for (optional)
+   * @returns {Promise<string>} - One line per command
+   */
+  async formatHelp(invocation = ENGLISH) {
+    const lines = [];
+    for (const command of this.commands) {
+      lines.push(`${command.usage} - ${await invocation.translate(command.description)}`);
+    }
+    return `${await invocation.localize('helpCommands')}\n${lines.join('\n')}\n\n${await invocation.localize('helpDetails')}`;
+  }
+
+  /**
+   * Build the detailed help shown by !help <command>
+   * @param {Object} command - Command definition
+   * @param {Object} invocation - Invocation to localize the text for (optional)
+   * @returns {Promise<string>} - Usage, description, aliases and example
+   */
+  async formatCommandHelp(command, invocation = ENGLISH) {
+    const lines = [command.usage, await invocation.translate(command.description)];
+    if (command.aliases.length > 0) {
+      lines.push(await invocation.localize('helpAliases', { aliases: command.aliases.map(alias => `!${alias}`).join(', ') }));
+    }
+    for (const arg of command.args.filter(arg => arg.type === 'choice')) {
+      lines.push(`<${arg.name}>: ${arg.choices.join(', ')}`);
+    }
+    if (command.example) {
+      lines.push(await invocation.localize('helpExample', { example: command.example }));
+    }
+    return lines.join('\n');
+  }
+}
+
+module.exports = CommandRegistry;
@@ -0,0 +1,10 @@
+// utils/commands/index.js
+const CommandRegistry = require('./command-registry');
+const builtinCommands = require('./builtin-commands');
+
+// Shared registry; further commands are added with commandRegistry.register(definition)
+const commandRegistry = new CommandRegistry();
+builtinCommands.forEach(command => commandRegistry.register(command));
+
+module.exports = commandRegistry;
+module.exports.CommandRegistry = CommandRegistry;
@@ -3,10 +3,14 @@ const speechToTextService = require('../../services/google/speech-to-text');
 const translationService = require('../../services/google/translation');
 const textToSpeechService = require('../../services/google/text-to-speech');
 const AudioProcessor = require('./audio-processing');
+const LanguageTags = require('./language-tags');
 const languageDetector = require('./language-detection');
 const { logger, logProcessingTime, incrementTranslation } = require('./performance-monitor');
 const translationQueue = require('../processing/translation-queue');
 
+// Chunks of a long voice note transcribed at the same time, to stay within Speech-to-Text quotas
+const MAX_PARALLEL_CHUNKS = 4;
+
 class AudioProcessingPipeline {
   constructor() {
     this.pipelineSteps = [];
@@ -105,9 +109,14 @@ class AudioProcessingPipeline {
    * @param {Buffer} audioBuffer - The input audio buffer
    * @param {Array<string>} targetLanguages - Array of target languages for translation
    * @param {string} sourceLanguage - Source language (optional, auto-detect if not provided)
-   * @returns {Promise<Array>} - Array of processing results for each language
+   * @param {Object} voiceSettings - Text-to-speech settings (optional): { voiceNames (by language code), ssmlGender, speakingRate }
+   * @param {Array<string>} detectionLanguages - Languages auto-detection chooses between, most likely first (optional, ignored with a source language)
+   * @param {boolean} separateSpeakers - Translate each speaker's turns separately (optional); results then have speakerTurns
+   * @param {Array<Object>} phraseHints - { phrase, boost } vocabulary speech recognition should favour (optional)
+   * @param {Function} onTranscribed - Called with the transcription result before translating (optional); resolving to false stops the pipeline
+   * @returns {Promise<Array|null>} - Array of processing results for each language, or null if onTranscribed stopped the pipeline
    */
-  async processAudioTranslationMulti(audioBuffer, targetLanguages, sourceLanguage = null) {
+  async processAudioTranslationMulti(audioBuffer, targetLanguages, sourceLanguage = null, voiceSettings = {}, detectionLanguages = [], separateSpeakers = false, phraseHints = [], onTranscribed = null) {
     try {
       const startTime = Date.now();
       logger.info(`Starting multi-language audio translation pipeline: ${sourceLanguage || 'auto'} -> [${targetLanguages.join(', ')}]`);
@@ -118,34 +127,29 @@ class AudioProcessingPipeline {
       
       // Step 2: Convert speech to text (single transcription)
       logger.info('Step 2: Converting speech to text');
-      let transcriptionResult;
-      
-      if (sourceLanguage) {
-        transcriptionResult = await speechToTextService.transcribeAudio(processedAudio, this.convertToBCP47(sourceLanguage));
-      } else {
-        transcriptionResult = await speechToTextService.transcribeWithLanguageDetection(processedAudio);
-        sourceLanguage = transcriptionResult.detectedLanguage || transcriptionResult.languageCode.split('-')[0];
-      }
+      const recognitionOptions = { separateSpeakers: separateSpeakers, phraseHints: phraseHints };
+      const transcriptionResult = await this.transcribeSpeech(processedAudio, sourceLanguage, detectionLanguages, recognitionOptions);
+      sourceLanguage = transcriptionResult.sourceLanguage;
       
       const transcribedText = transcriptionResult.transcription;
       logger.info(`Transcribed text: ${transcribedText.substring(0, 50)}...`);
       
+      if (onTranscribed && (await onTranscribed(transcriptionResult)) === false) {
+        logger.info('Translation stopped after transcription');
+        return null;
+      }
+      
+      // A single speaker is translated as one text, like without speaker separation
+      const speakerTurns = transcriptionResult.speakerTurns || [];
+      if (speakerTurns.length > 1) {
+        return this.translateSpeakerTurns(audioBuffer, processedAudio, transcriptionResult, sourceLanguage, targetLanguages, voiceSettings, startTime);
+      }
+      
       // Step 3: Translate the text to multiple languages
       const results = [];
       for (const targetLang of targetLanguages) {
-        logger.info(`Translating to ${targetLang}`);
-        const translationResult = await translationService.translateText(
-          transcribedText,
-          targetLang,
-          sourceLanguage
-        );
-        
         // Step 4: Convert translated text back to speech
-        logger.info(`Converting translated text to speech in ${targetLang}`);
-        const ttsResult = await textToSpeechService.synthesizeText(
-          translationResult.translatedText,
-          this.convertToBCP47(targetLang)
-        );
+        const { translationResult, ttsResult } = await this.translateAndSynthesize(transcribedText, sourceLanguage, targetLang, voiceSettings);
         
         // Add result to array
         results.push({
@@ -155,7 +159,8 @@ class AudioProcessingPipeline {
             text: transcribedText,
             language: sourceLanguage,
             confidence: transcriptionResult.confidence,
-            processingTime: transcriptionResult.processingTime
+            processingTime: transcriptionResult.processingTime,
+            words: transcriptionResult.words || [] // Timed words for subtitles
           },
           translation: {
             originalText: translationResult.originalText,
@@ -192,53 +197,414 @@ class AudioProcessingPipeline {
   }
 
   /**
-   * Process audio using the queue system for better resource management
-   * @param {Buffer} audioBuffer - The input audio buffer
-   * @param {string} targetLanguage - Target language for translation
-   * @param {string} sourceLanguage - Source language (optional)
-   * @returns {Promise<Object>} - Processing result via queue
+   * Translate text that stands in for a voice note, e.g. a transcription the user corrected
+   * @param {string} text - The text the user said
+   * @param {Array<string>} targetLanguages - Array of target languages for translation
+   * @param {string} sourceLanguage - Language of the text
+   * @param {Object} voiceSettings - Text-to-speech settings (optional): { voiceNames (by language code), ssmlGender, speakingRate }
+   * @returns {Promise<Array>} - Results for each language like processAudioTranslationMulti, without the audio
    */
-  async processAudioViaQueue(audioBuffer, targetLanguage, sourceLanguage = null) {
+  async processTextTranslationMulti(text, targetLanguages, sourceLanguage, voiceSettings = {}) {
     try {
-      logger.info(`Adding audio processing job to queue: ${sourceLanguage || 'auto'} -> ${targetLanguage}`);
+      const startTime = Date.now();
+      logger.info(`Starting multi-language transcript translation: ${sourceLanguage} -> [${targetLanguages.join(', ')}]`);
       
-      // Add the job to the queue
-      const job = await translationQueue.addAudioJob(audioBuffer, 'buffer');
+      const results = [];
+      for (const targetLang of targetLanguages) {
+        const { translationResult, ttsResult } = await this.translateAndSynthesize(text, sourceLanguage, targetLang, voiceSettings);
+        
+        results.push({
+          transcription: {
+            text: text,
+            language: sourceLanguage
+          },
+          translation: {
+            originalText: translationResult.originalText,
+            translatedText: translationResult.translatedText,
+            sourceLanguage: translationResult.sourceLanguage,
+            targetLanguage: targetLang,
+            processingTime: translationResult.processingTime
+          },
+          tts: {
+            audioContent: ttsResult.audioContent,
+            language: targetLang,
+            processingTime: ttsResult.processingTime
+          },
+          pipelineCompleted: true
+        });
+        incrementTranslation();
+      }
       
-      // Wait for the job to complete
-      const result = await job.finished();
+      logProcessingTime('transcript-translation', Date.now() - startTime);
+      return results;
+    } catch (error) {
+      logger.error('Transcript translation error:', error);
+      throw new Error(`Transcript Translation Error: ${error.message}`);
+    }
+  }
+
+  /**
+   * Transcribe audio in the user's source language, or detect which of their languages is spoken
+   * @param {Buffer} processedAudio - The preprocessed audio
+   * @param {string} sourceLanguage - Source language (optional, detected if not provided)
+   * @param {Array<string>} detectionLanguages - Languages detection chooses between, most likely first (optional)
+   * @param {Object} recognitionOptions - Options passed to the Speech-to-Text service
+   * @returns {Promise<Object>} - Transcription result with sourceLanguage, the user's code for the spoken language
+   */
+  async transcribeSpeech(processedAudio, sourceLanguage, detectionLanguages, recognitionOptions) {
+    if (sourceLanguage) {
+      const transcriptionResult = await speechToTextService.transcribeAudio(processedAudio, this.convertToBCP47(sourceLanguage), [], recognitionOptions);
+      return { ...transcriptionResult, sourceLanguage: sourceLanguage };
+    }
+    
+    // One recognition request detects which of the languages is spoken
+    const transcriptionResult = await speechToTextService.transcribeWithLanguageDetection(
+      processedAudio,
+      detectionLanguages.length > 0 ? detectionLanguages.map(language => this.convertToBCP47(language)) : null,
+      recognitionOptions
+    );
+    const detectedCode = transcriptionResult.detectedLanguage || transcriptionResult.languageCode;
+    const detectedLanguage = detectionLanguages.find(language => this.convertToBCP47(language) === detectedCode) ||
+      detectedCode.split('-')[0];
+    return { ...transcriptionResult, sourceLanguage: detectedLanguage };
+  }
+
+  /**
+   * Translate text to one target language and voice the translation
+   * @param {string} text - Text to translate
+   * @param {string} sourceLanguage - Language of the text
+   * @param {string} targetLanguage - Language to translate to
+   * @param {Object} voiceSettings - Text-to-speech settings: { voiceNames (by language code), ssmlGender, speakingRate }
+   * @returns {Promise<Object>} - { translationResult, ttsResult }
+   */
+  async translateAndSynthesize(text, sourceLanguage, targetLanguage, voiceSettings) {
+    logger.info(`Translating to ${targetLanguage}`);
+    const translationResult = await translationService.translateText(text, targetLanguage, sourceLanguage);
+    
+    logger.info(`Converting translated text to speech in ${targetLanguage}`);
+    const ttsResult = await textToSpeechService.synthesizeText(
+      translationResult.translatedText,
+      this.convertToBCP47(targetLanguage),
+      voiceSettings.voiceNames?.[targetLanguage] || null,
+      voiceSettings.speakingRate || 1.0,
+      voiceSettings.ssmlGender || 'NEUTRAL'
+    );
+    
+    return { translationResult: translationResult, ttsResult: ttsResult };
+  }
+
+  /**
+   * Translate long audio chunk by chunk: the audio is split at pauses, the chunks are transcribed
+   * in parallel and each chunk's translation is handed to onChunkTranslated, in order, as soon as
+   * it and the chunks before it are done
+   * @param {Buffer} audioBuffer - The input audio buffer
+   * @param {Array<string>} targetLanguages - Array of target languages for translation
+   * @param {string} sourceLanguage - Source language (optional, auto-detect if not provided)
+   * @param {Object} voiceSettings - Text-to-speech settings (optional): { voiceNames (by language code), ssmlGender, speakingRate }
+   * @param {Array<string>} detectionLanguages - Languages auto-detection chooses between, most likely first (optional)
+   * @param {Array<Object>} phraseHints - { phrase, boost } vocabulary speech recognition should favour (optional)
+   * @param {Function} onChunkTranslated - Called with (chunkResults, index, chunkCount) for each chunk with speech (optional)
+   * @param {Function} onChunkTranscribed - Called with (transcriptionResult, index, chunkCount) before a chunk with speech is translated (optional); resolving to false leaves the chunk untranslated
+   * @returns {Promise<Array>} - Results for each language like processAudioTranslationMulti, with the transcription of all chunks and the translation of the translated ones
+   */
+  async processLongAudioTranslationMulti(audioBuffer, targetLanguages, sourceLanguage = null, voiceSettings = {}, detectionLanguages = [], phraseHints = [], onChunkTranslated = null, onChunkTranscribed = null) {
+    try {
+      const startTime = Date.now();
+      const chunks = await AudioProcessor.splitAtSilences(audioBuffer);
+      logger.info(`Translating long audio in ${chunks.length} chunks: ${sourceLanguage || 'auto'} -> [${targetLanguages.join(', ')}]`);
+      
+      // Speaker tags are not consistent between separately recognized chunks, so speakers are not separated
+      const recognitionOptions = { separateSpeakers: false, phraseHints: phraseHints };
+      const transcriptions = this.runWithConcurrency(
+        chunks.map(chunk => () => this.transcribeSpeech(chunk.audio, sourceLanguage, detectionLanguages, recognitionOptions)),
+        MAX_PARALLEL_CHUNKS
+      );
       
-      // The result from the queue contains only transcription
-      // Now we need to translate and convert to speech
+      const chunkResultsByLanguage = targetLanguages.map(() => []);
+      const transcriptionResults = [];
+      for (const [index, chunk] of chunks.entries()) {
+        const transcriptionResult = await transcriptions[index];
+        if (!transcriptionResult.transcription.trim()) {
+          continue; // Nothing was said in this chunk
+        }
+        
+        // Word timings are relative to the chunk, so they are moved to the chunk's place in the audio
+        const words = (transcriptionResult.words || []).map(word => ({
+          ...word,
+          startTime: word.startTime + chunk.start,
+          endTime: word.endTime + chunk.start
+        }));
+        transcriptionResults.push({ ...transcriptionResult, words: words });
+        
+        if (onChunkTranscribed && (await onChunkTranscribed(transcriptionResult, index, chunks.length)) === false) {
+          logger.info(`Chunk ${index + 1} of ${chunks.length} left untranslated`);
+          continue;
+        }
+        
+        const chunkResults = [];
+        for (const [languageIndex, targetLang] of targetLanguages.entries()) {
+          const { translationResult, ttsResult } = await this.translateAndSynthesize(
+            transcriptionResult.transcription,
+            transcriptionResult.sourceLanguage,
+            targetLang,
+            voiceSettings
+          );
+          const chunkResult = {
+            transcription: {
+              text: transcriptionResult.transcription,
+              language: transcriptionResult.sourceLanguage,
+              confidence: transcriptionResult.confidence,
+              words: words
+            },
+            translation: {
+              originalText: translationResult.originalText,
+              translatedText: translationResult.translatedText,
+              sourceLanguage: translationResult.sourceLanguage,
+              targetLanguage: targetLang
+            },
+            tts: {
+              audioContent: ttsResult.audioContent,
+              language: targetLang
+            },
+            chunk: { index: index, start: chunk.start, end: chunk.end }
+          };
+          chunkResults.push(chunkResult);
+          chunkResultsByLanguage[languageIndex].push(chunkResult);
+        }
+        
+        if (onChunkTranslated) {
+          await onChunkTranslated(chunkResults, index, chunks.length);
+        }
+      }
       
-      const transcribedText = result.transcribedText;
-      logger.info(`Got transcription from queue: ${transcribedText.substring(0, 50)}...`);
+      const results = targetLanguages.map((targetLang, languageIndex) => this.stitchChunkResults(
+        audioBuffer,
+        transcriptionResults,
+        chunkResultsByLanguage[languageIndex],
+        sourceLanguage,
+        targetLang
+      ));
       
-      // Perform translation
-      const translationResult = await translationService.translateText(
-        transcribedText, 
-        targetLanguage, 
-        sourceLanguage
-      );
+      const totalProcessingTime = Date.now() - startTime;
+      logProcessingTime('multi-language-pipeline', totalProcessingTime);
+      logger.info(`Chunked audio translation pipeline completed in ${totalProcessingTime}ms for ${chunks.length} chunks`);
       
-      // Convert to speech
-      const ttsResult = await textToSpeechService.synthesizeText(
-        translationResult.translatedText, 
-        this.convertToBCP47(targetLanguage)
-      );
+      for (let i = 0; i < targetLanguages.length; i++) {
+        incrementTranslation();
+      }
       
-      return {
+      return results;
+    } catch (error) {
+      logger.error('Chunked audio processing pipeline error:', error);
+      throw new Error(`Multi-Language Audio Processing Pipeline Error: ${error.message}`);
+    }
+  }
+
+  /**
+   * Join the chunk results for one target language into a result for the whole audio
+   * @param {Buffer} audioBuffer - The input audio buffer
+   * @param {Array<Object>} transcriptionResults - Transcriptions of the chunks with speech, in order, with words in audio time
+   * @param {Array<Object>} chunkResults - Results of those chunks for the target language, in order
+   * @param {string} sourceLanguage - Source language the user set (optional)
+   * @param {string} targetLanguage - Target language of the results
+   * @returns {Object} - Result like processAudioTranslationMulti's, in the language the first chunk was spoken in
+   */
+  stitchChunkResults(audioBuffer, transcriptionResults, chunkResults, sourceLanguage, targetLanguage) {
+    const language = transcriptionResults[0]?.sourceLanguage || sourceLanguage;
+    const confidences = transcriptionResults.map(result => result.confidence).filter(confidence => typeof confidence === 'number');
+    const text = transcriptionResults.map(result => result.transcription.trim()).join(' ');
+    
+    return {
+      originalAudio: audioBuffer,
+      transcription: {
+        text: text,
+        language: language,
+        confidence: confidences.length > 0 ? confidences.reduce((sum, confidence) => sum + confidence, 0) / confidences.length : null,
+        words: transcriptionResults.flatMap(result => result.words)
+      },
+      translation: {
+        originalText: text,
+        translatedText: chunkResults.map(result => result.translation.translatedText).join(' '),
+        sourceLanguage: language,
+        targetLanguage: targetLanguage
+      },
+      tts: {
+        // MP3 frames can be joined into one stream
+        audioContent: Buffer.concat(chunkResults.map(result => Buffer.from(result.tts.audioContent))),
+        language: targetLanguage
+      },
+      chunkCount: chunkResults.length,
+      pipelineCompleted: true
+    };
+  }
+
+  /**
+   * Start async tasks with at most a given number running at once
+   * @param {Array<Function>} tasks - Functions returning promises
+   * @param {number} limit - Most tasks to run at the same time
+   * @returns {Array<Promise>} - A promise for each task's result, in the order of the tasks
+   */
+  runWithConcurrency(tasks, limit) {
+    const deferreds = tasks.map(() => {
+      const deferred = {};
+      deferred.promise = new Promise((resolve, reject) => {
+        deferred.resolve = resolve;
+        deferred.reject = reject;
+      });
+      // Failures are reported when the caller awaits the task, not as unhandled rejections before that
+      deferred.promise.catch(() => {});
+      return deferred;
+    });
+    
+    let next = 0;
+    const worker = async () => {
+      while (next < tasks.length) {
+        const index = next++;
+        try {
+          deferreds[index].resolve(await tasks[index]());
+        } catch (error) {
+          deferreds[index].reject(error);
+        }
+      }
+    };
+    for (let i = 0; i < Math.min(limit, tasks.length); i++) {
+      worker();
+    }
+    
+    return deferreds.map(deferred => deferred.promise);
+  }
+
+  /**
+   * Translate a conversation turn by turn, so each speaker's words are translated and voiced separately
+   * @param {Buffer} audioBuffer - The input audio buffer
+   * @param {Buffer} processedAudio - The preprocessed audio that was transcribed
+   * @param {Object} transcriptionResult - Transcription with speakerTurns
+   * @param {string} sourceLanguage - Language of the transcription
+   * @param {Array<string>} targetLanguages - Array of target languages for translation
+   * @param {Object} voiceSettings - Text-to-speech settings; voicePerSpeaker gives each speaker a distinct voice
+   * @param {number} startTime - When the pipeline started, for the processing time
+   * @returns {Promise<Array>} - Processing results for each language, with the translated speakerTurns
+   */
+  async translateSpeakerTurns(audioBuffer, processedAudio, transcriptionResult, sourceLanguage, targetLanguages, voiceSettings, startTime) {
+    const speakerTurns = transcriptionResult.speakerTurns;
+    logger.info(`Translating ${speakerTurns.length} speaker turns separately`);
+    
+    const results = [];
+    for (const targetLang of targetLanguages) {
+      logger.info(`Translating speaker turns to ${targetLang}`);
+      const translatedTurns = [];
+      for (const turn of speakerTurns) {
+        const translationResult = await translationService.translateText(turn.text, targetLang, sourceLanguage);
+        translatedTurns.push({ ...turn, translatedText: translationResult.translatedText });
+      }
+      const translatedText = translatedTurns.map(turn => turn.translatedText).join('\n');
+      
+      // One voice reply, in one voice or with each speaker's turns in their own voice
+      logger.info(`Converting translated speaker turns to speech in ${targetLang}`);
+      let audioContent;
+      if (voiceSettings.voicePerSpeaker) {
+        const speakerVoices = await this.getSpeakerVoices(targetLang, speakerTurns, voiceSettings);
+        const audioParts = [];
+        for (const turn of translatedTurns) {
+          const ttsResult = await textToSpeechService.synthesizeText(
+            turn.translatedText,
+            this.convertToBCP47(targetLang),
+            speakerVoices.get(turn.speaker),
+            voiceSettings.speakingRate || 1.0,
+            voiceSettings.ssmlGender || 'NEUTRAL'
+          );
+          audioParts.push(ttsResult.audioContent);
+        }
+        // MP3 frames can be joined into one stream
+        audioContent = Buffer.concat(audioParts.map(part => Buffer.from(part)));
+      } else {
+        const ttsResult = await textToSpeechService.synthesizeText(
+          translatedText,
+          this.convertToBCP47(targetLang),
+          voiceSettings.voiceNames?.[targetLang] || null,
+          voiceSettings.speakingRate || 1.0,
+          voiceSettings.ssmlGender || 'NEUTRAL'
+        );
+        audioContent = ttsResult.audioContent;
+      }
+      
+      results.push({
+        originalAudio: audioBuffer,
+        processedAudio: processedAudio,
         transcription: {
-          text: transcribedText,
-          language: sourceLanguage || 'detected',
+          text: transcriptionResult.transcription,
+          language: sourceLanguage,
+          confidence: transcriptionResult.confidence,
+          processingTime: transcriptionResult.processingTime,
+          words: transcriptionResult.words || []
         },
-        translation: translationResult,
-        tts: ttsResult
-      };
+        translation: {
+          originalText: transcriptionResult.transcription,
+          translatedText: translatedText,
+          sourceLanguage: sourceLanguage,
+          targetLanguage: targetLang
+        },
+        tts: {
+          audioContent: audioContent,
+          language: targetLang
+        },
+        speakerTurns: translatedTurns,
+        pipelineCompleted: true
+      });
+      
+      incrementTranslation();
+    }
+    
+    const totalProcessingTime = Date.now() - startTime;
+    logProcessingTime('multi-language-pipeline', totalProcessingTime);
+    logger.info(`Speaker-separated audio translation pipeline completed in ${totalProcessingTime}ms for ${targetLanguages.length} languages`);
+    
+    return results;
+  }
+
+  /**
+   * Pick a distinct text-to-speech voice for each speaker
+   * @param {string} targetLanguage - Language the voices speak
+   * @param {Array<Object>} speakerTurns - Turns with speaker numbers
+   * @param {Object} voiceSettings - Text-to-speech settings; the user's voice is kept for the first speaker
+   * @returns {Promise<Map>} - Voice names by speaker number; null uses the default voice
+   */
+  async getSpeakerVoices(targetLanguage, speakerTurns, voiceSettings) {
+    const speakers = [...new Set(speakerTurns.map(turn => turn.speaker))];
+    const speakerVoices = new Map(speakers.map(speaker => [speaker, null]));
+    
+    let voices;
+    try {
+      voices = await textToSpeechService.listVoices(this.convertToBCP47(targetLanguage));
     } catch (error) {
-      logger.error('Queue-based audio processing error:', error);
-      throw new Error(`Queue Audio Processing Error: ${error.message}`);
+      logger.warn(`Could not list ${targetLanguage} voices, using one voice for every speaker:`, error.message);
+      return speakerVoices;
+    }
+    voices.sort((a, b) => a.name.localeCompare(b.name));
+    
+    // The first speaker keeps the user's voice, else one of their gender
+    const firstVoice = voices.find(voice => voice.name === voiceSettings.voiceNames?.[targetLanguage]) ||
+      voices.find(voice => voice.ssmlGender === (voiceSettings.ssmlGender || 'NEUTRAL')) ||
+      voices[0];
+    if (!firstVoice) {
+      return speakerVoices;
+    }
+    
+    // Alternate genders where the language has both, so speakers are easy to tell apart
+    const usedVoices = [firstVoice];
+    speakerVoices.set(speakers[0], firstVoice.name);
+    for (const speaker of speakers.slice(1)) {
+      const previousVoice = usedVoices[usedVoices.length - 1];
+      const unusedVoices = voices.filter(voice => !usedVoices.includes(voice));
+      const voice = unusedVoices.find(candidate => candidate.ssmlGender !== previousVoice.ssmlGender) || unusedVoices[0];
+      if (!voice) {
+        break; // More speakers than voices: the rest use the default voice
+      }
+      usedVoices.push(voice);
+      speakerVoices.set(speaker, voice.name);
     }
+    
+    return speakerVoices;
   }
 
   /**
@@ -374,27 +740,10 @@ class AudioProcessingPipeline {
   /**
    * Convert language code to BCP-47 format required by Google APIs
    * @param {string} languageCode - Standard language code (e.g., 'en', 'es')
-   * @returns {string} - BCP-47 format code (e.g., 'en-US', 'es-ES')
+   * @returns {string} - BCP-47 format code (e.g., 'en-US', 'es-ES'), or the bare code if no locale is known
    */
   convertToBCP47(languageCode) {
-    // Map simple language codes to BCP-47 format
-    const bcp47Map = {
-      'en': 'en-US',
-      'es': 'es-ES',
-      'fr': 'fr-FR',
-      'de': 'de-DE',
-      'it': 'it-IT',
-      'pt': 'pt-BR',
-      'ru': 'ru-RU',
-      'ar': 'ar-XA', // Arabic (Google's generic Arabic)
-      'hi': 'hi-IN',
-      'zh': 'zh-CN',
-      'ja': 'ja-JP',
-      'ko': 'ko-KR',
-      'tr': 'tr-TR'
-    };
-    
-    return bcp47Map[languageCode] || `${languageCode}-${languageCode.toUpperCase()}`;
+    return LanguageTags.toBCP47(languageCode);
   }
 
   /**
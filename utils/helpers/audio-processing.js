@@ -1,7 +1,30 @@
 // utils/helpers/audio-processing.js
 const ffmpeg = require('fluent-ffmpeg');
+const ffmpegPath = require('ffmpeg-static');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
 const { Readable } = require('stream');
 
+// Use the bundled ffmpeg binary when available so the host doesn't need ffmpeg installed
+if (ffmpegPath) {
+  ffmpeg.setFfmpegPath(ffmpegPath);
+}
+
+// Long audio is split into chunks short enough for synchronous recognition, which accepts up to a minute
+const MAX_CHUNK_SECONDS = 50;
+
+// Chunks are not split shorter than this, so a pause early on does not leave a tiny chunk
+const MIN_CHUNK_SECONDS = 10;
+
+// Quieter than this for at least this long counts as a pause between sentences
+const SILENCE_NOISE_LEVEL = '-35dB';
+const MIN_SILENCE_SECONDS = 0.4;
+
+// ffmpeg fails with "Output file #0 does not contain any stream" when a video has no audio track to extract
+const NO_AUDIO_STREAM_PATTERN = /does not contain any stream/i;
+
 class AudioProcessor {
   /**
    * Convert audio buffer to a specific format
@@ -148,6 +171,207 @@ class AudioProcessor {
     }
   }
 
+  /**
+   * Extract the audio track of a video as mono 16kHz OGG/OPUS, the format Speech-to-Text is configured for
+   * @param {Buffer} videoBuffer - The input video buffer (e.g., MP4 from WhatsApp)
+   * @returns {Promise<Buffer>} - The extracted audio buffer, empty if the video has no audio track
+   */
+  static async extractAudioTrack(videoBuffer) {
+    // MP4 files often keep their index at the end, which ffmpeg cannot seek to on a pipe,
+    // so the video is written to a temporary file first
+    const inputPath = path.join(os.tmpdir(), `video-${crypto.randomUUID()}`);
+    await fs.writeFile(inputPath, videoBuffer);
+    
+    try {
+      return await new Promise((resolve, reject) => {
+        const chunks = [];
+        
+        const command = ffmpeg(inputPath)
+          .noVideo()
+          .audioCodec('libopus')
+          .audioChannels(1)
+          .audioFrequency(16000)
+          .format('ogg')
+          .on('error', (err) => {
+            if (NO_AUDIO_STREAM_PATTERN.test(err.message)) {
+              resolve(Buffer.alloc(0));
+              return;
+            }
+            reject(new Error(`FFmpeg audio extraction error: ${err.message}`));
+          });
+        
+        // Resolve on the output stream so no buffered chunks are lost
+        command.pipe()
+          .on('data', (chunk) => {
+            chunks.push(chunk);
+          })
+          .on('end', () => {
+            resolve(Buffer.concat(chunks));
+          });
+      });
+    } finally {
+      await fs.unlink(inputPath).catch(() => {});
+    }
+  }
+
+  /**
+   * Find the pauses in audio with ffmpeg's silencedetect filter
+   * @param {Buffer} audioBuffer - The input audio buffer
+   * @returns {Promise<Array<Object>>} - { start, end } silences in seconds, in order
+   */
+  static async detectSilences(audioBuffer) {
+    return new Promise((resolve, reject) => {
+      const inputStream = new Readable();
+      inputStream.push(audioBuffer);
+      inputStream.push(null); // EOF
+      
+      const logLines = [];
+      
+      ffmpeg(inputStream)
+        .audioFilters(`silencedetect=noise=${SILENCE_NOISE_LEVEL}:d=${MIN_SILENCE_SECONDS}`)
+        .format('null')
+        .output('-')
+        .on('stderr', (line) => {
+          logLines.push(line);
+        })
+        .on('error', (err) => {
+          reject(new Error(`FFmpeg silence detection error: ${err.message}`));
+        })
+        .on('end', () => {
+          resolve(this.parseSilences(logLines));
+        })
+        .run();
+    });
+  }
+
+  /**
+   * Read the silences silencedetect reports in ffmpeg's log
+   * @param {Array<string>} logLines - ffmpeg stderr lines
+   * @returns {Array<Object>} - { start, end } silences in seconds; a silence still running at the end has no end
+   */
+  static parseSilences(logLines) {
+    const silences = [];
+    for (const line of logLines) {
+      const start = line.match(/silence_start: (-?[\d.]+)/);
+      const end = line.match(/silence_end: ([\d.]+)/);
+      if (start) {
+        silences.push({ start: Math.max(0, parseFloat(start[1])) });
+      } else if (end && silences.length > 0) {
+        silences[silences.length - 1].end = parseFloat(end[1]);
+      }
+    }
+    return silences;
+  }
+
+  /**
+   * Choose where to split audio, in the middle of the last pause before each chunk gets too long
+   * @param {number} duration - Duration of the audio in seconds
+   * @param {Array<Object>} silences - { start, end } silences from detectSilences
+   * @param {number} maxChunkSeconds - Longest chunk (optional)
+   * @returns {Array<Object>} - { start, end } chunks covering the whole audio, in order
+   */
+  static planChunks(duration, silences, maxChunkSeconds = MAX_CHUNK_SECONDS) {
+    const splitPoints = silences.map(silence => (silence.start + (silence.end ?? duration)) / 2);
+    const chunks = [];
+    let start = 0;
+    
+    while (duration - start > maxChunkSeconds) {
+      const limit = start + maxChunkSeconds;
+      const pauses = splitPoints.filter(point => point >= start + MIN_CHUNK_SECONDS && point <= limit);
+      // Without a pause, cut mid-sentence rather than exceed the limit
+      const end = pauses.length > 0 ? pauses[pauses.length - 1] : limit;
+      chunks.push({ start: start, end: end });
+      start = end;
+    }
+    
+    chunks.push({ start: start, end: duration });
+    return chunks;
+  }
+
+  /**
+   * Split long audio at pauses into chunks that can each be transcribed on their own
+   * @param {Buffer} audioBuffer - The input audio buffer
+   * @param {number} maxChunkSeconds - Longest chunk (optional)
+   * @returns {Promise<Array<Object>>} - { start, end, audio } chunks in order, audio as mono 16kHz OGG/OPUS; short audio is one chunk
+   */
+  static async splitAtSilences(audioBuffer, maxChunkSeconds = MAX_CHUNK_SECONDS) {
+    const duration = this.estimateDuration(audioBuffer);
+    if (duration <= maxChunkSeconds) {
+      return [{ start: 0, end: duration, audio: audioBuffer }];
+    }
+    
+    const chunks = this.planChunks(duration, await this.detectSilences(audioBuffer), maxChunkSeconds);
+    
+    // Written to a temporary file, so ffmpeg can seek to each chunk
+    const inputPath = path.join(os.tmpdir(), `audio-${crypto.randomUUID()}`);
+    await fs.writeFile(inputPath, audioBuffer);
+    
+    try {
+      for (const chunk of chunks) {
+        chunk.audio = await this.extractSegment(inputPath, chunk.start, chunk.end - chunk.start);
+      }
+      return chunks;
+    } finally {
+      await fs.unlink(inputPath).catch(() => {});
+    }
+  }
+
+  /**
+   * Cut a segment out of an audio file as mono 16kHz OGG/OPUS, the format Speech-to-Text is configured for
+   * @param {string} inputPath - Path of the audio file
+   * @param {number} start - Start of the segment in seconds
+   * @param {number} duration - Length of the segment in seconds
+   * @returns {Promise<Buffer>} - The segment's audio buffer
+   */
+  static async extractSegment(inputPath, start, duration) {
+    return new Promise((resolve, reject) => {
+      const chunks = [];
+      
+      const command = ffmpeg(inputPath)
+        .seekInput(start)
+        .duration(duration)
+        .audioCodec('libopus')
+        .audioChannels(1)
+        .audioFrequency(16000)
+        .format('ogg')
+        .on('error', (err) => {
+          reject(new Error(`FFmpeg segment extraction error: ${err.message}`));
+        });
+      
+      // Resolve on the output stream so no buffered chunks are lost
+      command.pipe()
+        .on('data', (chunk) => {
+          chunks.push(chunk);
+        })
+        .on('end', () => {
+          resolve(Buffer.concat(chunks));
+        });
+    });
+  }
+
+  /**
+   * Estimate the duration of a voice note without ffmpeg
+   * For OGG/Opus (WhatsApp voice notes and extracted video audio) the duration is read from the
+   * granule position of the last page; other formats fall back to a 16 kbps bitrate estimate.
+   * @param {Buffer} audioBuffer - The input audio buffer
+   * @returns {number} - Duration in seconds
+   */
+  static estimateDuration(audioBuffer) {
+    const lastPage = audioBuffer.lastIndexOf('OggS');
+    const opusHead = audioBuffer.indexOf('OpusHead');
+    
+    if (lastPage !== -1 && opusHead !== -1 && lastPage + 14 <= audioBuffer.length && opusHead + 12 <= audioBuffer.length) {
+      // Opus granule positions count 48kHz samples, including the pre-skip at the start
+      const granulePosition = Number(audioBuffer.readBigInt64LE(lastPage + 6));
+      const preSkip = audioBuffer.readUInt16LE(opusHead + 10);
+      if (granulePosition > preSkip) {
+        return (granulePosition - preSkip) / 48000;
+      }
+    }
+    
+    return audioBuffer.length / 2000;
+  }
+
   /**
    * Calculate audio duration from buffer
    * @param {Buffer} audioBuffer - The input audio buffer
@@ -0,0 +1,53 @@
+// utils/helpers/flag-languages.js
+
+// Main language for each country flag, keyed by ISO 3166-1 alpha-2 region code
+const COUNTRY_LANGUAGES = {
+  AE: 'ar', AR: 'es', AT: 'de', AU: 'en', BD: 'bn', BE: 'nl', BG: 'bg', BO: 'es',
+  BR: 'pt', CA: 'en', CH: 'de', CL: 'es', CN: 'zh', CO: 'es', CR: 'es', CU: 'es',
+  CZ: 'cs', DE: 'de', DK: 'da', DO: 'es', DZ: 'ar', EC: 'es', EE: 'et', EG: 'ar',
+  ES: 'es', ET: 'am', FI: 'fi', FR: 'fr', GB: 'en', GR: 'el', GT: 'es', HK: 'zh-TW',
+  HN: 'es', HR: 'hr', HU: 'hu', ID: 'id', IE: 'en', IL: 'he', IN: 'hi', IQ: 'ar',
+  IR: 'fa', IS: 'is', IT: 'it', JO: 'ar', JP: 'ja', KE: 'sw', KR: 'ko', KW: 'ar',
+  LB: 'ar', LK: 'si', LT: 'lt', LV: 'lv', MA: 'ar', MX: 'es', MY: 'ms', NG: 'en',
+  NL: 'nl', NO: 'no', NP: 'ne', NZ: 'en', PA: 'es', PE: 'es', PH: 'tl', PK: 'ur',
+  PL: 'pl', PT: 'pt', PY: 'es', QA: 'ar', RO: 'ro', RS: 'sr', RU: 'ru', SA: 'ar',
+  SE: 'sv', SG: 'en', SI: 'sl', SK: 'sk', SV: 'es', SY: 'ar', TH: 'th', TN: 'ar',
+  TR: 'tr', TW: 'zh-TW', TZ: 'sw', UA: 'uk', US: 'en', UY: 'es', VE: 'es', VN: 'vi',
+  ZA: 'en'
+};
+
+// Flags are pairs of regional indicator symbols, U+1F1E6 (A) to U+1F1FF (Z)
+const REGIONAL_INDICATOR_A = 0x1F1E6;
+const REGIONAL_INDICATOR_Z = 0x1F1FF;
+
+class FlagLanguages {
+  /**
+   * Get the region code spelled by a flag emoji
+   * @param {string} emoji - The emoji, e.g. '🇯🇵'
+   * @returns {string|null} - Region code such as 'JP', or null if the emoji is not a country flag
+   */
+  static getCountryCode(emoji) {
+    const codePoints = Array.from(emoji || '').map(character => character.codePointAt(0));
+
+    if (codePoints.length !== 2 ||
+        codePoints.some(codePoint => codePoint < REGIONAL_INDICATOR_A || codePoint > REGIONAL_INDICATOR_Z)) {
+      return null;
+    }
+
+    return codePoints
+      .map(codePoint => String.fromCharCode(codePoint - REGIONAL_INDICATOR_A + 'A'.charCodeAt(0)))
+      .join('');
+  }
+
+  /**
+   * Get the language to translate into for a flag emoji
+   * @param {string} emoji - The emoji, e.g. '🇯🇵'
+   * @returns {string|null} - Language code such as 'ja', or null if the flag is unknown
+   */
+  static getLanguageForFlag(emoji) {
+    const countryCode = FlagLanguages.getCountryCode(emoji);
+    return countryCode ? COUNTRY_LANGUAGES[countryCode] || null : null;
+  }
+}
+
+module.exports = FlagLanguages;
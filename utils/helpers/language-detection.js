@@ -55,12 +55,64 @@ class LanguageDetection {
     }
   }
 
+  /**
+   * Detect the language of text, choosing between the languages the user speaks
+   * @param {string} text - The text to analyze
+   * @param {Array<string>} candidateLanguages - Language codes to choose between
+   * @returns {Promise<Object>} - Detected language information
+   */
+  async detectLanguageAmong(text, candidateLanguages) {
+    const detection = await this.detectLanguageWithFallback(text);
+    
+    // Compare base languages, so a detected 'zh-CN' matches a 'zh-TW' candidate
+    const baseLanguage = (code) => code.toLowerCase().split('-')[0];
+    const match = candidateLanguages.find(language => language === detection.language) ||
+      candidateLanguages.find(language => baseLanguage(language) === baseLanguage(detection.language));
+    if (match) {
+      return { ...detection, language: match };
+    }
+    
+    // Otherwise take the candidate the word heuristics favor, or the first one
+    const scores = this.scoreLanguages(text);
+    const best = candidateLanguages.reduce((bestSoFar, language) => (
+      (scores[baseLanguage(language)] || 0) > (scores[baseLanguage(bestSoFar)] || 0) ? language : bestSoFar
+    ));
+    
+    return {
+      language: best,
+      confidence: null, // The detected language was not one of the candidates
+      inputText: text
+    };
+  }
+
   /**
    * Simple fallback language detection based on character patterns and common words
    * @param {string} text - The text to analyze
    * @returns {string} - Detected language code (e.g., 'en', 'es', 'fr')
    */
   fallbackLanguageDetection(text) {
+    const scores = this.scoreLanguages(text);
+
+    // Find the language with the highest score
+    let detectedLang = 'en'; // Default to English
+    let maxScore = 0;
+    
+    for (const [lang, score] of Object.entries(scores)) {
+      if (score > maxScore) {
+        maxScore = score;
+        detectedLang = lang;
+      }
+    }
+
+    return detectedLang;
+  }
+
+  /**
+   * Score how much text looks like each language the heuristics know
+   * @param {string} text - The text to analyze
+   * @returns {Object} - Scores keyed by language code
+   */
+  scoreLanguages(text) {
     // Convert to lowercase for analysis
     const lowerText = text.toLowerCase();
     
@@ -99,18 +151,7 @@ class LanguageDetection {
       }
     }
 
-    // Find the language with the highest score
-    let detectedLang = 'en'; // Default to English
-    let maxScore = 0;
-    
-    for (const [lang, score] of Object.entries(scores)) {
-      if (score > maxScore) {
-        maxScore = score;
-        detectedLang = lang;
-      }
-    }
-
-    return detectedLang;
+    return scores;
   }
 
   /**
@@ -0,0 +1,78 @@
+// utils/helpers/language-tags.js
+
+// Locale that Google Speech-to-Text and Text-to-Speech use for each language code
+const BCP47_LOCALES = {
+  'af': 'af-ZA',
+  'ar': 'ar-XA', // Arabic (Google's generic Arabic)
+  'bg': 'bg-BG',
+  'bn': 'bn-IN',
+  'ca': 'ca-ES',
+  'cs': 'cs-CZ',
+  'da': 'da-DK',
+  'de': 'de-DE',
+  'el': 'el-GR',
+  'en': 'en-US',
+  'es': 'es-ES',
+  'fa': 'fa-IR',
+  'fi': 'fi-FI',
+  'fil': 'fil-PH',
+  'fr': 'fr-FR',
+  'gu': 'gu-IN',
+  'he': 'he-IL',
+  'hi': 'hi-IN',
+  'hr': 'hr-HR',
+  'hu': 'hu-HU',
+  'id': 'id-ID',
+  'it': 'it-IT',
+  'iw': 'he-IL', // Google Translate's legacy code for Hebrew
+  'ja': 'ja-JP',
+  'kn': 'kn-IN',
+  'ko': 'ko-KR',
+  'lt': 'lt-LT',
+  'lv': 'lv-LV',
+  'ml': 'ml-IN',
+  'mr': 'mr-IN',
+  'ms': 'ms-MY',
+  'nb': 'nb-NO',
+  'nl': 'nl-NL',
+  'no': 'nb-NO',
+  'pa': 'pa-IN',
+  'pl': 'pl-PL',
+  'pt': 'pt-BR',
+  'ro': 'ro-RO',
+  'ru': 'ru-RU',
+  'sk': 'sk-SK',
+  'sl': 'sl-SI',
+  'sr': 'sr-RS',
+  'sv': 'sv-SE',
+  'sw': 'sw-KE',
+  'ta': 'ta-IN',
+  'te': 'te-IN',
+  'th': 'th-TH',
+  'tl': 'fil-PH', // Tagalog is recognized and spoken as Filipino
+  'tr': 'tr-TR',
+  'uk': 'uk-UA',
+  'ur': 'ur-IN',
+  'vi': 'vi-VN',
+  'yue': 'yue-Hant-HK',
+  'zh': 'zh-CN'
+};
+
+class LanguageTags {
+  /**
+   * Convert a language code to the BCP-47 tag required by Google's speech APIs
+   * @param {string} languageCode - Language code (e.g., 'en', 'fil') or regional tag (e.g., 'pt-PT')
+   * @returns {string} - BCP-47 locale (e.g., 'en-US'), or the bare code for languages without a known locale
+   */
+  static toBCP47(languageCode) {
+    // Regional tags such as 'pt-PT' are already BCP-47
+    if (languageCode.includes('-')) {
+      return languageCode;
+    }
+
+    // A bare language code is a valid tag, unlike a made-up region such as 'yue-YUE'
+    return BCP47_LOCALES[languageCode] || languageCode;
+  }
+}
+
+module.exports = LanguageTags;
@@ -49,6 +49,30 @@ const errorCounter = new client.Counter({
   labelNames: ['type', 'source']
 });
 
+const duplicateMessageCounter = new client.Counter({
+  name: 'whatsapp_duplicate_messages_total',
+  help: 'Total number of redelivered webhook messages skipped as duplicates',
+  labelNames: ['message_type']
+});
+
+const messageStatusCounter = new client.Counter({
+  name: 'whatsapp_message_statuses_total',
+  help: 'Total number of delivery status callbacks for outbound messages',
+  labelNames: ['status']
+});
+
+const throttledMessageCounter = new client.Counter({
+  name: 'whatsapp_throttled_messages_total',
+  help: 'Total number of messages rejected by the per-user rate limiter',
+  labelNames: ['budget', 'message_type']
+});
+
+const rateLimitUsageCounter = new client.Counter({
+  name: 'whatsapp_rate_limit_usage_total',
+  help: 'Total usage charged to per-user rate limit budgets (audio seconds or text characters)',
+  labelNames: ['budget']
+});
+
 // Register the metrics
 register.registerMetric(translationCounter);
 register.registerMetric(translationDuration);
@@ -56,6 +80,10 @@ register.registerMetric(apiResponseTime);
 register.registerMetric(activeConnections);
 register.registerMetric(queueLength);
 register.registerMetric(errorCounter);
+register.registerMetric(duplicateMessageCounter);
+register.registerMetric(messageStatusCounter);
+register.registerMetric(throttledMessageCounter);
+register.registerMetric(rateLimitUsageCounter);
 
 // Function to increment translation counter
 function incrementTranslationCounter(type, sourceLanguage, targetLanguage) {
@@ -97,6 +125,33 @@ function incrementErrorCounter(type, source) {
   });
 }
 
+// Function to increment duplicate message counter
+function incrementDuplicateMessageCounter(messageType) {
+  duplicateMessageCounter.inc({
+    message_type: messageType || 'unknown'
+  });
+}
+
+// Function to increment message status counter
+function incrementMessageStatusCounter(status) {
+  messageStatusCounter.inc({
+    status: status || 'unknown'
+  });
+}
+
+// Function to increment throttled message counter
+function incrementThrottledMessageCounter(budget, messageType) {
+  throttledMessageCounter.inc({
+    budget: budget,
+    message_type: messageType || 'unknown'
+  });
+}
+
+// Function to add usage charged to a rate limit budget
+function incrementRateLimitUsage(budget, amount) {
+  rateLimitUsageCounter.inc({ budget: budget }, amount);
+}
+
 // Function to get metrics in text format for Prometheus endpoint
 function getMetrics() {
   return register.metrics();
@@ -130,6 +185,10 @@ module.exports = {
   setActiveConnections,
   setQueueLength,
   incrementErrorCounter,
+  incrementDuplicateMessageCounter,
+  incrementMessageStatusCounter,
+  incrementThrottledMessageCounter,
+  incrementRateLimitUsage,
   getMetrics,
   getMetricsForDashboard
 };
\ No newline at end of file
@@ -0,0 +1,120 @@
+// utils/helpers/preference-values.js
+
+// Languages voice notes are detected between, after the ones a user recently spoke
+const DEFAULT_DETECTION_LANGUAGES = ['en', 'es', 'fr', 'hi'];
+
+// Speech-to-Text detects between a primary language and at most three alternatives
+const MAX_DETECTION_LANGUAGES = 4;
+
+/**
+ * Reads values out of the preferences returned by userPreferencesService,
+ * which hold Redis strings for stored settings and arrays for defaults.
+ */
+class PreferenceValues {
+  /**
+   * Get the user's target languages as a trimmed array
+   * @param {Object} userPrefs - Preferences returned by userPreferencesService
+   * @returns {Array<string>} - Target language codes
+   */
+  static getTargetLanguages(userPrefs) {
+    // targetLanguages is an array for defaults and a comma-separated string when read from Redis
+    let targetLanguages;
+    if (Array.isArray(userPrefs.targetLanguages)) {
+      targetLanguages = userPrefs.targetLanguages;
+    } else if (userPrefs.targetLanguages && typeof userPrefs.targetLanguages === 'string') {
+      targetLanguages = userPrefs.targetLanguages.split(',');
+    } else {
+      targetLanguages = ['en']; // fallback
+    }
+
+    return targetLanguages.map(lang => lang.trim());
+  }
+
+  /**
+   * Get the language the user speaks, if they set one
+   * @param {Object} userPrefs - Preferences returned by userPreferencesService
+   * @returns {string|null} - Source language code, or null when it is auto-detected
+   */
+  static getSourceLanguage(userPrefs) {
+    return userPrefs.sourceLanguage && userPrefs.sourceLanguage !== 'auto' ? userPrefs.sourceLanguage : null;
+  }
+
+  /**
+   * Get the languages auto-detection chooses between
+   * @param {Object} userPrefs - Preferences returned by userPreferencesService
+   * @returns {Array<string>} - Candidate language codes, empty to detect any language
+   */
+  static getCandidateLanguages(userPrefs) {
+    if (!userPrefs.candidateLanguages) {
+      return [];
+    }
+    return userPrefs.candidateLanguages.split(',').map(lang => lang.trim()).filter(Boolean);
+  }
+
+  /**
+   * Get the languages the user's voice notes are detected between
+   * @param {Object} userPrefs - Preferences returned by userPreferencesService
+   * @returns {Array<string>} - The candidate languages, else recently detected languages padded with common ones
+   */
+  static getDetectionLanguages(userPrefs) {
+    const candidates = PreferenceValues.getCandidateLanguages(userPrefs);
+    if (candidates.length > 0) {
+      return candidates;
+    }
+
+    const recent = userPrefs.recentLanguages ? userPrefs.recentLanguages.split(',') : [];
+    return [...new Set([...recent, ...DEFAULT_DETECTION_LANGUAGES])].slice(0, MAX_DETECTION_LANGUAGES);
+  }
+
+  /**
+   * Get the user's text-to-speech settings
+   * @param {Object} userPrefs - Preferences returned by userPreferencesService
+   * @returns {Object} - { voiceNames (by language code), ssmlGender, speakingRate, voicePerSpeaker }
+   */
+  static getVoiceSettings(userPrefs) {
+    let voiceNames = {};
+    try {
+      voiceNames = JSON.parse(userPrefs.voiceNames || '{}');
+    } catch (error) {
+      // Unreadable voices fall back to the defaults
+    }
+
+    return {
+      voiceNames: voiceNames,
+      ssmlGender: userPrefs.voiceGender || 'NEUTRAL',
+      speakingRate: parseFloat(userPrefs.speakingRate) || 1.0,
+      voicePerSpeaker: PreferenceValues.getSpeakerMode(userPrefs) === 'voices'
+    };
+  }
+
+  /**
+   * Get how voice notes with several speakers are translated
+   * @param {Object} userPrefs - Preferences returned by userPreferencesService
+   * @returns {string} - 'off' (one transcript), 'on' (turns per speaker) or 'voices' (turns, each voiced differently)
+   */
+  static getSpeakerMode(userPrefs) {
+    return userPrefs.speakerMode || 'off';
+  }
+
+  /**
+   * Get the language the bot's own messages are sent in
+   * @param {Object} userPrefs - Preferences returned by userPreferencesService
+   * @returns {string} - The !uilang choice, else the source language, else 'en' while it is auto-detected
+   */
+  static getUiLanguage(userPrefs) {
+    return userPrefs.uiLanguage || PreferenceValues.getSourceLanguage(userPrefs) || 'en';
+  }
+
+  /**
+   * Check whether translations should quote the message they translate
+   * @param {Object} userPrefs - Preferences returned by userPreferencesService
+   * @returns {boolean} - True unless the user turned quoting off
+   */
+  static shouldQuoteReplies(userPrefs) {
+    return userPrefs.quoteReplies !== 'off';
+  }
+}
+
+module.exports = PreferenceValues;
+module.exports.DEFAULT_DETECTION_LANGUAGES = DEFAULT_DETECTION_LANGUAGES;
+module.exports.MAX_DETECTION_LANGUAGES = MAX_DETECTION_LANGUAGES;
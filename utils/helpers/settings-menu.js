@@ -0,0 +1,155 @@
+// utils/helpers/settings-menu.js
+
+// Languages offered in the tappable menus (WhatsApp lists hold at most 10 rows),
+// named in their own language so they read the same whatever the bot language is
+const MENU_LANGUAGES = [
+  { code: 'en', name: 'English' },
+  { code: 'es', name: 'Español' },
+  { code: 'fr', name: 'Français' },
+  { code: 'de', name: 'Deutsch' },
+  { code: 'it', name: 'Italiano' },
+  { code: 'pt', name: 'Português' },
+  { code: 'ar', name: 'العربية' },
+  { code: 'hi', name: 'हिन्दी' },
+  { code: 'zh', name: '中文' }
+];
+
+// Message keys of the response mode button titles
+const RESPONSE_MODES = [
+  { id: 'text', titleKey: 'responseModeText' },
+  { id: 'voice', titleKey: 'responseModeVoice' },
+  { id: 'both', titleKey: 'responseModeBoth' }
+];
+
+// WhatsApp rejects interactive messages with longer titles, which translations can produce
+const MAX_BUTTON_TITLE_LENGTH = 20;
+const MAX_ROW_TITLE_LENGTH = 24;
+const MAX_ROW_DESCRIPTION_LENGTH = 72;
+
+/**
+ * Builds the interactive settings menus and parses the replies to them.
+ * Reply IDs have the form "<action>:<value>", e.g. "menu:targets", "target:es" or "response:both".
+ * Texts and titles come from the message catalogs through the localize function of the invocation.
+ */
+class SettingsMenu {
+  /**
+   * Send the top-level settings menu
+   * @param {Object} whatsappService - WhatsApp API service instance
+   * @param {string} recipientId - The WhatsApp ID of the recipient
+   * @param {Function} localize - (key, params) => Promise<string> in the user's interface language
+   * @returns {Promise<Object>} - WhatsApp API response
+   */
+  static async sendSettingsMenu(whatsappService, recipientId, localize) {
+    return whatsappService.sendButtonMessage(
+      recipientId,
+      await localize('settingsMenu'),
+      [
+        { id: 'menu:targets', title: (await localize('settingsMenuTargets')).slice(0, MAX_BUTTON_TITLE_LENGTH) },
+        { id: 'menu:source', title: (await localize('settingsMenuSource')).slice(0, MAX_BUTTON_TITLE_LENGTH) },
+        { id: 'menu:response', title: (await localize('settingsMenuResponse')).slice(0, MAX_BUTTON_TITLE_LENGTH) }
+      ]
+    );
+  }
+
+  /**
+   * Send the target language list; tapping a language toggles it
+   * @param {Object} whatsappService - WhatsApp API service instance
+   * @param {string} recipientId - The WhatsApp ID of the recipient
+   * @param {Array<string>} currentTargets - The user's current target languages
+   * @param {Function} localize - (key, params) => Promise<string> in the user's interface language
+   * @returns {Promise<Object>} - WhatsApp API response
+   */
+  static async sendTargetLanguageMenu(whatsappService, recipientId, currentTargets, localize) {
+    const selected = (await localize('targetMenuSelected')).slice(0, MAX_ROW_DESCRIPTION_LENGTH);
+    const unselected = (await localize('targetMenuUnselected')).slice(0, MAX_ROW_DESCRIPTION_LENGTH);
+    const rows = MENU_LANGUAGES.map(language => ({
+      id: `target:${language.code}`,
+      title: language.name,
+      description: currentTargets.includes(language.code) ? selected : unselected
+    }));
+
+    return whatsappService.sendListMessage(
+      recipientId,
+      await localize('targetMenu', { languages: currentTargets.join(', ') }),
+      (await localize('languageMenuButton')).slice(0, MAX_BUTTON_TITLE_LENGTH),
+      [{ title: (await localize('settingsMenuTargets')).slice(0, MAX_ROW_TITLE_LENGTH), rows: rows }]
+    );
+  }
+
+  /**
+   * Send the source language list
+   * @param {Object} whatsappService - WhatsApp API service instance
+   * @param {string} recipientId - The WhatsApp ID of the recipient
+   * @param {string} currentSource - The user's current source language
+   * @param {Function} localize - (key, params) => Promise<string> in the user's interface language
+   * @returns {Promise<Object>} - WhatsApp API response
+   */
+  static async sendSourceLanguageMenu(whatsappService, recipientId, currentSource, localize) {
+    const autoDetect = {
+      id: 'source:auto',
+      title: (await localize('sourceMenuAuto')).slice(0, MAX_ROW_TITLE_LENGTH),
+      description: (await localize('sourceMenuAutoDescription')).slice(0, MAX_ROW_DESCRIPTION_LENGTH)
+    };
+    const rows = [autoDetect].concat(MENU_LANGUAGES.map(language => ({
+      id: `source:${language.code}`,
+      title: language.name
+    })));
+
+    return whatsappService.sendListMessage(
+      recipientId,
+      await localize('sourceMenu', { language: currentSource }),
+      (await localize('languageMenuButton')).slice(0, MAX_BUTTON_TITLE_LENGTH),
+      [{ title: (await localize('settingsMenuSource')).slice(0, MAX_ROW_TITLE_LENGTH), rows: rows }]
+    );
+  }
+
+  /**
+   * Send the response mode buttons
+   * @param {Object} whatsappService - WhatsApp API service instance
+   * @param {string} recipientId - The WhatsApp ID of the recipient
+   * @param {string} currentMode - The user's current response mode
+   * @param {Function} localize - (key, params) => Promise<string> in the user's interface language
+   * @returns {Promise<Object>} - WhatsApp API response
+   */
+  static async sendResponseModeMenu(whatsappService, recipientId, currentMode, localize) {
+    const buttons = [];
+    for (const mode of RESPONSE_MODES) {
+      buttons.push({ id: `response:${mode.id}`, title: (await localize(mode.titleKey)).slice(0, MAX_BUTTON_TITLE_LENGTH) });
+    }
+
+    return whatsappService.sendButtonMessage(
+      recipientId,
+      await localize('responseMenu', { mode: currentMode }),
+      buttons
+    );
+  }
+
+  /**
+   * Check whether a language code is one of the menu languages
+   * @param {string} code - Language code from a menu reply
+   * @returns {boolean} - True if the menu offers this language
+   */
+  static isMenuLanguage(code) {
+    return MENU_LANGUAGES.some(language => language.code === code);
+  }
+
+  /**
+   * Parse an interactive reply into an action and value
+   * @param {Object} interactive - The interactive object of an incoming message
+   * @returns {Object|null} - { action, value } or null if the reply is not a menu selection
+   */
+  static parseReply(interactive) {
+    const reply = interactive?.button_reply || interactive?.list_reply;
+    if (!reply?.id || !reply.id.includes(':')) {
+      return null;
+    }
+
+    const separatorIndex = reply.id.indexOf(':');
+    return {
+      action: reply.id.slice(0, separatorIndex),
+      value: reply.id.slice(separatorIndex + 1)
+    };
+  }
+}
+
+module.exports = SettingsMenu;
@@ -0,0 +1,143 @@
+// utils/helpers/subtitle-builder.js
+
+// Cue limits from common captioning guidelines
+const MAX_LINE_LENGTH = 42;
+const MAX_CUE_LINES = 2;
+const MAX_CUE_SECONDS = 6;
+
+// A pause this long between two words starts a new cue
+const CUE_PAUSE_SECONDS = 1;
+
+/**
+ * Groups timed words from Speech-to-Text into subtitle cues and writes them as SRT or WebVTT.
+ */
+class SubtitleBuilder {
+  /**
+   * Group timed words into cues, breaking at pauses, sentence ends and speaker changes
+   * @param {Array<Object>} words - { word, startTime, endTime, speakerTag } with times in seconds
+   * @returns {Array<Object>} - { start, end, text } cues with times in seconds
+   */
+  static buildCues(words) {
+    const cues = [];
+    let cue = null;
+    let previousWord = null;
+
+    for (const word of words) {
+      const startsNewCue = !cue ||
+        word.startTime - cue.end >= CUE_PAUSE_SECONDS ||
+        word.endTime - cue.start > MAX_CUE_SECONDS ||
+        cue.text.length + 1 + word.word.length > MAX_LINE_LENGTH * MAX_CUE_LINES ||
+        /[.!?]$/.test(previousWord.word) ||
+        (word.speakerTag && previousWord.speakerTag && word.speakerTag !== previousWord.speakerTag);
+
+      if (startsNewCue) {
+        cue = { start: word.startTime, end: word.endTime, text: word.word };
+        cues.push(cue);
+      } else {
+        cue.end = word.endTime;
+        cue.text += ` ${word.word}`;
+      }
+      previousWord = word;
+    }
+
+    return cues;
+  }
+
+  /**
+   * Break the text of a cue into lines, splitting two-line cues near the middle
+   * @param {string} text - Cue text
+   * @returns {string} - Text with line breaks
+   */
+  static wrapText(text) {
+    if (text.length <= MAX_LINE_LENGTH) {
+      return text;
+    }
+
+    const words = text.split(' ');
+    if (text.length <= MAX_LINE_LENGTH * MAX_CUE_LINES) {
+      // Balance the two lines by breaking at the space closest to the middle
+      let bestBreak = 1;
+      for (let index = 1; index < words.length; index++) {
+        const firstLength = words.slice(0, index).join(' ').length;
+        const bestLength = words.slice(0, bestBreak).join(' ').length;
+        if (Math.abs(text.length / 2 - firstLength) < Math.abs(text.length / 2 - bestLength)) {
+          bestBreak = index;
+        }
+      }
+      return `${words.slice(0, bestBreak).join(' ')}\n${words.slice(bestBreak).join(' ')}`;
+    }
+
+    // Translations can be longer than the original, so fill lines greedily
+    const lines = [];
+    for (const word of words) {
+      const line = lines[lines.length - 1];
+      if (line !== undefined && line.length + 1 + word.length <= MAX_LINE_LENGTH) {
+        lines[lines.length - 1] = `${line} ${word}`;
+      } else {
+        lines.push(word);
+      }
+    }
+    return lines.join('\n');
+  }
+
+  /**
+   * Format a time for a subtitle file
+   * @param {number} seconds - Time in seconds
+   * @param {string} decimalSeparator - ',' for SRT, '.' for WebVTT
+   * @returns {string} - HH:MM:SS,mmm
+   */
+  static formatTimestamp(seconds, decimalSeparator) {
+    const totalMilliseconds = Math.round(seconds * 1000);
+    const hours = Math.floor(totalMilliseconds / 3600000);
+    const minutes = Math.floor(totalMilliseconds / 60000) % 60;
+    const wholeSeconds = Math.floor(totalMilliseconds / 1000) % 60;
+    const milliseconds = totalMilliseconds % 1000;
+
+    const pad = (value, length = 2) => String(value).padStart(length, '0');
+    return `${pad(hours)}:${pad(minutes)}:${pad(wholeSeconds)}${decimalSeparator}${pad(milliseconds, 3)}`;
+  }
+
+  /**
+   * Write cues as a SubRip (.srt) file
+   * @param {Array<Object>} cues - { start, end, text } cues
+   * @returns {string} - SRT content
+   */
+  static toSrt(cues) {
+    return cues.map((cue, index) => (
+      `${index + 1}\n` +
+      `${SubtitleBuilder.formatTimestamp(cue.start, ',')} --> ${SubtitleBuilder.formatTimestamp(cue.end, ',')}\n` +
+      `${SubtitleBuilder.wrapText(cue.text)}\n`
+    )).join('\n');
+  }
+
+  /**
+   * Write cues as a WebVTT (.vtt) file
+   * @param {Array<Object>} cues - { start, end, text } cues
+   * @returns {string} - WebVTT content
+   */
+  static toVtt(cues) {
+    const body = cues.map(cue => (
+      `${SubtitleBuilder.formatTimestamp(cue.start, '.')} --> ${SubtitleBuilder.formatTimestamp(cue.end, '.')}\n` +
+      `${SubtitleBuilder.wrapText(cue.text)}\n`
+    )).join('\n');
+    return `WEBVTT\n\n${body}`;
+  }
+
+  /**
+   * Write cues in a subtitle format
+   * @param {Array<Object>} cues - { start, end, text } cues
+   * @param {string} format - 'srt' or 'vtt'
+   * @returns {string} - File content
+   */
+  static format(cues, format) {
+    if (format === 'srt') {
+      return SubtitleBuilder.toSrt(cues);
+    }
+    if (format === 'vtt') {
+      return SubtitleBuilder.toVtt(cues);
+    }
+    throw new Error(`Subtitle Builder Error: unknown format "${format}"`);
+  }
+}
+
+module.exports = SubtitleBuilder;
@@ -0,0 +1,81 @@
+// utils/i18n/index.js
+
+// Catalogs of the bot's own messages, keyed by language code. English is complete;
+// keys missing from another catalog are machine translated by the localization service.
+const CATALOGS = {
+  en: require('./locales/en.json'),
+  es: require('./locales/es.json'),
+  fr: require('./locales/fr.json'),
+  de: require('./locales/de.json'),
+  pt: require('./locales/pt.json')
+};
+
+// Placeholders in message templates, e.g. {minutes}
+const PLACEHOLDER_PATTERN = /\{(\w+)\}/g;
+
+class UiMessages {
+  /**
+   * Get the template of a message from a language's catalog
+   * @param {string} key - Message key, e.g. 'commandError'
+   * @param {string} language - Language code
+   * @returns {string|null} - The template, or null if the catalog has no such message
+   */
+  static getTemplate(key, language) {
+    return CATALOGS[language]?.[key] ?? null;
+  }
+
+  /**
+   * Get the English template of a message, which every message key has
+   * @param {string} key - Message key
+   * @returns {string} - The English template
+   */
+  static getEnglishTemplate(key) {
+    const template = UiMessages.getTemplate(key, 'en');
+    if (template === null) {
+      throw new Error(`UI Messages Error: unknown message "${key}"`);
+    }
+    return template;
+  }
+
+  /**
+   * Fill in the placeholders of a template
+   * @param {string} template - Template with {name} placeholders
+   * @param {Object} params - Values keyed by placeholder name
+   * @returns {string} - The message; placeholders without a value are left as they are
+   */
+  static format(template, params = {}) {
+    return template.replace(PLACEHOLDER_PATTERN, (placeholder, name) => (
+      params[name] !== undefined && params[name] !== null ? String(params[name]) : placeholder
+    ));
+  }
+
+  /**
+   * Get a message from the catalogs only, falling back to English
+   * @param {string} key - Message key
+   * @param {string} language - Language code
+   * @param {Object} params - Placeholder values
+   * @returns {string} - The formatted message
+   */
+  static getMessage(key, language, params = {}) {
+    return UiMessages.format(UiMessages.getTemplate(key, language) ?? UiMessages.getEnglishTemplate(key), params);
+  }
+
+  /**
+   * Get the names of the placeholders in a template
+   * @param {string} template - Message template
+   * @returns {Array<string>} - Placeholder names in order of appearance
+   */
+  static getPlaceholders(template) {
+    return Array.from(template.matchAll(PLACEHOLDER_PATTERN), match => match[1]);
+  }
+
+  /**
+   * Get the languages that have a catalog
+   * @returns {Array<string>} - Language codes
+   */
+  static getCatalogLanguages() {
+    return Object.keys(CATALOGS);
+  }
+}
+
+module.exports = UiMessages;
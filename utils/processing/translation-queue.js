@@ -6,53 +6,147 @@ const { logger } = require('../helpers/performance-monitor');
 class TranslationQueue {
   constructor() {
     // Initialize Bull queue for translation tasks
-    this.translationQueue = new Queue('translation tasks', config.redis.url);
+    this.translationQueue = new Queue('translation tasks', config.redis.url, { prefix: config.queue.prefix });
     
     // Initialize Bull queue for audio processing tasks
-    this.audioQueue = new Queue('audio processing tasks', config.redis.url);
+    this.audioQueue = new Queue('audio processing tasks', config.redis.url, { prefix: config.queue.prefix });
     
     this.setupQueueProcessors();
     this.setupQueueEvents();
   }
 
   setupQueueProcessors() {
-    // Process translation jobs
+    // Process text message jobs: translate and reply to the user
     this.translationQueue.process('translate', async (job) => {
       logger.info(`Processing translation job: ${job.id}`);
       
-      const { text, sourceLanguage, targetLanguage } = job.data;
+      // Required lazily: the webhook route enqueues jobs through this module
+      const { handleTextMessage } = require('../../routes/webhook');
+      await this.runMessageJob(job, handleTextMessage);
       
-      // This will be replaced with actual Google Translation API call
-      // For now, we'll simulate the translation
-      await new Promise(resolve => setTimeout(resolve, 500)); // Simulate API delay
+      logger.info(`Completed translation job: ${job.id}`);
       
-      // In a real implementation, we would call the Google Translation API here
-      const translatedText = `Translated: ${text} (from ${sourceLanguage} to ${targetLanguage})`;
+      return { messageId: job.data.message.id };
+    });
+
+    // Process command jobs: run commands too slow for the webhook request, such as !subtitles
+    this.translationQueue.process('run-command', async (job) => {
+      logger.info(`Processing command job: ${job.id}`);
       
-      logger.info(`Completed translation job: ${job.id}`);
+      const { handleCommandMessage } = require('../../routes/webhook');
+      await this.runMessageJob(job, handleCommandMessage);
+      
+      logger.info(`Completed command job: ${job.id}`);
+      
+      return { messageId: job.data.message.id };
+    });
+
+    // Process document jobs: extract, translate and reply with translated files
+    this.translationQueue.process('translate-document', async (job) => {
+      logger.info(`Processing document job: ${job.id}`);
+      
+      const { handleDocumentMessage } = require('../../routes/webhook');
+      await this.runMessageJob(job, handleDocumentMessage);
+      
+      logger.info(`Completed document job: ${job.id}`);
+      
+      return { messageId: job.data.message.id };
+    });
+
+    // Process flag reaction jobs: translate the reacted-to message into the flag's language
+    this.translationQueue.process('translate-reaction', async (job) => {
+      logger.info(`Processing reaction job: ${job.id}`);
+      
+      const { handleReactionMessage } = require('../../routes/webhook');
+      await this.runMessageJob(job, handleReactionMessage);
       
-      return { translatedText, sourceLanguage, targetLanguage };
+      logger.info(`Completed reaction job: ${job.id}`);
+      
+      return { messageId: job.data.message.id };
     });
 
-    // Process audio jobs
+    // Process transcript confirmation jobs: translate a voice note once the user confirmed its transcription
+    this.translationQueue.process('confirm-transcript', async (job) => {
+      logger.info(`Processing transcript confirmation job: ${job.id}`);
+      
+      const { handleTranscriptConfirmation } = require('../../routes/webhook');
+      await this.runMessageJob(job, handleTranscriptConfirmation);
+      
+      logger.info(`Completed transcript confirmation job: ${job.id}`);
+      
+      return { messageId: job.data.message.id };
+    });
+
+    // Process voice note jobs: STT -> translation -> TTS and reply to the user
     this.audioQueue.process('process-audio', async (job) => {
       logger.info(`Processing audio job: ${job.id}`);
       
-      const { audioBuffer, mimeType } = job.data;
+      const { handleAudioMessage } = require('../../routes/webhook');
+      await this.runMessageJob(job, handleAudioMessage);
+      
+      logger.info(`Completed audio job: ${job.id}`);
       
-      // This will be replaced with actual Google Speech-to-Text API call
-      // For now, we'll simulate the audio processing
-      await new Promise(resolve => setTimeout(resolve, 800)); // Simulate API delay
+      return { messageId: job.data.message.id };
+    });
+
+    // Process video jobs: extract the audio track and handle it like a voice note
+    this.audioQueue.process('process-video', async (job) => {
+      logger.info(`Processing video job: ${job.id}`);
       
-      // In a real implementation, we would call the Google Speech-to-Text API here
-      const transcribedText = 'Simulated transcription of the audio content.';
+      const { handleVideoMessage } = require('../../routes/webhook');
+      await this.runMessageJob(job, handleVideoMessage);
       
-      logger.info(`Completed audio job: ${job.id}`);
+      logger.info(`Completed video job: ${job.id}`);
       
-      return { transcribedText, audioBuffer, mimeType };
+      return { messageId: job.data.message.id };
     });
   }
 
+  /**
+   * Run a message handler for a queued job; once all retries are exhausted the message is
+   * dead-lettered and the user notified
+   * @param {Object} job - Bull job whose data holds the WhatsApp message and its context
+   * @param {Function} handler - Message handler from the webhook route
+   * @returns {Promise<void>}
+   */
+  async runMessageJob(job, handler) {
+    const { message, context } = job.data;
+    const deadLetterService = require('../../services/dead-letter');
+    
+    try {
+      await handler(message, context);
+    } catch (error) {
+      // attemptsMade counts previous failures, so this is the last attempt when it reaches attempts - 1
+      const attempts = job.opts.attempts || 1;
+      if (job.attemptsMade + 1 >= attempts) {
+        await deadLetterService.add({
+          jobName: job.name,
+          message: message,
+          context: context,
+          error: error,
+          attempts: job.attemptsMade + 1
+        });
+        
+        // The user was already told when the message first failed
+        if (!context.redelivery) {
+          const { sendProcessingErrorMessage } = require('../../routes/webhook');
+          await sendProcessingErrorMessage(message, context);
+        }
+      }
+      throw error;
+    }
+    
+    // A retried dead letter has been delivered, so it is no longer needed
+    if (context.redelivery) {
+      try {
+        await deadLetterService.remove(context.redelivery.deadLetterId);
+      } catch (error) {
+        // Failing here would retry a job whose translation was already sent
+        logger.error(`Error removing retried dead letter ${context.redelivery.deadLetterId}:`, error);
+      }
+    }
+  }
+
   setupQueueEvents() {
     // Log queue events
     this.translationQueue.on('completed', (job) => {
@@ -72,12 +166,12 @@ class TranslationQueue {
     });
   }
 
-  // Add a translation job to the queue
-  async addTranslationJob(text, sourceLanguage, targetLanguage) {
+  // Add a text message translation job to the queue
+  async addTranslationJob(message, context) {
     try {
       const job = await this.translationQueue.add(
         'translate',
-        { text, sourceLanguage, targetLanguage },
+        { message, context },
         {
           attempts: 3,
           backoff: { type: 'exponential', delay: 2000 },
@@ -93,16 +187,102 @@ class TranslationQueue {
     }
   }
 
-  // Add an audio processing job to the queue
-  async addAudioJob(audioBuffer, mimeType) {
+  // Add a command job to the queue
+  async addCommandJob(message, context) {
+    try {
+      const job = await this.translationQueue.add(
+        'run-command',
+        { message, context },
+        {
+          // Commands reply to their own errors, and a retry would send the files again
+          attempts: 1,
+          timeout: 120000
+        }
+      );
+      
+      logger.info(`Added command job to queue: ${job.id}`);
+      return job;
+    } catch (error) {
+      logger.error('Error adding command job:', error);
+      throw error;
+    }
+  }
+
+  // Add a document translation job to the queue
+  async addDocumentJob(message, context) {
     try {
+      const job = await this.translationQueue.add(
+        'translate-document',
+        { message, context },
+        {
+          attempts: 3,
+          backoff: { type: 'exponential', delay: 2000 },
+          timeout: 120000
+        }
+      );
+      
+      logger.info(`Added document job to queue: ${job.id}`);
+      return job;
+    } catch (error) {
+      logger.error('Error adding document job:', error);
+      throw error;
+    }
+  }
+
+  // Add a flag reaction translation job to the queue
+  async addReactionJob(message, context) {
+    try {
+      const job = await this.translationQueue.add(
+        'translate-reaction',
+        { message, context },
+        {
+          attempts: 3,
+          backoff: { type: 'exponential', delay: 2000 },
+          timeout: 30000
+        }
+      );
+      
+      logger.info(`Added reaction job to queue: ${job.id}`);
+      return job;
+    } catch (error) {
+      logger.error('Error adding reaction job:', error);
+      throw error;
+    }
+  }
+
+  // Add a transcript confirmation job to the queue
+  async addTranscriptConfirmationJob(message, context) {
+    try {
+      const job = await this.translationQueue.add(
+        'confirm-transcript',
+        { message, context },
+        {
+          attempts: 3,
+          backoff: { type: 'exponential', delay: 2000 },
+          timeout: 30000
+        }
+      );
+      
+      logger.info(`Added transcript confirmation job to queue: ${job.id}`);
+      return job;
+    } catch (error) {
+      logger.error('Error adding transcript confirmation job:', error);
+      throw error;
+    }
+  }
+
+  // Add a voice note processing job to the queue
+  async addAudioJob(message, context) {
+    try {
+      // Only the media ID travels with the job; the worker downloads the audio itself
       const job = await this.audioQueue.add(
         'process-audio',
-        { audioBuffer, mimeType },
+        { message, context },
         {
           attempts: 3,
           backoff: { type: 'exponential', delay: 2000 },
-          timeout: 60000
+          // The length of the voice note is only known once it is downloaded, so this covers the longest ones
+          timeout: config.queue.mediaJobTimeoutSeconds * 1000
         }
       );
       
@@ -114,6 +294,45 @@ class TranslationQueue {
     }
   }
 
+  // Add a video processing job to the queue
+  async addVideoJob(message, context) {
+    try {
+      const job = await this.audioQueue.add(
+        'process-video',
+        { message, context },
+        {
+          attempts: 3,
+          backoff: { type: 'exponential', delay: 2000 },
+          timeout: config.queue.mediaJobTimeoutSeconds * 1000
+        }
+      );
+      
+      logger.info(`Added video job to queue: ${job.id}`);
+      return job;
+    } catch (error) {
+      logger.error('Error adding video job:', error);
+      throw error;
+    }
+  }
+
+  // Add a job by its job name, e.g. to retry a dead-lettered message
+  async addJobByName(jobName, message, context) {
+    const addJob = {
+      'translate': this.addTranslationJob,
+      'run-command': this.addCommandJob,
+      'translate-document': this.addDocumentJob,
+      'translate-reaction': this.addReactionJob,
+      'confirm-transcript': this.addTranscriptConfirmationJob,
+      'process-audio': this.addAudioJob,
+      'process-video': this.addVideoJob
+    }[jobName];
+    
+    if (!addJob) {
+      throw new Error(`Translation Queue Error: Unknown job name ${jobName}`);
+    }
+    return addJob.call(this, message, context);
+  }
+
   // Get queue statistics
   async getQueueStats() {
     const translationWaiting = await this.translationQueue.getWaitingCount();